@@ -29,6 +29,9 @@ class VoiceAIManager: ObservableObject {
     private var ephemeralToken: String?
     private var sessionId: String?
     
+    // Transcript events not yet stored on the backend
+    private var pendingTranscriptEvents: [[String: Any]] = []
+    
     // Get voice messages as ChatMessages for unified conversation
     func getVoiceMessages() -> [ChatMessage] {
         return messages
@@ -168,6 +171,11 @@ class VoiceAIManager: ObservableObject {
             }
             
         case "response.audio_transcript.done":
+            if let itemId = message["item_id"] as? String,
+               let transcript = message["transcript"] as? String, !transcript.isEmpty {
+                recordTranscriptEvent(["type": "assistant", "itemId": itemId, "content": transcript])
+                Task { await flushTranscript() }
+            }
             if !currentTranscript.isEmpty {
                 let chatMessage = ChatMessage(
                     content: currentTranscript,
@@ -210,11 +218,18 @@ class VoiceAIManager: ObservableObject {
                 }
             }
             
+        case "conversation.item.input_audio_transcription.completed":
+            if let itemId = message["item_id"] as? String,
+               let transcript = message["transcript"] as? String, !transcript.isEmpty {
+                recordTranscriptEvent(["type": "user", "itemId": itemId, "content": transcript])
+            }
+            
         case "response.function_call_arguments.done":
             if let name = message["name"] as? String,
                let callId = message["call_id"] as? String,
                let argumentsString = message["arguments"] as? String {
                 lastFunctionCall = "Function called: \(name)"
+                recordTranscriptEvent(["type": "tool_call", "callId": callId, "name": name, "arguments": argumentsString])
                 print("📦 Function call: \(name) with args: \(argumentsString)")
                 
                 // Execute function on backend and send result back to OpenAI
@@ -319,6 +334,7 @@ class VoiceAIManager: ObservableObject {
     func closeVoiceMode() async {
         // WebRTC handles audio cleanup
         isListening = false
+        await flushTranscript()
         
         // Keep connection alive for potential reuse
         print("📊 Voice mode closed, messages count: \(messages.count)")
@@ -326,6 +342,7 @@ class VoiceAIManager: ObservableObject {
     
     func disconnect() async {
         // Complete teardown - only called when leaving ChatView entirely
+        await flushTranscript()
         webRTCClient?.disconnect()
         
         isListening = false
@@ -333,6 +350,7 @@ class VoiceAIManager: ObservableObject {
         isInitialized = false
         
         messages.removeAll()
+        pendingTranscriptEvents.removeAll()
         currentTranscript = ""
         error = nil
         ephemeralToken = nil
@@ -372,10 +390,14 @@ class VoiceAIManager: ObservableObject {
             request.httpMethod = "POST"
             request.setValue("Bearer \(safeToken)", forHTTPHeaderField: "Authorization")
             request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            // The call id is unique per function call, so a retried request is only executed once
+            request.setValue(callId, forHTTPHeaderField: "Idempotency-Key")
             
+            // The device's time zone sets what "today" and "this week" mean
             let body = [
                 "name": name,
-                "arguments": args
+                "arguments": args,
+                "timezone": TimeZone.current.identifier
             ] as [String: Any]
             
             request.httpBody = try JSONSerialization.data(withJSONObject: body)
@@ -417,6 +439,7 @@ class VoiceAIManager: ObservableObject {
             ]
             
             webRTCClient?.sendMessage(functionOutput)
+            recordTranscriptEvent(["type": "tool_result", "callId": callId, "output": outputString])
             
             // Trigger response
             webRTCClient?.sendMessage(["type": "response.create"])
@@ -429,6 +452,54 @@ class VoiceAIManager: ObservableObject {
     }
 }
 
+// MARK: - Transcript
+
+extension VoiceAIManager {
+    private static let transcriptDateFormatter = ISO8601DateFormatter()
+    
+    fileprivate func recordTranscriptEvent(_ event: [String: Any]) {
+        var event = event
+        event["timestamp"] = Self.transcriptDateFormatter.string(from: Date())
+        pendingTranscriptEvents.append(event)
+    }
+    
+    /// Stores the session's transcript so far in its conversation on the backend.
+    /// Events that fail to send stay pending and go with the next batch - the
+    /// backend skips any it already has.
+    fileprivate func flushTranscript() async {
+        guard !pendingTranscriptEvents.isEmpty, let sessionId = sessionId else { return }
+        // The backend takes up to 200 events per request
+        let events = Array(pendingTranscriptEvents.prefix(200))
+        
+        do {
+            guard let firebaseUser = Auth.auth().currentUser,
+                  let url = URL(string: "\(AppConfig.apiBaseURL)/realtime/transcript") else { return }
+            let token = try await firebaseUser.getIDToken()
+            
+            var request = URLRequest(url: url)
+            request.httpMethod = "POST"
+            request.setValue("Bearer \(token.sanitizedForHTTPHeader)", forHTTPHeaderField: "Authorization")
+            request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            request.httpBody = try JSONSerialization.data(withJSONObject: [
+                "sessionId": sessionId,
+                "events": events
+            ] as [String: Any])
+            
+            let (_, response) = try await URLSession.shared.data(for: request)
+            guard let httpResponse = response as? HTTPURLResponse,
+                  (200...299).contains(httpResponse.statusCode) else {
+                print("❌ Transcript upload failed")
+                return
+            }
+            
+            pendingTranscriptEvents.removeFirst(min(events.count, pendingTranscriptEvents.count))
+            print("✅ Stored \(events.count) transcript events")
+        } catch {
+            print("❌ Transcript upload error: \(error)")
+        }
+    }
+}
+
 enum VoiceAIError: LocalizedError {
     case notInitialized
     case notAuthenticated
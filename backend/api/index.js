@@ -22,6 +22,10 @@ const aiRoutes = require('../src/routes/ai');
 const realtimeRoutes = require('../src/routes/realtime');
 const configRoutes = require('../src/routes/config');
 const photoRoutes = require('../src/routes/photos');
+const suggestionRoutes = require('../src/routes/suggestions');
+const searchRoutes = require('../src/routes/search');
+const jobRoutes = require('../src/routes/jobs');
+const adminRoutes = require('../src/routes/admin');
 const workerRoutes = require('../src/routes/workers');
 const testRoutes = require('../src/routes/test');
 
@@ -35,8 +39,8 @@ const limiter = rateLimit({
   max: 100,
   standardHeaders: true,
   legacyHeaders: false,
-  // Skip rate limiting in development
-  skip: (req) => process.env.NODE_ENV === 'development',
+  // Skip rate limiting in development and tests
+  skip: (req) => ['development', 'test'].includes(process.env.NODE_ENV),
   // Use custom key generator for Vercel
   keyGenerator: (req) => {
     // Use X-Forwarded-For header from Vercel
@@ -49,12 +53,19 @@ const limiter = rateLimit({
 app.use(helmet());
 app.use(cors({
   origin: true,
-  credentials: true
+  credentials: true,
+  // Unparameterised list requests carry their cursor here (utils/pagination.js)
+  exposedHeaders: ['Next-Cursor']
+}));
+app.use(express.json({
+  // Keep the raw body so worker routes can verify QStash signatures against it
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
 }));
-app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-if (process.env.NODE_ENV !== 'production') {
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   app.use(morgan('dev'));
 }
 
@@ -102,6 +113,10 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/realtime', realtimeRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/photos', photoRoutes);
+app.use('/api/suggestions', suggestionRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
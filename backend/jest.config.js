@@ -0,0 +1,7 @@
+module.exports = {
+  testEnvironment: 'node',
+  // src/routes/test.js is a route module, not a test
+  roots: ['<rootDir>/tests'],
+  setupFiles: ['<rootDir>/tests/helpers/env.js'],
+  testTimeout: 30000
+};
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const { Client } = require('@upstash/qstash');
+const { getWorkerUrl } = require('../src/services/queue');
+
+// Reusing the id replaces the existing schedule, so the script can be rerun
+const SCHEDULE_ID = 'session-cleanup';
+const DEFAULT_CRON = '0 * * * *';
+
+// Creates (or updates) the QStash schedule that deletes expired session store records
+async function scheduleSessionCleanup() {
+  const cron = process.env.SESSION_CLEANUP_CRON || DEFAULT_CRON;
+  const destination = getWorkerUrl('/process-session-cleanup');
+
+  try {
+    if (!process.env.QSTASH_TOKEN) {
+      throw new Error('QSTASH_TOKEN is not set');
+    }
+
+    const client = new Client({ token: process.env.QSTASH_TOKEN });
+    const { scheduleId } = await client.schedules.create({
+      scheduleId: SCHEDULE_ID,
+      destination,
+      cron,
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+      retries: 1
+    });
+
+    console.log(`✅ Schedule ${scheduleId} calls ${destination} on "${cron}"`);
+  } catch (error) {
+    console.error('Error scheduling session cleanup:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+scheduleSessionCleanup();
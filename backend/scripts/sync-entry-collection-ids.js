@@ -0,0 +1,66 @@
+require('dotenv').config();
+const { firestore } = require('../src/config/firebase');
+
+const db = firestore;
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 400;
+
+async function syncEntryCollectionIds() {
+  console.log('Syncing entry collectionIds with collection_entries...');
+
+  try {
+    // Build entryId -> collectionIds from the join records
+    const linksSnapshot = await db.collection('collection_entries').get();
+    const collectionIdsByEntry = new Map();
+
+    linksSnapshot.forEach(doc => {
+      const { entryId, collectionId } = doc.data();
+      if (!entryId || !collectionId) return;
+      if (!collectionIdsByEntry.has(entryId)) {
+        collectionIdsByEntry.set(entryId, new Set());
+      }
+      collectionIdsByEntry.get(entryId).add(collectionId);
+    });
+
+    console.log(`Found ${linksSnapshot.size} collection entries`);
+
+    const entriesSnapshot = await db.collection('entries').get();
+    let batch = db.batch();
+    let pending = 0;
+    let updateCount = 0;
+
+    for (const doc of entriesSnapshot.docs) {
+      const current = doc.data().collectionIds || [];
+      const expected = [...(collectionIdsByEntry.get(doc.id) || [])];
+
+      const inSync = current.length === expected.length &&
+        expected.every(id => current.includes(id));
+      if (inSync) continue;
+
+      console.log(`Entry ${doc.id}: [${current.join(', ')}] -> [${expected.join(', ')}]`);
+      batch.update(doc.ref, { collectionIds: expected });
+      pending++;
+      updateCount++;
+
+      if (pending === BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+
+    if (pending > 0) {
+      await batch.commit();
+    }
+
+    console.log(`✅ Updated ${updateCount} of ${entriesSnapshot.size} entries`);
+  } catch (error) {
+    console.error('Error syncing entry collectionIds:', error);
+  } finally {
+    process.exit(0);
+  }
+}
+
+// Run the sync
+syncEntryCollectionIds();
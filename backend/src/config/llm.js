@@ -0,0 +1,64 @@
+/**
+ * LLM provider and model selection per call site.
+ *
+ * Every AI call names its call site (e.g. 'collection.infer'). The provider and
+ * model for a call site resolve in this order:
+ *   1. LLM_<CALL_SITE>_PROVIDER / LLM_<CALL_SITE>_MODEL env vars
+ *      (call site upper-cased with dots replaced, e.g. LLM_COLLECTION_INFER_MODEL)
+ *   2. The model the caller passed in (callers in this repo don't, so config wins)
+ *   3. The call site default below - only for sites that need another kind of
+ *      model than chat, which LLM_MODEL would break
+ *   4. LLM_PROVIDER / LLM_MODEL env vars, then 'openai' / 'gpt-4o-mini'
+ *
+ * Set LLM_PROVIDER=local to run the whole pipeline offline.
+ */
+const CALL_SITE_DEFAULTS = {
+  'chat': {},
+  'chat.stream': {},
+  'intent': {},
+  'embedding': { model: 'text-embedding-3-small' },
+  'collection.infer': {},
+  'collection.details': {},
+  'collection.rules': {},
+  'entry.extract': {},
+  'entry.match': {},
+  'entry.summary': {},
+  'entry.insights': {},
+  'classifier.interest': {},
+  'classifier.route': {},
+  'classifier.bulk': {},
+  'photo.vision': {},
+  'realtime': { model: 'gpt-realtime' }
+};
+
+function envKey(callSite, suffix) {
+  return `LLM_${callSite.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${suffix}`;
+}
+
+/**
+ * Resolves the provider name and model for a call site
+ * @param {string} callSite - Call site identifier
+ * @param {string} requestedModel - Model requested by the caller, if any
+ * @returns {{provider: string, model: string}}
+ */
+function resolveCallSite(callSite = 'chat', requestedModel = null) {
+  const defaults = CALL_SITE_DEFAULTS[callSite] || {};
+
+  const provider = process.env[envKey(callSite, 'PROVIDER')] ||
+                   defaults.provider ||
+                   process.env.LLM_PROVIDER ||
+                   'openai';
+
+  const model = process.env[envKey(callSite, 'MODEL')] ||
+                requestedModel ||
+                defaults.model ||
+                process.env.LLM_MODEL ||
+                'gpt-4o-mini';
+
+  return { provider, model };
+}
+
+module.exports = {
+  CALL_SITE_DEFAULTS,
+  resolveCallSite
+};
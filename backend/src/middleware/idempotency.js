@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { firestore } = require('../config/firebase');
+
+// How long a stored response is replayed for a repeated key
+const DEFAULT_WINDOW_SECONDS = 24 * 60 * 60;
+
+// A request still 'processing' after this long is assumed to have died and
+// its key can be claimed again
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function windowMs() {
+  const seconds = Number(process.env.IDEMPOTENCY_WINDOW_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_WINDOW_SECONDS) * 1000;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function toDate(value) {
+  return value?.toDate ? value.toDate() : new Date(value);
+}
+
+// Keys are scoped to the user and route, so clients can't collide with each other
+function recordId(req, key) {
+  return sha256(`${req.user.uid}:${req.method}:${req.baseUrl}${req.path}:${key}`);
+}
+
+// Identifies the request a key was first used for: the body plus any uploaded file
+function fingerprint(req) {
+  const file = req.file ? sha256(req.file.buffer || '') : null;
+  return sha256(JSON.stringify({ body: req.body || {}, file }));
+}
+
+/**
+ * Works out what to do with a key inside a transaction: claim it for this
+ * request, or hand back the record that already holds it
+ * @returns {Promise<{claimed: boolean, record: Object|null}>}
+ */
+async function claimKey(docRef, req, requestHash) {
+  return firestore.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const now = new Date();
+
+    if (doc.exists) {
+      const record = doc.data();
+      const expired = toDate(record.expiresAt) <= now;
+      const stalled = record.status === 'processing' &&
+        now - toDate(record.createdAt) > PROCESSING_TIMEOUT_MS;
+
+      if (!expired && !stalled) {
+        return { claimed: false, record };
+      }
+    }
+
+    transaction.set(docRef, {
+      userId: req.user.uid,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      status: 'processing',
+      statusCode: null,
+      responseBody: null,
+      // Expired records are removed by a Firestore TTL policy on this field
+      expiresAt: new Date(now.getTime() + windowMs()),
+      createdAt: now,
+      completedAt: null
+    });
+    return { claimed: true, record: null };
+  });
+}
+
+/**
+ * Honours an Idempotency-Key header on create endpoints.
+ *
+ * The first request with a key runs normally and its JSON response is stored;
+ * repeats within the window get that response back with an
+ * Idempotent-Replayed header instead of running again. A repeat that arrives
+ * while the first is still running gets a 409, and reusing a key for a
+ * different body gets a 422. 5xx responses aren't stored so the client can
+ * retry them, and neither are responses sent without res.json (send, end,
+ * streams) or cut off before finishing: those release the key. Requests
+ * without the header are unaffected.
+ *
+ * Mount after authentication and validation.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Idempotency-Key must be 1-255 printable ASCII characters',
+      code: 'IDEMPOTENCY_KEY_INVALID'
+    });
+  }
+
+  const docRef = firestore.collection('idempotency_keys').doc(recordId(req, key));
+  const requestHash = fingerprint(req);
+
+  let claim;
+  try {
+    claim = await claimKey(docRef, req, requestHash);
+  } catch (error) {
+    console.error('[IDEMPOTENCY] Failed to claim key:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!claim.claimed) {
+    const { record } = claim;
+
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (record.status === 'processing') {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      });
+    }
+
+    console.log(`[IDEMPOTENCY] Replaying ${record.statusCode} for ${record.method} ${record.path}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.statusCode).json(JSON.parse(record.responseBody));
+  }
+
+  // Store the response before sending it, so a retry that follows it is replayed
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const update = res.statusCode >= 500
+      ? docRef.delete()
+      : docRef.update({
+        status: 'completed',
+        statusCode: res.statusCode,
+        // Kept as text: response bodies can hold nested arrays Firestore won't store
+        responseBody: JSON.stringify(body === undefined ? null : body),
+        completedAt: new Date()
+      });
+
+    update
+      .catch(error => console.error('[IDEMPOTENCY] Failed to store response:', error.message))
+      .then(() => json(body));
+    return res;
+  };
+
+  // Any other way the request ends can't be replayed, so free the key for a retry
+  res.once('close', () => {
+    if (stored) return;
+    docRef.delete().catch(error => console.error('[IDEMPOTENCY] Failed to release key:', error.message));
+  });
+
+  next();
+}
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,111 @@
+const { Receiver } = require('@upstash/qstash');
+const { firestore } = require('../config/firebase');
+const { getWorkerUrl } = require('../services/queue');
+
+// Allowed clock skew between QStash and us when checking exp/nbf
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+let receiver = null;
+
+function getReceiver() {
+  const currentSigningKey = process.env.QSTASH_CURRENT_SIGNING_KEY;
+  const nextSigningKey = process.env.QSTASH_NEXT_SIGNING_KEY;
+  if (!currentSigningKey || !nextSigningKey) return null;
+
+  if (!receiver) {
+    receiver = new Receiver({ currentSigningKey, nextSigningKey });
+  }
+  return receiver;
+}
+
+/**
+ * Verification can only be switched off explicitly, and never in production
+ */
+function verificationSkipped() {
+  return process.env.QSTASH_SKIP_SIGNATURE_VERIFICATION === 'true' &&
+    process.env.NODE_ENV !== 'production';
+}
+
+function decodeClaims(signature) {
+  const [, payload] = signature.split('.');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+/**
+ * Records a signature's jti so the same signed request can't be replayed.
+ * QStash signs every delivery attempt separately, so retries still get through.
+ * @returns {Promise<boolean>} false if the jti was already used
+ */
+async function claimSignature(claims, req) {
+  try {
+    await firestore.collection('qstash_signatures').doc(claims.jti).create({
+      path: req.path,
+      messageId: req.get('upstash-message-id') || null,
+      // Expired records are removed by a Firestore TTL policy on this field
+      expiresAt: new Date(claims.exp * 1000),
+      createdAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    // 6 = ALREADY_EXISTS
+    if (error.code === 6) return false;
+    throw error;
+  }
+}
+
+/**
+ * Rejects worker requests that aren't signed by QStash.
+ *
+ * Checks the Upstash-Signature JWT against the current and next signing keys,
+ * the URL it was published to and the raw body (captured by express.json in
+ * api/index.js), then refuses signatures that were already used.
+ */
+async function verifyQStashSignature(req, res, next) {
+  if (verificationSkipped()) {
+    return next();
+  }
+
+  const qstashReceiver = getReceiver();
+  if (!qstashReceiver) {
+    console.error('[QSTASH-AUTH] QSTASH_CURRENT_SIGNING_KEY / QSTASH_NEXT_SIGNING_KEY not configured');
+    return res.status(503).json({ error: 'Worker signature verification not configured' });
+  }
+
+  const signature = req.get('upstash-signature');
+  if (!signature) {
+    return res.status(401).json({ error: 'Missing signature', code: 'SIGNATURE_MISSING' });
+  }
+
+  try {
+    await qstashReceiver.verify({
+      signature,
+      body: req.rawBody || '',
+      url: getWorkerUrl(req.path),
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    console.warn(`[QSTASH-AUTH] Rejected ${req.path}: ${error.message}`);
+    return res.status(401).json({ error: 'Invalid signature', code: 'SIGNATURE_INVALID' });
+  }
+
+  try {
+    const claims = decodeClaims(signature);
+    if (!claims.jti || !(await claimSignature(claims, req))) {
+      console.warn(`[QSTASH-AUTH] Replayed signature for ${req.path}`);
+      return res.status(401).json({ error: 'Signature already used', code: 'SIGNATURE_REPLAYED' });
+    }
+  } catch (error) {
+    console.error('[QSTASH-AUTH] Replay check failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  next();
+}
+
+if (process.env.QSTASH_SKIP_SIGNATURE_VERIFICATION === 'true' && process.env.NODE_ENV === 'production') {
+  console.error('[QSTASH-AUTH] QSTASH_SKIP_SIGNATURE_VERIFICATION is ignored in production');
+}
+
+module.exports = {
+  verifyQStashSignature
+};
@@ -0,0 +1,144 @@
+const { validateSchema } = require('../utils/jsonSchema');
+const { isValidTimeZone } = require('../utils/timeZone');
+
+/**
+ * Request validation against declarative schemas (see src/schemas).
+ *
+ * Schemas use the same JSON Schema subset as utils/jsonSchema, plus:
+ * - format: 'date-time' - ISO strings or epoch milliseconds, coerced to Date
+ * - format: 'time-zone' - an IANA time zone name ('America/New_York')
+ * - enum values match case-insensitively and are normalised ('High' -> 'high')
+ * - objects with `properties` are whitelists: unknown keys are dropped, so
+ *   clients can't set userId, id, createdAt and the like.
+ *   additionalProperties: true keeps them (free-form fields like metadata)
+ *
+ * Query strings are also coerced to numbers, booleans and comma-separated arrays.
+ */
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function typesOf(schema) {
+  if (!schema.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function coerceQueryValue(value, types) {
+  if (typeof value !== 'string') return value;
+
+  if (types.includes('array')) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Coerces and whitelists a value, collecting errors rather than stopping at the first
+ * @returns {{value: *, errors: Array<{path: string, message: string}>}}
+ */
+function sanitize(value, schema, path, options) {
+  const types = typesOf(schema);
+
+  if (value === null && types.includes('null')) {
+    return { value, errors: [] };
+  }
+
+  if (options.fromQuery) {
+    value = coerceQueryValue(value, types);
+  }
+
+  if (schema.format === 'date-time') {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!date || isNaN(date)) {
+      return { value, errors: [{ path, message: 'must be a valid date' }] };
+    }
+    return { value: date, errors: [] };
+  }
+
+  if (schema.format === 'time-zone' && typeof value === 'string' && !isValidTimeZone(value)) {
+    return { value, errors: [{ path, message: 'must be an IANA time zone' }] };
+  }
+
+  if (schema.enum && typeof value === 'string') {
+    const match = schema.enum.find(option =>
+      typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase()
+    );
+    if (match) value = match;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    const errors = [];
+    const items = value.map((item, index) => {
+      const result = sanitize(item, schema.items, `${path}[${index}]`, options);
+      errors.push(...result.errors);
+      return result.value;
+    });
+    errors.push(...validateSchema(items, { ...schema, items: undefined }, path));
+    return { value: items, errors };
+  }
+
+  if (schema.properties && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    const errors = [];
+    const output = schema.additionalProperties === true ? { ...value } : {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (value[key] === undefined) return;
+      const result = sanitize(value[key], propertySchema, `${path}.${key}`, options);
+      errors.push(...result.errors);
+      output[key] = result.value;
+    });
+
+    return { value: output, errors };
+  }
+
+  return { value, errors: validateSchema(value, schema, path) };
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body.
+ * Replaces each with its coerced, whitelisted version, or responds 400:
+ * { error: 'Validation failed', code: 'VALIDATION_FAILED', fields: [{ path, message }] }
+ *
+ * @param {Object} schemas - { params, query, body }, each an object schema
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const fields = [];
+
+    LOCATIONS.forEach(location => {
+      const schema = schemas[location];
+      if (!schema) return;
+
+      const input = req[location] === undefined ? {} : req[location];
+      const { value, errors } = sanitize(input, schema, location, { fromQuery: location === 'query' });
+      fields.push(...errors);
+      req[location] = value;
+    });
+
+    if (fields.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_FAILED',
+        fields
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sanitize
+};
@@ -1,4 +1,5 @@
 const { firestore } = require('../config/firebase');
+const { paginateQuery } = require('../utils/pagination');
 
 class Collection {
   constructor(data = {}) {
@@ -9,6 +10,7 @@ class Collection {
     this.icon = data.icon || 'doc.text';
     this.color = data.color || '#6366f1';
     this.entryFormat = data.entryFormat || null;  // Defines field structure for entries
+    this.rules = data.rules || null;  // AI-generated { keywords, patterns, examples, description }
     this.template = data.template || {
       // Legacy template structure - will phase out
       fields: [],
@@ -41,6 +43,7 @@ class Collection {
       icon: collection.icon,
       color: collection.color,
       entryFormat: collection.entryFormat,
+      rules: collection.rules,
       template: collection.template,
       settings: collection.settings,
       stats: collection.stats,
@@ -90,6 +93,15 @@ class Collection {
     }
   }
 
+  static async findPageByUserId(userId, page) {
+    const query = this.collection().where('userId', '==', userId);
+    const { docs, nextCursor } = await paginateQuery(query, page);
+    return {
+      items: docs.map(doc => new Collection({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
   static async findByName(userId, name) {
     // Case-insensitive search for collection by name
     const collections = await this.findByUserId(userId);
@@ -214,7 +226,7 @@ class Collection {
   }
 
   async updateStats() {
-    const entries = await firestore.collection('entries')
+    const entries = await firestore.collection('collection_entries')
       .where('collectionId', '==', this.id)
       .get();
     
@@ -242,6 +254,7 @@ class Collection {
         icon: this.icon,
         color: this.color,
         entryFormat: this.entryFormat,
+        rules: this.rules,
         template: this.template,
         settings: this.settings,
         stats: this.stats,
@@ -258,7 +271,7 @@ class Collection {
   async delete() {
     if (this.id) {
       // Check if collection has entries
-      const entries = await firestore.collection('entries')
+      const entries = await firestore.collection('collection_entries')
         .where('collectionId', '==', this.id)
         .limit(1)
         .get();
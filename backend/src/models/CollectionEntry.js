@@ -1,4 +1,7 @@
 const { firestore } = require('../config/firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { paginateQuery } = require('../utils/pagination');
+const { reindex, unindex } = require('./searchIndex');
 
 class CollectionEntry {
   constructor(data = {}) {
@@ -19,17 +22,35 @@ class CollectionEntry {
 
   static async create(data) {
     const collectionEntry = new CollectionEntry(data);
-    const docRef = await this.collection().add({
-      entryId: collectionEntry.entryId,
-      collectionId: collectionEntry.collectionId,
-      userId: collectionEntry.userId,
-      formattedData: collectionEntry.formattedData,
-      userOverrides: collectionEntry.userOverrides,
-      createdAt: collectionEntry.createdAt,
-      lastProcessedAt: collectionEntry.lastProcessedAt,
-      metadata: collectionEntry.metadata
+    const docRef = this.collection().doc();
+    const entryRef = firestore.collection('entries').doc(collectionEntry.entryId);
+
+    // Write the join record and the entry's collectionIds together
+    await firestore.runTransaction(async (transaction) => {
+      const entryDoc = await transaction.get(entryRef);
+      transaction.set(docRef, {
+        entryId: collectionEntry.entryId,
+        collectionId: collectionEntry.collectionId,
+        userId: collectionEntry.userId,
+        formattedData: collectionEntry.formattedData,
+        userOverrides: collectionEntry.userOverrides,
+        createdAt: collectionEntry.createdAt,
+        lastProcessedAt: collectionEntry.lastProcessedAt,
+        metadata: collectionEntry.metadata
+      });
+      if (entryDoc.exists) {
+        transaction.update(entryRef, {
+          collectionIds: FieldValue.arrayUnion(collectionEntry.collectionId)
+        });
+      }
     });
+
     collectionEntry.id = docRef.id;
+
+    // The entry's record carries its collectionIds, so it's reindexed too
+    reindex('collection_entry', collectionEntry.id);
+    reindex('entry', collectionEntry.entryId);
+
     return collectionEntry;
   }
 
@@ -79,6 +100,29 @@ class CollectionEntry {
     }));
   }
 
+  static async findPageByCollectionAndUser(collectionId, userId, page) {
+    const query = this.collection()
+      .where('collectionId', '==', collectionId)
+      .where('userId', '==', userId);
+    
+    const { docs, nextCursor } = await paginateQuery(query, page);
+    return {
+      items: docs.map(doc => new CollectionEntry({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
+  static async findByUserId(userId) {
+    const snapshot = await this.collection()
+      .where('userId', '==', userId)
+      .get();
+    
+    return snapshot.docs.map(doc => new CollectionEntry({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
   static async findExisting(entryId, collectionId) {
     const snapshot = await this.collection()
       .where('entryId', '==', entryId)
@@ -112,13 +156,23 @@ class CollectionEntry {
       metadata: this.metadata
     });
     
+    reindex('collection_entry', this.id);
+    
     return this;
   }
 
-  async reprocess(entryContent, collectionFormat) {
-    // This will be implemented with AI extraction service
-    // For now, just update the timestamp
+  async reprocess(entryContent, collectionFormat, options = {}) {
+    const { extractFormattedData } = require('../services/entryExtraction');
+
+    // Re-extract fields for the current format; userOverrides are left untouched
+    // so manual edits still win in getDisplayData()
+    this.formattedData = await extractFormattedData(entryContent, collectionFormat, options);
     this.lastProcessedAt = new Date();
+    this.metadata = {
+      ...this.metadata,
+      formatVersion: collectionFormat?.version || null,
+      reprocessedAt: this.lastProcessedAt
+    };
     return this.save();
   }
 
@@ -127,7 +181,21 @@ class CollectionEntry {
       throw new Error('Cannot delete CollectionEntry without ID');
     }
     
-    await CollectionEntry.collection().doc(this.id).delete();
+    const docRef = CollectionEntry.collection().doc(this.id);
+    const entryRef = firestore.collection('entries').doc(this.entryId);
+
+    await firestore.runTransaction(async (transaction) => {
+      const entryDoc = await transaction.get(entryRef);
+      transaction.delete(docRef);
+      if (entryDoc.exists) {
+        transaction.update(entryRef, {
+          collectionIds: FieldValue.arrayRemove(this.collectionId)
+        });
+      }
+    });
+
+    unindex('collection_entry', this.id);
+    reindex('entry', this.entryId);
   }
 
   // Get display data (formatted + overrides)
@@ -1,4 +1,5 @@
 const { firestore } = require('../config/firebase');
+const { paginateQuery } = require('../utils/pagination');
 
 class Conversation {
   constructor(data = {}) {
@@ -39,17 +40,29 @@ class Conversation {
     return new Conversation({ id: doc.id, ...doc.data() });
   }
 
-  static async findByUserId(userId, spaceId = null) {
+  static queryByUserId(userId, spaceId = null) {
     let query = this.collection().where('userId', '==', userId);
     
     if (spaceId) {
       query = query.where('spaceIds', 'array-contains', spaceId);
     }
     
-    const snapshot = await query.orderBy('updatedAt', 'desc').get();
+    return query;
+  }
+
+  static async findByUserId(userId, spaceId = null) {
+    const snapshot = await this.queryByUserId(userId, spaceId).orderBy('updatedAt', 'desc').get();
     return snapshot.docs.map(doc => new Conversation({ id: doc.id, ...doc.data() }));
   }
 
+  static async findPageByUserId(userId, spaceId = null, page) {
+    const { docs, nextCursor } = await paginateQuery(this.queryByUserId(userId, spaceId), page);
+    return {
+      items: docs.map(doc => new Conversation({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
   async save() {
     this.updatedAt = new Date();
     if (this.id) {
@@ -0,0 +1,112 @@
+const { firestore } = require('../config/firebase');
+const { paginateQuery } = require('../utils/pagination');
+
+// A background job that failed its last allowed attempt, kept with its
+// original payload so an admin can inspect and replay it
+class DeadLetter {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.jobId = data.jobId || null;
+    this.userId = data.userId || null;
+    this.type = data.type || '';
+    this.path = data.path || '';  // Worker path the payload is replayed to
+    this.payload = data.payload || {};
+    this.errors = data.errors || [];  // The job's failed attempts: { attempt, message, statusCode, at }
+    this.attempts = data.attempts || 0;
+    this.status = data.status || 'pending';  // pending, replayed
+    this.replays = data.replays || [];  // { jobId, replayedBy, replayedAt }
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static collection() {
+    return firestore.collection('dead_letters');
+  }
+
+  static async create(data) {
+    const deadLetter = new DeadLetter(data);
+    const docRef = await this.collection().add({
+      jobId: deadLetter.jobId,
+      userId: deadLetter.userId,
+      type: deadLetter.type,
+      path: deadLetter.path,
+      payload: deadLetter.payload,
+      errors: deadLetter.errors,
+      attempts: deadLetter.attempts,
+      status: deadLetter.status,
+      replays: deadLetter.replays,
+      createdAt: deadLetter.createdAt,
+      updatedAt: deadLetter.updatedAt
+    });
+    deadLetter.id = docRef.id;
+    return deadLetter;
+  }
+
+  static async findById(id) {
+    const doc = await this.collection().doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new DeadLetter({ id: doc.id, ...doc.data() });
+  }
+
+  static query(filters = {}) {
+    let query = this.collection();
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    if (filters.type) {
+      query = query.where('type', '==', filters.type);
+    }
+
+    if (filters.userId) {
+      query = query.where('userId', '==', filters.userId);
+    }
+
+    return query;
+  }
+
+  static async find(filters = {}) {
+    let query = this.query(filters).orderBy('createdAt', 'desc');
+
+    if (filters.limit) {
+      query = query.limit(filters.limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => new DeadLetter({ id: doc.id, ...doc.data() }));
+  }
+
+  static async findPage(filters = {}, page) {
+    const { docs, nextCursor } = await paginateQuery(this.query(filters), page);
+    return {
+      items: docs.map(doc => new DeadLetter({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
+  async recordReplay(jobId, replayedBy) {
+    this.status = 'replayed';
+    this.replays = [...this.replays, { jobId, replayedBy, replayedAt: new Date() }];
+    return this.save();
+  }
+
+  async save() {
+    if (!this.id) {
+      throw new Error('Cannot save DeadLetter without ID');
+    }
+
+    this.updatedAt = new Date();
+    await DeadLetter.collection().doc(this.id).update({
+      status: this.status,
+      replays: this.replays,
+      updatedAt: this.updatedAt
+    });
+
+    return this;
+  }
+}
+
+module.exports = DeadLetter;
@@ -1,4 +1,6 @@
 const { firestore } = require('../config/firebase');
+const { PaginationError, paginateQuery } = require('../utils/pagination');
+const { reindex, unindex } = require('./searchIndex');
 
 class Entry {
   constructor(data = {}) {
@@ -57,6 +59,8 @@ class Entry {
     // Update the document with its ID
     await docRef.update({ id: docRef.id });
     
+    reindex('entry', entry.id);
+    
     return entry;
   }
 
@@ -68,11 +72,16 @@ class Entry {
     return new Entry({ id: doc.id, ...doc.data() });
   }
 
-  static async findByUserId(userId, filters = {}) {
+  static queryByUserId(userId, filters = {}) {
     let query = this.collection().where('userId', '==', userId);
     
     if (filters.collectionId) {
-      query = query.where('collectionId', '==', filters.collectionId);
+      query = query.where('collectionIds', 'array-contains', filters.collectionId);
+    }
+    
+    // Entries in no collection yet
+    if (filters.uncategorized) {
+      query = query.where('collectionIds', '==', []);
     }
     
     if (filters.spaceId) {
@@ -97,13 +106,30 @@ class Entry {
         .where('createdAt', '<=', filters.endDate);
     }
     
-    const snapshot = await query.orderBy('createdAt', 'desc').get();
+    return query;
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    const snapshot = await this.queryByUserId(userId, filters).orderBy('createdAt', 'desc').get();
     return snapshot.docs.map(doc => new Entry({ id: doc.id, ...doc.data() }));
   }
 
+  static async findPageByUserId(userId, filters = {}, page) {
+    // Firestore requires the range field to be the first orderBy
+    if (filters.startDate && filters.endDate && page.sort.field !== 'createdAt') {
+      throw new PaginationError('startDate/endDate filters require sorting by createdAt');
+    }
+    
+    const { docs, nextCursor } = await paginateQuery(this.queryByUserId(userId, filters), page);
+    return {
+      items: docs.map(doc => new Entry({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
   static async findByCollection(collectionId) {
     const snapshot = await this.collection()
-      .where('collectionId', '==', collectionId)
+      .where('collectionIds', 'array-contains', collectionId)
       .get();
     
     // Sort in memory to avoid index requirement
@@ -150,9 +176,11 @@ class Entry {
         weather: this.weather,
         photoId: this.photoId,
         imageUrl: this.imageUrl,
+        conversationId: this.conversationId,
         updatedAt: this.updatedAt,
         metadata: this.metadata
       });
+      reindex('entry', this.id);
     } else {
       const created = await Entry.create(this);
       this.id = created.id;
@@ -160,9 +188,33 @@ class Entry {
     return this;
   }
 
+  /**
+   * Rebuilds collectionIds from the entry's collection_entries records
+   */
+  async syncCollectionIds() {
+    const snapshot = await firestore.collection('collection_entries')
+      .where('entryId', '==', this.id)
+      .get();
+
+    this.collectionIds = [...new Set(snapshot.docs.map(doc => doc.data().collectionId))];
+    await Entry.collection().doc(this.id).update({ collectionIds: this.collectionIds });
+    return this.collectionIds;
+  }
+
   async delete() {
     if (this.id) {
-      await Entry.collection().doc(this.id).delete();
+      // Remove the entry's collection links along with it
+      const links = await firestore.collection('collection_entries')
+        .where('entryId', '==', this.id)
+        .get();
+
+      const batch = firestore.batch();
+      links.docs.forEach(doc => batch.delete(doc.ref));
+      batch.delete(Entry.collection().doc(this.id));
+      await batch.commit();
+
+      unindex('entry', this.id);
+      links.docs.forEach(doc => unindex('collection_entry', doc.id));
     }
   }
 }
@@ -0,0 +1,122 @@
+const { firestore } = require('../config/firebase');
+
+// Collection assignments inferred below the user's confidence threshold,
+// held for review instead of being applied
+class InferenceSuggestion {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.userId = data.userId || null;
+    this.entryId = data.entryId || null;
+    this.collectionName = data.collectionName || '';
+    this.collectionId = data.collectionId || null;  // Set when the name matched an existing collection
+    this.shouldCreateCollection = data.shouldCreateCollection || false;
+    this.confidence = data.confidence ?? null;
+    this.reasoning = data.reasoning || '';
+    this.extractedData = data.extractedData || {};
+    this.entryFormat = data.entryFormat || null;
+    this.contentPreview = data.contentPreview || '';
+    this.status = data.status || 'pending';  // pending, accepted, rejected
+    this.resolution = data.resolution || null;  // { collectionId, collectionEntryId, edited } or { reason }
+    this.createdAt = data.createdAt || new Date();
+    this.resolvedAt = data.resolvedAt || null;
+    this.metadata = data.metadata || {};
+  }
+
+  static collection() {
+    return firestore.collection('inference_suggestions');
+  }
+
+  static async create(data) {
+    const suggestion = new InferenceSuggestion(data);
+    const docRef = await this.collection().add({
+      userId: suggestion.userId,
+      entryId: suggestion.entryId,
+      collectionName: suggestion.collectionName,
+      collectionId: suggestion.collectionId,
+      shouldCreateCollection: suggestion.shouldCreateCollection,
+      confidence: suggestion.confidence,
+      reasoning: suggestion.reasoning,
+      extractedData: suggestion.extractedData,
+      entryFormat: suggestion.entryFormat,
+      contentPreview: suggestion.contentPreview,
+      status: suggestion.status,
+      resolution: suggestion.resolution,
+      createdAt: suggestion.createdAt,
+      resolvedAt: suggestion.resolvedAt,
+      metadata: suggestion.metadata
+    });
+    suggestion.id = docRef.id;
+    return suggestion;
+  }
+
+  static async findById(id) {
+    const doc = await this.collection().doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new InferenceSuggestion({ id: doc.id, ...doc.data() });
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    let query = this.collection().where('userId', '==', userId);
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    if (filters.entryId) {
+      query = query.where('entryId', '==', filters.entryId);
+    }
+
+    query = query.orderBy('createdAt', 'desc');
+
+    if (filters.limit) {
+      query = query.limit(filters.limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => new InferenceSuggestion({ id: doc.id, ...doc.data() }));
+  }
+
+  static async findPending(entryId, collectionName) {
+    const snapshot = await this.collection()
+      .where('entryId', '==', entryId)
+      .where('status', '==', 'pending')
+      .get();
+
+    const match = snapshot.docs.find(doc =>
+      doc.data().collectionName.toLowerCase() === collectionName.toLowerCase()
+    );
+    return match ? new InferenceSuggestion({ id: match.id, ...match.data() }) : null;
+  }
+
+  async resolve(status, resolution) {
+    this.status = status;
+    this.resolution = resolution;
+    this.resolvedAt = new Date();
+    return this.save();
+  }
+
+  async save() {
+    if (!this.id) {
+      throw new Error('Cannot save InferenceSuggestion without ID');
+    }
+
+    await InferenceSuggestion.collection().doc(this.id).update({
+      status: this.status,
+      resolution: this.resolution,
+      resolvedAt: this.resolvedAt,
+      metadata: this.metadata
+    });
+
+    return this;
+  }
+
+  async delete() {
+    if (this.id) {
+      await InferenceSuggestion.collection().doc(this.id).delete();
+    }
+  }
+}
+
+module.exports = InferenceSuggestion;
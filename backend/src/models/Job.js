@@ -0,0 +1,195 @@
+const { firestore } = require('../config/firebase');
+const { FieldValue } = require('firebase-admin/firestore');
+const { paginateQuery } = require('../utils/pagination');
+
+// Strings longer than this are cut when summarising payloads
+const SUMMARY_TEXT_LENGTH = 100;
+
+// One record per enqueued background job, updated by the worker as it runs
+class Job {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.userId = data.userId || null;  // Null for system jobs such as embeddings
+    this.type = data.type || '';  // Worker name, e.g. 'inference' for /process-inference
+    this.payloadSummary = data.payloadSummary || {};
+    this.status = data.status || 'queued';  // queued, running, retrying, succeeded, failed
+    this.attempts = data.attempts || 0;
+    this.retries = data.retries ?? 0;  // Retries allowed after the first attempt
+    this.backend = data.backend || null;
+    this.messageId = data.messageId || null;
+    this.result = data.result ?? null;
+    this.error = data.error || null;  // Latest failure
+    this.errors = data.errors || [];  // Every failed attempt: { attempt, message, statusCode, at }
+    this.runAt = data.runAt || null;
+    this.startedAt = data.startedAt || null;
+    this.completedAt = data.completedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static collection() {
+    return firestore.collection('jobs');
+  }
+
+  /**
+   * Shrinks a job payload to something safe to show the user: long text is
+   * truncated and arrays are reduced to their length
+   */
+  static summarizePayload(payload = {}) {
+    const summary = {};
+    Object.entries(payload).forEach(([key, value]) => {
+      if (key === 'jobId' || key === 'timestamp' || value === undefined) return;
+
+      if (typeof value === 'string') {
+        summary[key] = value.length > SUMMARY_TEXT_LENGTH
+          ? `${value.substring(0, SUMMARY_TEXT_LENGTH)}...`
+          : value;
+      } else if (Array.isArray(value)) {
+        summary[key] = `${value.length} items`;
+      } else if (value && typeof value === 'object') {
+        summary[key] = Job.summarizePayload(value);
+      } else {
+        summary[key] = value;
+      }
+    });
+    return summary;
+  }
+
+  static async create(data) {
+    const job = new Job(data);
+    const docRef = await this.collection().add({
+      userId: job.userId,
+      type: job.type,
+      payloadSummary: job.payloadSummary,
+      status: job.status,
+      attempts: job.attempts,
+      retries: job.retries,
+      backend: job.backend,
+      messageId: job.messageId,
+      result: job.result,
+      error: job.error,
+      errors: job.errors,
+      runAt: job.runAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    });
+    job.id = docRef.id;
+    return job;
+  }
+
+  static async findById(id) {
+    const doc = await this.collection().doc(id).get();
+    if (!doc.exists) {
+      return null;
+    }
+    return new Job({ id: doc.id, ...doc.data() });
+  }
+
+  static queryByUserId(userId, filters = {}) {
+    let query = this.collection().where('userId', '==', userId);
+
+    if (filters.status) {
+      query = query.where('status', '==', filters.status);
+    }
+
+    if (filters.type) {
+      query = query.where('type', '==', filters.type);
+    }
+
+    return query;
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    let query = this.queryByUserId(userId, filters).orderBy('createdAt', 'desc');
+
+    if (filters.limit) {
+      query = query.limit(filters.limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => new Job({ id: doc.id, ...doc.data() }));
+  }
+
+  static async findPageByUserId(userId, filters = {}, page) {
+    const { docs, nextCursor } = await paginateQuery(this.queryByUserId(userId, filters), page);
+    return {
+      items: docs.map(doc => new Job({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
+  // Only touches messageId: the worker may already be updating the job
+  async setMessageId(messageId) {
+    this.messageId = messageId;
+    await Job.collection().doc(this.id).update({ messageId });
+    return this;
+  }
+
+  async markRunning() {
+    this.status = 'running';
+    this.attempts += 1;
+    this.startedAt = this.startedAt || new Date();
+    this.updatedAt = new Date();
+
+    await Job.collection().doc(this.id).update({
+      status: this.status,
+      attempts: FieldValue.increment(1),
+      startedAt: this.startedAt,
+      updatedAt: this.updatedAt
+    });
+    return this;
+  }
+
+  async markSucceeded(result) {
+    this.status = 'succeeded';
+    // Round-trip through JSON: results can hold model instances Firestore won't store
+    this.result = result === undefined ? null : JSON.parse(JSON.stringify(result));
+    this.error = null;
+    this.completedAt = new Date();
+    return this.save();
+  }
+
+  async markFailed(error, { final = true } = {}) {
+    this.status = final ? 'failed' : 'retrying';
+    this.error = {
+      message: error.message,
+      statusCode: error.statusCode || null
+    };
+    const failure = { attempt: this.attempts, ...this.error, at: new Date() };
+    this.errors = [...this.errors, failure];
+    if (final) {
+      this.completedAt = new Date();
+    }
+    this.updatedAt = new Date();
+
+    await Job.collection().doc(this.id).update({
+      status: this.status,
+      error: this.error,
+      errors: FieldValue.arrayUnion(failure),
+      completedAt: this.completedAt,
+      updatedAt: this.updatedAt
+    });
+    return this;
+  }
+
+  async save() {
+    if (!this.id) {
+      throw new Error('Cannot save Job without ID');
+    }
+
+    this.updatedAt = new Date();
+    await Job.collection().doc(this.id).update({
+      status: this.status,
+      result: this.result,
+      error: this.error,
+      completedAt: this.completedAt,
+      updatedAt: this.updatedAt
+    });
+
+    return this;
+  }
+}
+
+module.exports = Job;
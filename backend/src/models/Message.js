@@ -1,4 +1,5 @@
 const { firestore } = require('../config/firebase');
+const { reindex, unindex } = require('./searchIndex');
 
 class Message {
   constructor(data = {}) {
@@ -36,6 +37,8 @@ class Message {
     // Update the document with its ID
     await docRef.update({ id: docRef.id });
     
+    reindex('message', message.id);
+    
     return message;
   }
 
@@ -67,6 +70,7 @@ class Message {
         editedAt: this.editedAt,
         metadata: this.metadata
       });
+      reindex('message', this.id);
     } else {
       const created = await Message.create(this);
       this.id = created.id;
@@ -77,6 +81,7 @@ class Message {
   async delete() {
     if (this.id) {
       await Message.collection().doc(this.id).delete();
+      unindex('message', this.id);
     }
   }
 }
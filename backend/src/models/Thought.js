@@ -1,4 +1,6 @@
 const { firestore } = require('../config/firebase');
+const { paginateQuery } = require('../utils/pagination');
+const { reindex, unindex } = require('./searchIndex');
 
 class Thought {
   constructor(data = {}) {
@@ -40,6 +42,9 @@ class Thought {
       metadata: thought.metadata
     });
     thought.id = docRef.id;
+    
+    reindex('thought', thought.id);
+    
     return thought;
   }
 
@@ -51,7 +56,7 @@ class Thought {
     return new Thought({ id: doc.id, ...doc.data() });
   }
 
-  static async findByUserId(userId, filters = {}) {
+  static queryByUserId(userId, filters = {}) {
     let query = this.collection().where('userId', '==', userId);
     
     if (filters.spaceId) {
@@ -74,10 +79,22 @@ class Thought {
       query = query.where('isPrivate', '==', filters.isPrivate);
     }
     
-    const snapshot = await query.orderBy('createdAt', 'desc').get();
+    return query;
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    const snapshot = await this.queryByUserId(userId, filters).orderBy('createdAt', 'desc').get();
     return snapshot.docs.map(doc => new Thought({ id: doc.id, ...doc.data() }));
   }
 
+  static async findPageByUserId(userId, filters = {}, page) {
+    const { docs, nextCursor } = await paginateQuery(this.queryByUserId(userId, filters), page);
+    return {
+      items: docs.map(doc => new Thought({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
   static async findByTags(userId, tags) {
     const snapshot = await this.collection()
       .where('userId', '==', userId)
@@ -130,9 +147,11 @@ class Thought {
         insights: this.insights,
         linkedThoughts: this.linkedThoughts,
         isPrivate: this.isPrivate,
+        conversationId: this.conversationId,
         updatedAt: this.updatedAt,
         metadata: this.metadata
       });
+      reindex('thought', this.id);
     } else {
       const created = await Thought.create(this);
       this.id = created.id;
@@ -143,6 +162,7 @@ class Thought {
   async delete() {
     if (this.id) {
       await Thought.collection().doc(this.id).delete();
+      unindex('thought', this.id);
     }
   }
 }
@@ -1,4 +1,5 @@
 const { firestore } = require('../config/firebase');
+const { paginateQuery } = require('../utils/pagination');
 
 class UserTask {
   constructor(data = {}) {
@@ -51,7 +52,7 @@ class UserTask {
     return new UserTask({ id: doc.id, ...doc.data() });
   }
 
-  static async findByUserId(userId, filters = {}) {
+  static queryByUserId(userId, filters = {}) {
     let query = this.collection().where('userId', '==', userId);
     
     if (filters.spaceId) {
@@ -70,10 +71,36 @@ class UserTask {
       query = query.where('conversationId', '==', filters.conversationId);
     }
     
-    const snapshot = await query.orderBy('createdAt', 'desc').get();
+    return query;
+  }
+
+  static async findByUserId(userId, filters = {}) {
+    const snapshot = await this.queryByUserId(userId, filters).orderBy('createdAt', 'desc').get();
     return snapshot.docs.map(doc => new UserTask({ id: doc.id, ...doc.data() }));
   }
 
+  static async findPageByUserId(userId, filters = {}, page) {
+    const { docs, nextCursor } = await paginateQuery(this.queryByUserId(userId, filters), page);
+    return {
+      items: docs.map(doc => new UserTask({ id: doc.id, ...doc.data() })),
+      nextCursor
+    };
+  }
+
+  /**
+   * Tasks due in [start, end), soonest first. Either bound may be null.
+   */
+  static async findDueBetween(userId, { start = null, end = null, limit = 100 } = {}) {
+    let query = this.collection().where('userId', '==', userId);
+    if (start) query = query.where('dueDate', '>=', start);
+    if (end) query = query.where('dueDate', '<', end);
+
+    const snapshot = await query.orderBy('dueDate').limit(limit).get();
+    return snapshot.docs
+      .map(doc => new UserTask({ id: doc.id, ...doc.data() }))
+      .filter(task => task.dueDate);
+  }
+
   static async findPending(userId) {
     return this.findByUserId(userId, { status: 'pending' });
   }
@@ -94,6 +121,7 @@ class UserTask {
         dueDate: this.dueDate,
         completedAt: this.completedAt,
         tags: this.tags,
+        conversationId: this.conversationId,
         updatedAt: this.updatedAt,
         metadata: this.metadata
       });
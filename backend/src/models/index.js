@@ -7,6 +7,9 @@ const Space = require('./Space');
 const Collection = require('./Collection');
 const CollectionEntry = require('./CollectionEntry');
 const Photo = require('./Photo');
+const InferenceSuggestion = require('./InferenceSuggestion');
+const Job = require('./Job');
+const DeadLetter = require('./DeadLetter');
 
 module.exports = {
   Conversation,
@@ -17,5 +20,8 @@ module.exports = {
   Space,
   Collection,
   CollectionEntry,
-  Photo
+  Photo,
+  InferenceSuggestion,
+  Job,
+  DeadLetter
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Keeps search embeddings in step with model writes. Models call these once
+ * a write has landed; the embeddings service is required lazily because it
+ * depends on the models.
+ */
+
+function reindex(sourceType, sourceId) {
+  require('../services/embeddings').queueEmbedding(sourceType, sourceId);
+}
+
+function unindex(sourceType, sourceId) {
+  require('../services/embeddings').queueEmbedding(sourceType, sourceId, 'delete');
+}
+
+module.exports = {
+  reindex,
+  unindex
+};
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { DeadLetter } = require('../models');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const { replayDeadLetter } = require('../services/deadLetters');
+const { enqueueSessionCleanup } = require('../services/queue');
+const { parsePagination, sendPage } = require('../utils/pagination');
+
+router.use(verifyToken, requireRole('admin'));
+
+// Background jobs that failed their last retry, newest first
+router.get('/dead-letters', validate(schemas.deadLetters), async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      type: req.query.type,
+      userId: req.query.userId
+    };
+
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt'] });
+    sendPage(res, page, await DeadLetter.findPage(filters, page));
+  } catch (error) {
+    console.error('[Admin] Error listing dead letters:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/dead-letters/:id', validate(schemas.deadLetterById), async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json(deadLetter);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replay several dead letters; each one succeeds or fails on its own
+router.post('/dead-letters/replay', validate(schemas.replayDeadLetters), async (req, res) => {
+  try {
+    const replayed = [];
+    const errors = [];
+
+    for (const id of req.body.ids) {
+      try {
+        const deadLetter = await DeadLetter.findById(id);
+        if (!deadLetter) {
+          errors.push({ id, error: 'Dead letter not found' });
+          continue;
+        }
+
+        const jobId = await replayDeadLetter(deadLetter, { replayedBy: req.user.uid });
+        replayed.push({ id, jobId });
+      } catch (error) {
+        errors.push({ id, error: error.message });
+      }
+    }
+
+    res.status(202).json({ replayed, errors });
+  } catch (error) {
+    console.error('[Admin] Error replaying dead letters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/dead-letters/:id/replay', validate(schemas.deadLetterById), async (req, res) => {
+  try {
+    const deadLetter = await DeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    const jobId = await replayDeadLetter(deadLetter, { replayedBy: req.user.uid });
+
+    res.status(202).json({ id: deadLetter.id, jobId });
+  } catch (error) {
+    console.error('[Admin] Error replaying dead letter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove expired realtime and phone verification sessions now, rather than
+// waiting for the hourly cleanup (npm run schedule:session-cleanup)
+router.post('/sessions/cleanup', validate(schemas.sessionCleanup), async (req, res) => {
+  try {
+    const jobId = await enqueueSessionCleanup();
+
+    res.status(202).json({ jobId });
+  } catch (error) {
+    console.error('[Admin] Error queueing session cleanup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { chatCompletion, chatCompletionStream, generateEmbedding, classifyIntent } = require('../services/openai');
+const { forCallSite } = require('../services/llm');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/ai');
+const { enqueueAIGeneration } = require('../services/queue');
 
 // Chat completion endpoint
-router.post('/chat', verifyToken, async (req, res) => {
+router.post('/chat', verifyToken, validate(schemas.chat), async (req, res) => {
   try {
     const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'Messages array is required' });
-    }
 
     const response = await chatCompletion(messages);
     res.json({ 
@@ -26,13 +26,9 @@ router.post('/chat', verifyToken, async (req, res) => {
 });
 
 // Chat completion streaming endpoint using SSE
-router.post('/chat/stream', verifyToken, async (req, res) => {
+router.post('/chat/stream', verifyToken, validate(schemas.chat), async (req, res) => {
   try {
     const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'Messages array is required' });
-    }
 
     // Set SSE headers
     res.writeHead(200, {
@@ -76,13 +72,9 @@ router.post('/chat/stream', verifyToken, async (req, res) => {
 });
 
 // Generate embedding endpoint
-router.post('/embedding', verifyToken, async (req, res) => {
+router.post('/embedding', verifyToken, validate(schemas.text), async (req, res) => {
   try {
     const { text } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({ error: 'Text is required' });
-    }
 
     const embedding = await generateEmbedding(text);
     res.json({ 
@@ -98,13 +90,9 @@ router.post('/embedding', verifyToken, async (req, res) => {
 });
 
 // Classify intent endpoint
-router.post('/classify', verifyToken, async (req, res) => {
+router.post('/classify', verifyToken, validate(schemas.text), async (req, res) => {
   try {
     const { text } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({ error: 'Text is required' });
-    }
 
     const classification = await classifyIntent(text);
     res.json({ 
@@ -121,14 +109,72 @@ router.post('/classify', verifyToken, async (req, res) => {
   }
 });
 
-// Check if OpenAI is configured
+/**
+ * Background AI jobs. Each responds 202 with a jobId; the result is stored
+ * on the job (GET /api/jobs/:id) once it finishes.
+ */
+
+// Summarise entries: the listed ids, or the user's entries by collection/date range
+router.post('/summary', verifyToken, validate(schemas.summary), async (req, res) => {
+  try {
+    const { entryIds, collectionId, startDate, endDate } = req.body;
+
+    if ((startDate && !endDate) || (!startDate && endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate must be sent together' });
+    }
+
+    const jobId = await enqueueAIGeneration('summary', {
+      userId: req.user.uid,
+      entryIds,
+      collectionId,
+      startDate,
+      endDate
+    });
+
+    res.status(202).json({ success: true, jobId });
+  } catch (error) {
+    console.error('Summary enqueue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Themes and trends over the last week, month, quarter or year
+router.post('/insights', verifyToken, validate(schemas.insights), async (req, res) => {
+  try {
+    const { timeframe = 'month' } = req.body;
+
+    const jobId = await enqueueAIGeneration('insights', { userId: req.user.uid, timeframe });
+
+    res.status(202).json({ success: true, jobId });
+  } catch (error) {
+    console.error('Insights enqueue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Classify entries into existing collections - uncategorized entries unless ids are given
+router.post('/bulk-categorize', verifyToken, validate(schemas.bulkCategorize), async (req, res) => {
+  try {
+    const { entryIds } = req.body;
+
+    const jobId = await enqueueAIGeneration('bulk-categorize', { userId: req.user.uid, entryIds });
+
+    res.status(202).json({ success: true, jobId });
+  } catch (error) {
+    console.error('Bulk categorize enqueue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check if the LLM provider is configured
 router.get('/status', async (req, res) => {
-  const isConfigured = process.env.OPENAI_API_KEY && 
-                       process.env.OPENAI_API_KEY !== 'your-openai-api-key-here';
+  const { provider } = forCallSite('chat');
+  const configured = provider.isConfigured();
   
   res.json({ 
-    configured: isConfigured,
-    message: isConfigured ? 'OpenAI API is configured' : 'OpenAI API key not configured'
+    configured,
+    provider: provider.name,
+    message: configured ? `${provider.name} provider is configured` : `${provider.name} provider not configured`
   });
 });
 
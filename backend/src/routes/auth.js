@@ -2,15 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { auth, firestore } = require('../config/firebase');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
 
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate(schemas.verify), async (req, res) => {
   try {
     const { idToken } = req.body;
     
-    if (!idToken) {
-      return res.status(400).json({ error: 'ID token is required' });
-    }
-    
     const decodedToken = await auth.verifyIdToken(idToken, true);
     
     // Store session info
@@ -49,14 +47,8 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-router.post('/refresh', verifyToken, async (req, res) => {
+router.post('/refresh', verifyToken, validate(schemas.refresh), async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return res.status(400).json({ error: 'Refresh token is required' });
-    }
-    
     const userRecord = await auth.getUser(req.user.uid);
     
     const customToken = await auth.createCustomToken(req.user.uid, {
@@ -83,7 +75,7 @@ router.post('/refresh', verifyToken, async (req, res) => {
   }
 });
 
-router.post('/create-custom-token', verifyToken, async (req, res) => {
+router.post('/create-custom-token', verifyToken, validate(schemas.createCustomToken), async (req, res) => {
   try {
     const { uid, claims } = req.body;
     
@@ -102,7 +94,7 @@ router.post('/create-custom-token', verifyToken, async (req, res) => {
   }
 });
 
-router.post('/logout', verifyToken, async (req, res) => {
+router.post('/logout', verifyToken, validate(schemas.logout), async (req, res) => {
   try {
     await auth.revokeRefreshTokens(req.user.uid);
     
@@ -121,7 +113,7 @@ router.post('/logout', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/session', verifyToken, async (req, res) => {
+router.get('/session', verifyToken, validate(schemas.session), async (req, res) => {
   try {
     const sessionDoc = await firestore.collection('sessions').doc(req.user.uid).get();
     
@@ -143,14 +135,10 @@ router.get('/session', verifyToken, async (req, res) => {
   }
 });
 
-router.post('/password-reset', async (req, res) => {
+router.post('/password-reset', validate(schemas.passwordReset), async (req, res) => {
   try {
     const { email } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-    
     const link = await auth.generatePasswordResetLink(email);
     
     res.json({ 
@@ -1,21 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
-const { Collection, Entry, Space } = require('../models');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/ai');
+const { Collection, CollectionEntry, Entry, Space } = require('../models');
 const { classifyAndRoute } = require('../services/entryClassifier');
 
 router.use(verifyToken);
 
 // Classify and save content if appropriate
-router.post('/classify', async (req, res) => {
+router.post('/classify', validate(schemas.classifyContent), async (req, res) => {
   try {
     const { content } = req.body;
     const userId = req.user.uid;
     
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-    
     // Do heavy classification and routing
     const classification = await classifyAndRoute(userId, content);
     
@@ -35,7 +33,6 @@ router.post('/classify', async (req, res) => {
     // Create the entry
     const entry = await Entry.create({
       userId: userId,
-      collectionId: classification.collectionId,
       title: '',
       content: content,
       type: 'journal',
@@ -48,6 +45,18 @@ router.post('/classify', async (req, res) => {
       }
     });
     
+    // Link the entry to its collection (this also sets entry.collectionIds)
+    await CollectionEntry.create({
+      userId: userId,
+      collectionId: classification.collectionId,
+      entryId: entry.id,
+      formattedData: {},
+      metadata: {
+        source: 'classifier',
+        confidence: classification.confidence
+      }
+    });
+    
     // Update collection stats
     const collection = await Collection.findById(classification.collectionId);
     if (collection) {
@@ -2,12 +2,18 @@ const express = require('express');
 const router = express.Router();
 const { Collection, Entry, CollectionEntry } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/collections');
 const { formatDatesInObject } = require('../utils/dateUtils');
+const { parsePagination, sendPage } = require('../utils/pagination');
+const { getFormatFields, extractFormattedData } = require('../services/entryExtraction');
+const { reprocessCollectionEntries } = require('../services/collectionReprocessing');
+const { MATCH_PAGE_SIZE, scoreEntriesForCollection } = require('../services/entryMatching');
 
 router.use(verifyToken);
 
 // Get all collection entries for a collection
-router.get('/collections/:collectionId/entries', async (req, res) => {
+router.get('/collections/:collectionId/entries', validate(schemas.entries), async (req, res) => {
   try {
     const { collectionId } = req.params;
     
@@ -17,21 +23,19 @@ router.get('/collections/:collectionId/entries', async (req, res) => {
       return res.status(404).json({ error: 'Collection not found' });
     }
     
-    // Get all CollectionEntries for this collection
-    const collectionEntries = await CollectionEntry.findByCollectionAndUser(collectionId, req.user.uid);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'lastProcessedAt'] });
+    const { items, nextCursor } = await CollectionEntry.findPageByCollectionAndUser(collectionId, req.user.uid, page);
     
     // Format dates
-    const formatted = collectionEntries.map(ce => formatDatesInObject(ce));
-    
-    res.json(formatted);
+    sendPage(res, page, { items: items.map(ce => formatDatesInObject(ce)), nextCursor });
   } catch (error) {
     console.error('[CollectionEntries GET] Error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Add an entry to a collection (create CollectionEntry)
-router.post('/collections/:collectionId/entries', async (req, res) => {
+router.post('/collections/:collectionId/entries', validate(schemas.addEntry), async (req, res) => {
   try {
     const { collectionId } = req.params;
     const { entryId, formattedData } = req.body;
@@ -76,7 +80,7 @@ router.post('/collections/:collectionId/entries', async (req, res) => {
 });
 
 // Update a collection entry (user overrides)
-router.put('/collection-entries/:id', async (req, res) => {
+router.put('/collection-entries/:id', validate(schemas.updateEntry), async (req, res) => {
   try {
     const { id } = req.params;
     const { userOverrides } = req.body;
@@ -99,7 +103,7 @@ router.put('/collection-entries/:id', async (req, res) => {
 });
 
 // Remove entry from collection
-router.delete('/collection-entries/:id', async (req, res) => {
+router.delete('/collection-entries/:id', validate(schemas.collectionEntryById), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -126,7 +130,7 @@ router.delete('/collection-entries/:id', async (req, res) => {
 });
 
 // Reprocess all entries in a collection with updated format
-router.post('/collections/:collectionId/reprocess', async (req, res) => {
+router.post('/collections/:collectionId/reprocess', validate(schemas.byCollectionId), async (req, res) => {
   try {
     const { collectionId } = req.params;
     
@@ -136,30 +140,23 @@ router.post('/collections/:collectionId/reprocess', async (req, res) => {
       return res.status(404).json({ error: 'Collection not found' });
     }
     
-    if (!collection.entryFormat) {
+    if (getFormatFields(collection.entryFormat).length === 0) {
       return res.status(400).json({ error: 'Collection has no entry format defined' });
     }
-    
+
     // Get all CollectionEntries
     const collectionEntries = await CollectionEntry.findByCollectionAndUser(collectionId, req.user.uid);
-    
-    // Process each one
-    let processed = 0;
-    for (const ce of collectionEntries) {
-      // Get the source entry
-      const entry = await Entry.findById(ce.entryId);
-      if (entry) {
-        // TODO: Call AI extraction service to reformat based on collection.entryFormat
-        // For now, just update timestamp
-        await ce.reprocess(entry.content, collection.entryFormat);
-        processed++;
-      }
-    }
-    
-    res.json({ 
-      success: true, 
-      message: `Reprocessed ${processed} entries`,
-      processed 
+
+    // Re-extract each one, collecting per-entry diffs and failures
+    const { results, failures } = await reprocessCollectionEntries(collection, collectionEntries);
+
+    res.json({
+      success: failures.length === 0,
+      message: `Reprocessed ${results.length} entries, ${failures.length} failed`,
+      processed: results.length,
+      failed: failures.length,
+      results,
+      failures
     });
   } catch (error) {
     console.error('[CollectionEntries REPROCESS] Error:', error);
@@ -168,9 +165,10 @@ router.post('/collections/:collectionId/reprocess', async (req, res) => {
 });
 
 // Get entries that could belong to a collection (AI matching)
-router.post('/collections/:collectionId/match-entries', async (req, res) => {
+router.post('/collections/:collectionId/match-entries', validate(schemas.matchEntries), async (req, res) => {
   try {
     const { collectionId } = req.params;
+    const { minConfidence, limit = 20, cursor } = req.body;
     
     // Verify collection belongs to user
     const collection = await Collection.findById(collectionId);
@@ -178,15 +176,17 @@ router.post('/collections/:collectionId/match-entries', async (req, res) => {
       return res.status(404).json({ error: 'Collection not found' });
     }
     
-    // Get all user entries not already in this collection
-    const allEntries = await Entry.findByUserId(req.user.uid);
-    const existingCEs = await CollectionEntry.findByCollectionAndUser(collectionId, req.user.uid);
-    const existingEntryIds = new Set(existingCEs.map(ce => ce.entryId));
+    // One page of the user's entries, newest first; nextCursor continues with older ones
+    const page = {
+      ...parsePagination({ cursor }, { sortFields: ['createdAt'] }),
+      limit: MATCH_PAGE_SIZE
+    };
+    const { items, nextCursor } = await Entry.findPageByUserId(req.user.uid, {}, page);
+    const unassignedEntries = items.filter(entry => !(entry.collectionIds || []).includes(collectionId));
     
-    const unassignedEntries = allEntries.filter(e => !existingEntryIds.has(e.id));
-    
-    // TODO: Use AI to match entries based on collection rules
-    // For now, return all unassigned entries
+    const { candidates, failedBatches, scored } = await scoreEntriesForCollection(collection, unassignedEntries, {
+      minConfidence
+    });
     
     res.json({
       collection: {
@@ -194,10 +194,97 @@ router.post('/collections/:collectionId/match-entries', async (req, res) => {
         name: collection.name,
         rules: collection.rules
       },
-      potentialEntries: unassignedEntries.slice(0, 20) // Limit to 20 for now
+      scored,
+      failedBatches,
+      candidates: candidates.slice(0, limit).map(candidate => ({
+        entry: formatDatesInObject(candidate.entry),
+        confidence: candidate.confidence,
+        reasoning: candidate.reasoning
+      })),
+      // Send back as `cursor` to score the next page of older entries
+      nextCursor
     });
   } catch (error) {
     console.error('[CollectionEntries MATCH] Error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Accept matched candidates into a collection (bulk create CollectionEntries)
+router.post('/collections/:collectionId/accept-matches', validate(schemas.acceptMatches), async (req, res) => {
+  try {
+    const { collectionId } = req.params;
+    const entryIds = [...new Set(req.body.entryIds)];
+    
+    // Verify collection belongs to user
+    const collection = await Collection.findById(collectionId);
+    if (!collection || collection.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    
+    const hasFormat = getFormatFields(collection.entryFormat).length > 0;
+    const created = [];
+    const skipped = [];
+    const failures = [];
+    
+    for (const entryId of entryIds) {
+      try {
+        // Verify entry belongs to user
+        const entry = await Entry.findById(entryId);
+        if (!entry || entry.userId !== req.user.uid) {
+          failures.push({ entryId, error: 'Entry not found' });
+          continue;
+        }
+        
+        const existing = await CollectionEntry.findExisting(entryId, collectionId);
+        if (existing) {
+          skipped.push({ entryId, collectionEntryId: existing.id, reason: 'Entry already in collection' });
+          continue;
+        }
+        
+        // Extract fields for the collection format; link the entry even if extraction fails
+        let formattedData = {};
+        let extractionError = null;
+        if (hasFormat) {
+          try {
+            formattedData = await extractFormattedData(entry.content, collection.entryFormat, {
+              instructions: collection.instructions
+            });
+          } catch (error) {
+            console.error(`[CollectionEntries ACCEPT] Extraction failed for ${entryId}:`, error.message);
+            extractionError = error.message;
+          }
+        }
+        
+        const collectionEntry = await CollectionEntry.create({
+          entryId,
+          collectionId,
+          userId: req.user.uid,
+          formattedData,
+          metadata: {
+            source: 'ai_match',
+            acceptedAt: new Date()
+          }
+        });
+        
+        created.push({ entryId, collectionEntry, extractionError });
+      } catch (error) {
+        failures.push({ entryId, error: error.message });
+      }
+    }
+    
+    if (created.length > 0) {
+      await collection.updateStats();
+    }
+    
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: failures.length === 0,
+      created,
+      skipped,
+      failures
+    });
+  } catch (error) {
+    console.error('[CollectionEntries ACCEPT] Error:', error);
     res.status(500).json({ error: error.message });
   }
 });
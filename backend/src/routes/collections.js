@@ -1,31 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { Collection, Entry } = require('../models');
+const { Collection } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/collections');
 const { flexibleAuth } = require('../middleware/serviceAuth');
 const { formatDatesInObject } = require('../utils/dateUtils');
+const { parsePagination, sendPage } = require('../utils/pagination');
 const { generateCollectionRules } = require('../services/collectionRules');
 const { inferCollectionFromContent, generateCollectionDetails } = require('../services/collectionInference');
+const { getFormatFields } = require('../services/entryExtraction');
+const { enqueueCollectionProcessing } = require('../services/queue');
+const { executeFunction } = require('../services/realtimeFunctions');
 
 router.use(verifyToken);
 
 // Get all collections for user
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
-    const collections = await Collection.findByUserId(req.user.uid);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt', 'name'] });
+    const { items, nextCursor } = await Collection.findPageByUserId(req.user.uid, page);
     
     // Format dates to ISO8601
-    const formattedCollections = collections.map(c => formatDatesInObject(c));
-    
-    res.json(formattedCollections);
+    sendPage(res, page, { items: items.map(c => formatDatesInObject(c)), nextCursor });
   } catch (error) {
     console.error('[Collections GET /] Error:', error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Get a single collection by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const collection = await Collection.findById(req.params.id);
     if (!collection || collection.userId !== req.user.uid) {
@@ -37,25 +42,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Get all entries in a collection
-router.get('/:id/entries', async (req, res) => {
-  try {
-    const collection = await Collection.findById(req.params.id);
-    if (!collection || collection.userId !== req.user.uid) {
-      return res.status(404).json({ error: 'Collection not found' });
-    }
-    
-    const entries = await Entry.findByCollection(req.params.id);
-    // Format dates to ISO8601
-    const formattedEntries = entries.map(e => formatDatesInObject(e));
-    res.json(formattedEntries);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// GET /:id/entries is served, paginated, by routes/collectionEntries.js
 
 // Create a new collection
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     const collection = await Collection.create({
       ...req.body,
@@ -68,7 +58,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update a collection
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const collection = await Collection.findById(req.params.id);
     if (!collection || collection.userId !== req.user.uid) {
@@ -84,7 +74,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Update collection stats
-router.post('/:id/update-stats', async (req, res) => {
+router.post('/:id/update-stats', validate(schemas.byId), async (req, res) => {
   try {
     const collection = await Collection.findById(req.params.id);
     if (!collection || collection.userId !== req.user.uid) {
@@ -98,36 +88,29 @@ router.post('/:id/update-stats', async (req, res) => {
   }
 });
 
-// Generate AI rules for a collection
-router.post('/:id/generate-rules', async (req, res) => {
+// Queue AI rule generation for a collection, optionally re-extracting its entries too
+router.post('/:id/generate-rules', validate(schemas.generateRules), async (req, res) => {
   try {
     const collection = await Collection.findById(req.params.id);
     if (!collection || collection.userId !== req.user.uid) {
       return res.status(404).json({ error: 'Collection not found' });
     }
-    
-    // Generate rules based on collection name and description
-    const rules = await generateCollectionRules(
-      collection.name, 
-      collection.description || req.body.description || ''
-    );
-    
-    // Update the collection with the generated rules
-    collection.rules = rules;
-    if (rules.description && !collection.description) {
-      collection.description = rules.description;
+
+    const { description, reprocessEntries = false } = req.body;
+    if (reprocessEntries && getFormatFields(collection.entryFormat).length === 0) {
+      return res.status(400).json({ error: 'Collection has no entry format defined' });
     }
-    await collection.save();
-    
-    res.json({ 
-      success: true,
-      rules,
-      collection: {
-        id: collection.id,
-        name: collection.name,
-        description: collection.description
-      }
+
+    const jobId = await enqueueCollectionProcessing(collection.id, req.user.uid, {
+      operation: 'regenerate-rules',
+      description
     });
+
+    const reprocessJobId = reprocessEntries
+      ? await enqueueCollectionProcessing(collection.id, req.user.uid, { operation: 'reprocess-entries' })
+      : null;
+
+    res.status(202).json({ success: true, jobId, reprocessJobId });
   } catch (error) {
     console.error('[Generate Rules] Error:', error);
     res.status(500).json({ error: error.message });
@@ -135,14 +118,10 @@ router.post('/:id/generate-rules', async (req, res) => {
 });
 
 // Generate rules without updating collection (preview mode)
-router.post('/generate-rules-preview', async (req, res) => {
+router.post('/generate-rules-preview', validate(schemas.generateRulesPreview), async (req, res) => {
   try {
     const { name, description } = req.body;
     
-    if (!name) {
-      return res.status(400).json({ error: 'Collection name is required' });
-    }
-    
     // Generate rules for preview
     const rules = await generateCollectionRules(name, description || '');
     
@@ -158,18 +137,14 @@ router.post('/generate-rules-preview', async (req, res) => {
 });
 
 // Infer collection from content (used when creating entries)
-router.post('/infer-from-content', async (req, res) => {
+router.post('/infer-from-content', validate(schemas.content), async (req, res) => {
   try {
     const { content } = req.body;
     
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-    
     // Use AI to infer collection details from content
     const inference = await inferCollectionFromContent(content);
     
-    if (!inference || !inference.shouldCreateCollection) {
+    if (!inference || inference.assignments.length === 0) {
       return res.json({ 
         shouldCreateCollection: false,
         inference: null
@@ -177,7 +152,7 @@ router.post('/infer-from-content', async (req, res) => {
     }
     
     res.json({ 
-      shouldCreateCollection: true,
+      shouldCreateCollection: inference.assignments.some(a => a.shouldCreateCollection),
       inference
     });
   } catch (error) {
@@ -187,14 +162,10 @@ router.post('/infer-from-content', async (req, res) => {
 });
 
 // Generate comprehensive collection details (rules + format)
-router.post('/generate-details', async (req, res) => {
+router.post('/generate-details', validate(schemas.generateDetails), async (req, res) => {
   try {
     const { name, description, sampleContent } = req.body;
     
-    if (!name) {
-      return res.status(400).json({ error: 'Collection name is required' });
-    }
-    
     // Generate comprehensive details including entry format
     const details = await generateCollectionDetails(name, description || '', sampleContent || '');
     
@@ -209,14 +180,10 @@ router.post('/generate-details', async (req, res) => {
 });
 
 // Test inference endpoint (for debugging)
-router.post('/test-inference', async (req, res) => {
+router.post('/test-inference', validate(schemas.content), async (req, res) => {
   try {
     const { content } = req.body;
     
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
-    }
-    
     console.log(`[TEST-INFERENCE] Testing with content: "${content}"`);
     
     // Test the inference function directly
@@ -240,78 +207,18 @@ router.post('/test-inference', async (req, res) => {
 });
 
 // Create collection from voice input - accepts both user and service tokens
-router.post('/create-voice-collection', flexibleAuth, async (req, res) => {
+router.post('/create-voice-collection', flexibleAuth, validate(schemas.createVoiceCollection), async (req, res) => {
   try {
-    const { name, description } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: 'Collection name is required' });
-    }
-    
-    console.log(`[VOICE-COLLECTION] Creating collection from voice: "${name}"`);
-    
-    // Check if collection already exists
-    const existing = await Collection.findByName(req.user.uid, name);
-    if (existing) {
-      console.log(`[VOICE-COLLECTION] Collection "${name}" already exists`);
-      return res.json({
-        success: false,
-        message: `Collection "${name}" already exists`,
-        collection: existing
-      });
-    }
-    
-    // Generate collection details with AI if available
-    let details;
-    try {
-      details = await generateCollectionDetails(name, description);
-    } catch (error) {
-      console.log(`[VOICE-COLLECTION] AI generation failed, using defaults`);
-      // Fallback to basic structure
-      details = {
-        name: name,
-        description: description || `Collection for ${name}`,
-        icon: '📝',
-        color: '#6366f1',
-        rules: {
-          keywords: [name.toLowerCase()],
-          patterns: [],
-          description: `Entries related to ${name}`
-        },
-        entryFormat: null
-      };
-    }
-    
-    // Create the collection
-    const collection = await Collection.create({
-      userId: req.user.uid,
-      name: details.name,
-      description: details.description,
-      icon: details.icon,
-      color: details.color,
-      rules: details.rules,
-      entryFormat: details.entryFormat,
-      metadata: { 
-        source: 'voice',
-        createdAt: new Date()
-      }
-    });
-    
-    console.log(`[VOICE-COLLECTION] Created collection ${collection.id}: "${collection.name}"`);
-    
-    res.status(201).json({
-      success: true,
-      collection: collection,
-      message: `Collection "${collection.name}" created successfully`
-    });
+    const result = await executeFunction('create_collection', req.body, { userId: req.user.uid });
+    res.status(result.success ? 201 : 200).json(result);
   } catch (error) {
     console.error('[VOICE-COLLECTION] Error creating collection:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Delete a collection (only if empty)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const collection = await Collection.findById(req.params.id);
     if (!collection || collection.userId !== req.user.uid) {
@@ -2,20 +2,27 @@ const express = require('express');
 const router = express.Router();
 const { Conversation, Message } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/conversations');
+const { parsePagination, sendPage } = require('../utils/pagination');
 
 router.use(verifyToken);
 
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const spaceId = req.query.spaceId || null;
-    const conversations = await Conversation.findByUserId(req.user.uid, spaceId);
-    res.json(conversations);
+    
+    const page = parsePagination(req.query, {
+      sortFields: ['updatedAt', 'createdAt'],
+      defaultSort: '-updatedAt'
+    });
+    sendPage(res, page, await Conversation.findPageByUserId(req.user.uid, spaceId, page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
@@ -27,7 +34,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     const { Space } = require('../models');
     let spaceIds = req.body.spaceIds || [];
@@ -49,7 +56,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
@@ -64,7 +71,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
@@ -78,14 +85,14 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/messages', async (req, res) => {
+router.get('/:id/messages', validate(schemas.messages), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
     
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = req.query.limit || 50;
     const messages = await Message.findByConversationId(req.params.id, limit);
     res.json(messages);
   } catch (error) {
@@ -93,7 +100,7 @@ router.get('/:id/messages', async (req, res) => {
   }
 });
 
-router.post('/:id/spaces', async (req, res) => {
+router.post('/:id/spaces', validate(schemas.addSpace), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
@@ -111,7 +118,7 @@ router.post('/:id/spaces', async (req, res) => {
   }
 });
 
-router.delete('/:id/spaces/:spaceId', async (req, res) => {
+router.delete('/:id/spaces/:spaceId', validate(schemas.removeSpace), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.id);
     if (!conversation || conversation.userId !== req.user.uid) {
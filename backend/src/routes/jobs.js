@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { Job } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/jobs');
+const { parsePagination, sendPage } = require('../utils/pagination');
+
+router.use(verifyToken);
+
+// Background jobs the user's requests queued, newest first
+router.get('/', validate(schemas.list), async (req, res) => {
+  try {
+    const filters = {
+      status: req.query.status,
+      type: req.query.type
+    };
+
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt'] });
+    sendPage(res, page, await Job.findPageByUserId(req.user.uid, filters, page));
+  } catch (error) {
+    console.error('[Jobs] Error listing jobs:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', validate(schemas.byId), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job || job.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
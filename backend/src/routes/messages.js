@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { Message, Conversation } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/messages');
 
 router.use(verifyToken);
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     if (!message) {
@@ -23,7 +25,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.body.conversationId);
     if (!conversation || conversation.userId !== req.user.uid) {
@@ -44,7 +46,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     if (!message || message.userId !== req.user.uid) {
@@ -62,7 +64,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const message = await Message.findById(req.params.id);
     if (!message || message.userId !== req.user.uid) {
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
-const { Collection, Entry, Space, Conversation, Message, Photo, CollectionEntry } = require('../models');
+const { idempotent } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/photos');
+const { Entry, Space, Conversation, Message, Photo } = require('../models');
+const { routeEntryToCollection } = require('../services/collectionRouting');
 const multer = require('multer');
-const OpenAI = require('openai');
+const { chatJSON, StructuredOutputError } = require('../services/structuredOutput');
 const { getStorage } = require('firebase-admin/storage');
 
 // Configure multer for memory storage
@@ -14,14 +18,19 @@ const upload = multer({
   }
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const PHOTO_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    suggestedTitle: { type: ['string', 'null'] }
+  },
+  required: ['description']
+};
 
 router.use(verifyToken);
 
 // Process and save a photo
-router.post('/process', upload.single('photo'), async (req, res) => {
+router.post('/process', upload.single('photo'), validate(schemas.process), idempotent, async (req, res) => {
   try {
     console.log('📸 [Photos] ========== PHOTO PROCESSING START ==========');
     console.log('👤 [Photos] User ID:', req.user?.uid);
@@ -66,9 +75,11 @@ router.post('/process', upload.single('photo'), async (req, res) => {
     });
     console.log('✅ [Photos] File saved to Firebase Storage');
     
-    // Make the file publicly accessible
-    console.log('🔓 [Photos] Making file publicly accessible...');
-    await file.makePublic();
+    // Make the file publicly accessible (the Storage emulator has no ACLs)
+    if (!process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+      console.log('🔓 [Photos] Making file publicly accessible...');
+      await file.makePublic();
+    }
     
     // Get the public URL
     const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
@@ -117,10 +128,9 @@ router.post('/process', upload.single('photo'), async (req, res) => {
     const base64Image = req.file.buffer.toString('base64');
     const imageUrl = `data:${req.file.mimetype};base64,${base64Image}`;
     
-    // Use OpenAI Vision API to analyze the image
+    // Use the vision model to analyze the image
     console.log('🤖 [Photos] Starting AI analysis with GPT-4 Vision...');
-    const visionResponse = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const analysis = await chatJSON({
       messages: [
         {
           role: 'system',
@@ -148,19 +158,16 @@ Respond in JSON format:
           ]
         }
       ],
+      schema: PHOTO_ANALYSIS_SCHEMA,
+      schemaName: 'photo_analysis',
+      callSite: 'photo.vision',
+      context: { mimeType: req.file.mimetype, size: req.file.size },
       max_tokens: 200,
       temperature: 0.3
     });
     
     console.log('✅ [Photos] Vision API responded');
     
-    // Parse the response, handling markdown-wrapped JSON
-    let content = visionResponse.choices[0].message.content;
-    // Strip markdown code block if present
-    if (content.includes('```json')) {
-      content = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    }
-    const analysis = JSON.parse(content);
     // Ensure all fields have values (no undefined)
     analysis.description = analysis.description || 'Photo';
     analysis.suggestedTitle = analysis.suggestedTitle || null;
@@ -206,108 +213,18 @@ Respond in JSON format:
     
     // Now run the standard inference to determine collection
     console.log('🤔 [Photos] Running collection inference...');
-    const { inferCollectionFromContent, generateCollectionDetails } = require('../services/collectionInference');
-    
-    // Get existing collections for this user
-    const existingCollections = await Collection.findByUserId(userId);
-    const collectionNames = existingCollections.map(c => c.name);
-    const collectionInstructions = {};
-    existingCollections.forEach(c => {
-      collectionInstructions[c.name] = c.instructions || '';
+    const routing = await routeEntryToCollection(entry, {
+      source: 'photo_inference',
+      formattedData: {
+        imageUrl: publicUrl,
+        photoId: photo.id,
+        title: analysis.suggestedTitle || 'Photo',
+        description: analysis.description
+      },
+      fallbackCollection: { name: 'Photos', instructions: 'Your photo memories' }
     });
-    
-    console.log('🔍 [Photos] Available collections:', collectionNames.join(', ') || 'none');
-    
-    // Run inference on the photo description
-    const inference = await inferCollectionFromContent(
-      analysis.description,
-      collectionNames,
-      collectionInstructions
-    );
-    
-    let targetCollection = null;
-    
-    if (inference && inference.shouldCreateCollection) {
-      console.log(`📁 [Photos] Inference suggests collection: ${inference.collectionName}`);
-      console.log(`🎯 [Photos] Confidence: ${inference.confidence || 'N/A'}, Reasoning: ${inference.reasoning || 'N/A'}`);
-      
-      // Check if collection exists
-      targetCollection = await Collection.findByName(userId, inference.collectionName);
-      
-      if (!targetCollection) {
-        console.log(`🆕 [Photos] Creating new collection: ${inference.collectionName}`);
-        
-        // Generate detailed collection structure
-        const details = await generateCollectionDetails(
-          inference.collectionName,
-          inference.description,
-          analysis.description
-        );
-        
-        targetCollection = await Collection.create({
-          userId: userId,
-          name: details.name,
-          instructions: details.instructions || `Add entries related to ${details.name}`,
-          icon: Collection.getDefaultIcon(details.name),
-          color: details.color || '#6366f1',
-          entryFormat: inference.entryFormat,
-          metadata: { 
-            source: 'photo_inference',
-            firstEntry: entry.id,
-            inferredAt: new Date()
-          }
-        });
-        
-        console.log(`✅ [Photos] Created collection ${targetCollection.id}`);
-      } else {
-        console.log(`📁 [Photos] Using existing collection: ${targetCollection.name}`);
-      }
-      
-      // Create CollectionEntry with formatted data
-      if (inference.extractedData) {
-        console.log('🔗 [Photos] Creating CollectionEntry junction record...');
-        await CollectionEntry.create({
-          userId: userId,
-          collectionId: targetCollection.id,
-          entryId: entry.id,
-          formattedData: {
-            ...inference.extractedData,
-            imageUrl: publicUrl,
-            photoId: photo.id,
-            title: analysis.suggestedTitle || 'Photo',
-            description: analysis.description
-          },
-          metadata: {
-            source: 'photo_inference',
-            inferredAt: new Date()
-          }
-        });
-        console.log('✅ [Photos] CollectionEntry created');
-      }
-    } else {
-      console.log('ℹ️ [Photos] No collection pattern detected, using default');
-      // Find or create a default Photos collection
-      targetCollection = await Collection.findOrCreateByName(userId, 'Photos', 'Your photo memories');
-      
-      // Create CollectionEntry
-      console.log('🔗 [Photos] Creating CollectionEntry for default Photos collection...');
-      await CollectionEntry.create({
-        userId: userId,
-        collectionId: targetCollection.id,
-        entryId: entry.id,
-        formattedData: {
-          imageUrl: publicUrl,
-          photoId: photo.id,
-          title: analysis.suggestedTitle || 'Photo',
-          description: analysis.description
-        },
-        metadata: {
-          source: 'photo',
-          autoProcessed: true
-        }
-      });
-      console.log('✅ [Photos] CollectionEntry created for default collection');
-    }
+    const targetCollection = routing.collection;
+    console.log(`📁 [Photos] ${routing.message}`);
     
     let conversation;
     
@@ -335,7 +252,7 @@ Respond in JSON format:
         title: analysis.suggestedTitle || 'Photo',
         lastMessage: analysis.description,
         metadata: {
-          collectionId: targetCollection.id,
+          collectionId: targetCollection?.id || null,
           type: 'photo'
         }
       });
@@ -368,7 +285,7 @@ Respond in JSON format:
       type: 'text',
       metadata: {
         role: 'assistant',
-        collectionName: targetCollection.name,
+        collectionName: targetCollection?.name || null,
         suggestedTitle: analysis.suggestedTitle || null
       }
     });
@@ -383,29 +300,28 @@ Respond in JSON format:
       console.log('ℹ️ [Photos] Photo added to existing conversation and created entry for Photos tab');
     }
     
-    // Update collection stats
-    console.log('📊 [Photos] Updating collection stats...');
-    await targetCollection.updateStats();
-    console.log('✅ [Photos] Collection stats updated');
-    
     const responseData = {
       success: true,
       photoId: photo.id,  // Include Photo ID
       conversationId: conversation.id,
       entryId: entry.id,
-      collectionId: targetCollection.id,
-      collectionName: targetCollection.name,
+      collectionId: targetCollection?.id || null,
+      collectionName: targetCollection?.name || null,
+      // Collections suggested with too little confidence to file the photo yet
+      pendingSuggestions: routing.suggestions.length,
       description: analysis.description,
       message: conversationId 
         ? `Photo added to conversation and Photos tab` 
-        : `Photo saved to "${targetCollection.name}"`
+        : targetCollection
+          ? `Photo saved to "${targetCollection.name}"`
+          : 'Photo saved; collection suggestions are waiting for review'
     };
     
     console.log('🎉 [Photos] ========== PHOTO PROCESSING COMPLETE ==========');
     console.log('📊 [Photos] Summary:');
     console.log('  🆔 Photo ID:', photo.id);
     console.log('  📸 Photo URL:', publicUrl);
-    console.log('  📁 Collection:', targetCollection.name);
+    console.log('  📁 Collection:', targetCollection?.name || `none, ${routing.suggestions.length} suggestion(s) pending`);
     console.log('  💬 Conversation:', conversation.id);
     console.log('  📝 Entry:', entry.id);
     console.log('  📱 Shows in Photos tab: Yes');
@@ -423,9 +339,10 @@ Respond in JSON format:
     let errorMessage = 'Failed to process photo';
     let statusCode = 500;
     
-    if (error.message?.includes('OpenAI')) {
+    if (error instanceof StructuredOutputError || error.message?.includes('OpenAI')) {
       errorMessage = 'Failed to analyze image';
-      console.error('❌ [Photos] OpenAI Vision API failed');
+      statusCode = 502;
+      console.error(`❌ [Photos] Vision API failed (${error.code || 'UNKNOWN'})`);
     } else if (error.message?.includes('Collection')) {
       errorMessage = 'Failed to create or find collection';
       console.error('❌ [Photos] Collection operation failed');
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { Entry, Thought, CollectionEntry, Conversation, Message } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/search');
+const { hybridSearch } = require('../services/search');
+const { SOURCE_TYPES, queueEmbedding } = require('../services/embeddings');
+const { isConfigured } = require('../services/llm');
+
+router.use(verifyToken);
+
+// Messages per conversation queued by a reindex
+const REINDEX_MESSAGE_LIMIT = 500;
+
+// Hybrid keyword + semantic search across entries, thoughts, collection entries and messages
+router.get('/', validate(schemas.search), async (req, res) => {
+  try {
+    const { q, types = SOURCE_TYPES, spaceId, collectionId, startDate, endDate, limit = 20 } = req.query;
+    if (!q.trim()) {
+      return res.status(400).json({ error: 'Search query required' });
+    }
+    
+    const { mode, results } = await hybridSearch(req.user.uid, q.trim(), {
+      types,
+      spaceId,
+      collectionId,
+      startDate,
+      endDate,
+      limit
+    });
+    
+    res.json({ query: q.trim(), mode, results });
+  } catch (error) {
+    console.error('[Search] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue embeddings for all of the user's documents (backfill for data created before indexing)
+router.post('/reindex', validate(schemas.reindex), async (req, res) => {
+  try {
+    if (!isConfigured('embedding')) {
+      return res.status(503).json({ error: 'Embedding provider not configured on server' });
+    }
+    
+    const userId = req.user.uid;
+    const [entries, thoughts, collectionEntries, conversations] = await Promise.all([
+      Entry.findByUserId(userId),
+      Thought.findByUserId(userId),
+      CollectionEntry.findByUserId(userId),
+      Conversation.findByUserId(userId)
+    ]);
+    
+    const messageLists = await Promise.all(
+      conversations.map(conversation => Message.findByConversationId(conversation.id, REINDEX_MESSAGE_LIMIT))
+    );
+    const messages = messageLists.flat();
+    
+    entries.forEach(entry => queueEmbedding('entry', entry.id));
+    thoughts.forEach(thought => queueEmbedding('thought', thought.id));
+    collectionEntries.forEach(collectionEntry => queueEmbedding('collection_entry', collectionEntry.id));
+    messages.forEach(message => queueEmbedding('message', message.id));
+    
+    res.status(202).json({
+      success: true,
+      queued: {
+        entries: entries.length,
+        thoughts: thoughts.length,
+        collectionEntries: collectionEntries.length,
+        messages: messages.length
+      }
+    });
+  } catch (error) {
+    console.error('[Search] Reindex error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
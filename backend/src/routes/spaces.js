@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { Space, Conversation, UserTask, Entry, Thought } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/spaces');
 
 router.use(verifyToken);
 
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
-    const includeArchived = req.query.includeArchived === 'true';
+    const includeArchived = req.query.includeArchived === true;
     const spaces = await Space.findByUserId(req.user.uid, includeArchived);
     res.json(spaces);
   } catch (error) {
@@ -27,7 +29,7 @@ router.get('/default', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -39,7 +41,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/stats', async (req, res) => {
+router.get('/:id/stats', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -53,7 +55,7 @@ router.get('/:id/stats', async (req, res) => {
   }
 });
 
-router.get('/:id/conversations', async (req, res) => {
+router.get('/:id/conversations', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -67,7 +69,7 @@ router.get('/:id/conversations', async (req, res) => {
   }
 });
 
-router.get('/:id/tasks', async (req, res) => {
+router.get('/:id/tasks', validate(schemas.tasks), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -87,7 +89,7 @@ router.get('/:id/tasks', async (req, res) => {
   }
 });
 
-router.get('/:id/entries', async (req, res) => {
+router.get('/:id/entries', validate(schemas.entries), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -107,7 +109,7 @@ router.get('/:id/entries', async (req, res) => {
   }
 });
 
-router.get('/:id/thoughts', async (req, res) => {
+router.get('/:id/thoughts', validate(schemas.thoughts), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -127,7 +129,7 @@ router.get('/:id/thoughts', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     if (req.body.isDefault) {
       const existingDefault = await Space.findDefaultSpace(req.user.uid);
@@ -147,7 +149,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -170,7 +172,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.post('/:id/archive', async (req, res) => {
+router.post('/:id/archive', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -188,7 +190,7 @@ router.post('/:id/archive', async (req, res) => {
   }
 });
 
-router.post('/:id/unarchive', async (req, res) => {
+router.post('/:id/unarchive', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
@@ -202,7 +204,7 @@ router.post('/:id/unarchive', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const space = await Space.findById(req.params.id);
     if (!space || space.userId !== req.user.uid) {
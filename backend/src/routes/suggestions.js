@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { Collection, InferenceSuggestion } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/suggestions');
+const { acceptSuggestion } = require('../services/collectionRouting');
+
+router.use(verifyToken);
+
+// List suggestions, pending ones by default
+router.get('/', validate(schemas.list), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    const suggestions = await InferenceSuggestion.findByUserId(req.user.uid, {
+      status: status === 'all' ? undefined : status,
+      entryId: req.query.entryId
+    });
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('[Suggestions] Error listing suggestions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', validate(schemas.byId), async (req, res) => {
+  try {
+    const suggestion = await InferenceSuggestion.findById(req.params.id);
+    if (!suggestion || suggestion.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    res.json(suggestion);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept a suggestion, optionally choosing another collection or editing fields
+router.post('/:id/accept', validate(schemas.accept), async (req, res) => {
+  try {
+    const { collectionId, collectionName, formattedData } = req.body;
+
+    const suggestion = await InferenceSuggestion.findById(req.params.id);
+    if (!suggestion || suggestion.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(409).json({ error: `Suggestion already ${suggestion.status}` });
+    }
+
+    let collection = null;
+    if (collectionId) {
+      collection = await Collection.findById(collectionId);
+      if (!collection || collection.userId !== req.user.uid) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+    }
+
+    const result = await acceptSuggestion(suggestion, {
+      collection,
+      collectionName: typeof collectionName === 'string' && collectionName.trim() ? collectionName.trim() : null,
+      formattedData
+    });
+
+    res.status(result.status === 'added' ? 201 : 200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Suggestions] Error accepting suggestion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a suggestion; rejections are fed back into future inference for this user
+router.post('/:id/reject', validate(schemas.reject), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const suggestion = await InferenceSuggestion.findById(req.params.id);
+    if (!suggestion || suggestion.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(409).json({ error: `Suggestion already ${suggestion.status}` });
+    }
+
+    await suggestion.resolve('rejected', {
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+    });
+
+    res.json({ success: true, suggestion });
+  } catch (error) {
+    console.error('[Suggestions] Error rejecting suggestion:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
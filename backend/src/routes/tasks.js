@@ -2,11 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { UserTask } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/tasks');
 const { flexibleAuth } = require('../middleware/serviceAuth');
+const { executeFunction } = require('../services/realtimeFunctions');
+const { idempotent } = require('../middleware/idempotency');
+const { parsePagination, sendPage } = require('../utils/pagination');
 
 router.use(verifyToken);
 
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const filters = {
       status: req.query.status,
@@ -14,32 +19,32 @@ router.get('/', async (req, res) => {
       conversationId: req.query.conversationId
     };
     
-    const tasks = await UserTask.findByUserId(req.user.uid, filters);
-    res.json(tasks);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt', 'dueDate'] });
+    sendPage(res, page, await UserTask.findPageByUserId(req.user.uid, filters, page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-router.get('/pending', async (req, res) => {
+router.get('/pending', validate(schemas.pending), async (req, res) => {
   try {
-    const tasks = await UserTask.findPending(req.user.uid);
-    res.json(tasks);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt', 'dueDate'] });
+    sendPage(res, page, await UserTask.findPageByUserId(req.user.uid, { status: 'pending' }, page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-router.get('/completed', async (req, res) => {
+router.get('/completed', validate(schemas.completed), async (req, res) => {
   try {
-    const tasks = await UserTask.findCompleted(req.user.uid);
-    res.json(tasks);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt', 'dueDate'] });
+    sendPage(res, page, await UserTask.findPageByUserId(req.user.uid, { status: 'completed' }, page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const task = await UserTask.findById(req.params.id);
     if (!task || task.userId !== req.user.uid) {
@@ -51,7 +56,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), idempotent, async (req, res) => {
   try {
     const { Space } = require('../models');
     let spaceIds = req.body.spaceIds || [];
@@ -73,7 +78,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const task = await UserTask.findById(req.params.id);
     if (!task || task.userId !== req.user.uid) {
@@ -88,7 +93,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.post('/:id/complete', async (req, res) => {
+router.post('/:id/complete', validate(schemas.byId), async (req, res) => {
   try {
     const task = await UserTask.findById(req.params.id);
     if (!task || task.userId !== req.user.uid) {
@@ -102,7 +107,7 @@ router.post('/:id/complete', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const task = await UserTask.findById(req.params.id);
     if (!task || task.userId !== req.user.uid) {
@@ -117,52 +122,13 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Create task from voice input - accepts both user and service tokens
-router.post('/create-voice-task', flexibleAuth, async (req, res) => {
+router.post('/create-voice-task', flexibleAuth, validate(schemas.createVoiceTask), idempotent, async (req, res) => {
   try {
-    const { title, description, priority, dueDate } = req.body;
-    
-    if (!title) {
-      return res.status(400).json({ error: 'Task title is required' });
-    }
-    
-    console.log(`[VOICE-TASK] Creating task from voice: "${title}"`);
-    
-    // Get or create default space
-    const { Space } = require('../models');
-    const defaultSpace = await Space.findDefaultSpace(req.user.uid) || 
-                         await Space.createDefaultSpace(req.user.uid);
-    const spaceIds = defaultSpace ? [defaultSpace.id] : [];
-    
-    const taskData = {
-      userId: req.user.uid,
-      title: title,
-      description: description || '',
-      priority: priority || 'medium',
-      status: 'pending',
-      source: 'voice',
-      spaceIds: spaceIds,
-      metadata: { 
-        source: 'voice',
-        createdAt: new Date()
-      }
-    };
-    
-    if (dueDate) {
-      taskData.dueDate = new Date(dueDate);
-    }
-    
-    const task = await UserTask.create(taskData);
-    
-    console.log(`[VOICE-TASK] Created task ${task.id}: "${task.title}"`);
-    
-    res.status(201).json({
-      success: true,
-      task: task,
-      message: `Task "${task.title}" created successfully`
-    });
+    const result = await executeFunction('create_task', req.body, { userId: req.user.uid });
+    res.status(201).json(result);
   } catch (error) {
     console.error('[VOICE-TASK] Error creating task:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -71,7 +71,8 @@ router.post('/worker-test', verifyToken, async (req, res) => {
       content: 'Test content for worker'
     }, {
       headers: {
-        'upstash-signature': 'test-signature' // Fake signature for testing
+        // Fake signature - rejected with 401 unless QSTASH_SKIP_SIGNATURE_VERIFICATION=true
+        'upstash-signature': 'test-signature'
       }
     });
     
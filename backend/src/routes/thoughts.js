@@ -2,55 +2,47 @@ const express = require('express');
 const router = express.Router();
 const { Thought } = require('../models');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/thoughts');
+const { parsePagination, sendPage } = require('../utils/pagination');
 
 router.use(verifyToken);
 
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.list), async (req, res) => {
   try {
     const filters = {
       type: req.query.type,
       category: req.query.category,
       conversationId: req.query.conversationId,
-      isPrivate: req.query.isPrivate !== undefined ? req.query.isPrivate === 'true' : undefined
+      isPrivate: req.query.isPrivate
     };
     
-    const thoughts = await Thought.findByUserId(req.user.uid, filters);
-    res.json(thoughts);
+    const page = parsePagination(req.query, { sortFields: ['createdAt', 'updatedAt'] });
+    sendPage(res, page, await Thought.findPageByUserId(req.user.uid, filters, page));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-router.get('/search', async (req, res) => {
+router.get('/search', validate(schemas.search), async (req, res) => {
   try {
-    const { q } = req.query;
-    if (!q) {
-      return res.status(400).json({ error: 'Search query required' });
-    }
-    
-    const thoughts = await Thought.searchContent(req.user.uid, q);
+    const thoughts = await Thought.searchContent(req.user.uid, req.query.q);
     res.json(thoughts);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/tags', async (req, res) => {
+router.get('/tags', validate(schemas.tags), async (req, res) => {
   try {
-    const { tags } = req.query;
-    if (!tags) {
-      return res.status(400).json({ error: 'Tags required' });
-    }
-    
-    const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-    const thoughts = await Thought.findByTags(req.user.uid, tagArray);
+    const thoughts = await Thought.findByTags(req.user.uid, req.query.tags);
     res.json(thoughts);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
@@ -62,7 +54,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/linked', async (req, res) => {
+router.get('/:id/linked', validate(schemas.byId), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
@@ -76,7 +68,7 @@ router.get('/:id/linked', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.create), async (req, res) => {
   try {
     const { Space } = require('../models');
     let spaceIds = req.body.spaceIds || [];
@@ -98,7 +90,7 @@ router.post('/', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(schemas.update), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
@@ -113,7 +105,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.post('/:id/link', async (req, res) => {
+router.post('/:id/link', validate(schemas.link), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
@@ -128,7 +120,7 @@ router.post('/:id/link', async (req, res) => {
   }
 });
 
-router.post('/:id/insight', async (req, res) => {
+router.post('/:id/insight', validate(schemas.insight), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
@@ -143,7 +135,7 @@ router.post('/:id/insight', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(schemas.byId), async (req, res) => {
   try {
     const thought = await Thought.findById(req.params.id);
     if (!thought || thought.userId !== req.user.uid) {
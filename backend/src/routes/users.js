@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { auth, firestore } = require('../config/firebase');
 const { verifyToken, requireRole, requireVerifiedEmail } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const { getInferenceSettings, updateInferenceSettings } = require('../services/inferenceSettings');
+const { getAssistantProfile, updateAssistantProfile } = require('../services/assistantProfile');
 
 router.get('/profile', verifyToken, async (req, res) => {
   try {
@@ -32,7 +36,7 @@ router.get('/profile', verifyToken, async (req, res) => {
   }
 });
 
-router.put('/profile', verifyToken, async (req, res) => {
+router.put('/profile', verifyToken, validate(schemas.updateProfile), async (req, res) => {
   try {
     const { displayName, photoURL, phoneNumber, additionalData } = req.body;
     
@@ -62,6 +66,48 @@ router.put('/profile', verifyToken, async (req, res) => {
   }
 });
 
+router.get('/inference-settings', verifyToken, async (req, res) => {
+  try {
+    const settings = await getInferenceSettings(req.user.uid);
+    res.json(settings);
+  } catch (error) {
+    console.error('Error fetching inference settings:', error);
+    res.status(500).json({ error: 'Failed to fetch inference settings' });
+  }
+});
+
+router.put('/inference-settings', verifyToken, validate(schemas.inferenceSettings), async (req, res) => {
+  try {
+    const { autoApplyThreshold } = req.body;
+    
+    const settings = await updateInferenceSettings(req.user.uid, { autoApplyThreshold });
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Error updating inference settings:', error);
+    res.status(500).json({ error: 'Failed to update inference settings' });
+  }
+});
+
+router.get('/assistant-profile', verifyToken, async (req, res) => {
+  try {
+    const profile = await getAssistantProfile(req.user.uid);
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching assistant profile:', error);
+    res.status(500).json({ error: 'Failed to fetch assistant profile' });
+  }
+});
+
+router.put('/assistant-profile', verifyToken, validate(schemas.assistantProfile), async (req, res) => {
+  try {
+    const profile = await updateAssistantProfile(req.user.uid, req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Error updating assistant profile:', error);
+    res.status(500).json({ error: 'Failed to update assistant profile' });
+  }
+});
+
 router.post('/verify-email', verifyToken, async (req, res) => {
   try {
     const link = await auth.generateEmailVerificationLink(req.user.email);
@@ -77,14 +123,10 @@ router.post('/verify-email', verifyToken, async (req, res) => {
   }
 });
 
-router.post('/set-custom-claims', verifyToken, requireRole('admin'), async (req, res) => {
+router.post('/set-custom-claims', verifyToken, requireRole('admin'), validate(schemas.setCustomClaims), async (req, res) => {
   try {
     const { userId, claims } = req.body;
     
-    if (!userId || !claims) {
-      return res.status(400).json({ error: 'userId and claims are required' });
-    }
-    
     await auth.setCustomUserClaims(userId, claims);
     
     res.json({ 
@@ -99,7 +141,7 @@ router.post('/set-custom-claims', verifyToken, requireRole('admin'), async (req,
   }
 });
 
-router.get('/list', verifyToken, requireRole('admin'), async (req, res) => {
+router.get('/list', verifyToken, requireRole('admin'), validate(schemas.list), async (req, res) => {
   try {
     const { pageToken, maxResults = 100 } = req.query;
     
@@ -127,15 +169,11 @@ router.get('/list', verifyToken, requireRole('admin'), async (req, res) => {
   }
 });
 
-router.post('/disable', verifyToken, requireRole('admin'), async (req, res) => {
+router.post('/disable', verifyToken, requireRole('admin'), validate(schemas.disable), async (req, res) => {
   try {
     const { userId, disabled } = req.body;
     
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-    
-    await auth.updateUser(userId, { disabled: !!disabled });
+    await auth.updateUser(userId, { disabled });
     
     res.json({ 
       success: true,
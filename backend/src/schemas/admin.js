@@ -0,0 +1,33 @@
+const { id, pagination, idParams, noInput } = require('./common');
+
+const DEAD_LETTER_STATUSES = ['pending', 'replayed'];
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+
+  deadLetters: {
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: DEAD_LETTER_STATUSES },
+        type: { type: 'string', maxLength: 50 },
+        userId: id,
+        ...pagination
+      }
+    }
+  },
+
+  deadLetterById: { params: idParams('id') },
+
+  replayDeadLetters: {
+    body: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: id, minItems: 1, maxItems: 50 }
+      },
+      required: ['ids']
+    }
+  },
+
+  sessionCleanup: noInput
+};
@@ -0,0 +1,67 @@
+const { id, idList, date } = require('./common');
+const { TIMEFRAMES } = require('../services/entryInsights');
+
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+
+const text = { type: 'string', minLength: 1, maxLength: 50000 };
+
+const chat = {
+  body: {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+      messages: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 200,
+        items: {
+          type: 'object',
+          required: ['role', 'content'],
+          properties: {
+            role: { type: 'string', enum: CHAT_ROLES },
+            content: { type: 'string', maxLength: 50000 }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  chat,
+
+  text: {
+    body: { type: 'object', required: ['text'], properties: { text } }
+  },
+
+  summary: {
+    body: {
+      type: 'object',
+      properties: {
+        entryIds: { ...idList, maxItems: 200 },
+        collectionId: id,
+        startDate: date,
+        endDate: date
+      }
+    }
+  },
+
+  insights: {
+    body: {
+      type: 'object',
+      properties: { timeframe: { type: 'string', enum: TIMEFRAMES } }
+    }
+  },
+
+  bulkCategorize: {
+    body: {
+      type: 'object',
+      properties: { entryIds: { ...idList, maxItems: 200 } }
+    }
+  },
+
+  // Classifier routes (routes/classifier.js)
+  classifyContent: {
+    body: { type: 'object', required: ['content'], properties: { content: text } }
+  }
+};
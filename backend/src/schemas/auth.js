@@ -0,0 +1,38 @@
+const { id, freeform, noInput } = require('./common');
+
+module.exports = {
+  verify: {
+    body: {
+      type: 'object',
+      required: ['idToken'],
+      properties: { idToken: { type: 'string', minLength: 1, maxLength: 10000 } }
+    }
+  },
+
+  refresh: {
+    body: {
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string', minLength: 1, maxLength: 10000 } }
+    }
+  },
+
+  createCustomToken: {
+    body: {
+      type: 'object',
+      properties: { uid: id, claims: freeform }
+    }
+  },
+
+  logout: noInput,
+
+  session: noInput,
+
+  passwordReset: {
+    body: {
+      type: 'object',
+      required: ['email'],
+      properties: { email: { type: 'string', minLength: 3, maxLength: 320 } }
+    }
+  }
+};
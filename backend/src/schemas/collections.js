@@ -0,0 +1,103 @@
+const { id, idList, freeform, pagination, idParams, partial } = require('./common');
+
+const name = { type: 'string', minLength: 1, maxLength: 200 };
+const description = { type: 'string', maxLength: 2000 };
+const content = { type: 'string', minLength: 1, maxLength: 50000 };
+
+const collectionFields = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name,
+    instructions: { type: 'string', maxLength: 5000 },
+    icon: { type: 'string', maxLength: 100 },
+    color: { type: 'string', maxLength: 50 },
+    entryFormat: { type: ['object', 'array', 'null'] },
+    template: freeform,
+    settings: freeform,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  list: { query: { type: 'object', properties: pagination } },
+
+  byId: { params: idParams('id') },
+
+  create: { body: collectionFields },
+
+  update: { params: idParams('id'), body: partial(collectionFields) },
+
+  generateRules: {
+    params: idParams('id'),
+    body: { type: 'object', properties: { description, reprocessEntries: { type: 'boolean' } } }
+  },
+
+  generateRulesPreview: {
+    body: { type: 'object', required: ['name'], properties: { name, description } }
+  },
+
+  content: {
+    body: { type: 'object', required: ['content'], properties: { content } }
+  },
+
+  generateDetails: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: { name, description, sampleContent: { type: 'string', maxLength: 50000 } }
+    }
+  },
+
+  createVoiceCollection: {
+    body: { type: 'object', required: ['name'], properties: { name, description } }
+  },
+
+  // Collection entries (routes/collectionEntries.js)
+  entries: {
+    params: idParams('collectionId'),
+    query: { type: 'object', properties: pagination }
+  },
+
+  addEntry: {
+    params: idParams('collectionId'),
+    body: {
+      type: 'object',
+      required: ['entryId'],
+      properties: { entryId: id, formattedData: freeform }
+    }
+  },
+
+  updateEntry: {
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: { userOverrides: { type: ['object', 'null'] } }
+    }
+  },
+
+  collectionEntryById: { params: idParams('id') },
+
+  byCollectionId: { params: idParams('collectionId') },
+
+  matchEntries: {
+    params: idParams('collectionId'),
+    body: {
+      type: 'object',
+      properties: {
+        minConfidence: { type: 'number', minimum: 0, maximum: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        cursor: pagination.cursor
+      }
+    }
+  },
+
+  acceptMatches: {
+    params: idParams('collectionId'),
+    body: {
+      type: 'object',
+      required: ['entryIds'],
+      properties: { entryIds: { ...idList, minItems: 1 } }
+    }
+  }
+};
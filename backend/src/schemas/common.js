@@ -0,0 +1,54 @@
+const { MAX_LIMIT } = require('../utils/pagination');
+
+/**
+ * Building blocks shared by the request schemas.
+ * See middleware/validate.js for how they are applied.
+ */
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+const idList = { type: 'array', items: id, maxItems: 50 };
+const nullableId = { type: ['string', 'null'], maxLength: 128 };
+const date = { type: 'string', format: 'date-time' };
+const nullableDate = { type: ['string', 'null'], format: 'date-time' };
+const tags = { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 50 };
+const freeform = { type: 'object' };
+
+// limit, cursor and sort; sort fields are checked per endpoint by parsePagination
+const pagination = {
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+  cursor: { type: 'string', maxLength: 1000 },
+  sort: { type: 'string', maxLength: 50 }
+};
+
+function idParams(...names) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(names.map(name => [name, id]))
+  };
+}
+
+// For routes that take no query or body: anything sent is dropped
+const noFields = { type: 'object', properties: {} };
+const noInput = { query: noFields, body: noFields };
+
+/**
+ * Same schema with every field optional, for partial updates
+ */
+function partial(schema) {
+  const { required, ...rest } = schema;
+  return rest;
+}
+
+module.exports = {
+  id,
+  idList,
+  nullableId,
+  date,
+  nullableDate,
+  tags,
+  freeform,
+  pagination,
+  idParams,
+  partial,
+  noInput
+};
@@ -0,0 +1,41 @@
+const { id, idList, freeform, pagination, idParams, partial } = require('./common');
+
+const conversationFields = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', maxLength: 500 },
+    lastMessage: { type: ['string', 'null'], maxLength: 10000 },
+    spaceIds: idList,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  list: {
+    query: {
+      type: 'object',
+      properties: { spaceId: id, ...pagination }
+    }
+  },
+
+  byId: { params: idParams('id') },
+
+  messages: {
+    params: idParams('id'),
+    query: {
+      type: 'object',
+      properties: { limit: { type: 'integer', minimum: 1, maximum: 500 } }
+    }
+  },
+
+  create: { body: conversationFields },
+
+  update: { params: idParams('id'), body: partial(conversationFields) },
+
+  addSpace: {
+    params: idParams('id'),
+    body: { type: 'object', required: ['spaceId'], properties: { spaceId: id } }
+  },
+
+  removeSpace: { params: idParams('id', 'spaceId') }
+};
@@ -0,0 +1,83 @@
+const { id, idList, nullableId, date, tags, freeform, pagination, idParams, partial } = require('./common');
+
+const ENTRY_TYPES = ['journal', 'note', 'reflection', 'gratitude', 'dream', 'photo'];
+const MOODS = ['happy', 'sad', 'excited', 'anxious', 'calm', 'frustrated', 'grateful', 'neutral'];
+
+const entryFields = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', maxLength: 500 },
+    content: { type: 'string', maxLength: 50000 },
+    type: { type: 'string', enum: ENTRY_TYPES },
+    mood: { type: ['string', 'null'], enum: MOODS },
+    tags,
+    attachments: { type: 'array', items: { type: ['string', 'object'] }, maxItems: 20 },
+    location: { type: ['object', 'null'] },
+    weather: { type: ['object', 'null'] },
+    photoId: nullableId,
+    imageUrl: { type: ['string', 'null'], maxLength: 2000 },
+    spaceIds: idList,
+    conversationId: nullableId,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  ENTRY_TYPES,
+  MOODS,
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        collectionId: id,
+        type: { type: 'string', enum: ENTRY_TYPES },
+        mood: { type: 'string', enum: MOODS },
+        conversationId: id,
+        startDate: date,
+        endDate: date,
+        ...pagination
+      }
+    }
+  },
+
+  search: {
+    query: {
+      type: 'object',
+      required: ['q'],
+      properties: { q: { type: 'string', minLength: 1, maxLength: 500 } }
+    }
+  },
+
+  tags: {
+    query: {
+      type: 'object',
+      required: ['tags'],
+      properties: { tags: { ...tags, minItems: 1 } }
+    }
+  },
+
+  byId: { params: idParams('id') },
+
+  create: { body: entryFields },
+
+  createWithInference: {
+    body: {
+      ...entryFields,
+      properties: {
+        ...entryFields.properties,
+        enableInference: { type: 'boolean' }
+      }
+    }
+  },
+
+  update: { params: idParams('id'), body: partial(entryFields) },
+
+  extractVoiceEntry: {
+    body: {
+      type: 'object',
+      required: ['content'],
+      properties: { content: { type: 'string', minLength: 1, maxLength: 50000 } }
+    }
+  }
+};
@@ -0,0 +1,22 @@
+const { pagination, idParams } = require('./common');
+
+const JOB_STATUSES = ['queued', 'running', 'retrying', 'succeeded', 'failed'];
+const JOB_TYPES = ['inference', 'collection', 'ai', 'embedding', 'batch'];
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_TYPES,
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: JOB_STATUSES },
+        type: { type: 'string', enum: JOB_TYPES },
+        ...pagination
+      }
+    }
+  },
+
+  byId: { params: idParams('id') }
+};
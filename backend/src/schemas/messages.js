@@ -0,0 +1,38 @@
+const { id, nullableId, freeform, idParams } = require('./common');
+
+const MESSAGE_TYPES = ['text', 'image', 'voice', 'system', 'tool_call', 'tool_result'];
+
+const attachments = { type: 'array', items: { type: ['string', 'object'] }, maxItems: 20 };
+
+module.exports = {
+  MESSAGE_TYPES,
+
+  byId: { params: idParams('id') },
+
+  create: {
+    body: {
+      type: 'object',
+      required: ['conversationId', 'content'],
+      properties: {
+        conversationId: id,
+        content: { type: 'string', maxLength: 50000 },
+        type: { type: 'string', enum: MESSAGE_TYPES },
+        photoId: nullableId,
+        attachments,
+        metadata: freeform
+      }
+    }
+  },
+
+  update: {
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', maxLength: 50000 },
+        attachments,
+        metadata: freeform
+      }
+    }
+  }
+};
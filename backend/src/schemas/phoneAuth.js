@@ -0,0 +1,30 @@
+const sessionId = { type: 'string', minLength: 1, maxLength: 100 };
+
+module.exports = {
+  sendCode: {
+    body: {
+      type: 'object',
+      required: ['phoneNumber'],
+      properties: { phoneNumber: { type: 'string', minLength: 7, maxLength: 30 } }
+    }
+  },
+
+  verifyCode: {
+    body: {
+      type: 'object',
+      required: ['sessionId', 'code'],
+      properties: {
+        sessionId,
+        code: { type: 'string', minLength: 1, maxLength: 10 }
+      }
+    }
+  },
+
+  resendCode: {
+    body: {
+      type: 'object',
+      required: ['sessionId'],
+      properties: { sessionId }
+    }
+  }
+};
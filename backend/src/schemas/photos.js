@@ -0,0 +1,11 @@
+const { id } = require('./common');
+
+module.exports = {
+  // Multipart form fields, alongside the `photo` file
+  process: {
+    body: {
+      type: 'object',
+      properties: { conversationId: id }
+    }
+  }
+};
@@ -0,0 +1,58 @@
+const { id, date, noInput } = require('./common');
+
+const TRANSCRIPT_EVENT_TYPES = ['user', 'assistant', 'tool_call', 'tool_result'];
+
+module.exports = {
+  TRANSCRIPT_EVENT_TYPES,
+
+  session: noInput,
+
+  token: noInput,
+
+  executeFunction: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        // The Realtime API hands tool arguments over as a JSON string
+        arguments: { type: ['object', 'string'] },
+        // The device's zone, for "today" and "this week"; else the assistant profile's
+        timezone: { type: 'string', maxLength: 64, format: 'time-zone' }
+      }
+    }
+  },
+
+  transcript: {
+    body: {
+      type: 'object',
+      required: ['events'],
+      properties: {
+        conversationId: id,
+        sessionId: { type: 'string', minLength: 1, maxLength: 200 },
+        title: { type: 'string', maxLength: 500 },
+        events: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 200,
+          items: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+              type: { type: 'string', enum: TRANSCRIPT_EVENT_TYPES },
+              // Realtime API item id of a user or assistant turn
+              itemId: { type: 'string', minLength: 1, maxLength: 200 },
+              content: { type: 'string', maxLength: 50000 },
+              // call_id of a tool call and of its result
+              callId: { type: 'string', minLength: 1, maxLength: 200 },
+              name: { type: 'string', maxLength: 100 },
+              arguments: { type: ['object', 'string'] },
+              output: { type: ['object', 'string'] },
+              timestamp: date
+            }
+          }
+        }
+      }
+    }
+  }
+};
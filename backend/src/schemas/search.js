@@ -0,0 +1,24 @@
+const { id, date, noInput } = require('./common');
+const { SOURCE_TYPES } = require('../services/embeddings');
+
+const MAX_LIMIT = 50;
+
+module.exports = {
+  search: {
+    query: {
+      type: 'object',
+      required: ['q'],
+      properties: {
+        q: { type: 'string', minLength: 1, maxLength: 500 },
+        types: { type: 'array', items: { type: 'string', enum: SOURCE_TYPES }, minItems: 1 },
+        spaceId: id,
+        collectionId: id,
+        startDate: date,
+        endDate: date,
+        limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT }
+      }
+    }
+  },
+
+  reindex: noInput
+};
@@ -0,0 +1,66 @@
+const { freeform, idParams, partial } = require('./common');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('./tasks');
+const { ENTRY_TYPES, MOODS } = require('./entries');
+const { THOUGHT_TYPES, THOUGHT_CATEGORIES } = require('./thoughts');
+
+const spaceFields = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 2000 },
+    color: { type: 'string', maxLength: 50 },
+    icon: { type: ['string', 'null'], maxLength: 100 },
+    isDefault: { type: 'boolean' },
+    settings: freeform,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  list: {
+    query: {
+      type: 'object',
+      properties: { includeArchived: { type: 'boolean' } }
+    }
+  },
+
+  byId: { params: idParams('id') },
+
+  tasks: {
+    params: idParams('id'),
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: TASK_STATUSES },
+        priority: { type: 'string', enum: TASK_PRIORITIES }
+      }
+    }
+  },
+
+  entries: {
+    params: idParams('id'),
+    query: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ENTRY_TYPES },
+        mood: { type: 'string', enum: MOODS }
+      }
+    }
+  },
+
+  thoughts: {
+    params: idParams('id'),
+    query: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: THOUGHT_TYPES },
+        category: { type: 'string', enum: THOUGHT_CATEGORIES }
+      }
+    }
+  },
+
+  create: { body: spaceFields },
+
+  update: { params: idParams('id'), body: partial(spaceFields) }
+};
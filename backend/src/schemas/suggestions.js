@@ -0,0 +1,39 @@
+const { id, freeform, idParams } = require('./common');
+
+const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+module.exports = {
+  SUGGESTION_STATUSES,
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: [...SUGGESTION_STATUSES, 'all'] },
+        entryId: id
+      }
+    }
+  },
+
+  byId: { params: idParams('id') },
+
+  accept: {
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: {
+        collectionId: id,
+        collectionName: { type: 'string', minLength: 1, maxLength: 200 },
+        formattedData: freeform
+      }
+    }
+  },
+
+  reject: {
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      properties: { reason: { type: 'string', maxLength: 1000 } }
+    }
+  }
+};
@@ -0,0 +1,60 @@
+const { id, idList, nullableId, nullableDate, tags, freeform, pagination, idParams, partial } = require('./common');
+
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const taskFields = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 500 },
+    description: { type: 'string', maxLength: 10000 },
+    status: { type: 'string', enum: TASK_STATUSES },
+    priority: { type: 'string', enum: TASK_PRIORITIES },
+    dueDate: nullableDate,
+    tags,
+    spaceIds: idList,
+    conversationId: nullableId,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: TASK_STATUSES },
+        priority: { type: 'string', enum: TASK_PRIORITIES },
+        conversationId: id,
+        ...pagination
+      }
+    }
+  },
+
+  pending: { query: { type: 'object', properties: pagination } },
+
+  completed: { query: { type: 'object', properties: pagination } },
+
+  byId: { params: idParams('id') },
+
+  create: { body: taskFields },
+
+  update: { params: idParams('id'), body: partial(taskFields) },
+
+  createVoiceTask: {
+    body: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: taskFields.properties.title,
+        description: taskFields.properties.description,
+        priority: taskFields.properties.priority,
+        dueDate: nullableDate
+      }
+    }
+  }
+};
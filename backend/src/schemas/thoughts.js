@@ -0,0 +1,73 @@
+const { id, idList, nullableId, tags, freeform, pagination, idParams, partial } = require('./common');
+
+const THOUGHT_TYPES = ['reflection', 'idea', 'question', 'insight', 'observation'];
+const THOUGHT_CATEGORIES = ['general', 'personal', 'work', 'creative', 'philosophical', 'relationships', 'goals'];
+
+const thoughtFields = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', maxLength: 50000 },
+    type: { type: 'string', enum: THOUGHT_TYPES },
+    category: { type: 'string', enum: THOUGHT_CATEGORIES },
+    tags,
+    insights: { type: 'array', items: { type: 'string', maxLength: 2000 }, maxItems: 50 },
+    isPrivate: { type: 'boolean' },
+    spaceIds: idList,
+    conversationId: nullableId,
+    metadata: freeform
+  }
+};
+
+module.exports = {
+  THOUGHT_TYPES,
+  THOUGHT_CATEGORIES,
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: THOUGHT_TYPES },
+        category: { type: 'string', enum: THOUGHT_CATEGORIES },
+        conversationId: id,
+        isPrivate: { type: 'boolean' },
+        ...pagination
+      }
+    }
+  },
+
+  search: {
+    query: {
+      type: 'object',
+      required: ['q'],
+      properties: { q: { type: 'string', minLength: 1, maxLength: 500 } }
+    }
+  },
+
+  tags: {
+    query: {
+      type: 'object',
+      required: ['tags'],
+      properties: { tags: { ...tags, minItems: 1 } }
+    }
+  },
+
+  byId: { params: idParams('id') },
+
+  create: { body: thoughtFields },
+
+  update: { params: idParams('id'), body: partial(thoughtFields) },
+
+  link: {
+    params: idParams('id'),
+    body: { type: 'object', required: ['thoughtId'], properties: { thoughtId: id } }
+  },
+
+  insight: {
+    params: idParams('id'),
+    body: {
+      type: 'object',
+      required: ['insight'],
+      properties: { insight: { type: 'string', minLength: 1, maxLength: 2000 } }
+    }
+  }
+};
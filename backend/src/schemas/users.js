@@ -0,0 +1,69 @@
+const { id, freeform } = require('./common');
+const { ASSISTANT_VOICES, VAD_SENSITIVITIES, toolNames } = require('../services/assistantProfile');
+
+module.exports = {
+  updateProfile: {
+    body: {
+      type: 'object',
+      properties: {
+        displayName: { type: ['string', 'null'], maxLength: 200 },
+        photoURL: { type: ['string', 'null'], maxLength: 2000 },
+        phoneNumber: { type: ['string', 'null'], maxLength: 30 },
+        additionalData: freeform
+      }
+    }
+  },
+
+  inferenceSettings: {
+    body: {
+      type: 'object',
+      required: ['autoApplyThreshold'],
+      properties: { autoApplyThreshold: { type: 'number', minimum: 0, maximum: 1 } }
+    }
+  },
+
+  assistantProfile: {
+    body: {
+      type: 'object',
+      properties: {
+        voice: { type: 'string', enum: ASSISTANT_VOICES },
+        persona: { type: ['string', 'null'], maxLength: 2000 },
+        vadSensitivity: { type: 'string', enum: VAD_SENSITIVITIES },
+        // ISO-639-1 code, as the transcription model takes it
+        language: { type: ['string', 'null'], minLength: 2, maxLength: 2 },
+        enabledTools: {
+          type: ['array', 'null'],
+          items: { type: 'string', enum: toolNames() },
+          maxItems: 50
+        },
+        timezone: { type: ['string', 'null'], maxLength: 64, format: 'time-zone' }
+      }
+    }
+  },
+
+  setCustomClaims: {
+    body: {
+      type: 'object',
+      required: ['userId', 'claims'],
+      properties: { userId: id, claims: freeform }
+    }
+  },
+
+  list: {
+    query: {
+      type: 'object',
+      properties: {
+        pageToken: { type: 'string', maxLength: 1000 },
+        maxResults: { type: 'integer', minimum: 1, maximum: 1000 }
+      }
+    }
+  },
+
+  disable: {
+    body: {
+      type: 'object',
+      required: ['userId', 'disabled'],
+      properties: { userId: id, disabled: { type: 'boolean' } }
+    }
+  }
+};
@@ -0,0 +1,91 @@
+const { firestore } = require('../config/firebase');
+const { getTools } = require('./realtimeFunctions');
+
+/**
+ * A user's voice assistant profile, kept on their users doc. It shapes the
+ * realtime sessions built for them in realtimeSessions.js.
+ *
+ * persona and language are null when unset; enabledTools is null for every
+ * registered tool. timezone (IANA) sets the days the assistant means by
+ * "today" and "this week"; UTC when unset.
+ */
+
+const ASSISTANT_VOICES = ['alloy', 'ash', 'ballad', 'cedar', 'coral', 'echo', 'marin', 'sage', 'shimmer', 'verse'];
+const VAD_SENSITIVITIES = ['low', 'medium', 'high'];
+
+const DEFAULT_ASSISTANT_PROFILE = {
+  voice: 'shimmer',
+  persona: null,
+  vadSensitivity: 'medium',
+  language: null,
+  enabledTools: null,
+  timezone: null
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_ASSISTANT_PROFILE);
+
+function toolNames() {
+  return getTools().map(tool => tool.name);
+}
+
+/**
+ * Reads a user's assistant profile, filling in defaults
+ * @returns {Promise<{voice: string, persona: ?string, vadSensitivity: string, language: ?string, enabledTools: ?string[], timezone: ?string}>}
+ */
+async function getAssistantProfile(userId) {
+  const userDoc = await firestore.collection('users').doc(userId).get();
+  const stored = (userDoc.exists && userDoc.data().assistantProfile) || {};
+
+  const profile = { ...DEFAULT_ASSISTANT_PROFILE };
+  PROFILE_FIELDS
+    .filter(field => stored[field] !== undefined && stored[field] !== null)
+    .forEach(field => { profile[field] = stored[field]; });
+
+  // Tools can be renamed or removed after a profile is saved
+  if (profile.enabledTools) {
+    const known = toolNames();
+    profile.enabledTools = profile.enabledTools.filter(name => known.includes(name));
+  }
+
+  return profile;
+}
+
+/**
+ * Merges changes into a user's assistant profile. Fields left out keep their
+ * value; null puts a field back to its default.
+ * @param {string} userId
+ * @param {Object} changes - any of voice, persona, vadSensitivity, language, enabledTools, timezone
+ * @returns {Promise<Object>} the updated profile
+ */
+async function updateAssistantProfile(userId, changes) {
+  const assistantProfile = {};
+  PROFILE_FIELDS
+    .filter(field => changes[field] !== undefined)
+    .forEach(field => { assistantProfile[field] = changes[field]; });
+
+  if (typeof assistantProfile.language === 'string') {
+    assistantProfile.language = assistantProfile.language.toLowerCase();
+  }
+  if (assistantProfile.enabledTools) {
+    assistantProfile.enabledTools = [...new Set(assistantProfile.enabledTools)];
+  }
+
+  await firestore.collection('users').doc(userId).set(
+    {
+      assistantProfile,
+      updatedAt: new Date().toISOString()
+    },
+    { merge: true }
+  );
+
+  return getAssistantProfile(userId);
+}
+
+module.exports = {
+  ASSISTANT_VOICES,
+  VAD_SENSITIVITIES,
+  DEFAULT_ASSISTANT_PROFILE,
+  toolNames,
+  getAssistantProfile,
+  updateAssistantProfile
+};
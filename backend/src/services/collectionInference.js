@@ -1,20 +1,74 @@
-const { chatCompletion } = require('./openai');
+const { isConfigured } = require('./llm');
+const { chatJSON } = require('./structuredOutput');
+const { FIELD_TYPES } = require('./entryExtraction');
+
+const ENTRY_FORMAT_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      type: { type: 'string', enum: FIELD_TYPES },
+      label: { type: 'string' }
+    },
+    required: ['key', 'type', 'label']
+  }
+};
+
+const ASSIGNMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    collectionName: { type: 'string', minLength: 1 },
+    shouldCreateCollection: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    extractedData: { type: 'object' },
+    entryFormat: { ...ENTRY_FORMAT_SCHEMA, type: ['array', 'null'] }
+  },
+  required: ['collectionName', 'shouldCreateCollection', 'confidence']
+};
+
+const INFERENCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    assignments: { type: 'array', items: ASSIGNMENT_SCHEMA, maxItems: 5 }
+  },
+  required: ['assignments']
+};
+
+const DETAILS_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    icon: { type: 'string' },
+    color: { type: 'string' },
+    instructions: { type: 'string' }
+  },
+  required: ['name', 'icon', 'color', 'instructions']
+};
 
 /**
- * Infers collection details from user content, including:
- * - Collection name
- * - Rules (keywords, patterns)
- * - Entry format (structured fields)
+ * Infers which collections user content belongs to. Content can fit several
+ * collections, so the result is a list of assignments, each with:
+ * - Collection name (existing or new)
+ * - Confidence and reasoning
+ * - Extracted data for that collection's fields
+ * - Entry format (structured fields, only for new collections)
  * 
  * Example: "boy smells ash candle is 8/10" 
- * -> Collection: "Candle Ratings"
- * -> Format: { name: text, brand: text, rating: number }
+ * -> [{ collectionName: "Candle Ratings", extractedData: { name, brand, rating } }]
+ *
+ * @param {Object} options
+ * @param {Array} options.rejections - Suggestions the user turned down before,
+ *   as { collectionName, content, reason }, so similar content isn't routed there again
+ * @returns {Promise<{assignments: Array}|null>} assignments sorted by confidence
+ *   (possibly empty), or null when inference is unavailable
  */
-async function inferCollectionFromContent(content, existingCollections = [], collectionInstructions = {}) {
+async function inferCollectionFromContent(content, existingCollections = [], collectionInstructions = {}, options = {}) {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      console.log('[INFERENCE] No OpenAI API key configured');
-      // Return null if OpenAI is not configured
+    if (!isConfigured('collection.infer')) {
+      console.log('[INFERENCE] No LLM provider configured');
+      // Return null if no provider is configured
       return null;
     }
     
@@ -37,24 +91,40 @@ async function inferCollectionFromContent(content, existingCollections = [], col
       existingCollectionsContext = 'No existing collections.';
     }
 
+    const rejections = options.rejections || [];
+    let rejectionsContext = '';
+    if (rejections.length > 0) {
+      const rejectionList = rejections.map(rejection => {
+        const reason = rejection.reason ? ` (reason: ${rejection.reason})` : '';
+        return `- "${rejection.content}" was NOT a fit for "${rejection.collectionName}"${reason}`;
+      }).join('\n');
+      rejectionsContext = `\nThe user rejected these past suggestions. Don't repeat them for similar content:\n${rejectionList}\n`;
+    }
+
     const prompt = `Content: "${content}"
 ${existingCollectionsContext}
-
+${rejectionsContext}
 IMPORTANT RULES:
 1. Only use an existing collection if you're 80%+ confident it's a perfect match
 2. Create a new collection if the content is clearly different in nature
 3. Harry Potter book rating → "Book Reviews" (NOT "Movie Reviews")
 4. Recipe for pancakes → "Recipes" (NOT "Food" or "Cooking Tips")
 5. Workout routine → "Workouts" (NOT "Health" or "Fitness Tips")
+6. Content may belong to several collections (e.g. a recipe idea → "Recipes" and "Ideas"); list each one
+7. Return an empty list if no collection fits
 
 Return JSON:
 {
-  "collectionName": "collection name",
-  "shouldCreateCollection": true/false,
-  "confidence": 0.0-1.0,
-  "reasoning": "brief explanation",
-  "extractedData": {"key": "value"},
-  "entryFormat": [{"key": "field", "type": "text|number|date", "label": "Field Name"}] // only if creating new
+  "assignments": [
+    {
+      "collectionName": "collection name",
+      "shouldCreateCollection": true/false,
+      "confidence": 0.0-1.0,
+      "reasoning": "brief explanation",
+      "extractedData": {"key": "value"},
+      "entryFormat": [{"key": "field", "type": "${FIELD_TYPES.join('|')}", "label": "Field Name"}] // only if creating new
+    }
+  ]
 }`;
 
     const messages = [
@@ -69,6 +139,7 @@ CRITICAL: Create new collections when content is distinctly different:
 - Workouts ≠ Health tips
 
 Only match to existing collections with 80%+ confidence. When in doubt, create new.
+Assign content to more than one collection only when it clearly fits each.
 Return only valid JSON.`
       },
       {
@@ -77,19 +148,34 @@ Return only valid JSON.`
       }
     ];
 
-    const response = await chatCompletion(messages, 'gpt-4o-mini', {
+    const result = await chatJSON({
+      messages,
+      schema: INFERENCE_SCHEMA,
+      schemaName: 'collection_inference',
+      callSite: 'collection.infer',
+      context: { content, existingCollections, collectionInstructions, rejections },
       temperature: 0.3,  // Lower temperature for faster, more deterministic responses
-      max_tokens: 250    // Need room for entryFormat when creating new collections
+      max_tokens: 600    // Need room for several assignments with entryFormat
     });
-    console.log('[INFERENCE] AI response received (truncated):', response.content.substring(0, 200));
-    
-    const result = JSON.parse(response.content);
     console.log('[INFERENCE] Parsed result:', JSON.stringify(result, null, 2));
     
-    return result;
+    // Drop repeated collection names, keeping the most confident assignment
+    const seen = new Set();
+    const assignments = [...result.assignments]
+      .sort((a, b) => b.confidence - a.confidence)
+      .filter(assignment => {
+        const key = assignment.collectionName.trim().toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    
+    return { assignments };
   } catch (error) {
-    console.error('[INFERENCE] Error inferring collection from content:', error);
-    console.error('[INFERENCE] Error details:', error.message, error.stack);
+    console.error(`[INFERENCE] Error inferring collection from content (${error.code || 'UNKNOWN'}):`, error.message);
+    if (error.validationErrors?.length) {
+      console.error('[INFERENCE] Validation errors:', error.validationErrors);
+    }
     return null;
   }
 }
@@ -100,8 +186,8 @@ Return only valid JSON.`
  */
 async function generateCollectionDetails(collectionName, unused = '', sampleContent = '') {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      // Return basic structure if OpenAI is not configured
+    if (!isConfigured('collection.details')) {
+      // Return basic structure if no provider is configured
       return {
         name: collectionName,
         instructions: `Add entries related to ${collectionName}`,
@@ -126,15 +212,19 @@ Return JSON with icon, color, and instructions:
       }
     ];
 
-    const response = await chatCompletion(messages, 'gpt-4o-mini', {
+    const result = await chatJSON({
+      messages,
+      schema: DETAILS_SCHEMA,
+      schemaName: 'collection_details',
+      callSite: 'collection.details',
+      context: { name: collectionName, sampleContent },
       temperature: 0.3,  // Faster, more deterministic
       max_tokens: 100     // Need room for instructions field
     });
-    const result = JSON.parse(response.content);
     
     return result;
   } catch (error) {
-    console.error('Error generating collection details:', error);
+    console.error(`Error generating collection details (${error.code || 'UNKNOWN'}):`, error.message);
     // Fallback to basic structure
     return {
       name: collectionName,
@@ -0,0 +1,48 @@
+const { Entry } = require('../models');
+const { diffFormattedData } = require('./entryExtraction');
+
+/**
+ * Re-extracts formattedData for a set of CollectionEntries against the
+ * collection's current entryFormat. userOverrides are left alone.
+ *
+ * @param {Collection} collection
+ * @param {Array<CollectionEntry>} collectionEntries
+ * @returns {Promise<{results: Array, failures: Array}>} a diff per reprocessed entry and
+ *   { collectionEntryId, entryId, error } per failure
+ */
+async function reprocessCollectionEntries(collection, collectionEntries) {
+  const results = [];
+  const failures = [];
+
+  for (const ce of collectionEntries) {
+    // Get the source entry
+    const entry = await Entry.findById(ce.entryId);
+    if (!entry) {
+      failures.push({ collectionEntryId: ce.id, entryId: ce.entryId, error: 'Source entry not found' });
+      continue;
+    }
+
+    try {
+      const previousData = { ...ce.formattedData };
+      await ce.reprocess(entry.content, collection.entryFormat, {
+        instructions: collection.instructions
+      });
+
+      results.push({
+        collectionEntryId: ce.id,
+        entryId: ce.entryId,
+        diff: diffFormattedData(previousData, ce.formattedData),
+        userOverrides: ce.userOverrides
+      });
+    } catch (error) {
+      console.error(`[REPROCESS] Failed for ${ce.id}:`, error.message);
+      failures.push({ collectionEntryId: ce.id, entryId: ce.entryId, error: error.message });
+    }
+  }
+
+  return { results, failures };
+}
+
+module.exports = {
+  reprocessCollectionEntries
+};
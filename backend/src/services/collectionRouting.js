@@ -0,0 +1,349 @@
+const { Collection, CollectionEntry, Entry, InferenceSuggestion } = require('../models');
+const { inferCollectionFromContent, generateCollectionDetails } = require('./collectionInference');
+const { getInferenceSettings } = require('./inferenceSettings');
+
+const CONTENT_PREVIEW_LENGTH = 300;
+// How many past rejections are fed back into the inference prompt
+const REJECTION_HISTORY_LIMIT = 20;
+
+/**
+ * Wraps an inferred entryFormat in the { fields, version } shape collections store
+ */
+function normalizeEntryFormat(entryFormat) {
+  if (!entryFormat) return null;
+  if (Array.isArray(entryFormat)) {
+    return entryFormat.length > 0 ? { fields: entryFormat, version: 1 } : null;
+  }
+  return entryFormat.fields ? entryFormat : null;
+}
+
+/**
+ * Builds the name list and instructions map inference uses as context
+ */
+function buildCollectionContext(collections) {
+  const collectionNames = collections.map(c => c.name);
+  const collectionInstructions = {};
+  collections.forEach(c => {
+    if (c.instructions) {
+      collectionInstructions[c.name] = c.instructions;
+    }
+  });
+  return { collectionNames, collectionInstructions };
+}
+
+/**
+ * Creates a collection for an inferred name with AI-generated details
+ */
+async function createInferredCollection(userId, assignment, content, entryId, source) {
+  const details = await generateCollectionDetails(assignment.collectionName, '', content);
+
+  return Collection.create({
+    userId,
+    name: details.name || assignment.collectionName,
+    instructions: details.instructions || `Add entries related to ${details.name}`,
+    icon: Collection.getDefaultIcon(details.name || assignment.collectionName),
+    color: details.color || '#6366f1',
+    entryFormat: normalizeEntryFormat(assignment.entryFormat),
+    metadata: {
+      source,
+      firstEntry: entryId,
+      inferredAt: new Date()
+    }
+  });
+}
+
+/**
+ * Links an entry to one collection unless it's already there
+ */
+async function linkEntry(entry, collection, formattedData, metadata) {
+  const existing = await CollectionEntry.findByEntryAndCollection(entry.id, collection.id);
+  if (existing) {
+    return { status: 'already_in_collection', collectionEntry: existing };
+  }
+
+  const collectionEntry = await CollectionEntry.create({
+    userId: entry.userId,
+    collectionId: collection.id,
+    entryId: entry.id,
+    formattedData,
+    metadata
+  });
+
+  if (!entry.collectionIds.includes(collection.id)) {
+    entry.collectionIds.push(collection.id);
+  }
+
+  return { status: 'added', collectionEntry };
+}
+
+function describeResult(links) {
+  const added = links.filter(link => link.status === 'added');
+  if (added.length === 0) {
+    const names = links.map(link => `"${link.collection.name}"`).join(', ');
+    return links.length === 1
+      ? `Entry already in collection ${names}`
+      : `Entry already in collections ${names}`;
+  }
+
+  if (added.length === 1) {
+    const { collection, wasNewCollection } = added[0];
+    return wasNewCollection
+      ? `Created new collection "${collection.name}" and added entry`
+      : `Added entry to existing collection "${collection.name}"`;
+  }
+
+  return `Added entry to ${added.length} collections: ${added.map(link => `"${link.collection.name}"`).join(', ')}`;
+}
+
+/**
+ * Finds or creates the collection an assignment names and links the entry to it
+ * @param {Array<Collection>} collections - The user's collections; new ones are appended
+ */
+async function applyAssignment(entry, assignment, collections, { source, content, formattedData = {}, metadata = {} }) {
+  let collection = collections.find(c =>
+    c.name.toLowerCase() === assignment.collectionName.toLowerCase()
+  );
+  let wasNewCollection = false;
+
+  if (!collection) {
+    console.log(`[ROUTING] Creating new collection: ${assignment.collectionName}`);
+    collection = await createInferredCollection(entry.userId, assignment, content, entry.id, source);
+    collections.push(collection);
+    wasNewCollection = true;
+  }
+
+  const link = await linkEntry(
+    entry,
+    collection,
+    { ...assignment.extractedData, ...formattedData },
+    { source, inferredAt: new Date(), confidence: assignment.confidence, fallback: false, ...metadata }
+  );
+
+  return {
+    ...link,
+    collection,
+    wasNewCollection,
+    confidence: assignment.confidence,
+    reasoning: assignment.reasoning || null
+  };
+}
+
+/**
+ * Holds a low-confidence assignment for review, unless one is already pending
+ */
+async function queueSuggestion(entry, assignment, collections, { source, content }) {
+  const pending = await InferenceSuggestion.findPending(entry.id, assignment.collectionName);
+  if (pending) return pending;
+
+  const existing = collections.find(c =>
+    c.name.toLowerCase() === assignment.collectionName.toLowerCase()
+  );
+
+  return InferenceSuggestion.create({
+    userId: entry.userId,
+    entryId: entry.id,
+    collectionName: existing ? existing.name : assignment.collectionName,
+    collectionId: existing ? existing.id : null,
+    shouldCreateCollection: !existing,
+    confidence: assignment.confidence,
+    reasoning: assignment.reasoning,
+    extractedData: assignment.extractedData,
+    entryFormat: assignment.entryFormat || null,
+    contentPreview: (content || '').substring(0, CONTENT_PREVIEW_LENGTH),
+    metadata: { source }
+  });
+}
+
+/**
+ * Loads the user's recent rejections in the shape inference expects
+ */
+async function loadRejections(userId) {
+  const rejected = await InferenceSuggestion.findByUserId(userId, {
+    status: 'rejected',
+    limit: REJECTION_HISTORY_LIMIT
+  });
+
+  return rejected.map(suggestion => ({
+    collectionName: suggestion.collectionName,
+    content: suggestion.contentPreview,
+    reason: suggestion.resolution?.reason || null
+  }));
+}
+
+/**
+ * Infers every collection an entry belongs to and links it to each one,
+ * creating collections that don't exist yet. Assignments below the user's
+ * autoApplyThreshold are stored as pending suggestions instead.
+ *
+ * @param {Entry} entry - The saved entry to route
+ * @param {Object} options
+ * @param {string} options.source - Metadata source tag for created records
+ * @param {string} options.content - Content to infer from (defaults to entry.content)
+ * @param {Object} options.formattedData - Extra fields merged over each assignment's extracted data
+ * @param {Object} options.fallbackCollection - { name, instructions } used when nothing is applied
+ *   or suggested
+ * @param {number} options.threshold - Overrides the user's autoApplyThreshold
+ * @returns {Promise<Object>} result with
+ *   - status: 'added' (linked to at least one new collection) | 'already_in_collection'
+ *     | 'pending_review' (only suggestions) | 'no_match'
+ *   - assignments: one { status, collection, collectionEntry, wasNewCollection, confidence, reasoning }
+ *     per linked collection, most confident first
+ *   - suggestions: InferenceSuggestions waiting for review
+ *   - collection, collectionEntry, wasNewCollection: the most confident assignment, for callers
+ *     that only show one
+ *   - entryId, usedFallback, inference and message
+ */
+async function routeEntryToCollection(entry, options = {}) {
+  const {
+    source = 'inference',
+    content = entry.content,
+    formattedData = {},
+    fallbackCollection = null
+  } = options;
+  const userId = entry.userId;
+
+  const result = {
+    status: 'no_match',
+    entryId: entry.id,
+    assignments: [],
+    suggestions: [],
+    collection: null,
+    collectionEntry: null,
+    wasNewCollection: false,
+    usedFallback: false,
+    inference: null,
+    message: 'No collection pattern detected'
+  };
+
+  // Existing collections (with their instructions) give inference its context
+  const [existingCollections, settings, rejections] = await Promise.all([
+    Collection.findByUserId(userId),
+    getInferenceSettings(userId),
+    loadRejections(userId)
+  ]);
+  const { collectionNames, collectionInstructions } = buildCollectionContext(existingCollections);
+  const threshold = options.threshold ?? settings.autoApplyThreshold;
+
+  console.log(`[ROUTING] Routing entry ${entry.id} against ${existingCollections.length} collections (threshold ${threshold})`);
+
+  const inference = content
+    ? await inferCollectionFromContent(content, collectionNames, collectionInstructions, { rejections })
+    : null;
+  result.inference = inference;
+
+  const links = [];
+  const linkedIds = new Set();
+
+  for (const assignment of inference?.assignments || []) {
+    if (assignment.confidence < threshold) {
+      console.log(`[ROUTING] ${assignment.collectionName} below threshold (${assignment.confidence}), queueing for review`);
+      result.suggestions.push(await queueSuggestion(entry, assignment, existingCollections, { source, content }));
+      continue;
+    }
+
+    const link = await applyAssignment(entry, assignment, existingCollections, { source, content, formattedData });
+
+    // Two assignments can resolve to the same collection
+    if (linkedIds.has(link.collection.id)) continue;
+    linkedIds.add(link.collection.id);
+    links.push(link);
+  }
+
+  // Suggestions still decide where the entry goes, so it isn't filed in the fallback meanwhile
+  if (links.length === 0 && result.suggestions.length === 0 && fallbackCollection) {
+    const collection = await Collection.findOrCreateByName(userId, fallbackCollection.name, fallbackCollection.instructions);
+    const link = await linkEntry(
+      entry,
+      collection,
+      { ...formattedData },
+      { source, inferredAt: new Date(), confidence: null, fallback: true }
+    );
+
+    links.push({ ...link, collection, wasNewCollection: false, confidence: null, reasoning: null });
+    result.usedFallback = true;
+  }
+
+  if (links.length === 0) {
+    if (result.suggestions.length > 0) {
+      result.status = 'pending_review';
+      result.message = `${result.suggestions.length} collection suggestion(s) waiting for review`;
+    } else {
+      console.log(`[ROUTING] No collection pattern detected for entry ${entry.id}`);
+    }
+    return result;
+  }
+
+  await Promise.all(
+    links.filter(link => link.status === 'added').map(link => link.collection.updateStats())
+  );
+
+  const [primary] = links;
+  result.assignments = links;
+  result.collection = primary.collection;
+  result.collectionEntry = primary.collectionEntry;
+  result.wasNewCollection = primary.wasNewCollection;
+  result.status = links.some(link => link.status === 'added') ? 'added' : 'already_in_collection';
+  result.message = describeResult(links);
+
+  console.log(`[ROUTING] ${result.message}`);
+  return result;
+}
+
+/**
+ * Applies a pending suggestion, optionally with the user's edits
+ *
+ * @param {InferenceSuggestion} suggestion - A pending suggestion
+ * @param {Object} edits
+ * @param {Collection} edits.collection - Use this collection instead of the suggested one
+ * @param {string} edits.collectionName - Use (or create) a collection with this name instead
+ * @param {Object} edits.formattedData - Field values merged over the extracted data
+ * @returns {Promise<{suggestion, collection, collectionEntry, wasNewCollection, status}>}
+ */
+async function acceptSuggestion(suggestion, edits = {}) {
+  const entry = await Entry.findById(suggestion.entryId);
+  if (!entry) {
+    throw new Error('Entry for this suggestion no longer exists');
+  }
+
+  const collections = await Collection.findByUserId(suggestion.userId);
+  const assignment = {
+    collectionName: edits.collection?.name || edits.collectionName || suggestion.collectionName,
+    confidence: suggestion.confidence,
+    reasoning: suggestion.reasoning,
+    extractedData: suggestion.extractedData,
+    // Inferred fields only describe the suggested collection
+    entryFormat: edits.collection || edits.collectionName ? null : suggestion.entryFormat
+  };
+  const edited = !!(edits.collection || edits.collectionName || edits.formattedData);
+
+  const link = await applyAssignment(entry, assignment, collections, {
+    source: 'suggestion_review',
+    content: entry.content,
+    formattedData: edits.formattedData || {},
+    metadata: { suggestionId: suggestion.id, edited }
+  });
+
+  if (link.status === 'added') {
+    await link.collection.updateStats();
+  }
+
+  await suggestion.resolve('accepted', {
+    collectionId: link.collection.id,
+    collectionEntryId: link.collectionEntry.id,
+    edited
+  });
+
+  return {
+    suggestion,
+    status: link.status,
+    collection: link.collection,
+    collectionEntry: link.collectionEntry,
+    wasNewCollection: link.wasNewCollection
+  };
+}
+
+module.exports = {
+  routeEntryToCollection,
+  acceptSuggestion,
+  normalizeEntryFormat
+};
@@ -1,9 +1,21 @@
-const { chatCompletion } = require('./openai');
+const { isConfigured } = require('./llm');
+const { chatJSON } = require('./structuredOutput');
+
+const RULES_SCHEMA = {
+  type: 'object',
+  properties: {
+    keywords: { type: 'array', items: { type: 'string' } },
+    patterns: { type: 'array', items: { type: 'string' } },
+    examples: { type: 'array', items: { type: 'string' } },
+    description: { type: 'string' }
+  },
+  required: ['keywords', 'patterns', 'examples', 'description']
+};
 
 async function generateCollectionRules(collectionName, description = '') {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      // Return basic rules if OpenAI is not configured
+    if (!isConfigured('collection.rules')) {
+      // Return basic rules if no provider is configured
       return {
         keywords: [collectionName.toLowerCase()],
         patterns: [],
@@ -36,28 +48,19 @@ Return ONLY valid JSON, no markdown or explanation.`;
       }
     ];
 
-    const response = await chatCompletion(messages, 'gpt-4o-mini', {
+    const rules = await chatJSON({
+      messages,
+      schema: RULES_SCHEMA,
+      schemaName: 'collection_rules',
+      callSite: 'collection.rules',
+      context: { name: collectionName, description },
       temperature: 0.3,
       max_tokens: 200  // Rules object with keywords, patterns, examples
     });
-    const rulesText = response.content;
     
-    // Parse the JSON response
-    try {
-      const rules = JSON.parse(rulesText);
-      return rules;
-    } catch (parseError) {
-      console.error('Failed to parse AI rules:', parseError);
-      // Fallback to basic rules
-      return {
-        keywords: [collectionName.toLowerCase()],
-        patterns: [],
-        examples: [],
-        description: description || `Entries related to ${collectionName}`
-      };
-    }
+    return rules;
   } catch (error) {
-    console.error('Error generating collection rules:', error);
+    console.error(`Error generating collection rules (${error.code || 'UNKNOWN'}):`, error.message);
     // Fallback to basic rules
     return {
       keywords: [collectionName.toLowerCase()],
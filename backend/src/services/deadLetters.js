@@ -0,0 +1,55 @@
+const { DeadLetter } = require('../models');
+const { enqueueJob } = require('./queue');
+
+/**
+ * Dead-letter store for background jobs that exhausted their retries.
+ * runJob records them; admins replay them through the normal queue.
+ */
+
+/**
+ * Captures a job's final failure with its original payload and every
+ * attempt's error. Never throws - losing the record must not hide the
+ * job's own error.
+ *
+ * @param {Job} job - the failed job (errors already include the last attempt)
+ * @param {string} path - worker path
+ * @param {Object} payload - the delivered job body
+ */
+async function recordDeadLetter(job, path, payload) {
+  try {
+    const { jobId, timestamp, ...originalPayload } = payload;
+
+    const deadLetter = await DeadLetter.create({
+      jobId: job.id,
+      userId: job.userId,
+      type: job.type,
+      path,
+      payload: originalPayload,
+      errors: job.errors,
+      attempts: job.attempts
+    });
+
+    console.error(`[DEAD-LETTER] ${path} job ${job.id} dead-lettered as ${deadLetter.id}: ${job.error?.message}`);
+    return deadLetter;
+  } catch (error) {
+    console.error(`[DEAD-LETTER] Failed to record dead letter for job ${job.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Queues a dead-lettered payload again as a new job
+ * @returns {Promise<string>} the new job's id
+ */
+async function replayDeadLetter(deadLetter, { replayedBy = null } = {}) {
+  const jobId = await enqueueJob(deadLetter.path, deadLetter.payload, { userId: deadLetter.userId });
+  await deadLetter.recordReplay(jobId, replayedBy);
+
+  console.log(`[DEAD-LETTER] Replayed ${deadLetter.id} as job ${jobId}`);
+  return jobId;
+}
+
+module.exports = {
+  recordDeadLetter,
+  replayDeadLetter
+};
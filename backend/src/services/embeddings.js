@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { Entry, Thought, CollectionEntry, Message, Conversation } = require('../models');
+const { generateEmbedding } = require('./openai');
+const { forCallSite, isConfigured } = require('./llm');
+const { getVectorIndex } = require('./vectorIndex');
+const { getSessionStore } = require('./sessionStore');
+const { tokenize } = require('./vectorIndex/scoring');
+
+const SOURCE_TYPES = ['entry', 'thought', 'collection_entry', 'message'];
+
+// Keep embedding inputs well under the model's token limit
+const MAX_TEXT_LENGTH = 8000;
+
+// Writes to a document within this many seconds share one embedding job,
+// which runs once the window closes. EMBEDDING_COALESCE_SECONDS=0 queues
+// every write straight away.
+const PENDING_NAMESPACE = 'embedding_pending';
+const DEFAULT_COALESCE_SECONDS = 10;
+
+function coalesceSeconds() {
+  const value = parseInt(process.env.EMBEDDING_COALESCE_SECONDS, 10);
+  return Number.isNaN(value) ? DEFAULT_COALESCE_SECONDS : value;
+}
+
+function recordId(sourceType, sourceId) {
+  return `${sourceType}_${sourceId}`;
+}
+
+function joinText(parts) {
+  return parts
+    .filter(part => typeof part === 'string' && part.trim())
+    .join('\n')
+    .substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Loaders return what gets indexed for a document, or null if it's gone:
+ * { userId, text, spaceIds, collectionIds, createdAt }
+ */
+const loaders = {
+  async entry(id) {
+    const entry = await Entry.findById(id);
+    if (!entry) return null;
+    return {
+      userId: entry.userId,
+      text: joinText([entry.title, entry.content, entry.tags.join(' ')]),
+      spaceIds: entry.spaceIds,
+      collectionIds: entry.collectionIds,
+      createdAt: entry.createdAt
+    };
+  },
+
+  async thought(id) {
+    const thought = await Thought.findById(id);
+    if (!thought) return null;
+    return {
+      userId: thought.userId,
+      text: joinText([thought.content, ...thought.insights, thought.tags.join(' ')]),
+      spaceIds: thought.spaceIds,
+      collectionIds: [],
+      createdAt: thought.createdAt
+    };
+  },
+
+  async collection_entry(id) {
+    const collectionEntry = await CollectionEntry.findById(id);
+    if (!collectionEntry) return null;
+
+    // Index the structured fields alongside the entry text they came from
+    const entry = await Entry.findById(collectionEntry.entryId);
+    const fields = Object.entries(collectionEntry.getDisplayData())
+      .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+      .map(([key, value]) => `${key}: ${value}`);
+
+    return {
+      userId: collectionEntry.userId,
+      text: joinText([entry?.content, ...fields]),
+      spaceIds: entry?.spaceIds || [],
+      collectionIds: [collectionEntry.collectionId],
+      createdAt: collectionEntry.createdAt
+    };
+  },
+
+  async message(id) {
+    const message = await Message.findById(id);
+    if (!message) return null;
+
+    // Assistant messages carry userId 'assistant', so ownership comes from the conversation
+    const conversation = await Conversation.findById(message.conversationId);
+    if (!conversation) return null;
+
+    return {
+      userId: conversation.userId,
+      text: joinText([message.content]),
+      spaceIds: conversation.spaceIds || [],
+      collectionIds: [],
+      createdAt: message.createdAt
+    };
+  }
+};
+
+/**
+ * Computes and stores the embedding for one document. Documents whose text
+ * hasn't changed keep their vector and only get their filter fields refreshed.
+ *
+ * @param {string} sourceType - entry | thought | collection_entry | message
+ * @param {string} sourceId
+ * @returns {Promise<{status: 'indexed' | 'unchanged' | 'removed'}>}
+ */
+async function indexDocument(sourceType, sourceId) {
+  const loader = loaders[sourceType];
+  if (!loader) {
+    throw new Error(`Unknown search source type: ${sourceType}`);
+  }
+
+  const index = getVectorIndex();
+  const id = recordId(sourceType, sourceId);
+  const source = await loader(sourceId);
+
+  if (!source || !source.text) {
+    await index.remove(id);
+    return { status: 'removed' };
+  }
+
+  const { model } = forCallSite('embedding');
+  const contentHash = crypto.createHash('sha1').update(`${model}:${source.text}`).digest('hex');
+  const existing = await index.get(id);
+  const unchanged = existing && existing.contentHash === contentHash;
+
+  const vector = unchanged
+    ? existing.vector
+    : await generateEmbedding(source.text, { callSite: 'embedding' });
+
+  await index.upsert({
+    id,
+    userId: source.userId,
+    sourceType,
+    sourceId,
+    vector,
+    model,
+    text: source.text,
+    terms: [...new Set(tokenize(source.text))],
+    contentHash,
+    spaceIds: source.spaceIds || [],
+    collectionIds: source.collectionIds || [],
+    createdAt: source.createdAt,
+    updatedAt: new Date()
+  });
+
+  return { status: unchanged ? 'unchanged' : 'indexed' };
+}
+
+async function removeDocument(sourceType, sourceId) {
+  await getVectorIndex().remove(recordId(sourceType, sourceId));
+  return { status: 'removed' };
+}
+
+/**
+ * Queues the embedding job for a write, unless one is already waiting on the
+ * document: jobs re-read it when they run, so a pending upsert covers later
+ * writes and deletes alike. The pending marker is claimed atomically, so
+ * concurrent writes queue one job between them.
+ */
+async function enqueueCoalesced(sourceType, sourceId, operation) {
+  const delay = coalesceSeconds();
+  const store = getSessionStore();
+  const key = recordId(sourceType, sourceId);
+
+  if (delay > 0) {
+    const claim = crypto.randomUUID();
+    const pending = await store.modify(PENDING_NAMESPACE, key, current => {
+      if (current && (current.operation === 'upsert' || operation === 'delete')) return null;
+      return { operation, claim };
+    }, { ttlSeconds: delay });
+
+    if (pending?.claim !== claim) return null;
+  }
+
+  // Required lazily: the queue's worker handlers depend on this module
+  const { enqueueEmbedding } = require('./queue');
+  try {
+    return await enqueueEmbedding(sourceType, sourceId, operation, { delay });
+  } catch (error) {
+    // Let the next write queue the job instead of coalescing into nothing
+    if (delay > 0) await store.remove(PENDING_NAMESPACE, key);
+    throw error;
+  }
+}
+
+/**
+ * Schedules (re)indexing of a document after a write on the job queue.
+ * Never throws - search staying a little stale must not fail the write.
+ *
+ * @param {string} sourceType
+ * @param {string} sourceId
+ * @param {string} operation - 'upsert' or 'delete'
+ */
+function queueEmbedding(sourceType, sourceId, operation = 'upsert') {
+  if (!sourceId || !isConfigured('embedding')) return;
+
+  enqueueCoalesced(sourceType, sourceId, operation).catch(error => {
+    console.error(`[EMBEDDINGS] Failed to enqueue ${operation} for ${sourceType} ${sourceId}:`, error.message);
+  });
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  indexDocument,
+  removeDocument,
+  queueEmbedding
+};
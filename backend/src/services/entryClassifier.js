@@ -1,6 +1,50 @@
-const { chatCompletion } = require('./openai');
+const { chatJSON } = require('./structuredOutput');
 const { Collection, Entry } = require('../models');
 
+const INTEREST_SCHEMA = {
+  type: 'object',
+  properties: {
+    isInteresting: { type: 'boolean' },
+    reasoning: { type: 'string' }
+  },
+  required: ['isInteresting', 'reasoning']
+};
+
+const BULK_BATCH_SIZE = 20;
+const BULK_PREVIEW_LENGTH = 300;
+
+const BULK_CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    classifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          entryId: { type: 'string' },
+          collectionName: { type: ['string', 'null'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          reasoning: { type: 'string' }
+        },
+        required: ['entryId', 'collectionName', 'confidence']
+      }
+    }
+  },
+  required: ['classifications']
+};
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    shouldSave: { type: 'boolean' },
+    collectionId: { type: ['string', 'null'] },
+    collectionName: { type: ['string', 'null'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  },
+  required: ['shouldSave', 'collectionName', 'confidence', 'reasoning']
+};
+
 /**
  * Quick check if content is potentially worth saving
  * @param {string} content - The content to check
@@ -32,20 +76,17 @@ Return JSON only: { "isInteresting": boolean, "reasoning": "brief reason" }`;
       }
     ];
 
-    const response = await chatCompletion(messages, 'gpt-4o-mini', {
+    return await chatJSON({
+      messages,
+      schema: INTEREST_SCHEMA,
+      schemaName: 'content_interest',
+      callSite: 'classifier.interest',
+      context: { content, collectionNames },
       temperature: 0.3,
-      max_tokens: 50  // Just need { "isInteresting": true, "reasoning": "short reason" }
+      max_tokens: 80  // Just need { "isInteresting": true, "reasoning": "short reason" }
     });
-    const responseText = response.content;
-    
-    try {
-      return JSON.parse(responseText);
-    } catch {
-      // Default to interesting if parsing fails
-      return { isInteresting: true, reasoning: 'Parse error - defaulting to interesting' };
-    }
   } catch (error) {
-    console.error('Error checking content interest:', error);
+    console.error(`Error checking content interest (${error.code || 'UNKNOWN'}):`, error.message);
     // Default to interesting on error
     return { isInteresting: true, reasoning: 'Error - defaulting to interesting' };
   }
@@ -113,57 +154,153 @@ Return JSON only, no explanation:
       }
     ];
 
-    const response = await chatCompletion(messages, 'gpt-4o-mini', {
+    const classification = await chatJSON({
+      messages,
+      schema: CLASSIFICATION_SCHEMA,
+      schemaName: 'content_classification',
+      callSite: 'classifier.route',
+      context: {
+        content,
+        collections: collections.map(col => ({ id: col.id, name: col.name, keywords: col.rules?.keywords || [] }))
+      },
       temperature: 0.3,
-      max_tokens: 50  // Just need { "isInteresting": true, "reasoning": "short reason" }
+      max_tokens: 150  // Room for the full classification object
     });
-    const responseText = response.content;
     
-    // Parse the JSON response
-    try {
-      const classification = JSON.parse(responseText);
+    // Validate and find the actual collection if one was suggested
+    if (classification.shouldSave && classification.collectionName) {
+      const matchedCollection = collections.find(col => 
+        col.name.toLowerCase() === classification.collectionName.toLowerCase()
+      );
       
-      // Validate and find the actual collection if one was suggested
-      if (classification.shouldSave && classification.collectionName) {
-        const matchedCollection = collections.find(col => 
-          col.name.toLowerCase() === classification.collectionName.toLowerCase()
-        );
-        
-        if (matchedCollection) {
-          classification.collectionId = matchedCollection.id;
-        } else {
-          // Collection name didn't match, set to most likely based on confidence
-          classification.shouldSave = false;
-          classification.reasoning = 'Could not match to existing collection';
-        }
+      if (matchedCollection) {
+        classification.collectionId = matchedCollection.id;
+      } else {
+        // Collection name didn't match, set to most likely based on confidence
+        classification.shouldSave = false;
+        classification.reasoning = 'Could not match to existing collection';
       }
-      
-      return classification;
-    } catch (parseError) {
-      console.error('Failed to parse AI classification:', parseError);
-      console.error('Response was:', responseText);
-      
-      // Default to not saving if parsing fails
-      return {
-        shouldSave: false,
-        collectionId: null,
-        confidence: 0,
-        reasoning: 'Failed to parse classification'
-      };
     }
+    
+    return classification;
   } catch (error) {
-    console.error('Error classifying entry:', error);
+    console.error(`Error classifying entry (${error.code || 'UNKNOWN'}):`, error.message);
     
     // Default to not saving on error
     return {
       shouldSave: false,
       collectionId: null,
       confidence: 0,
-      reasoning: 'Classification error: ' + error.message
+      reasoning: error.code === 'PARSE_ERROR'
+        ? 'Failed to parse classification'
+        : 'Classification error: ' + error.message
     };
   }
 }
 
+/**
+ * Classifies one batch of entries against the user's collections
+ */
+async function classifyBatch(collections, collectionContext, entries) {
+  const entryList = entries
+    .map(entry => `[${entry.id}] ${(entry.content || entry.title || '').substring(0, BULK_PREVIEW_LENGTH)}`)
+    .join('\n');
+
+  const prompt = `User's collections:
+${collectionContext}
+
+Entries:
+${entryList}
+
+For each entry pick the single collection it fits best, or null if none fits.
+Return JSON only:
+{"classifications": [{"entryId": "id from brackets", "collectionName": "collection_name_or_null", "confidence": 0.0-1.0, "reasoning": "brief explanation"}]}`;
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You are a precise content classifier. Classify every entry you are given. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+
+  const result = await chatJSON({
+    messages,
+    schema: BULK_CLASSIFICATION_SCHEMA,
+    schemaName: 'bulk_classification',
+    callSite: 'classifier.bulk',
+    context: {
+      collections: collections.map(col => ({ id: col.id, name: col.name, keywords: col.rules?.keywords || [] })),
+      entries: entries.map(entry => ({ id: entry.id, content: entry.content || entry.title || '' }))
+    },
+    temperature: 0.2,
+    max_tokens: 60 * entries.length + 50
+  });
+
+  return result.classifications;
+}
+
+/**
+ * Classifies many entries into the user's existing collections, a batch
+ * of entries per model call
+ * @param {string} userId - The user's ID
+ * @param {Array<Entry>} entries - Entries to classify
+ * @returns {Promise<{classifications: Array, unassigned: string[], failedBatches: number}>}
+ *   classifications: [{ entryId, collectionId, collectionName, confidence, reasoning }]
+ */
+async function bulkCategorize(userId, entries) {
+  const collections = await Collection.findByUserId(userId);
+  if (collections.length === 0 || entries.length === 0) {
+    return { classifications: [], unassigned: entries.map(entry => entry.id), failedBatches: 0 };
+  }
+
+  const collectionContext = collections.map(col => {
+    return `- ${col.name}: ${col.description || col.instructions || 'No description'}`;
+  }).join('\n');
+  const collectionsByName = new Map(collections.map(col => [col.name.toLowerCase(), col]));
+  const entryIds = new Set(entries.map(entry => entry.id));
+
+  const classifications = [];
+  let failedBatches = 0;
+
+  for (let i = 0; i < entries.length; i += BULK_BATCH_SIZE) {
+    const batch = entries.slice(i, i + BULK_BATCH_SIZE);
+
+    try {
+      const results = await classifyBatch(collections, collectionContext, batch);
+
+      results.forEach(result => {
+        const collection = result.collectionName && collectionsByName.get(result.collectionName.toLowerCase());
+        // Ignore ids the model made up, duplicates and names that aren't the user's collections
+        if (!entryIds.has(result.entryId) || !collection) return;
+        if (classifications.some(existing => existing.entryId === result.entryId)) return;
+
+        classifications.push({
+          entryId: result.entryId,
+          collectionId: collection.id,
+          collectionName: collection.name,
+          confidence: result.confidence,
+          reasoning: result.reasoning || ''
+        });
+      });
+    } catch (error) {
+      console.error(`[CLASSIFIER] Failed to classify batch starting at ${i}:`, error.message);
+      failedBatches++;
+    }
+  }
+
+  const classified = new Set(classifications.map(classification => classification.entryId));
+
+  return {
+    classifications,
+    unassigned: entries.map(entry => entry.id).filter(id => !classified.has(id)),
+    failedBatches
+  };
+}
+
 /**
  * Check if content is explicitly directed at a collection (e.g., "CollectionName: content")
  */
@@ -181,5 +318,6 @@ function checkExplicitCollection(content) {
 module.exports = {
   isContentInteresting,
   classifyAndRoute,
+  bulkCategorize,
   checkExplicitCollection
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+const { chatJSON } = require('./structuredOutput');
+
+// Field types a collection entryFormat can declare; anything else is read as text
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean'];
+
+/**
+ * Normalizes a collection entryFormat into its list of fields.
+ * Collections store either { fields: [...], version } or a bare array of fields.
+ */
+function getFormatFields(entryFormat) {
+  if (!entryFormat) return [];
+  if (Array.isArray(entryFormat)) return entryFormat;
+  return Array.isArray(entryFormat.fields) ? entryFormat.fields : [];
+}
+
+/**
+ * Coerces an extracted value to the type declared by its field
+ */
+function coerceFieldValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value));
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return ['true', 'yes', '1'].includes(String(value).toLowerCase());
+    default:
+      return typeof value === 'string' ? value : String(value);
+  }
+}
+
+/**
+ * Extracts structured data from entry content to match a collection's entryFormat.
+ *
+ * Example: "boy smells ash candle is 8/10" with fields name/brand/rating
+ * -> { name: "Ash", brand: "Boy Smells", rating: 8 }
+ *
+ * @param {string} content - The source entry content
+ * @param {Object|Array} entryFormat - The collection entryFormat
+ * @param {Object} options - { instructions } collection guidance for the model
+ * @returns {Promise<Object>} formattedData keyed by field key
+ */
+async function extractFormattedData(content, entryFormat, options = {}) {
+  const fields = getFormatFields(entryFormat);
+  if (fields.length === 0) {
+    throw new Error('Entry format has no fields to extract');
+  }
+
+  const fieldList = fields
+    .map(field => `- ${field.key} (${field.type || 'text'}): ${field.label || field.key}`)
+    .join('\n');
+
+  const prompt = `Content: "${content}"
+${options.instructions ? `Collection instructions: ${options.instructions}\n` : ''}
+Fields to extract:
+${fieldList}
+
+Return JSON with exactly these keys. Use null for anything the content doesn't mention:
+{${fields.map(field => `"${field.key}": ...`).join(', ')}}`;
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You extract structured fields from short personal notes. Never invent values. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+
+  const schema = {
+    type: 'object',
+    properties: {},
+    required: fields.map(field => field.key)
+  };
+
+  const extracted = await chatJSON({
+    messages,
+    schema,
+    schemaName: 'entry_fields',
+    callSite: 'entry.extract',
+    context: { content, fields },
+    temperature: 0.1,
+    max_tokens: 300
+  });
+
+  const formattedData = {};
+  fields.forEach(field => {
+    formattedData[field.key] = coerceFieldValue(extracted[field.key], field.type);
+  });
+
+  return formattedData;
+}
+
+/**
+ * Compares two formattedData objects field by field
+ * @returns {{added: Object, removed: Object, changed: Object}}
+ */
+function diffFormattedData(before = {}, after = {}) {
+  const diff = { added: {}, removed: {}, changed: {} };
+
+  Object.keys(after).forEach(key => {
+    if (!(key in before)) {
+      diff.added[key] = after[key];
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff.changed[key] = { from: before[key], to: after[key] };
+    }
+  });
+
+  Object.keys(before).forEach(key => {
+    if (!(key in after)) {
+      diff.removed[key] = before[key];
+    }
+  });
+
+  return diff;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  getFormatFields,
+  extractFormattedData,
+  diffFormattedData
+};
@@ -0,0 +1,231 @@
+const { chatJSON } = require('./structuredOutput');
+const { Entry, Collection } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMEFRAME_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+
+// Caps on what goes into a single prompt
+const MAX_PROMPT_ENTRIES = 60;
+const CONTENT_PREVIEW_LENGTH = 400;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    highlights: { type: 'array', items: { type: 'string' } },
+    themes: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['summary', 'highlights', 'themes']
+};
+
+const INSIGHTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    themes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          entryIds: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['name', 'description']
+      }
+    },
+    trends: { type: 'array', items: { type: 'string' } },
+    suggestions: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['summary', 'themes', 'trends']
+};
+
+function toDate(value) {
+  return value?.toDate ? value.toDate() : new Date(value);
+}
+
+function formatEntries(entries) {
+  return entries.slice(0, MAX_PROMPT_ENTRIES).map(entry => {
+    const date = toDate(entry.createdAt).toISOString().split('T')[0];
+    const title = entry.title ? `${entry.title}: ` : '';
+    return `[${entry.id}] ${date} ${title}${(entry.content || '').substring(0, CONTENT_PREVIEW_LENGTH)}`;
+  }).join('\n');
+}
+
+function promptEntries(entries) {
+  return entries.slice(0, MAX_PROMPT_ENTRIES).map(entry => ({
+    id: entry.id,
+    title: entry.title,
+    content: (entry.content || '').substring(0, CONTENT_PREVIEW_LENGTH),
+    tags: entry.tags
+  }));
+}
+
+function countBy(values) {
+  return values.reduce((counts, value) => {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function topCounts(counts, limit) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Summarises a set of entries
+ * @param {Array<Entry>} entries - newest first; only the first 60 reach the model
+ * @returns {Promise<{summary: string, highlights: string[], themes: string[], entryCount: number, entryIds: string[]}>}
+ */
+async function generateEntrySummary(entries) {
+  const entryIds = entries.map(entry => entry.id);
+  if (entries.length === 0) {
+    return { summary: 'No entries to summarize.', highlights: [], themes: [], entryCount: 0, entryIds };
+  }
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You summarise a person\'s journal entries back to them. Write in the second person, warmly and concisely. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: `Summarise these ${entries.length} entries.
+
+Entries:
+${formatEntries(entries)}
+
+Return JSON:
+{"summary": "2-4 sentences", "highlights": ["notable moments, up to 5"], "themes": ["recurring topics, up to 5"]}`
+    }
+  ];
+
+  const result = await chatJSON({
+    messages,
+    schema: SUMMARY_SCHEMA,
+    schemaName: 'entry_summary',
+    callSite: 'entry.summary',
+    context: { entries: promptEntries(entries) },
+    temperature: 0.5,
+    max_tokens: 600
+  });
+
+  return { ...result, entryCount: entries.length, entryIds };
+}
+
+/**
+ * Resolves a named timeframe ending now
+ * @param {string} timeframe - week, month, quarter or year
+ */
+function resolveTimeframe(timeframe = 'month') {
+  const days = TIMEFRAME_DAYS[timeframe];
+  if (!days) {
+    throw new Error(`Unknown timeframe: ${timeframe}`);
+  }
+
+  const endDate = new Date();
+  return { name: timeframe, startDate: new Date(endDate.getTime() - days * DAY_MS), endDate };
+}
+
+/**
+ * Counts that don't need a model: volume, types, moods, tags and collections
+ */
+function computeStats(entries, collections) {
+  const collectionNames = new Map(collections.map(collection => [collection.id, collection.name]));
+  const activeDays = new Set(entries.map(entry => toDate(entry.createdAt).toISOString().split('T')[0]));
+
+  return {
+    entryCount: entries.length,
+    activeDays: activeDays.size,
+    byType: countBy(entries.map(entry => entry.type)),
+    byMood: countBy(entries.map(entry => entry.mood)),
+    topTags: topCounts(countBy(entries.flatMap(entry => entry.tags)), 10)
+      .map(({ value, count }) => ({ tag: value, count })),
+    topCollections: topCounts(countBy(entries.flatMap(entry => entry.collectionIds)), 5)
+      .filter(({ value }) => collectionNames.has(value))
+      .map(({ value, count }) => ({ collectionId: value, name: collectionNames.get(value), count }))
+  };
+}
+
+/**
+ * Themes and trends across a user's entries over a timeframe
+ * @param {string} userId
+ * @param {string} timeframe - week, month (default), quarter or year
+ * @returns {Promise<Object>} { timeframe, stats, summary, themes, trends, suggestions }
+ */
+async function generateInsights(userId, timeframe = 'month') {
+  const range = resolveTimeframe(timeframe);
+  const [entries, collections] = await Promise.all([
+    Entry.findByUserId(userId, { startDate: range.startDate, endDate: range.endDate }),
+    Collection.findByUserId(userId)
+  ]);
+
+  const stats = computeStats(entries, collections);
+  if (entries.length === 0) {
+    return {
+      timeframe: range,
+      stats,
+      summary: `No entries in the last ${timeframe}.`,
+      themes: [],
+      trends: [],
+      suggestions: []
+    };
+  }
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You find patterns in a person\'s journal. Ground every theme and trend in the entries and counts you are given; do not invent events. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: `Entries from the last ${timeframe} (newest first):
+${formatEntries(entries)}
+
+Counts: ${JSON.stringify(stats)}
+
+Return JSON:
+{
+  "summary": "2-3 sentences on the period",
+  "themes": [{"name": "short name", "description": "what keeps coming up", "entryIds": ["ids from brackets"]}],
+  "trends": ["changes over the period, e.g. more entries about sleep lately"],
+  "suggestions": ["optional gentle suggestions, up to 3"]
+}`
+    }
+  ];
+
+  const result = await chatJSON({
+    messages,
+    schema: INSIGHTS_SCHEMA,
+    schemaName: 'entry_insights',
+    callSite: 'entry.insights',
+    context: { timeframe, stats, entries: promptEntries(entries) },
+    temperature: 0.4,
+    max_tokens: 1000
+  });
+
+  // Drop entry ids the model made up
+  const knownIds = new Set(entries.map(entry => entry.id));
+  const themes = result.themes.map(theme => ({
+    ...theme,
+    entryIds: (theme.entryIds || []).filter(id => knownIds.has(id))
+  }));
+
+  return {
+    timeframe: range,
+    stats,
+    summary: result.summary,
+    themes,
+    trends: result.trends,
+    suggestions: result.suggestions || []
+  };
+}
+
+module.exports = {
+  TIMEFRAMES: Object.keys(TIMEFRAME_DAYS),
+  generateEntrySummary,
+  generateInsights
+};
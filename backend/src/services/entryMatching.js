@@ -0,0 +1,152 @@
+const { chatJSON } = require('./structuredOutput');
+const { getFormatFields } = require('./entryExtraction');
+
+const DEFAULT_BATCH_SIZE = 15;
+const CONTENT_PREVIEW_LENGTH = 300;
+
+// Scoring runs inside the request, so callers page through entries this many at a time
+const MATCH_PAGE_SIZE = 150;
+
+const MATCHES_SCHEMA = {
+  type: 'object',
+  properties: {
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          entryId: { type: 'string' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          reasoning: { type: 'string' }
+        },
+        required: ['entryId', 'confidence']
+      }
+    }
+  },
+  required: ['matches']
+};
+
+/**
+ * Builds the collection description the model scores entries against
+ */
+function describeCollection(collection) {
+  const lines = [`Collection: "${collection.name}"`];
+
+  if (collection.instructions) {
+    lines.push(`Instructions: ${collection.instructions}`);
+  }
+
+  const rules = collection.rules || {};
+  if (rules.description) lines.push(`Description: ${rules.description}`);
+  if (rules.keywords?.length) lines.push(`Keywords: ${rules.keywords.join(', ')}`);
+  if (rules.patterns?.length) lines.push(`Patterns: ${rules.patterns.join('; ')}`);
+  if (rules.examples?.length) lines.push(`Examples: ${rules.examples.join(' | ')}`);
+
+  const fields = getFormatFields(collection.entryFormat);
+  if (fields.length > 0) {
+    lines.push(`Entry fields: ${fields.map(f => f.label || f.key).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Scores one batch of entries against a collection
+ */
+async function scoreBatch(collection, collectionContext, entries) {
+  const entryList = entries
+    .map(entry => `[${entry.id}] ${(entry.content || entry.title || '').substring(0, CONTENT_PREVIEW_LENGTH)}`)
+    .join('\n');
+
+  const prompt = `${collectionContext}
+
+Entries:
+${entryList}
+
+For each entry decide how well it belongs in this collection.
+Return JSON:
+{"matches": [{"entryId": "id from brackets", "confidence": 0.0-1.0, "reasoning": "brief explanation"}]}`;
+
+  const messages = [
+    {
+      role: 'system',
+      content: 'You match personal notes to a collection. Score every entry you are given; low confidence for poor fits. Return only valid JSON.'
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+
+  const result = await chatJSON({
+    messages,
+    schema: MATCHES_SCHEMA,
+    schemaName: 'entry_matches',
+    callSite: 'entry.match',
+    context: {
+      collection: { name: collection.name, instructions: collection.instructions, rules: collection.rules },
+      entries: entries.map(entry => ({ id: entry.id, content: entry.content || entry.title || '' }))
+    },
+    temperature: 0.2,
+    max_tokens: 60 * entries.length + 50
+  });
+
+  return result.matches;
+}
+
+/**
+ * Scores entries against a collection's instructions, rules and entryFormat.
+ * Every entry passed in is scored; keep it to about MATCH_PAGE_SIZE per call.
+ *
+ * @param {Collection} collection - The target collection
+ * @param {Array<Entry>} entries - Candidate entries (already filtered to unassigned)
+ * @param {Object} options - { batchSize, minConfidence }
+ * @returns {Promise<{candidates: Array, failedBatches: number, scored: number}>} one candidate
+ *   per entry, sorted by confidence desc
+ */
+async function scoreEntriesForCollection(collection, entries, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const minConfidence = options.minConfidence ?? 0.5;
+  const collectionContext = describeCollection(collection);
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+
+  // Keyed by entry id: the model can score an entry more than once
+  const candidates = new Map();
+  let failedBatches = 0;
+
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+
+    try {
+      const matches = await scoreBatch(collection, collectionContext, batch);
+
+      matches.forEach(match => {
+        const entry = entriesById.get(match.entryId);
+        const confidence = Number(match.confidence);
+        // Ignore ids the model made up and anything below the threshold
+        if (!entry || !Number.isFinite(confidence) || confidence < minConfidence) return;
+        if (candidates.get(entry.id)?.confidence >= confidence) return;
+
+        candidates.set(entry.id, {
+          entry,
+          confidence,
+          reasoning: match.reasoning || ''
+        });
+      });
+    } catch (error) {
+      console.error(`[MATCHING] Failed to score batch starting at ${i}:`, error.message);
+      failedBatches++;
+    }
+  }
+
+  return {
+    candidates: [...candidates.values()].sort((a, b) => b.confidence - a.confidence),
+    failedBatches,
+    scored: entries.length
+  };
+}
+
+module.exports = {
+  MATCH_PAGE_SIZE,
+  scoreEntriesForCollection
+};
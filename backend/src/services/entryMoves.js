@@ -0,0 +1,73 @@
+const { Collection, CollectionEntry } = require('../models');
+const { getFormatFields, extractFormattedData } = require('./entryExtraction');
+
+/**
+ * Moves an entry into a collection: links it there (extracting that
+ * collection's fields) and unlinks it from the collections it was in, or only
+ * from fromCollectionId when given. Both the voice tool and batch jobs move
+ * entries through here.
+ *
+ * @param {Entry} entry - The user's entry
+ * @param {Collection} collection - The user's target collection
+ * @param {Object} options - { userId, fromCollectionId, source } where source
+ *   is recorded in the new CollectionEntry's metadata
+ * @returns {Promise<{alreadyThere: boolean, removedFrom: Array<string>, moved: boolean}>}
+ */
+async function moveEntryToCollection(entry, collection, { userId, fromCollectionId, source }) {
+  const current = (await CollectionEntry.findByEntry(entry.id))
+    .filter(collectionEntry => collectionEntry.userId === userId);
+  const toRemove = current.filter(collectionEntry =>
+    collectionEntry.collectionId !== collection.id &&
+    (!fromCollectionId || collectionEntry.collectionId === fromCollectionId)
+  );
+  const alreadyThere = current.some(collectionEntry => collectionEntry.collectionId === collection.id);
+
+  if (!alreadyThere) {
+    let formattedData = {};
+    if (getFormatFields(collection.entryFormat).length > 0) {
+      try {
+        formattedData = await extractFormattedData(entry.content, collection.entryFormat, {
+          instructions: collection.instructions
+        });
+      } catch (error) {
+        // Keep the move - the fields can be reprocessed later
+        console.error(`[MOVE] Extraction failed for ${entry.id}:`, error.message);
+      }
+    }
+
+    await CollectionEntry.create({
+      entryId: entry.id,
+      collectionId: collection.id,
+      userId,
+      formattedData,
+      metadata: {
+        source,
+        movedFrom: toRemove.map(collectionEntry => collectionEntry.collectionId)
+      }
+    });
+  }
+
+  for (const collectionEntry of toRemove) {
+    await collectionEntry.delete();
+  }
+
+  // Refresh counts on every collection the entry left or joined
+  const touched = [...new Set([collection.id, ...toRemove.map(collectionEntry => collectionEntry.collectionId)])];
+  await Promise.all(touched.map(async id => {
+    const touchedCollection = id === collection.id ? collection : await Collection.findById(id);
+    if (touchedCollection) await touchedCollection.updateStats();
+  }));
+
+  const removedFrom = toRemove.map(collectionEntry => collectionEntry.collectionId);
+  console.log(`[MOVE] Moved entry ${entry.id} to collection ${collection.id}, removed from ${removedFrom.length}`);
+
+  return {
+    alreadyThere,
+    removedFrom,
+    moved: !alreadyThere || removedFrom.length > 0
+  };
+}
+
+module.exports = {
+  moveEntryToCollection
+};
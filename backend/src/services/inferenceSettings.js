@@ -0,0 +1,45 @@
+const { firestore } = require('../config/firebase');
+
+// Assignments at or above this confidence are applied without review
+const DEFAULT_AUTO_APPLY_THRESHOLD = 0.7;
+
+/**
+ * Reads a user's inference settings from their users doc
+ * @returns {Promise<{autoApplyThreshold: number}>}
+ */
+async function getInferenceSettings(userId) {
+  const userDoc = await firestore.collection('users').doc(userId).get();
+  const settings = (userDoc.exists && userDoc.data().inferenceSettings) || {};
+
+  return {
+    autoApplyThreshold: typeof settings.autoApplyThreshold === 'number'
+      ? settings.autoApplyThreshold
+      : DEFAULT_AUTO_APPLY_THRESHOLD
+  };
+}
+
+/**
+ * Merges changes into a user's inference settings
+ * @param {string} userId
+ * @param {Object} changes - { autoApplyThreshold } between 0 and 1
+ * @returns {Promise<{autoApplyThreshold: number}>} the updated settings
+ */
+async function updateInferenceSettings(userId, changes) {
+  const { autoApplyThreshold } = changes;
+
+  await firestore.collection('users').doc(userId).set(
+    {
+      inferenceSettings: { autoApplyThreshold },
+      updatedAt: new Date().toISOString()
+    },
+    { merge: true }
+  );
+
+  return getInferenceSettings(userId);
+}
+
+module.exports = {
+  DEFAULT_AUTO_APPLY_THRESHOLD,
+  getInferenceSettings,
+  updateInferenceSettings
+};
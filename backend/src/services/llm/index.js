@@ -0,0 +1,60 @@
+const { resolveCallSite } = require('../../config/llm');
+const openaiProvider = require('./openaiProvider');
+const localProvider = require('./localProvider');
+
+/**
+ * LLM provider registry.
+ *
+ * A provider implements:
+ *   name                                   - identifier used in config
+ *   supportsJsonSchema                     - whether chat() honours responseFormat json_schema
+ *   isConfigured()                         - credentials present
+ *   chat(request)                          - resolves { role, content, truncated? }; truncated
+ *                                            when the reply stopped at maxTokens
+ *   chatStream(request)                    - async iterable of content strings
+ *   embed({ input, model })                - resolves number[]
+ *   createRealtimeSession(sessionConfig)   - resolves { token, expiresAt, sessionId, model }
+ *   realtimeConnection({ model })          - { url, headers } for the relay's upstream socket
+ *
+ * request = { messages, model, temperature, maxTokens, responseFormat, callSite, context }
+ * `context` carries the call site's structured inputs; remote providers ignore it.
+ */
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [localProvider.name]: localProvider
+};
+
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Returns the provider and model to use for a call site
+ * @returns {{provider: Object, model: string}}
+ */
+function forCallSite(callSite, requestedModel = null) {
+  const resolved = resolveCallSite(callSite, requestedModel);
+  return {
+    provider: getProvider(resolved.provider),
+    model: resolved.model
+  };
+}
+
+function isConfigured(callSite) {
+  return forCallSite(callSite).provider.isConfigured();
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  forCallSite,
+  isConfigured
+};
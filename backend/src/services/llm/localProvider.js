@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { responders: defaultResponders, words } = require('./localResponders');
+
+/**
+ * Deterministic offline provider.
+ *
+ * Same input always gives the same output, so the inference pipeline can run
+ * in development and tests without network access. Tests can swap behaviour
+ * for a call site with setResponder().
+ */
+const EMBEDDING_DIMENSIONS = 256;
+
+let responders = { ...defaultResponders };
+let sessionCounter = 0;
+
+function setResponder(callSite, responder) {
+  responders[callSite] = responder;
+}
+
+function resetResponders() {
+  responders = { ...defaultResponders };
+}
+
+function respond({ messages, callSite, context, model }) {
+  const responder = responders[callSite] || responders.chat;
+  const result = responder({ messages, context, model });
+  return typeof result === 'string' ? result : JSON.stringify(result);
+}
+
+async function chat(request) {
+  return {
+    role: 'assistant',
+    content: respond(request)
+  };
+}
+
+async function* chatStream(request) {
+  const content = respond({ ...request, callSite: request.callSite || 'chat.stream' });
+  for (const piece of content.split(/(\s+)/)) {
+    if (piece) {
+      yield piece;
+    }
+  }
+}
+
+/**
+ * Hashed bag-of-words embedding - texts sharing words land close together
+ */
+async function embed({ input }) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+  words(input).forEach(word => {
+    const hash = crypto.createHash('md5').update(word).digest();
+    const index = hash.readUInt16BE(0) % EMBEDDING_DIMENSIONS;
+    vector[index] += hash[2] % 2 === 0 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+async function createRealtimeSession(sessionConfig) {
+  sessionCounter++;
+  return {
+    token: `local-ephemeral-${sessionCounter}`,
+    expiresAt: Math.floor(Date.now() / 1000) + 60,
+    sessionId: `local-session-${sessionCounter}`,
+    model: sessionConfig.model
+  };
+}
+
+/**
+ * There's no local realtime model; point REALTIME_UPSTREAM_URL at a
+ * stand-in socket (tests run a fake one)
+ */
+function realtimeConnection({ model }) {
+  if (!process.env.REALTIME_UPSTREAM_URL) {
+    throw new Error('Local realtime sessions need REALTIME_UPSTREAM_URL');
+  }
+
+  const url = new URL(process.env.REALTIME_UPSTREAM_URL);
+  url.searchParams.set('model', model);
+  return { url: url.toString(), headers: {} };
+}
+
+module.exports = {
+  name: 'local',
+  supportsJsonSchema: false,
+  isConfigured: () => true,
+  chat,
+  chatStream,
+  embed,
+  createRealtimeSession,
+  realtimeConnection,
+  setResponder,
+  resetResponders
+};
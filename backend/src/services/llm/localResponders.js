@@ -0,0 +1,257 @@
+/**
+ * Deterministic responders for the local provider, keyed by call site.
+ *
+ * Each responder receives { messages, context, model } and returns either a string
+ * or an object (sent back as JSON text). Call sites pass their structured inputs as
+ * `context` so responders never have to parse prompts.
+ */
+
+// Keyword -> collection name used when no existing collection fits
+const COLLECTION_KEYWORDS = [
+  [/\b(book|novel|read)\b/i, 'Book Reviews'],
+  [/\b(movie|film)\b/i, 'Movie Reviews'],
+  [/\b(show|series|episode)\b/i, 'TV Shows'],
+  [/\bcandle\b/i, 'Candle Ratings'],
+  [/\b(recipe|flour|bake|cook)\b/i, 'Recipes'],
+  [/\b(restaurant|dinner at|lunch at)\b/i, 'Restaurants'],
+  [/\b(workout|gym|squat|run)\b/i, 'Workouts'],
+  [/\b(idea|app that)\b/i, 'Ideas'],
+  [/\b(advice|wisdom|motto)\b/i, 'Words to Live By'],
+  [/\b(wine|beer|coffee)\b/i, 'Drinks']
+];
+
+function lastUserMessage(messages = []) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  // Multi-part (vision) messages
+  return (message.content || []).filter(part => part.type === 'text').map(part => part.text).join(' ');
+}
+
+function words(text = '') {
+  return String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function overlapScore(text, reference) {
+  const textWords = new Set(words(text).map(stem));
+  const referenceWords = words(reference).map(stem).filter(word => word.length > 2);
+  if (referenceWords.length === 0) return 0;
+  const hits = referenceWords.filter(word => textWords.has(word)).length;
+  return hits / referenceWords.length;
+}
+
+// Naive singularization so "books" matches "Book Reviews"
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+function extractRating(text = '') {
+  const match = String(text).match(/(\d+(?:\.\d+)?)\s*(?:\/|out of)\s*(\d+)/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function toConfidence(score) {
+  return Math.round(Math.min(0.95, 0.6 + score * 0.35) * 100) / 100;
+}
+
+function bestCollectionMatch(content, collections = []) {
+  let best = null;
+  collections.forEach(collection => {
+    const reference = [collection.name, ...(collection.keywords || [])].join(' ');
+    const score = overlapScore(content, reference);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { collection, score };
+    }
+  });
+  return best;
+}
+
+function guessCollectionNames(content) {
+  return COLLECTION_KEYWORDS
+    .filter(([pattern]) => pattern.test(content))
+    .map(([, name]) => name);
+}
+
+function preview(text = '', length = 60) {
+  const value = String(text).trim();
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+}
+
+// Collection names the keyword map suggests across several texts, most mentioned first
+function commonThemes(texts) {
+  const counts = new Map();
+  texts.forEach(text => guessCollectionNames(text).forEach(name => {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+}
+
+const responders = {
+  'chat': ({ messages }) => `[local] ${lastUserMessage(messages)}`,
+
+  'chat.stream': ({ messages }) => `[local] ${lastUserMessage(messages)}`,
+
+  'intent': ({ context = {}, messages }) => {
+    const text = context.text || lastUserMessage(messages);
+    return /^\s*(create|add|make|remind|set|mark|delete|remove)\b/i.test(text) ? '0' : '1';
+  },
+
+  'collection.infer': ({ context = {} }) => {
+    const content = context.content || '';
+    const rating = extractRating(content);
+    const extractedData = { description: content };
+    if (rating !== null) extractedData.rating = rating;
+
+    // Every existing collection sharing keywords with the content
+    const assignments = (context.existingCollections || [])
+      .map(name => ({ name, score: overlapScore(content, name) }))
+      .filter(match => match.score > 0)
+      .map(match => ({
+        collectionName: match.name,
+        shouldCreateCollection: false,
+        confidence: toConfidence(match.score),
+        reasoning: `Matches existing collection "${match.name}"`,
+        extractedData
+      }));
+
+    // Keyword-suggested collections that don't exist yet
+    const taken = new Set(assignments.map(a => a.collectionName.toLowerCase()));
+    const existing = (context.existingCollections || []).map(name => name.toLowerCase());
+    const entryFormat = [{ key: 'description', type: 'text', label: 'Description' }];
+    if (rating !== null) entryFormat.push({ key: 'rating', type: 'number', label: 'Rating' });
+
+    guessCollectionNames(content).forEach(name => {
+      if (taken.has(name.toLowerCase())) return;
+      const isNew = !existing.includes(name.toLowerCase());
+      assignments.push({
+        collectionName: name,
+        shouldCreateCollection: isNew,
+        confidence: 0.85,
+        reasoning: `Content mentions ${name.toLowerCase()}`,
+        extractedData,
+        ...(isNew ? { entryFormat } : {})
+      });
+    });
+
+    // Skip collections the user already rejected for similar content
+    const rejections = context.rejections || [];
+    return {
+      assignments: assignments.filter(assignment => !rejections.some(rejection =>
+        rejection.collectionName.toLowerCase() === assignment.collectionName.toLowerCase() &&
+        overlapScore(content, rejection.content) >= 0.5
+      ))
+    };
+  },
+
+  'collection.details': ({ context = {} }) => ({
+    name: context.name,
+    icon: '📝',
+    color: '#6366f1',
+    instructions: `Add entries related to ${context.name}`
+  }),
+
+  'collection.rules': ({ context = {} }) => ({
+    keywords: words(context.name).filter(word => word.length > 2),
+    patterns: [],
+    examples: [],
+    description: context.description || `Entries related to ${context.name}`
+  }),
+
+  'entry.extract': ({ context = {} }) => {
+    const content = context.content || '';
+    const result = {};
+    let textAssigned = false;
+    (context.fields || []).forEach(field => {
+      if (field.type === 'number') {
+        result[field.key] = extractRating(content) ?? (content.match(/\d+(\.\d+)?/) || [null])[0];
+      } else if (field.type === 'date') {
+        result[field.key] = null;
+      } else {
+        // First text field gets the content, the rest stay empty
+        result[field.key] = textAssigned ? null : content;
+        textAssigned = true;
+      }
+    });
+    return result;
+  },
+
+  'entry.match': ({ context = {} }) => {
+    const collection = context.collection || {};
+    const reference = [collection.name, ...((collection.rules && collection.rules.keywords) || [])].join(' ');
+    return {
+      matches: (context.entries || []).map(entry => {
+        const score = overlapScore(entry.content, reference);
+        return {
+          entryId: entry.id,
+          confidence: Math.round(score * 100) / 100,
+          reasoning: score > 0 ? 'Shares keywords with the collection' : 'No shared keywords'
+        };
+      })
+    };
+  },
+
+  'entry.summary': ({ context = {} }) => {
+    const entries = context.entries || [];
+    return {
+      summary: `${entries.length} entries, starting with: ${preview(entries[0] && entries[0].content)}`,
+      highlights: entries.slice(0, 3).map(entry => preview(entry.title || entry.content)),
+      themes: commonThemes(entries.map(entry => entry.content)).slice(0, 5)
+    };
+  },
+
+  'entry.insights': ({ context = {} }) => {
+    const entries = context.entries || [];
+    const stats = context.stats || {};
+    return {
+      summary: `${stats.entryCount || entries.length} entries over ${stats.activeDays || 0} days in the last ${context.timeframe}.`,
+      themes: commonThemes(entries.map(entry => entry.content)).slice(0, 5).map(name => ({
+        name,
+        description: `Entries about ${name.toLowerCase()}`,
+        entryIds: entries.filter(entry => guessCollectionNames(entry.content).includes(name)).map(entry => entry.id)
+      })),
+      trends: (stats.topTags || []).slice(0, 3).map(({ tag, count }) => `Tagged "${tag}" ${count} times`),
+      suggestions: []
+    };
+  },
+
+  'classifier.interest': ({ context = {} }) => {
+    const interesting = words(context.content).length >= 4;
+    return {
+      isInteresting: interesting,
+      reasoning: interesting ? 'Has enough substance to keep' : 'Too short to be worth saving'
+    };
+  },
+
+  'classifier.route': ({ context = {} }) => {
+    const match = bestCollectionMatch(context.content, context.collections || []);
+    return {
+      shouldSave: !!match,
+      collectionId: match ? match.collection.id : null,
+      collectionName: match ? match.collection.name : null,
+      confidence: match ? toConfidence(match.score) : 0,
+      reasoning: match ? `Matches "${match.collection.name}"` : 'No matching collection'
+    };
+  },
+
+  'classifier.bulk': ({ context = {} }) => ({
+    classifications: (context.entries || []).map(entry => {
+      const match = bestCollectionMatch(entry.content, context.collections || []);
+      return {
+        entryId: entry.id,
+        collectionName: match ? match.collection.name : null,
+        confidence: match ? toConfidence(match.score) : 0,
+        reasoning: match ? `Matches "${match.collection.name}"` : 'No matching collection'
+      };
+    })
+  }),
+
+  'photo.vision': () => ({
+    description: 'A photo',
+    suggestedTitle: 'Photo'
+  })
+};
+
+module.exports = {
+  responders,
+  words
+};
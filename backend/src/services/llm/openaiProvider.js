@@ -0,0 +1,113 @@
+const OpenAI = require('openai');
+const axios = require('axios');
+
+let client = null;
+
+function isConfigured() {
+  return !!process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your-openai-api-key-here';
+}
+
+function assertConfigured() {
+  if (!isConfigured()) {
+    throw new Error('OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file');
+  }
+}
+
+// Created lazily - the SDK throws at construction time without a key
+function getClient() {
+  assertConfigured();
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+  return client;
+}
+
+async function chat({ messages, model, temperature, maxTokens, responseFormat }) {
+  const request = {
+    model,
+    messages,
+    temperature: temperature ?? 0.7,
+    max_tokens: maxTokens ?? 1000,
+  };
+  if (responseFormat) {
+    request.response_format = responseFormat;
+  }
+
+  const completion = await getClient().chat.completions.create(request);
+  const [choice] = completion.choices;
+  return { ...choice.message, truncated: choice.finish_reason === 'length' };
+}
+
+async function* chatStream({ messages, model, temperature, maxTokens }) {
+  const stream = await getClient().chat.completions.create({
+    model,
+    messages,
+    temperature: temperature ?? 0.7,
+    max_tokens: maxTokens ?? 1000,
+    stream: true,
+  });
+
+  for await (const chunk of stream) {
+    const content = chunk.choices[0]?.delta?.content || '';
+    if (content) {
+      yield content;
+    }
+  }
+}
+
+async function embed({ input, model }) {
+  const embedding = await getClient().embeddings.create({
+    model,
+    input,
+  });
+
+  return embedding.data[0].embedding;
+}
+
+async function createRealtimeSession(sessionConfig) {
+  assertConfigured();
+
+  const response = await axios.post('https://api.openai.com/v1/realtime/sessions', sessionConfig, {
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const data = response.data;
+  return {
+    token: data.client_secret.value,
+    expiresAt: data.client_secret.expires_at,
+    sessionId: data.id,
+    model: data.model
+  };
+}
+
+/**
+ * Where the WebSocket relay connects for a realtime session - the key goes in
+ * the upstream headers only
+ */
+function realtimeConnection({ model }) {
+  assertConfigured();
+
+  return {
+    url: `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`,
+    headers: {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+      'OpenAI-Beta': 'realtime=v1'
+    }
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  supportsJsonSchema: true,
+  isConfigured,
+  chat,
+  chatStream,
+  embed,
+  createRealtimeSession,
+  realtimeConnection
+};
@@ -1,81 +1,66 @@
-const OpenAI = require('openai');
+const { forCallSite } = require('./llm');
 require('dotenv').config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const chatCompletion = async (messages, model = 'gpt-4o-mini', options = {}) => {
+/**
+ * AI entry points used across the app. Every call goes through the provider
+ * configured for its call site (see config/llm.js) - OpenAI by default, or the
+ * deterministic local provider when LLM_PROVIDER=local.
+ *
+ * options: { callSite, context, temperature, max_tokens, response_format }
+ */
+const chatCompletion = async (messages, model = null, options = {}) => {
+  const callSite = options.callSite || 'chat';
   try {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-      throw new Error('OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file');
-    }
+    const { provider, model: resolvedModel } = forCallSite(callSite, model);
 
-    const completion = await openai.chat.completions.create({
-      model,
+    return await provider.chat({
       messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.max_tokens || 1000,
+      model: resolvedModel,
+      temperature: options.temperature,
+      maxTokens: options.max_tokens,
+      responseFormat: options.response_format,
+      callSite,
+      context: options.context
     });
-
-    return completion.choices[0].message;
   } catch (error) {
-    console.error('OpenAI API error:', error);
+    console.error(`LLM API error (${callSite}):`, error);
     throw error;
   }
 };
 
-const chatCompletionStream = async function* (messages, model = 'gpt-4o-mini') {
+const chatCompletionStream = async function* (messages, model = null, options = {}) {
+  const callSite = options.callSite || 'chat.stream';
   try {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-      throw new Error('OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file');
-    }
+    const { provider, model: resolvedModel } = forCallSite(callSite, model);
 
-    const stream = await openai.chat.completions.create({
-      model,
+    yield* provider.chatStream({
       messages,
-      temperature: 0.7,
-      max_tokens: 1000,
-      stream: true,
+      model: resolvedModel,
+      temperature: options.temperature,
+      maxTokens: options.max_tokens,
+      callSite,
+      context: options.context
     });
-
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        yield content;
-      }
-    }
   } catch (error) {
-    console.error('OpenAI Stream API error:', error);
+    console.error(`LLM Stream API error (${callSite}):`, error);
     throw error;
   }
 };
 
-const generateEmbedding = async (text) => {
+const generateEmbedding = async (text, options = {}) => {
+  const callSite = options.callSite || 'embedding';
   try {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-      throw new Error('OpenAI API key not configured');
-    }
+    const { provider, model } = forCallSite(callSite);
 
-    const embedding = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
-    });
-
-    return embedding.data[0].embedding;
+    return await provider.embed({ input: text, model, callSite });
   } catch (error) {
-    console.error('OpenAI Embedding error:', error);
+    console.error('LLM Embedding error:', error);
     throw error;
   }
 };
 
 const classifyIntent = async (text) => {
   try {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-      throw new Error('OpenAI API key not configured');
-    }
-
     const messages = [
       {
         role: 'system',
@@ -98,26 +83,42 @@ Reply with ONLY a single digit: 0 for COMMAND or 1 for CONVERSATION.`
       }
     ];
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages,
+    const response = await chatCompletion(messages, null, {
+      callSite: 'intent',
+      context: { text },
       temperature: 0,
-      max_tokens: 1,
+      max_tokens: 1
     });
 
-    const result = completion.choices[0].message.content?.trim();
+    const result = response.content?.trim();
     return result === '0' ? 'command' : 'conversation';
   } catch (error) {
-    console.error('OpenAI Classification error:', error);
+    console.error('LLM Classification error:', error);
     // Default to conversation on error
     return 'conversation';
   }
 };
 
+/**
+ * Creates an ephemeral realtime voice session with the configured provider
+ * @returns {Promise<{token: string, expiresAt: number, sessionId: string, model: string}>}
+ */
+const createRealtimeSession = async (sessionConfig) => {
+  const { provider, model } = forCallSite('realtime', sessionConfig.model);
+  return provider.createRealtimeSession({ ...sessionConfig, model });
+};
+
+// URL and headers for a realtime WebSocket with the provider
+const realtimeConnection = (model = null) => {
+  const { provider, model: resolvedModel } = forCallSite('realtime', model);
+  return { ...provider.realtimeConnection({ model: resolvedModel }), model: resolvedModel };
+};
+
 module.exports = {
-  openai,
   chatCompletion,
   chatCompletionStream,
   generateEmbedding,
   classifyIntent,
-};
\ No newline at end of file
+  createRealtimeSession,
+  realtimeConnection,
+};
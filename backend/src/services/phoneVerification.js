@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { getSessionStore } = require('./sessionStore');
+const { sendSms } = require('./sms');
+
+/**
+ * Phone number verification codes, sent by SMS (services/sms).
+ *
+ * Each verification is a session-store record holding a salted hash of the
+ * current code and when it expires - never the code itself. Sends are
+ * throttled per number and per client IP in hour-long windows, and a session
+ * can only be resent a code after a cooldown. Both are claimed atomically
+ * before the SMS goes out, so parallel requests can't slip past them, and
+ * handed back when delivery fails.
+ *
+ * In development, TEST_PHONE_NUMBERS skip SMS and throttling and always use
+ * TEST_VERIFICATION_CODE.
+ */
+
+class PhoneVerificationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PhoneVerificationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Verification sessions live in the session store, so any instance can verify a code
+const SESSION_NAMESPACE = 'phone_verification';
+const SESSION_TTL_SECONDS = 10 * 60;
+const CODE_TTL_SECONDS = 5 * 60;
+const MAX_ATTEMPTS = 5;
+
+// Send counters, one per number and per IP
+const THROTTLE_NAMESPACE = 'phone_send_throttle';
+const THROTTLE_WINDOW_SECONDS = 60 * 60;
+const DEFAULT_SENDS_PER_NUMBER = 5;
+const DEFAULT_SENDS_PER_IP = 20;
+const DEFAULT_RESEND_COOLDOWN_SECONDS = 30;
+
+// Test phone numbers configuration
+// Store in E.164 format as Firebase expects
+// Example: TEST_PHONE_NUMBERS=+15555555555,+12125551234,+14155551234
+const TEST_PHONE_NUMBERS = process.env.TEST_PHONE_NUMBERS ?
+  process.env.TEST_PHONE_NUMBERS.split(',').map(n => n.trim()) :
+  ['+15555555555']; // Default test number for development
+
+const TEST_VERIFICATION_CODE = process.env.TEST_VERIFICATION_CODE || '123456';
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Helper function to format phone number to E.164 format
+function formatToE164(phoneNumber) {
+  // Remove all non-digit characters
+  const digitsOnly = phoneNumber.replace(/\D/g, '');
+
+  // Handle different formats
+  if (digitsOnly.length === 10) {
+    // US number without country code
+    return '+1' + digitsOnly;
+  } else if (digitsOnly.length === 11 && digitsOnly.startsWith('1')) {
+    // US number with country code
+    return '+' + digitsOnly;
+  } else if (phoneNumber.startsWith('+')) {
+    // Already has country code
+    return '+' + digitsOnly;
+  }
+
+  // Default to US if we can't determine
+  return '+1' + digitsOnly;
+}
+
+function isTestPhoneNumber(formattedPhone) {
+  return process.env.NODE_ENV === 'development' && TEST_PHONE_NUMBERS.includes(formattedPhone);
+}
+
+function generateCode() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// PHONE_CODE_SECRET keys the hash so a leaked store can't be brute-forced
+// offline; only development and tests may go without it
+function codeSecret() {
+  if (process.env.PHONE_CODE_SECRET) return process.env.PHONE_CODE_SECRET;
+  if (['development', 'test'].includes(process.env.NODE_ENV)) return '';
+
+  console.error('[PHONE-VERIFY] PHONE_CODE_SECRET is not set');
+  throw new PhoneVerificationError('Phone verification is not configured', 503);
+}
+
+function hashCode(code, salt) {
+  return crypto
+    .createHmac('sha256', codeSecret())
+    .update(`${salt}:${code}`)
+    .digest('hex');
+}
+
+function codeMatches(code, session) {
+  if (!session.codeHash) return false;
+  const expected = Buffer.from(session.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(code, session.codeSalt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// What a session stores for a freshly issued code
+function codeFields(code) {
+  const codeSalt = crypto.randomBytes(16).toString('hex');
+  return {
+    codeHash: hashCode(code, codeSalt),
+    codeSalt,
+    codeExpiresAt: Date.now() + CODE_TTL_SECONDS * 1000,
+    lastSentAt: Date.now(),
+    attempts: 0
+  };
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+}
+
+function sendLimits(phoneNumber, ip) {
+  return [
+    { key: `number:${phoneNumber}`, max: setting('PHONE_SENDS_PER_NUMBER', DEFAULT_SENDS_PER_NUMBER) },
+    ...(ip ? [{ key: `ip:${ip}`, max: setting('PHONE_SENDS_PER_IP', DEFAULT_SENDS_PER_IP) }] : [])
+  ];
+}
+
+/**
+ * Hands reserved sends back, e.g. when the SMS couldn't be delivered, so an
+ * outage doesn't use up anyone's sends
+ * @param {Array<string>} keys - from reserveSends
+ */
+async function releaseSends(keys) {
+  await Promise.all(keys.map(key => getSessionStore().modify(THROTTLE_NAMESPACE, key, counter =>
+    counter && { count: Math.max(0, counter.count - 1) }
+  )));
+}
+
+/**
+ * Takes a send from the number's and the IP's windows, each in one atomic
+ * check-and-increment that starts the window if it doesn't exist yet
+ * @returns {Promise<Array<string>>} the counter keys taken, for releaseSends
+ * @throws {PhoneVerificationError} 429 with retryAfter once the number or IP
+ * has had its sends for the window
+ */
+async function reserveSends(phoneNumber, ip) {
+  const reserved = [];
+  try {
+    for (const { key, max } of sendLimits(phoneNumber, ip)) {
+      await getSessionStore().modify(THROTTLE_NAMESPACE, key, counter => {
+        if (counter && counter.count >= max) {
+          throw new PhoneVerificationError('Too many verification codes requested. Please try again later.', 429, {
+            retryAfter: secondsUntil(counter.expiresAt)
+          });
+        }
+        return { count: (counter ? counter.count : 0) + 1 };
+      }, { ttlSeconds: THROTTLE_WINDOW_SECONDS });
+      reserved.push(key);
+    }
+  } catch (error) {
+    if (error.statusCode === 429) {
+      console.warn(`[PHONE-VERIFY] Throttled send to ${phoneNumber} from ${ip}`);
+    }
+    await releaseSends(reserved);
+    throw error;
+  }
+  return reserved;
+}
+
+async function deliverCode(phoneNumber, code) {
+  const minutes = Math.round(CODE_TTL_SECONDS / 60);
+  try {
+    await sendSms(phoneNumber, `Your Squirrel verification code is ${code}. It expires in ${minutes} minutes.`);
+  } catch (error) {
+    console.error(`[PHONE-VERIFY] SMS to ${phoneNumber} failed:`, error.message);
+    throw new PhoneVerificationError('Failed to send verification code', 502);
+  }
+}
+
+/**
+ * Starts a verification and texts the code
+ * @param {string} phoneNumber - as entered; stored in E.164
+ * @param {Object} options - { ip } of the client, for throttling
+ * @returns {Promise<{sessionId: string, isTest: boolean}>}
+ * @throws {PhoneVerificationError} 429 when throttled, 502 when the SMS can't
+ * be sent, 503 without PHONE_CODE_SECRET
+ */
+async function startVerification(phoneNumber, { ip } = {}) {
+  codeSecret();
+  const formattedPhone = formatToE164(phoneNumber);
+  const isTest = isTestPhoneNumber(formattedPhone);
+
+  const sends = isTest ? [] : await reserveSends(formattedPhone, ip);
+
+  const code = isTest ? TEST_VERIFICATION_CODE : generateCode();
+  const sessionId = 'session-' + crypto.randomUUID();
+  try {
+    await getSessionStore().create(SESSION_NAMESPACE, sessionId, {
+      phoneNumber: formattedPhone,
+      originalPhoneNumber: phoneNumber,
+      ...codeFields(code),
+      createdAt: Date.now(),
+      isTest
+    }, { ttlSeconds: SESSION_TTL_SECONDS });
+
+    if (isTest) {
+      console.log(`[PHONE-VERIFY] Test number ${formattedPhone}, code ${code}`);
+    } else {
+      await deliverCode(formattedPhone, code);
+    }
+  } catch (error) {
+    await Promise.all([
+      getSessionStore().remove(SESSION_NAMESPACE, sessionId),
+      releaseSends(sends)
+    ]);
+    throw error;
+  }
+
+  return { sessionId, isTest };
+}
+
+/**
+ * Texts a new code for a session, replacing the old one and its attempts
+ * @throws {PhoneVerificationError} 400 for unknown sessions, 429 during the
+ * cooldown or when throttled
+ */
+async function resendCode(sessionId, { ip } = {}) {
+  const cooldownMs = setting('PHONE_RESEND_COOLDOWN_SECONDS', DEFAULT_RESEND_COOLDOWN_SECONDS) * 1000;
+
+  // Check and restart the cooldown in one step, so only one of several
+  // parallel resends gets through
+  let previousSentAt;
+  const session = await getSessionStore().modify(SESSION_NAMESPACE, sessionId, current => {
+    if (!current) {
+      throw new PhoneVerificationError('Invalid or expired session');
+    }
+
+    const readyAt = new Date(current.lastSentAt + cooldownMs);
+    if (readyAt.getTime() > Date.now()) {
+      throw new PhoneVerificationError('Please wait before requesting another code', 429, {
+        retryAfter: secondsUntil(readyAt)
+      });
+    }
+
+    previousSentAt = current.lastSentAt;
+    return { ...current, lastSentAt: Date.now() };
+  });
+
+  // Deliver before replacing the code; a failed send hands back the cooldown
+  // and the reserved sends, leaving the session as it was
+  const code = session.isTest ? TEST_VERIFICATION_CODE : generateCode();
+  let sends = [];
+  try {
+    if (!session.isTest) {
+      sends = await reserveSends(session.phoneNumber, ip);
+      await deliverCode(session.phoneNumber, code);
+    }
+  } catch (error) {
+    await Promise.all([
+      getSessionStore().update(SESSION_NAMESPACE, sessionId, { lastSentAt: previousSentAt }),
+      releaseSends(sends)
+    ]);
+    throw error;
+  }
+
+  const updated = await getSessionStore().update(SESSION_NAMESPACE, sessionId, codeFields(code), {
+    ttlSeconds: SESSION_TTL_SECONDS
+  });
+  if (!updated) {
+    throw new PhoneVerificationError('Invalid or expired session');
+  }
+}
+
+/**
+ * Checks a code, counting the attempt first so parallel guesses can't get
+ * past the limit
+ * @returns {Promise<Object>} the session, with its E.164 phoneNumber
+ * @throws {PhoneVerificationError} 400 for unknown sessions and wrong or
+ * expired codes (an expired code ends the session), 429 once the attempts
+ * are used up
+ */
+async function checkCode(sessionId, code) {
+  const session = await getSessionStore().increment(SESSION_NAMESPACE, sessionId, 'attempts');
+  if (!session) {
+    throw new PhoneVerificationError('Invalid or expired session');
+  }
+
+  if (session.attempts > MAX_ATTEMPTS) {
+    await getSessionStore().remove(SESSION_NAMESPACE, sessionId);
+    throw new PhoneVerificationError('Too many attempts. Please request a new code.', 429);
+  }
+
+  if (session.codeExpiresAt <= Date.now()) {
+    await getSessionStore().remove(SESSION_NAMESPACE, sessionId);
+    throw new PhoneVerificationError('Verification code expired. Please request a new code.');
+  }
+
+  if (!codeMatches(String(code), session)) {
+    throw new PhoneVerificationError('Invalid verification code', 400, {
+      attemptsRemaining: MAX_ATTEMPTS - session.attempts
+    });
+  }
+
+  return session;
+}
+
+async function endVerification(sessionId) {
+  await getSessionStore().remove(SESSION_NAMESPACE, sessionId);
+}
+
+module.exports = {
+  PhoneVerificationError,
+  TEST_VERIFICATION_CODE,
+  startVerification,
+  resendCode,
+  checkCode,
+  endVerification
+};
@@ -0,0 +1,182 @@
+const Job = require('../../models/Job');
+const qstashBackend = require('./qstashBackend');
+const localBackend = require('./localBackend');
+
+/**
+ * Background job queue.
+ *
+ * A backend implements:
+ *   name                                   - identifier used in config
+ *   publish({ path, body, retries, delay }) - resolves a message id
+ *
+ * `path` names the worker handler (services/workers.js) and `delay` is in
+ * seconds. QUEUE_BACKEND selects the backend: qstash, or local (in-process,
+ * for development and tests). It defaults to qstash when QSTASH_TOKEN is set.
+ *
+ * Every enqueue creates a Job record whose id travels in the payload as
+ * `jobId`; the enqueue functions resolve that id.
+ */
+const backends = {
+  [qstashBackend.name]: qstashBackend,
+  [localBackend.name]: localBackend
+};
+
+function registerQueueBackend(backend) {
+  backends[backend.name] = backend;
+}
+
+function getQueueBackend() {
+  const name = process.env.QUEUE_BACKEND ||
+    (process.env.QSTASH_TOKEN ? qstashBackend.name : localBackend.name);
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown queue backend: ${name}`);
+  }
+  return backend;
+}
+
+/**
+ * Queues a job for any worker path; the enqueue functions below wrap this
+ * @returns {Promise<string>} the Job id
+ */
+async function enqueueJob(path, body, { retries = 3, delay = 0, userId = null } = {}) {
+  const backend = getQueueBackend();
+  const job = await Job.create({
+    userId,
+    type: path.replace(/^\/process-/, ''),
+    payloadSummary: Job.summarizePayload(body),
+    retries,
+    backend: backend.name,
+    runAt: new Date(Date.now() + delay * 1000)
+  });
+
+  let messageId;
+  try {
+    messageId = await backend.publish({
+      path,
+      body: {
+        ...body,
+        jobId: job.id,
+        timestamp: new Date().toISOString()
+      },
+      retries,
+      delay
+    });
+  } catch (error) {
+    await job.markFailed(error);
+    throw error;
+  }
+
+  await job.setMessageId(messageId);
+  console.log(`[QUEUE] ${path} job ${job.id} queued on ${backend.name} with ID: ${messageId}`);
+  return job.id;
+}
+
+/**
+ * Enqueue collection inference job
+ */
+async function enqueueInference(entryId, userId, content) {
+  try {
+    console.log(`[QUEUE] Enqueuing inference for entry ${entryId}`);
+    return await enqueueJob('/process-inference', { entryId, userId, content }, { userId });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue inference:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue collection rule processing job
+ */
+async function enqueueCollectionProcessing(collectionId, userId, data = {}) {
+  try {
+    console.log(`[QUEUE] Enqueuing collection processing for ${collectionId}`);
+    return await enqueueJob('/process-collection', { collectionId, userId, ...data }, { userId });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue collection processing:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue AI generation job (for complex AI tasks)
+ */
+async function enqueueAIGeneration(type, data) {
+  try {
+    console.log(`[QUEUE] Enqueuing AI generation of type: ${type}`);
+    return await enqueueJob('/process-ai', { type, data }, { retries: 2, userId: data.userId || null });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue AI generation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue batch processing job
+ */
+async function enqueueBatchProcessing(userId, operation, items) {
+  try {
+    console.log(`[QUEUE] Enqueuing batch ${operation} for ${items.length} items`);
+    return await enqueueJob('/process-batch', { userId, operation, items }, { userId });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue batch processing:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue search embedding job for a created, updated or deleted document,
+ * optionally `delay` seconds out
+ */
+async function enqueueEmbedding(sourceType, sourceId, operation = 'upsert', { delay = 0 } = {}) {
+  try {
+    console.log(`[QUEUE] Enqueuing embedding ${operation} for ${sourceType} ${sourceId}`);
+    return await enqueueJob('/process-embedding', { sourceType, sourceId, operation }, { delay });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue embedding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enqueue removal of expired session store records
+ */
+async function enqueueSessionCleanup() {
+  try {
+    console.log('[QUEUE] Enqueuing session cleanup');
+    return await enqueueJob('/process-session-cleanup', {}, { retries: 1 });
+  } catch (error) {
+    console.error('[QUEUE] Failed to enqueue session cleanup:', error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule a delayed job
+ */
+async function scheduleJob(type, data, delaySeconds) {
+  try {
+    console.log(`[QUEUE] Scheduling ${type} job with ${delaySeconds}s delay`);
+    return await enqueueJob(`/process-${type}`, { ...data, scheduled: true }, {
+      delay: delaySeconds,
+      userId: data.userId || null
+    });
+  } catch (error) {
+    console.error('[QUEUE] Failed to schedule job:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  registerQueueBackend,
+  getQueueBackend,
+  getWorkerUrl: qstashBackend.getWorkerUrl,
+  enqueueJob,
+  enqueueInference,
+  enqueueCollectionProcessing,
+  enqueueAIGeneration,
+  enqueueBatchProcessing,
+  enqueueEmbedding,
+  enqueueSessionCleanup,
+  scheduleJob
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+/**
+ * In-process queue for local development and tests. Jobs run the same
+ * handlers as the QStash worker routes, with the same delay and retry
+ * settings; failed attempts back off exponentially.
+ *
+ * Jobs live only as long as the process, so pending work is lost on restart.
+ */
+const BASE_BACKOFF_MS = Number(process.env.QUEUE_LOCAL_BACKOFF_MS) || 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+function backoff(attempt) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+function schedule(job, delayMs) {
+  const timer = setTimeout(() => run(job), delayMs);
+  // Queued work shouldn't keep a finished process (or test run) alive
+  timer.unref();
+}
+
+async function run(job) {
+  job.attempts += 1;
+
+  try {
+    // Required lazily: handlers pull in services that enqueue jobs themselves
+    const { runJob } = require('../workers');
+    await runJob(job.path, job.body, { attempt: job.attempts });
+  } catch (error) {
+    const { isRetryable } = require('../workers');
+
+    if (isRetryable(error) && job.attempts <= job.retries) {
+      const delayMs = backoff(job.attempts);
+      console.warn(`[QUEUE-LOCAL] ${job.path} job ${job.id} failed (attempt ${job.attempts}), retrying in ${delayMs}ms: ${error.message}`);
+      return schedule(job, delayMs);
+    }
+
+    console.error(`[QUEUE-LOCAL] ${job.path} job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+  }
+}
+
+async function publish({ path, body, retries = 3, delay = 0 }) {
+  const job = {
+    id: `local_${crypto.randomUUID()}`,
+    path,
+    // Serialised like a QStash delivery: dates become strings, undefined keys drop
+    body: JSON.parse(JSON.stringify(body)),
+    retries,
+    attempts: 0
+  };
+
+  schedule(job, delay * 1000);
+  return job.id;
+}
+
+module.exports = {
+  name: 'local',
+  publish
+};
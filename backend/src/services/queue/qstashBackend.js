@@ -0,0 +1,38 @@
+const { Client } = require('@upstash/qstash');
+
+/**
+ * Publishes jobs to QStash, which delivers them to the signed
+ * /api/workers routes and retries failed deliveries.
+ */
+let qstashClient = null;
+
+function getClient() {
+  if (!qstashClient) {
+    qstashClient = new Client({ token: process.env.QSTASH_TOKEN || '' });
+  }
+  return qstashClient;
+}
+
+// Base URL for worker endpoints
+const getWorkerUrl = (path) => {
+  const baseUrl = process.env.NODE_ENV === 'production' 
+    ? 'https://squirrel2.vercel.app'
+    : process.env.WORKER_BASE_URL || 'http://localhost:3001';
+  return `${baseUrl}/api/workers${path}`;
+};
+
+async function publish({ path, body, retries, delay }) {
+  const response = await getClient().publishJSON({
+    url: getWorkerUrl(path),
+    body,
+    retries,
+    delay
+  });
+  return response.messageId;
+}
+
+module.exports = {
+  name: 'qstash',
+  getWorkerUrl,
+  publish
+};
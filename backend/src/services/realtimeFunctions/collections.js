@@ -0,0 +1,211 @@
+const { Collection, CollectionEntry, Entry } = require('../../models');
+const { generateCollectionDetails } = require('../collectionInference');
+const { moveEntryToCollection: moveEntry } = require('../entryMoves');
+const { toDate, resolveCollection } = require('./lookup');
+
+const CONTENT_PREVIEW_LENGTH = 300;
+
+// Lookup arguments shared by the tools that act on an existing collection
+const collectionLookup = {
+  collectionId: {
+    type: 'string',
+    description: 'The collection id, when known from an earlier result'
+  },
+  collectionName: {
+    type: 'string',
+    description: 'The collection name as the user said it, e.g. "book reviews"',
+    maxLength: 200
+  }
+};
+
+/**
+ * Create a collection by name, unless the user already has one with that name
+ */
+async function createCollection({ name, description }, { userId }) {
+  console.log(`[VOICE-COLLECTION] Creating collection from voice: "${name}"`);
+
+  const existing = await Collection.findByName(userId, name);
+  if (existing) {
+    console.log(`[VOICE-COLLECTION] Collection "${name}" already exists`);
+    return {
+      success: false,
+      message: `Collection "${name}" already exists`,
+      collection: existing
+    };
+  }
+
+  // Falls back to basic details itself when the provider fails
+  const details = await generateCollectionDetails(name);
+
+  const collection = await Collection.create({
+    userId,
+    name: details.name || name,
+    instructions: description || details.instructions,
+    icon: details.icon,
+    color: details.color,
+    metadata: {
+      source: 'voice',
+      createdAt: new Date()
+    }
+  });
+
+  console.log(`[VOICE-COLLECTION] Created collection ${collection.id}: "${collection.name}"`);
+
+  return {
+    success: true,
+    collection,
+    message: `Collection "${collection.name}" created successfully`
+  };
+}
+
+/**
+ * The user's collections with their entry counts
+ */
+async function listCollections(args, { userId }) {
+  const collections = await Collection.findByUserId(userId);
+
+  return {
+    success: true,
+    count: collections.length,
+    collections: collections.map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      instructions: collection.instructions,
+      entryCount: collection.stats.entryCount || 0
+    }))
+  };
+}
+
+/**
+ * The newest entries in a collection with their extracted fields
+ */
+async function getCollectionEntries({ limit = 10, ...lookup }, { userId }) {
+  const { collection, failure } = await resolveCollection(userId, lookup);
+  if (failure) return failure;
+
+  const { items, nextCursor } = await CollectionEntry.findPageByCollectionAndUser(collection.id, userId, {
+    limit,
+    cursor: null,
+    sort: { field: 'createdAt', direction: 'desc' }
+  });
+
+  const entries = await Promise.all(items.map(async collectionEntry => {
+    const entry = await Entry.findById(collectionEntry.entryId);
+    return {
+      entryId: collectionEntry.entryId,
+      content: entry ? entry.content.substring(0, CONTENT_PREVIEW_LENGTH) : null,
+      fields: collectionEntry.getDisplayData(),
+      createdAt: toDate(collectionEntry.createdAt).toISOString()
+    };
+  }));
+
+  return {
+    success: true,
+    collection: { id: collection.id, name: collection.name },
+    count: entries.length,
+    hasMore: !!nextCursor,
+    entries
+  };
+}
+
+/**
+ * Move an entry into a collection, taking it out of the collections it was in
+ * (or just fromCollectionId). Fields are re-extracted for the new collection's format.
+ */
+async function moveEntryToCollection({ entryId, fromCollectionId, ...lookup }, { userId }) {
+  const entry = await Entry.findById(entryId);
+  if (!entry || entry.userId !== userId) {
+    return { success: false, message: 'Entry not found' };
+  }
+
+  const { collection, failure } = await resolveCollection(userId, lookup);
+  if (failure) return failure;
+
+  const { alreadyThere, removedFrom } = await moveEntry(entry, collection, {
+    userId,
+    fromCollectionId,
+    source: 'voice_move'
+  });
+
+  return {
+    success: true,
+    entryId: entry.id,
+    collection: { id: collection.id, name: collection.name },
+    removedFrom,
+    message: alreadyThere && removedFrom.length === 0
+      ? `Already in "${collection.name}"`
+      : `Moved to "${collection.name}"`
+  };
+}
+
+module.exports = [
+  {
+    name: 'create_collection',
+    description: 'Create a new collection for organizing entries',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'The name of the collection',
+          minLength: 1,
+          maxLength: 200
+        },
+        description: {
+          type: 'string',
+          description: 'Optional description of what belongs in this collection',
+          maxLength: 2000
+        }
+      },
+      required: ['name']
+    },
+    handler: createCollection
+  },
+  {
+    name: 'list_collections',
+    description: 'List the user\'s collections and how many entries each has',
+    parameters: {
+      type: 'object',
+      properties: {}
+    },
+    handler: listCollections
+  },
+  {
+    name: 'get_collection_entries',
+    description: 'Read the newest entries in one of the user\'s collections',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...collectionLookup,
+        limit: {
+          type: 'integer',
+          description: 'Most entries to return (default 10)',
+          minimum: 1,
+          maximum: 50
+        }
+      }
+    },
+    handler: getCollectionEntries
+  },
+  {
+    name: 'move_entry_to_collection',
+    description: 'Move a saved entry into another collection, e.g. "move that to my Book Reviews"',
+    parameters: {
+      type: 'object',
+      properties: {
+        entryId: {
+          type: 'string',
+          description: 'The entry id from extract_entries or search_entries',
+          minLength: 1
+        },
+        ...collectionLookup,
+        fromCollectionId: {
+          type: 'string',
+          description: 'Only take it out of this collection; by default it leaves every other collection'
+        }
+      },
+      required: ['entryId']
+    },
+    handler: moveEntryToCollection
+  }
+];
@@ -0,0 +1,132 @@
+const { Entry, Space, Collection } = require('../../models');
+const { enqueueInference } = require('../queue');
+const { hybridSearch } = require('../search');
+const { toDate } = require('./lookup');
+
+const CONTENT_PREVIEW_LENGTH = 500;
+
+/**
+ * Save voice content as an entry and queue collection inference for it
+ */
+async function extractEntries({ content }, { userId }) {
+  console.log(`[VOICE-ENTRY] Creating entry from voice: "${content.substring(0, 50)}..."`);
+
+  // Get or create default space
+  let spaceIds = [];
+  try {
+    const defaultSpace = await Space.findDefaultSpace(userId) ||
+                         await Space.createDefaultSpace(userId);
+    spaceIds = defaultSpace ? [defaultSpace.id] : [];
+  } catch (spaceError) {
+    console.error('[VOICE-ENTRY] Space error:', spaceError.message);
+    // Continue without a space - it's optional
+  }
+
+  const entry = await Entry.create({
+    userId,
+    title: '',
+    content,
+    type: 'journal',
+    spaceIds,
+    metadata: {
+      source: 'voice',
+      extractedAt: new Date()
+    }
+  });
+  console.log(`[VOICE-ENTRY] Created entry ${entry.id}`);
+
+  // Collection inference runs in the background
+  let jobId = null;
+  try {
+    jobId = await enqueueInference(entry.id, userId, content);
+    console.log(`[VOICE-ENTRY] Inference job queued with ID: ${jobId}`);
+  } catch (inferenceError) {
+    console.error('[VOICE-ENTRY] Inference queueing failed:', inferenceError.message);
+    // Continue - entry is already created
+  }
+
+  return {
+    success: true,
+    entryId: entry.id,
+    jobId,
+    message: 'Entry saved successfully'
+  };
+}
+
+/**
+ * Search the user's entries and their collection fields, e.g. "what did I rate Dune?"
+ */
+async function searchEntries({ query, limit = 5 }, { userId }) {
+  const [{ results }, collections] = await Promise.all([
+    hybridSearch(userId, query, { types: ['entry', 'collection_entry'], limit }),
+    Collection.findByUserId(userId)
+  ]);
+  const collectionNames = new Map(collections.map(collection => [collection.id, collection.name]));
+
+  const matches = results
+    .filter(result => result.item.userId === userId)
+    .map(({ type, item, snippet }) => {
+      if (type === 'collection_entry') {
+        return {
+          entryId: item.entryId,
+          collection: collectionNames.get(item.collectionId) || null,
+          fields: item.getDisplayData(),
+          snippet
+        };
+      }
+      return {
+        entryId: item.id,
+        content: item.content.substring(0, CONTENT_PREVIEW_LENGTH),
+        createdAt: toDate(item.createdAt).toISOString(),
+        snippet
+      };
+    });
+
+  if (matches.length === 0) {
+    return { success: true, count: 0, results: [], message: `Nothing saved matches "${query}"` };
+  }
+  return { success: true, count: matches.length, results: matches };
+}
+
+module.exports = [
+  {
+    name: 'extract_entries',
+    description: 'Extract and save any entry-worthy content the user shares',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The exact content to save as the user said it',
+          minLength: 1,
+          maxLength: 50000
+        }
+      },
+      required: ['content']
+    },
+    handler: extractEntries
+  },
+  {
+    name: 'search_entries',
+    description: 'Search what the user has saved before, e.g. "what did I rate Dune?" or "my notes about sourdough"',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for, in the user\'s words',
+          minLength: 1,
+          maxLength: 500
+        },
+        limit: {
+          type: 'integer',
+          description: 'Most results to return (default 5)',
+          minimum: 1,
+          maximum: 20
+        }
+      },
+      required: ['query']
+    },
+    handler: searchEntries
+  }
+];
@@ -0,0 +1,11 @@
+const registry = require('./registry');
+
+// Built-in functions, grouped by what they work on
+[
+  ...require('./tasks'),
+  ...require('./collections'),
+  ...require('./entries'),
+  ...require('./thoughts')
+].forEach(registry.registerFunction);
+
+module.exports = registry;
@@ -0,0 +1,124 @@
+const { UserTask, Collection } = require('../../models');
+const { tokenize, keywordScore } = require('../vectorIndex/scoring');
+const { FunctionError } = require('./registry');
+
+/**
+ * Finds the user's tasks and collections from what the model passes: an id
+ * from an earlier result, or the name the user said ("the dentist task").
+ *
+ * Misses come back as { failure } - a result the assistant can read out or
+ * ask a follow-up about - rather than errors. Other users' records are never
+ * matched, and an id that belongs to someone else reads as not found.
+ */
+
+// Share of the spoken words a name has to contain to count as a match
+const MIN_NAME_SCORE = 0.5;
+const MAX_CANDIDATES = 5;
+
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * The records whose name best matches the spoken text. An exact
+ * (case-insensitive) name wins outright.
+ */
+function bestMatches(records, text, nameOf) {
+  const spoken = text.trim().toLowerCase();
+  const exact = records.filter(record => nameOf(record).trim().toLowerCase() === spoken);
+  if (exact.length > 0) return exact;
+
+  const terms = tokenize(text);
+  const scored = records
+    .map(record => ({ record, score: keywordScore(terms, nameOf(record)) }))
+    .filter(match => match.score >= MIN_NAME_SCORE);
+  const top = Math.max(0, ...scored.map(match => match.score));
+  return scored.filter(match => match.score === top).map(match => match.record);
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} args - { taskId } or { taskTitle }
+ * @param {Object} options - { includeCompleted } when matching by title
+ * @returns {Promise<{task: UserTask}|{failure: Object}>}
+ */
+async function resolveTask(userId, { taskId, taskTitle }, { includeCompleted = false } = {}) {
+  if (taskId) {
+    const task = await UserTask.findById(taskId);
+    if (!task || task.userId !== userId) {
+      return { failure: { success: false, message: 'Task not found' } };
+    }
+    return { task };
+  }
+
+  if (!taskTitle) {
+    throw new FunctionError('taskId or taskTitle is required');
+  }
+
+  const tasks = (await UserTask.findByUserId(userId))
+    .filter(task => includeCompleted || task.status !== 'completed');
+  const matches = bestMatches(tasks, taskTitle, task => task.title);
+
+  if (matches.length === 0) {
+    return { failure: { success: false, message: `No task matching "${taskTitle}"` } };
+  }
+  if (matches.length > 1) {
+    return {
+      failure: {
+        success: false,
+        message: `Several tasks match "${taskTitle}" - ask which one`,
+        candidates: matches.slice(0, MAX_CANDIDATES).map(task => ({ id: task.id, title: task.title }))
+      }
+    };
+  }
+  return { task: matches[0] };
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} args - { collectionId } or { collectionName }
+ * @returns {Promise<{collection: Collection}|{failure: Object}>}
+ */
+async function resolveCollection(userId, { collectionId, collectionName }) {
+  if (collectionId) {
+    const collection = await Collection.findById(collectionId);
+    if (!collection || collection.userId !== userId) {
+      return { failure: { success: false, message: 'Collection not found' } };
+    }
+    return { collection };
+  }
+
+  if (!collectionName) {
+    throw new FunctionError('collectionId or collectionName is required');
+  }
+
+  const collections = await Collection.findByUserId(userId);
+  const matches = bestMatches(collections, collectionName, collection => collection.name);
+
+  if (matches.length === 0) {
+    return {
+      failure: {
+        success: false,
+        message: `No collection matching "${collectionName}"`,
+        collections: collections.map(collection => collection.name)
+      }
+    };
+  }
+  if (matches.length > 1) {
+    return {
+      failure: {
+        success: false,
+        message: `Several collections match "${collectionName}" - ask which one`,
+        candidates: matches.slice(0, MAX_CANDIDATES).map(collection => ({ id: collection.id, name: collection.name }))
+      }
+    };
+  }
+  return { collection: matches[0] };
+}
+
+module.exports = {
+  toDate,
+  resolveTask,
+  resolveCollection
+};
@@ -0,0 +1,91 @@
+const { sanitize } = require('../../middleware/validate');
+
+/**
+ * Functions the realtime voice assistant can call.
+ *
+ * Each definition is { name, description, parameters, handler }: parameters is
+ * a JSON Schema object that is both sent to the model as the tool definition
+ * and used to validate the arguments it sends back, and handler(args, context)
+ * does the work in-process. context is { userId, timezone? } - timezone is
+ * the client's IANA zone when it sent one.
+ */
+
+class FunctionError extends Error {
+  constructor(message, statusCode = 400, fields = undefined) {
+    super(message);
+    this.name = 'FunctionError';
+    this.statusCode = statusCode;
+    this.fields = fields;
+  }
+}
+
+const functions = new Map();
+
+function registerFunction(definition) {
+  const { name, description, parameters, handler } = definition;
+  if (!name || !description || !parameters || typeof handler !== 'function') {
+    throw new Error('Realtime functions need a name, description, parameters and handler');
+  }
+  if (functions.has(name)) {
+    throw new Error(`Realtime function already registered: ${name}`);
+  }
+  functions.set(name, { name, description, parameters, handler });
+}
+
+function getFunction(name) {
+  return functions.get(name) || null;
+}
+
+/**
+ * The tools array for a realtime session
+ * @param {Array<string>} names - limit to these functions; all when omitted
+ */
+function getTools(names) {
+  return [...functions.values()]
+    .filter(fn => !names || names.includes(fn.name))
+    .map(({ name, description, parameters }) => ({
+      type: 'function',
+      name,
+      description,
+      parameters
+    }));
+}
+
+/**
+ * Validates the model's arguments against the function's parameters and runs it
+ * @param {string} name - function name
+ * @param {Object|string} args - arguments object, or the JSON string the Realtime API sends
+ * @param {Object} context - { userId, timezone? }
+ * @throws {FunctionError} 400 for unknown functions and invalid arguments
+ */
+async function executeFunction(name, args, context) {
+  const fn = functions.get(name);
+  if (!fn) {
+    throw new FunctionError(`Unknown function: ${name}`);
+  }
+
+  let input = args ?? {};
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input || '{}');
+    } catch (error) {
+      throw new FunctionError('Function arguments must be valid JSON');
+    }
+  }
+
+  const { value, errors } = sanitize(input, fn.parameters, 'arguments', {});
+  if (errors.length > 0) {
+    throw new FunctionError('Invalid function arguments', 400, errors);
+  }
+
+  console.log(`[REALTIME-FUNCTION] Executing ${name} for user ${context.userId}`);
+  return fn.handler(value, context);
+}
+
+module.exports = {
+  FunctionError,
+  registerFunction,
+  getFunction,
+  getTools,
+  executeFunction
+};
@@ -0,0 +1,273 @@
+const { UserTask, Space } = require('../../models');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../../schemas/tasks');
+const { FunctionError } = require('./registry');
+const { toDate, resolveTask } = require('./lookup');
+const { DEFAULT_TIME_ZONE, startOfDay, weekdayIndex } = require('../../utils/timeZone');
+
+const DUE_RANGES = ['overdue', 'today', 'tomorrow', 'this_week', 'next_week'];
+
+// Lookup arguments shared by the tools that act on an existing task
+const taskLookup = {
+  taskId: {
+    type: 'string',
+    description: 'The task id, when known from an earlier result'
+  },
+  taskTitle: {
+    type: 'string',
+    description: 'Words from the task title as the user said them, e.g. "dentist"',
+    maxLength: 500
+  }
+};
+
+// What the assistant needs to talk about a task
+function describeTask(task) {
+  const dueDate = toDate(task.dueDate);
+  return {
+    id: task.id,
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    dueDate: dueDate ? dueDate.toISOString() : null
+  };
+}
+
+/**
+ * Create a task from voice input in the user's default space
+ */
+async function createTask({ title, description, priority, dueDate }, { userId }) {
+  console.log(`[VOICE-TASK] Creating task from voice: "${title}"`);
+
+  const defaultSpace = await Space.findDefaultSpace(userId) ||
+                       await Space.createDefaultSpace(userId);
+  const spaceIds = defaultSpace ? [defaultSpace.id] : [];
+
+  const taskData = {
+    userId,
+    title,
+    description: description || '',
+    priority: priority || 'medium',
+    status: 'pending',
+    source: 'voice',
+    spaceIds,
+    metadata: {
+      source: 'voice',
+      createdAt: new Date()
+    }
+  };
+
+  if (dueDate) {
+    taskData.dueDate = dueDate;
+  }
+
+  const task = await UserTask.create(taskData);
+
+  console.log(`[VOICE-TASK] Created task ${task.id}: "${task.title}"`);
+
+  return {
+    success: true,
+    task,
+    message: `Task "${task.title}" created successfully`
+  };
+}
+
+/**
+ * Mark a task done, found by id or by title among unfinished tasks
+ */
+async function completeTask(args, { userId }) {
+  const { task, failure } = await resolveTask(userId, args);
+  if (failure) return failure;
+
+  if (task.status === 'completed') {
+    return { success: true, task: describeTask(task), message: `"${task.title}" was already done` };
+  }
+
+  await task.markComplete();
+  console.log(`[VOICE-TASK] Completed task ${task.id}`);
+
+  return { success: true, task: describeTask(task), message: `Marked "${task.title}" as done` };
+}
+
+/**
+ * Change a task's title, description, priority, status or due date
+ */
+async function updateTask({ taskId, taskTitle, ...changes }, { userId }) {
+  if (Object.keys(changes).length === 0) {
+    throw new FunctionError('Nothing to update: send title, description, priority, status or dueDate');
+  }
+
+  const { task, failure } = await resolveTask(userId, { taskId, taskTitle }, { includeCompleted: true });
+  if (failure) return failure;
+
+  Object.assign(task, changes);
+  if (changes.status) {
+    task.completedAt = changes.status === 'completed' ? (task.completedAt || new Date()) : null;
+  }
+  await task.save();
+  console.log(`[VOICE-TASK] Updated task ${task.id}: ${Object.keys(changes).join(', ')}`);
+
+  return { success: true, task: describeTask(task), message: `Updated "${task.title}"` };
+}
+
+/**
+ * Resolves a named range to [start, end), with days as they fall in the
+ * user's time zone. Weeks run Monday to Sunday and "this week" starts today.
+ */
+function resolveDueRange(range, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const day = days => startOfDay(now, timeZone, days);
+  const daysToNextMonday = 7 - weekdayIndex(now, timeZone);
+
+  switch (range) {
+    case 'overdue':
+      return { start: null, end: now };
+    case 'today':
+      return { start: day(0), end: day(1) };
+    case 'tomorrow':
+      return { start: day(1), end: day(2) };
+    case 'next_week':
+      return { start: day(daysToNextMonday), end: day(daysToNextMonday + 7) };
+    default:
+      return { start: day(0), end: day(daysToNextMonday) };
+  }
+}
+
+// The client's zone, else the one in the user's assistant profile
+async function timeZoneFor({ userId, timezone }) {
+  if (timezone) return timezone;
+  // Required lazily - the profile lists this registry's tools
+  const { getAssistantProfile } = require('../assistantProfile');
+  return (await getAssistantProfile(userId)).timezone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Tasks due in a named range or between two dates, soonest first
+ */
+async function queryTasksByDueDate({ range, startDate, endDate, includeCompleted = false }, context) {
+  const custom = Boolean(startDate || endDate);
+  const timeZone = await timeZoneFor(context);
+  const window = custom
+    ? { start: startDate || null, end: endDate || null }
+    : resolveDueRange(range || 'this_week', timeZone);
+
+  const tasks = (await UserTask.findDueBetween(context.userId, window))
+    .filter(task => (includeCompleted && range !== 'overdue') || task.status !== 'completed');
+
+  return {
+    success: true,
+    range: {
+      name: custom ? 'custom' : (range || 'this_week'),
+      timeZone,
+      start: window.start ? window.start.toISOString() : null,
+      end: window.end ? window.end.toISOString() : null
+    },
+    count: tasks.length,
+    tasks: tasks.map(describeTask)
+  };
+}
+
+module.exports = [
+  {
+    name: 'create_task',
+    description: 'Create a new task or reminder',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'The task title',
+          minLength: 1,
+          maxLength: 500
+        },
+        description: {
+          type: 'string',
+          description: 'Optional task description',
+          maxLength: 10000
+        },
+        priority: {
+          type: 'string',
+          enum: TASK_PRIORITIES,
+          description: 'Optional priority, medium when not given'
+        },
+        dueDate: {
+          type: 'string',
+          format: 'date-time',
+          description: 'Optional due date in ISO format'
+        }
+      },
+      required: ['title']
+    },
+    handler: createTask
+  },
+  {
+    name: 'complete_task',
+    description: 'Mark one of the user\'s tasks as done, e.g. "mark the dentist task done"',
+    parameters: {
+      type: 'object',
+      properties: taskLookup
+    },
+    handler: completeTask
+  },
+  {
+    name: 'update_task',
+    description: 'Change an existing task: rename it, reschedule it, or change its priority, status or description',
+    parameters: {
+      type: 'object',
+      properties: {
+        ...taskLookup,
+        title: {
+          type: 'string',
+          description: 'New title',
+          minLength: 1,
+          maxLength: 500
+        },
+        description: {
+          type: 'string',
+          description: 'New description',
+          maxLength: 10000
+        },
+        priority: {
+          type: 'string',
+          enum: TASK_PRIORITIES
+        },
+        status: {
+          type: 'string',
+          enum: TASK_STATUSES
+        },
+        dueDate: {
+          type: ['string', 'null'],
+          format: 'date-time',
+          description: 'New due date in ISO format, or null to clear it'
+        }
+      }
+    },
+    handler: updateTask
+  },
+  {
+    name: 'query_tasks_by_due_date',
+    description: 'List tasks by due date, e.g. "what\'s due this week?" or "what\'s overdue?"',
+    parameters: {
+      type: 'object',
+      properties: {
+        range: {
+          type: 'string',
+          enum: DUE_RANGES,
+          description: 'Named range, this_week when no range or dates are given'
+        },
+        startDate: {
+          type: 'string',
+          format: 'date-time',
+          description: 'Due at or after this time (ISO format), instead of a range'
+        },
+        endDate: {
+          type: 'string',
+          format: 'date-time',
+          description: 'Due before this time (ISO format), instead of a range'
+        },
+        includeCompleted: {
+          type: 'boolean',
+          description: 'Include tasks already done'
+        }
+      }
+    },
+    handler: queryTasksByDueDate
+  }
+];
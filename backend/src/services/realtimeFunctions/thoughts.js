@@ -0,0 +1,61 @@
+const { Thought, Space } = require('../../models');
+const { THOUGHT_TYPES, THOUGHT_CATEGORIES } = require('../../schemas/thoughts');
+
+/**
+ * Save a thought (reflection, idea, question...) in the user's default space
+ */
+async function addThought({ content, type, category, tags }, { userId }) {
+  const defaultSpace = await Space.findDefaultSpace(userId) ||
+                       await Space.createDefaultSpace(userId);
+
+  const thought = await Thought.create({
+    userId,
+    content,
+    type,
+    category,
+    tags,
+    spaceIds: defaultSpace ? [defaultSpace.id] : [],
+    metadata: { source: 'voice' }
+  });
+
+  console.log(`[VOICE-THOUGHT] Created thought ${thought.id}`);
+
+  return {
+    success: true,
+    thoughtId: thought.id,
+    message: 'Thought saved'
+  };
+}
+
+module.exports = [
+  {
+    name: 'add_thought',
+    description: 'Save a personal reflection, idea, question or observation the user wants to think about, rather than an entry to file in a collection',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The thought as the user said it',
+          minLength: 1,
+          maxLength: 50000
+        },
+        type: {
+          type: 'string',
+          enum: THOUGHT_TYPES
+        },
+        category: {
+          type: 'string',
+          enum: THOUGHT_CATEGORIES
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string', maxLength: 100 },
+          maxItems: 10
+        }
+      },
+      required: ['content']
+    },
+    handler: addThought
+  }
+];
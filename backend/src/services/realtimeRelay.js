@@ -0,0 +1,282 @@
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { getSession, claimConnection, releaseConnection, buildSessionConfig } = require('./realtimeSessions');
+const { executeFunction } = require('./realtimeFunctions');
+const { realtimeConnection } = require('./openai');
+
+/**
+ * WebSocket relay between a voice client and the realtime model provider.
+ *
+ * The client connects to RELAY_PATH with a session token from
+ * POST /api/realtime/session (Authorization: Bearer <token>) and
+ * then speaks the provider's realtime protocol as if connected directly.
+ * The relay holds the provider connection and its API key, sets the session
+ * up from the user's assistant profile (voice, instructions, tools), and
+ * answers tool calls itself by running the realtime functions for the
+ * session's user. Clients see each result as a relay.function_call.output
+ * event and must not run tools themselves.
+ *
+ * A session token has one live connection at a time, across instances: the
+ * relay claims it in the session store and frees it on close. Connections
+ * are closed with CLOSE_SESSION_EXPIRED when the session expires.
+ */
+
+const RELAY_PATH = '/api/realtime/ws';
+
+const CLOSE_SESSION_EXPIRED = 4001;
+const CLOSE_UPSTREAM_FAILED = 1011;
+
+// Client events held while the provider connection opens
+const MAX_PENDING_MESSAGES = 1000;
+
+function parseEvent(data) {
+  try {
+    return JSON.parse(data.toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Only from the header - query strings end up in proxy and access logs
+function sessionTokenFrom(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+function rejectUpgrade(socket, statusCode, message) {
+  const body = JSON.stringify({ error: message });
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+}
+
+/**
+ * Relays one client connection for the lifetime of its session
+ */
+async function relaySession(client, session, onClose) {
+  const tag = `[REALTIME-RELAY] Session ${session.sessionId}`;
+  const pending = [];
+  let upstream;
+  let closed = false;
+
+  const sendToClient = event => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(event));
+    }
+  };
+
+  const sendUpstream = event => {
+    if (upstream && upstream.readyState === WebSocket.OPEN) {
+      upstream.send(JSON.stringify(event));
+    }
+  };
+
+  const closeBoth = (code, reason) => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(expiryTimer);
+    onClose();
+
+    if (upstream) {
+      upstream.readyState === WebSocket.CONNECTING ? upstream.terminate() : upstream.close();
+    }
+    if (client.readyState === WebSocket.OPEN || client.readyState === WebSocket.CONNECTING) {
+      client.close(code, reason);
+    }
+  };
+
+  const expiryTimer = setTimeout(() => {
+    console.log(`${tag} expired`);
+    sendToClient({ type: 'error', error: { type: 'session_expired', message: 'Realtime session expired' } });
+    closeBoth(CLOSE_SESSION_EXPIRED, 'Session expired');
+  }, Math.max(0, session.expiresAt.getTime() - Date.now()));
+
+  // Run a tool call for the session's user and hand the result to the model
+  const runToolCall = async ({ call_id: callId, name, arguments: args }) => {
+    let output;
+    try {
+      output = await executeFunction(name, args, { userId: session.userId });
+      console.log(`${tag}: ${name} completed`);
+    } catch (error) {
+      console.error(`${tag}: ${name} failed:`, error.message);
+      output = { success: false, error: error.message };
+    }
+
+    sendUpstream({
+      type: 'conversation.item.create',
+      item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(output) }
+    });
+    sendUpstream({ type: 'response.create' });
+    sendToClient({ type: 'relay.function_call.output', call_id: callId, name, output });
+  };
+
+  client.on('message', (data, isBinary) => {
+    let outgoing = data;
+
+    // Tools are the server's to define
+    const event = !isBinary && parseEvent(data);
+    if (event && event.type === 'session.update' && event.session) {
+      delete event.session.tools;
+      delete event.session.tool_choice;
+      outgoing = JSON.stringify(event);
+    }
+
+    if (upstream && upstream.readyState === WebSocket.OPEN) {
+      upstream.send(outgoing, { binary: isBinary });
+    } else if ((!upstream || upstream.readyState === WebSocket.CONNECTING) && pending.length < MAX_PENDING_MESSAGES) {
+      pending.push({ data: outgoing, isBinary });
+    }
+  });
+
+  client.on('error', error => {
+    console.error(`${tag}: client error:`, error.message);
+  });
+
+  client.on('close', () => {
+    console.log(`${tag} disconnected`);
+    closeBoth(1000, 'Client disconnected');
+  });
+
+  let config;
+  try {
+    config = await buildSessionConfig(session.userId);
+  } catch (error) {
+    console.error(`${tag}: can't build the session config:`, error.message);
+    sendToClient({ type: 'error', error: { type: 'session_setup_failed', message: 'Realtime session setup failed' } });
+    closeBoth(CLOSE_UPSTREAM_FAILED, 'Realtime session setup failed');
+    return;
+  }
+  // The client may have left while the config loaded
+  if (closed) return;
+
+  try {
+    const { url, headers } = realtimeConnection(config.model);
+    upstream = new WebSocket(url, { headers });
+  } catch (error) {
+    console.error(`${tag}: can't reach the realtime provider:`, error.message);
+    sendToClient({ type: 'error', error: { type: 'upstream_unavailable', message: 'Realtime provider unavailable' } });
+    closeBoth(CLOSE_UPSTREAM_FAILED, 'Realtime provider unavailable');
+    return;
+  }
+
+  upstream.on('open', () => {
+    const { model, ...settings } = config;
+    sendUpstream({ type: 'session.update', session: settings });
+    pending.splice(0).forEach(({ data, isBinary }) => upstream.send(data, { binary: isBinary }));
+
+    console.log(`${tag} connected for user ${session.userId}`);
+    sendToClient({
+      type: 'relay.connected',
+      session_id: session.sessionId,
+      expires_at: session.expiresAt.toISOString()
+    });
+  });
+
+  upstream.on('message', (data, isBinary) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(data, { binary: isBinary });
+    }
+
+    const event = !isBinary && parseEvent(data);
+    if (event && event.type === 'response.function_call_arguments.done') {
+      runToolCall(event);
+    }
+  });
+
+  upstream.on('error', error => {
+    console.error(`${tag}: upstream error:`, error.message);
+    sendToClient({ type: 'error', error: { type: 'upstream_error', message: 'Realtime provider connection failed' } });
+    closeBoth(CLOSE_UPSTREAM_FAILED, 'Realtime provider connection failed');
+  });
+
+  upstream.on('close', code => {
+    closeBoth(code === 1000 ? 1000 : CLOSE_UPSTREAM_FAILED, 'Realtime provider closed the session');
+  });
+}
+
+/**
+ * @param {Object} options - { path } to listen on, RELAY_PATH by default
+ * @returns {{ handleUpgrade: Function, close: Function }}
+ */
+function createRealtimeRelay({ path = RELAY_PATH } = {}) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  async function acceptUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      return rejectUpgrade(socket, 404, 'Not found');
+    }
+
+    const sessionToken = sessionTokenFrom(req);
+    let session;
+    let connectionId;
+    try {
+      session = sessionToken ? await getSession(sessionToken) : null;
+      connectionId = session ? await claimConnection(sessionToken) : null;
+    } catch (error) {
+      console.error('[REALTIME-RELAY] Session lookup failed:', error.message);
+      return rejectUpgrade(socket, 500, 'Session lookup failed');
+    }
+    if (!session) {
+      return rejectUpgrade(socket, 401, 'Invalid or expired session token');
+    }
+    if (!connectionId) {
+      return rejectUpgrade(socket, 409, 'Session already connected');
+    }
+
+    // Held for as long as the socket is open, including a handshake that
+    // never completes
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      releaseConnection(sessionToken, connectionId).catch(error => {
+        console.error(`[REALTIME-RELAY] Session ${session.sessionId}: can't release the connection:`, error.message);
+      });
+    };
+    socket.once('close', release);
+    // The client may have hung up while the claim was made
+    if (socket.destroyed) return release();
+
+    wss.handleUpgrade(req, socket, head, client => {
+      relaySession(client, session, release);
+    });
+  }
+
+  async function handleUpgrade(req, socket, head) {
+    try {
+      await acceptUpgrade(req, socket, head);
+    } catch (error) {
+      console.error('[REALTIME-RELAY] Upgrade failed:', error.message);
+      socket.destroy();
+    }
+  }
+
+  function close() {
+    wss.clients.forEach(client => client.terminate());
+    wss.close();
+  }
+
+  return { handleUpgrade, close };
+}
+
+/**
+ * Serves the relay from an HTTP server's upgrade requests. Call close() on
+ * the result before closing the server - open sockets keep it running.
+ */
+function attachRealtimeRelay(server, options) {
+  const relay = createRealtimeRelay(options);
+  server.on('upgrade', relay.handleUpgrade);
+  return relay;
+}
+
+module.exports = {
+  RELAY_PATH,
+  CLOSE_SESSION_EXPIRED,
+  createRealtimeRelay,
+  attachRealtimeRelay
+};
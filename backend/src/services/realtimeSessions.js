@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { getTools } = require('./realtimeFunctions');
+const { getSessionStore } = require('./sessionStore');
+const { getAssistantProfile } = require('./assistantProfile');
+const { Collection } = require('../models');
+
+/**
+ * Realtime voice sessions: how the model session is set up, and the session
+ * tokens clients use to connect to the WebSocket relay (websocket-server.js).
+ *
+ * A session token is handed out by POST /api/realtime/session and stands in
+ * for the provider's API key, which never leaves the server. Sessions live in
+ * the session store under a hash of the token, so any instance can check one.
+ */
+
+const DEFAULT_SESSION_TTL_SECONDS = 3600;
+const SESSION_NAMESPACE = 'realtime';
+
+// Collections listed in the instructions, and how much of each one's
+// instructions to include
+const MAX_PROMPT_COLLECTIONS = 50;
+const COLLECTION_INSTRUCTIONS_LENGTH = 300;
+
+// Turn detection per assistant profile vadSensitivity: more sensitive
+// picks up quieter speech and answers after a shorter pause
+const VAD_SETTINGS = {
+  low: { threshold: 0.7, silence_duration_ms: 800 },
+  medium: { threshold: 0.5, silence_duration_ms: 500 },
+  high: { threshold: 0.3, silence_duration_ms: 350 }
+};
+
+const BASE_INSTRUCTIONS = 'You are a helpful assistant. Be concise and natural.';
+
+// Guidance included when any of its tools is enabled for the user
+const TOOL_INSTRUCTIONS = [
+  {
+    tools: ['extract_entries'],
+    text: `When the user shares something entry-worthy (like ratings, reviews, notes, observations, ideas), use extract_entries to capture it.
+
+Don't worry about which collection it belongs to - just extract any meaningful content the user shares. The system will automatically sort it into the right collection.
+
+Examples of entry-worthy content:
+- "Boy Smells Ash candle is 8/10"
+- "Just watched Dune 2, amazing cinematography"
+- "Recipe: Mix flour, eggs, milk for pancakes"
+- "Idea: app that tracks mood with weather"
+- "The movie F1 with Brad Pitt: 7 out of 10"
+- "Life advice: get sun in the morning"`
+  },
+  {
+    tools: ['create_task'],
+    text: 'For tasks and todos, use create_task.'
+  },
+  {
+    tools: ['complete_task', 'update_task', 'query_tasks_by_due_date'],
+    text: 'To finish, reschedule or change an existing task use complete_task or update_task, and answer questions like "what\'s due this week?" with query_tasks_by_due_date.'
+  },
+  {
+    tools: ['search_entries'],
+    text: 'To answer questions about things the user saved before ("what did I rate Dune?"), use search_entries.'
+  },
+  {
+    tools: ['list_collections', 'get_collection_entries', 'move_entry_to_collection'],
+    text: 'Use list_collections and get_collection_entries to talk about their collections, and move_entry_to_collection when they want an entry filed somewhere else.'
+  },
+  {
+    tools: ['add_thought'],
+    text: 'Use add_thought for reflections, questions and ideas the user wants to keep thinking about.'
+  },
+  {
+    tools: ['create_collection'],
+    text: 'Only use create_collection when explicitly asked.'
+  }
+];
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (error) {
+    return code;
+  }
+}
+
+// What the user tracks, so extract_entries picks up what belongs there
+function collectionInstructions(collections) {
+  const lines = collections
+    .filter(collection => collection.name)
+    .slice(0, MAX_PROMPT_COLLECTIONS)
+    .map(collection => {
+      const guidance = (collection.instructions || '').replace(/\s+/g, ' ').trim();
+      return guidance
+        ? `- ${collection.name}: ${guidance.substring(0, COLLECTION_INSTRUCTIONS_LENGTH)}`
+        : `- ${collection.name}`;
+    });
+
+  if (lines.length === 0) return null;
+  return `The user keeps these collections. Listen for things that belong in them and capture them with extract_entries, including the details each one asks for:\n${lines.join('\n')}`;
+}
+
+/**
+ * Session instructions for a profile, its enabled tools and the user's collections
+ */
+function buildInstructions(profile, tools, collections) {
+  const enabled = new Set(tools.map(tool => tool.name));
+  const parts = [BASE_INSTRUCTIONS];
+
+  if (profile.persona) {
+    parts.push(`The user describes how you should come across:\n${profile.persona}`);
+  }
+
+  TOOL_INSTRUCTIONS
+    .filter(({ tools: names }) => names.some(name => enabled.has(name)))
+    .forEach(({ text }) => parts.push(text));
+
+  if (enabled.has('extract_entries')) {
+    const tracked = collectionInstructions(collections);
+    if (tracked) parts.push(tracked);
+  }
+
+  if (enabled.size > 0) {
+    parts.push('If a tool answers that several items match, ask the user which one they meant.');
+  }
+
+  if (profile.language) {
+    parts.push(`Speak ${languageName(profile.language)} unless the user switches to another language.`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * The model session for a user: voice, instructions, transcription, turn
+ * detection and tools, from their assistant profile and collections
+ * @param {string} userId
+ */
+async function buildSessionConfig(userId) {
+  const [profile, collections] = await Promise.all([
+    getAssistantProfile(userId),
+    Collection.findByUserId(userId)
+  ]);
+  const tools = getTools(profile.enabledTools || undefined);
+  const vad = VAD_SETTINGS[profile.vadSensitivity] || VAD_SETTINGS.medium;
+
+  return {
+    voice: profile.voice,
+    instructions: buildInstructions(profile, tools, collections),
+    input_audio_transcription: {
+      model: 'whisper-1',
+      ...(profile.language ? { language: profile.language } : {})
+    },
+    turn_detection: {
+      type: 'server_vad',
+      threshold: vad.threshold,
+      prefix_padding_ms: 300,
+      silence_duration_ms: vad.silence_duration_ms
+    },
+    tools
+  };
+}
+
+function sessionTtlSeconds() {
+  return parseInt(process.env.REALTIME_SESSION_TTL_SECONDS, 10) || DEFAULT_SESSION_TTL_SECONDS;
+}
+
+function tokenKey(sessionToken) {
+  return crypto.createHash('sha256').update(sessionToken).digest('hex');
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<{sessionToken: string, sessionId: string, userId: string, createdAt: number, expiresAt: Date}>}
+ */
+async function createSession(userId) {
+  const sessionToken = crypto.randomBytes(32).toString('hex');
+
+  const session = await getSessionStore().create(SESSION_NAMESPACE, tokenKey(sessionToken), {
+    sessionId: crypto.randomBytes(16).toString('hex'),
+    userId,
+    createdAt: Date.now()
+  }, { ttlSeconds: sessionTtlSeconds() });
+
+  return { ...session, sessionToken };
+}
+
+/**
+ * The live session for a token, or null when unknown or expired
+ */
+async function getSession(sessionToken) {
+  return getSessionStore().get(SESSION_NAMESPACE, tokenKey(sessionToken));
+}
+
+/**
+ * Marks a session as connected to a relay, unless a relay on any instance
+ * already holds it. A claim left by an instance that died holds until the
+ * session expires.
+ * @returns {Promise<string|null>} the connection id to release with, or null
+ *   when the session is gone or already connected
+ */
+async function claimConnection(sessionToken) {
+  const connectionId = crypto.randomBytes(16).toString('hex');
+
+  const session = await getSessionStore().modify(SESSION_NAMESPACE, tokenKey(sessionToken), current => {
+    if (!current || current.connectionId) return null;
+    return { ...current, connectionId, connectedAt: Date.now() };
+  });
+
+  return session?.connectionId === connectionId ? connectionId : null;
+}
+
+/**
+ * Frees a session claimed by claimConnection, so the token can connect again
+ */
+async function releaseConnection(sessionToken, connectionId) {
+  await getSessionStore().modify(SESSION_NAMESPACE, tokenKey(sessionToken), current => {
+    if (!current || current.connectionId !== connectionId) return null;
+    return { ...current, connectionId: null, connectedAt: null };
+  });
+}
+
+module.exports = {
+  buildSessionConfig,
+  createSession,
+  getSession,
+  claimConnection,
+  releaseConnection
+};
@@ -0,0 +1,119 @@
+const { Entry, Thought, CollectionEntry, Message } = require('../models');
+const { generateEmbedding } = require('./openai');
+const { isConfigured } = require('./llm');
+const { getVectorIndex } = require('./vectorIndex');
+const { tokenize } = require('./vectorIndex/scoring');
+
+// Candidates pulled from each signal before fusing
+const CANDIDATE_LIMIT = 100;
+// Cosine similarity below this is treated as no match
+const MIN_VECTOR_SCORE = 0.2;
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+const SNIPPET_LENGTH = 160;
+
+const models = {
+  entry: Entry,
+  thought: Thought,
+  collection_entry: CollectionEntry,
+  message: Message
+};
+
+/**
+ * Picks the part of the text around the first matching term
+ */
+function buildSnippet(text = '', terms = []) {
+  const lower = text.toLowerCase();
+  const position = terms
+    .map(term => lower.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0] || 0;
+
+  const start = Math.max(0, position - SNIPPET_LENGTH / 4);
+  const snippet = text.substring(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+async function vectorCandidates(userId, query, options) {
+  if (!isConfigured('embedding')) return null;
+
+  try {
+    const vector = await generateEmbedding(query, { callSite: 'embedding' });
+    const matches = await getVectorIndex().query(userId, vector, options);
+    return matches.filter(match => match.score >= MIN_VECTOR_SCORE);
+  } catch (error) {
+    // Fall back to keyword-only results
+    console.error('[SEARCH] Vector query failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Hybrid keyword + vector search across a user's entries, thoughts,
+ * collection entries and messages, fused with reciprocal rank fusion.
+ *
+ * @param {string} userId
+ * @param {string} query
+ * @param {Object} options
+ * @param {Array<string>} options.types - Source types to include (default all)
+ * @param {string} options.spaceId
+ * @param {string} options.collectionId
+ * @param {Date} options.startDate
+ * @param {Date} options.endDate
+ * @param {number} options.limit - Max results (default 20)
+ * @returns {Promise<{mode: 'hybrid' | 'keyword', results: Array}>} results as
+ *   { type, id, score, keywordScore, vectorScore, snippet, item }
+ */
+async function hybridSearch(userId, query, options = {}) {
+  const { limit = 20, ...filters } = options;
+  const terms = tokenize(query);
+  const candidateOptions = { filters, limit: CANDIDATE_LIMIT };
+
+  const [keywordMatches, vectorMatches] = await Promise.all([
+    getVectorIndex().keywordQuery(userId, terms, candidateOptions),
+    vectorCandidates(userId, query, candidateOptions)
+  ]);
+
+  const fused = new Map();
+  const addSignal = (matches, signal) => {
+    matches.forEach(({ record, score }, rank) => {
+      const current = fused.get(record.id) || { record, score: 0, keywordScore: 0, vectorScore: 0 };
+      current.score += 1 / (RRF_K + rank + 1);
+      current[signal] = score;
+      fused.set(record.id, current);
+    });
+  };
+
+  addSignal(keywordMatches, 'keywordScore');
+  if (vectorMatches) addSignal(vectorMatches, 'vectorScore');
+
+  const ranked = [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Load the documents; anything deleted since it was indexed is dropped
+  const hydrated = await Promise.all(ranked.map(async match => {
+    const { sourceType, sourceId, text } = match.record;
+    const item = await models[sourceType].findById(sourceId);
+    if (!item) return null;
+
+    return {
+      type: sourceType,
+      id: sourceId,
+      score: Math.round(match.score * 10000) / 10000,
+      keywordScore: Math.round(match.keywordScore * 1000) / 1000,
+      vectorScore: Math.round(match.vectorScore * 1000) / 1000,
+      snippet: buildSnippet(text, terms),
+      item
+    };
+  }));
+
+  return {
+    mode: vectorMatches ? 'hybrid' : 'keyword',
+    results: hydrated.filter(Boolean)
+  };
+}
+
+module.exports = {
+  hybridSearch
+};
@@ -0,0 +1,146 @@
+const { firestore } = require('../../config/firebase');
+
+/**
+ * Session store persisted in the `sessions` collection, shared by every
+ * instance. Documents are keyed by namespace and id:
+ *   { namespace, data, expiresAt, updatedAt }
+ *
+ * Reads treat expired documents as missing; removeExpired() (the session
+ * cleanup job) deletes them.
+ */
+
+// Firestore batches take at most 500 writes
+const DELETE_BATCH_SIZE = 500;
+
+function collection() {
+  return firestore.collection('sessions');
+}
+
+function docRef(namespace, id) {
+  return collection().doc(`${namespace}:${id}`);
+}
+
+function toDate(value) {
+  return value && value.toDate ? value.toDate() : new Date(value);
+}
+
+// { data, expiresAt } from a snapshot, or null when missing or expired
+function readLive(doc) {
+  if (!doc.exists) return null;
+
+  const { data, expiresAt } = doc.data();
+  if (toDate(expiresAt) <= new Date()) return null;
+  return { data, expiresAt: toDate(expiresAt) };
+}
+
+function toRecord(id, { data, expiresAt }) {
+  return { id, ...data, expiresAt };
+}
+
+async function create(namespace, id, data, { ttlSeconds }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+
+  await docRef(namespace, id).set({ namespace, data, expiresAt, updatedAt: now });
+  return toRecord(id, { data, expiresAt });
+}
+
+async function get(namespace, id) {
+  const stored = readLive(await docRef(namespace, id).get());
+  return stored ? toRecord(id, stored) : null;
+}
+
+/**
+ * Read-modify-write of a live record in a transaction, so concurrent changes
+ * from other instances aren't lost
+ */
+async function rewrite(namespace, id, change) {
+  const ref = docRef(namespace, id);
+
+  return firestore.runTransaction(async (transaction) => {
+    const stored = readLive(await transaction.get(ref));
+    if (!stored) return null;
+
+    const next = change(stored);
+    transaction.update(ref, { data: next.data, expiresAt: next.expiresAt, updatedAt: new Date() });
+    return toRecord(id, next);
+  });
+}
+
+// A record as change() hands it back, without the fields the store adds
+function dataOf({ id, expiresAt, ...data }) {
+  return data;
+}
+
+async function modify(namespace, id, change, { ttlSeconds } = {}) {
+  const ref = docRef(namespace, id);
+
+  // Firestore reruns the callback when another instance writes the record first
+  return firestore.runTransaction(async (transaction) => {
+    const stored = readLive(await transaction.get(ref));
+    const next = change(stored ? toRecord(id, stored) : null);
+    if (!next) return stored ? toRecord(id, stored) : null;
+
+    const now = new Date();
+    const data = dataOf(next);
+    if (stored) {
+      transaction.update(ref, { data, updatedAt: now });
+      return toRecord(id, { data, expiresAt: stored.expiresAt });
+    }
+    if (!ttlSeconds) return null;
+
+    const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+    transaction.set(ref, { namespace, data, expiresAt, updatedAt: now });
+    return toRecord(id, { data, expiresAt });
+  });
+}
+
+async function update(namespace, id, changes, { ttlSeconds } = {}) {
+  return rewrite(namespace, id, ({ data, expiresAt }) => ({
+    data: { ...data, ...changes },
+    expiresAt: ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000) : expiresAt
+  }));
+}
+
+async function increment(namespace, id, field, by = 1) {
+  return rewrite(namespace, id, ({ data, expiresAt }) => ({
+    data: { ...data, [field]: (data[field] || 0) + by },
+    expiresAt
+  }));
+}
+
+async function remove(namespace, id) {
+  await docRef(namespace, id).delete();
+}
+
+async function removeExpired(now = new Date()) {
+  let removed = 0;
+
+  while (true) {
+    const snapshot = await collection()
+      .where('expiresAt', '<=', now)
+      .limit(DELETE_BATCH_SIZE)
+      .get();
+    if (snapshot.empty) break;
+
+    const batch = firestore.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    removed += snapshot.size;
+
+    if (snapshot.size < DELETE_BATCH_SIZE) break;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  name: 'firestore',
+  create,
+  get,
+  update,
+  modify,
+  increment,
+  remove,
+  removeExpired
+};
@@ -0,0 +1,65 @@
+const memoryStore = require('./memoryStore');
+const firestoreStore = require('./firestoreStore');
+
+/**
+ * Session store registry - short-lived records that expire on their own,
+ * such as realtime session tokens and phone verification codes.
+ *
+ * Records are grouped by namespace ('realtime', 'phone_verification', ...)
+ * and read back as { id, ...data, expiresAt }. A store implements:
+ *   name                                            - identifier used in config
+ *   create(namespace, id, data, { ttlSeconds })     - store a record, replacing any with that id
+ *   get(namespace, id)                              - the record, or null when missing or expired
+ *   update(namespace, id, changes, { ttlSeconds })  - merge changes (and restart the TTL when given);
+ *                                                     resolves the record or null
+ *   modify(namespace, id, change, { ttlSeconds })   - atomic read-modify-write: change(record or null)
+ *                                                     returns the new data, or null to leave it;
+ *                                                     missing records are created with ttlSeconds,
+ *                                                     existing ones keep their expiry. change must be
+ *                                                     synchronous and free of side effects (it can
+ *                                                     run more than once); what it throws rejects
+ *                                                     modify. Resolves the record or null
+ *   increment(namespace, id, field, by)             - atomically add to a counter field;
+ *                                                     resolves the record or null
+ *   remove(namespace, id)                           - delete
+ *   removeExpired(now)                              - delete expired records, resolves how many
+ *
+ * SESSION_STORE selects the implementation: firestore (default, shared by
+ * every instance) or memory (in-process, for local development and tests).
+ */
+const stores = {
+  [memoryStore.name]: memoryStore,
+  [firestoreStore.name]: firestoreStore
+};
+
+let activeStore = null;
+
+function registerSessionStore(store) {
+  stores[store.name] = store;
+}
+
+function getSessionStore() {
+  if (activeStore) return activeStore;
+
+  const name = process.env.SESSION_STORE || firestoreStore.name;
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown session store: ${name}`);
+  }
+
+  activeStore = store;
+  return activeStore;
+}
+
+// Swap the store at runtime (tests, scripts)
+function setSessionStore(name) {
+  activeStore = null;
+  process.env.SESSION_STORE = name;
+  return getSessionStore();
+}
+
+module.exports = {
+  registerSessionStore,
+  getSessionStore,
+  setSessionStore
+};
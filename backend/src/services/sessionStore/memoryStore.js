@@ -0,0 +1,106 @@
+/**
+ * In-process session store. Records live only as long as the process and
+ * aren't shared between instances, so this is meant for local development
+ * and tests.
+ */
+const records = new Map();
+
+function key(namespace, id) {
+  return `${namespace}:${id}`;
+}
+
+function toRecord({ id, data, expiresAt }) {
+  return { id, ...data, expiresAt: new Date(expiresAt) };
+}
+
+// The stored entry, or null once it has expired
+function live(namespace, id) {
+  const entry = records.get(key(namespace, id));
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    records.delete(key(namespace, id));
+    return null;
+  }
+  return entry;
+}
+
+async function create(namespace, id, data, { ttlSeconds }) {
+  const entry = { id, data: { ...data }, expiresAt: Date.now() + ttlSeconds * 1000 };
+  records.set(key(namespace, id), entry);
+  return toRecord(entry);
+}
+
+async function get(namespace, id) {
+  const entry = live(namespace, id);
+  return entry ? toRecord(entry) : null;
+}
+
+async function update(namespace, id, changes, { ttlSeconds } = {}) {
+  const entry = live(namespace, id);
+  if (!entry) return null;
+
+  Object.assign(entry.data, changes);
+  if (ttlSeconds) {
+    entry.expiresAt = Date.now() + ttlSeconds * 1000;
+  }
+  return toRecord(entry);
+}
+
+// A record as change() hands it back, without the fields the store adds
+function dataOf({ id, expiresAt, ...data }) {
+  return data;
+}
+
+async function modify(namespace, id, change, { ttlSeconds } = {}) {
+  const entry = live(namespace, id);
+  const next = change(entry ? toRecord(entry) : null);
+  if (!next) return entry ? toRecord(entry) : null;
+
+  if (entry) {
+    entry.data = dataOf(next);
+    return toRecord(entry);
+  }
+  if (!ttlSeconds) return null;
+  return create(namespace, id, dataOf(next), { ttlSeconds });
+}
+
+async function increment(namespace, id, field, by = 1) {
+  const entry = live(namespace, id);
+  if (!entry) return null;
+
+  entry.data[field] = (entry.data[field] || 0) + by;
+  return toRecord(entry);
+}
+
+async function remove(namespace, id) {
+  records.delete(key(namespace, id));
+}
+
+async function removeExpired(now = new Date()) {
+  let removed = 0;
+  records.forEach((entry, recordKey) => {
+    if (entry.expiresAt <= now.getTime()) {
+      records.delete(recordKey);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+// Drops every record (tests)
+function clear() {
+  records.clear();
+}
+
+module.exports = {
+  name: 'memory',
+  create,
+  get,
+  update,
+  modify,
+  increment,
+  remove,
+  removeExpired,
+  clear
+};
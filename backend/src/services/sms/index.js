@@ -0,0 +1,58 @@
+const twilioProvider = require('./twilioProvider');
+const localProvider = require('./localProvider');
+
+/**
+ * SMS delivery.
+ *
+ * A provider implements:
+ *   name              - identifier used in config
+ *   send({ to, body }) - deliver a message to an E.164 number; resolves { messageId }
+ *
+ * SMS_PROVIDER selects the provider: twilio, or local (writes messages to
+ * SMS_OUTBOX_FILE, or the console, for development and tests). It defaults
+ * to twilio when TWILIO_ACCOUNT_SID is set. Production never falls back to
+ * local - it has to be asked for by name.
+ */
+const providers = {
+  [twilioProvider.name]: twilioProvider,
+  [localProvider.name]: localProvider
+};
+
+function registerSmsProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+function defaultProviderName() {
+  if (process.env.TWILIO_ACCOUNT_SID) return twilioProvider.name;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No SMS provider configured. Set TWILIO_ACCOUNT_SID or SMS_PROVIDER');
+  }
+  return localProvider.name;
+}
+
+function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER || defaultProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * @param {string} to - E.164 phone number
+ * @param {string} body - message text
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendSms(to, body) {
+  const provider = getSmsProvider();
+  const result = await provider.send({ to, body });
+  console.log(`[SMS] Sent ${result.messageId} to ${to} via ${provider.name}`);
+  return result;
+}
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  sendSms
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Doesn't send anything: messages are appended to SMS_OUTBOX_FILE as JSON
+ * lines, or logged when it isn't set. The latest messages are also kept in
+ * memory so tests can read codes back with lastMessageTo().
+ */
+const MAX_KEPT_MESSAGES = 100;
+
+const sent = [];
+
+async function send({ to, body }) {
+  const message = {
+    messageId: `local-${crypto.randomUUID()}`,
+    to,
+    body,
+    sentAt: new Date().toISOString()
+  };
+
+  sent.push(message);
+  if (sent.length > MAX_KEPT_MESSAGES) sent.shift();
+
+  if (process.env.SMS_OUTBOX_FILE) {
+    await fs.promises.appendFile(process.env.SMS_OUTBOX_FILE, JSON.stringify(message) + '\n');
+  } else {
+    console.log(`[SMS-LOCAL] To ${to}: ${body}`);
+  }
+
+  return { messageId: message.messageId };
+}
+
+/**
+ * The latest message sent to a number, or null
+ */
+function lastMessageTo(to) {
+  return [...sent].reverse().find(message => message.to === to) || null;
+}
+
+function clearOutbox() {
+  sent.length = 0;
+}
+
+module.exports = {
+  name: 'local',
+  send,
+  lastMessageTo,
+  clearOutbox
+};
@@ -0,0 +1,47 @@
+const axios = require('axios');
+
+/**
+ * Sends through Twilio's Messages API. Needs TWILIO_ACCOUNT_SID,
+ * TWILIO_AUTH_TOKEN and a sender: TWILIO_MESSAGING_SERVICE_SID or
+ * TWILIO_FROM_NUMBER.
+ */
+
+function assertConfigured() {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_MESSAGING_SERVICE_SID, TWILIO_FROM_NUMBER } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !(TWILIO_MESSAGING_SERVICE_SID || TWILIO_FROM_NUMBER)) {
+    throw new Error('Twilio not configured. Please add TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER to your .env file');
+  }
+}
+
+async function send({ to, body }) {
+  assertConfigured();
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+
+  const form = new URLSearchParams({ To: to, Body: body });
+  if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+    form.set('MessagingServiceSid', process.env.TWILIO_MESSAGING_SERVICE_SID);
+  } else {
+    form.set('From', process.env.TWILIO_FROM_NUMBER);
+  }
+
+  try {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      form.toString(),
+      {
+        auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+    return { messageId: response.data.sid };
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    throw new Error(`Twilio send failed: ${message}`);
+  }
+}
+
+module.exports = {
+  name: 'twilio',
+  send
+};
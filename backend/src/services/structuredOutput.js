@@ -0,0 +1,213 @@
+const { chatCompletion } = require('./openai');
+const { forCallSite } = require('./llm');
+const { validateSchema } = require('../utils/jsonSchema');
+
+/**
+ * Raised when an AI call can't produce JSON matching its schema.
+ * code: PROVIDER_ERROR | PARSE_ERROR | SCHEMA_VALIDATION_ERROR
+ */
+class StructuredOutputError extends Error {
+  constructor(message, { code, callSite, attempts, rawContent = null, validationErrors = [], cause = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = code;
+    this.callSite = callSite;
+    this.attempts = attempts;
+    this.rawContent = rawContent;
+    this.validationErrors = validationErrors;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Finds where the first top-level JSON value in text closes
+ * @returns {number} the index of its closing bracket, or -1 if it never closes
+ */
+function findValueEnd(text) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') depth++;
+    else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Parses model output as JSON, repairing the common failure modes:
+ * markdown fences, prose around the object and trailing commas. Replies
+ * cut off mid-value are rejected rather than closed, since a truncated
+ * object can still look valid.
+ * @returns {*} the parsed value
+ * @throws {SyntaxError} when the text can't be repaired or was truncated
+ */
+function parseJSONLoose(text) {
+  if (typeof text !== 'string') {
+    throw new SyntaxError('Model returned no text');
+  }
+
+  const direct = tryParse(text);
+  if (direct.ok) return direct.value;
+
+  let candidate = text.trim();
+
+  // Strip markdown fences (closing fence may be missing when truncated)
+  const fence = candidate.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fence) candidate = fence[1].trim();
+
+  // Skip any prose before the JSON
+  const start = candidate.search(/[{[]/);
+  if (start === -1) {
+    throw new SyntaxError('No JSON object found in model output');
+  }
+  candidate = candidate.slice(start);
+
+  const withoutTrailingCommas = value => value.replace(/,\s*([}\]])/g, '$1');
+
+  const end = findValueEnd(candidate);
+  if (end !== -1) {
+    // Complete value followed by prose
+    const complete = tryParse(withoutTrailingCommas(candidate.slice(0, end + 1)));
+    if (complete.ok) return complete.value;
+    throw new SyntaxError(complete.error.message);
+  }
+
+  throw new SyntaxError('JSON in model output is truncated');
+}
+
+/**
+ * Calls the model for a JSON object and validates it against a schema.
+ *
+ * Uses response_format json_schema where the provider supports it, repairs
+ * malformed output, and retries with the validation errors fed back to the
+ * model (doubling max_tokens in case the reply was cut off).
+ *
+ * @param {Object} params
+ * @param {Array} params.messages - Chat messages
+ * @param {Object} params.schema - JSON Schema the result must match
+ * @param {string} params.schemaName - Name sent with response_format
+ * @param {string} params.callSite - Call site for provider/model selection
+ * @param {string} params.model - Requested model
+ * @param {Object} params.context - Structured inputs for offline providers
+ * @param {number} params.temperature
+ * @param {number} params.max_tokens
+ * @param {number} params.maxRetries - Extra attempts after the first (default 2)
+ * @returns {Promise<Object>} the validated result
+ * @throws {StructuredOutputError}
+ */
+async function chatJSON({
+  messages,
+  schema,
+  schemaName = 'result',
+  callSite,
+  model = null,
+  context,
+  temperature,
+  max_tokens = 500,
+  maxRetries = 2
+}) {
+  const { provider } = forCallSite(callSite, model);
+  const responseFormat = provider.supportsJsonSchema
+    ? { type: 'json_schema', json_schema: { name: schemaName, schema, strict: false } }
+    : undefined;
+
+  const conversation = [...messages];
+  let maxTokens = max_tokens;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    let content;
+    let truncated;
+    try {
+      const response = await chatCompletion(conversation, model, {
+        callSite,
+        context,
+        temperature,
+        max_tokens: maxTokens,
+        response_format: responseFormat
+      });
+      content = response.content;
+      truncated = Boolean(response.truncated);
+    } catch (error) {
+      // Provider failures (auth, network, rate limits) aren't fixed by re-prompting
+      throw new StructuredOutputError(`${callSite}: provider request failed: ${error.message}`, {
+        code: 'PROVIDER_ERROR',
+        callSite,
+        attempts: attempt,
+        cause: error
+      });
+    }
+
+    let feedback;
+    try {
+      if (truncated) {
+        throw new SyntaxError('Reply stopped at max_tokens');
+      }
+      const value = parseJSONLoose(content);
+      const validationErrors = validateSchema(value, schema);
+      if (validationErrors.length === 0) {
+        return value;
+      }
+
+      lastError = new StructuredOutputError(`${callSite}: response did not match schema`, {
+        code: 'SCHEMA_VALIDATION_ERROR',
+        callSite,
+        attempts: attempt,
+        rawContent: content,
+        validationErrors
+      });
+      feedback = `Your reply did not match the required schema: ${validationErrors.map(e => `${e.path} ${e.message}`).join('; ')}.`;
+    } catch (parseError) {
+      lastError = new StructuredOutputError(`${callSite}: response was not valid JSON`, {
+        code: 'PARSE_ERROR',
+        callSite,
+        attempts: attempt,
+        rawContent: content,
+        cause: parseError
+      });
+      feedback = truncated
+        ? 'Your reply was cut off before the JSON was complete.'
+        : 'Your reply was not valid JSON.';
+      maxTokens *= 2;
+    }
+
+    console.warn(`[STRUCTURED] ${callSite} attempt ${attempt} failed (${lastError.code})`);
+
+    conversation.push(
+      { role: 'assistant', content: content || '' },
+      { role: 'user', content: `${feedback} Reply again with only the JSON object, no markdown.` }
+    );
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  StructuredOutputError,
+  parseJSONLoose,
+  chatJSON
+};
@@ -0,0 +1,109 @@
+const { firestore } = require('../../config/firebase');
+const { cosineSimilarity, keywordScore, matchesFilters } = require('./scoring');
+
+// Firestore caps array-contains-any at 10 values
+const MAX_QUERY_TERMS = 10;
+
+// Records a vector query scores at most, newest first
+const DEFAULT_VECTOR_SCAN_LIMIT = 1000;
+
+/**
+ * Vector index persisted in the `embeddings` collection.
+ *
+ * Firestore has no native nearest-neighbour search here, so vector queries
+ * rank records in process. The filters Firestore can apply narrow the read
+ * first, and only the newest VECTOR_SCAN_LIMIT records are scored - older
+ * ones are still found by keyword. Keyword queries only load records sharing
+ * at least one term via the stored `terms` array.
+ */
+function collection() {
+  return firestore.collection('embeddings');
+}
+
+function rank(docs, scoreRecord, { filters, limit = 20 } = {}) {
+  const matches = [];
+
+  docs.forEach(doc => {
+    const record = { id: doc.id, ...doc.data() };
+    if (!matchesFilters(record, filters)) return;
+    const score = scoreRecord(record);
+    if (score > 0) matches.push({ record, score });
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit);
+}
+
+async function upsert(record) {
+  const { id, ...data } = record;
+  await collection().doc(id).set(data);
+  return record;
+}
+
+async function get(id) {
+  const doc = await collection().doc(id).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+async function remove(id) {
+  await collection().doc(id).delete();
+}
+
+function scanLimit() {
+  return parseInt(process.env.VECTOR_SCAN_LIMIT, 10) || DEFAULT_VECTOR_SCAN_LIMIT;
+}
+
+/**
+ * The user's records narrowed by what Firestore can filter on; rank() still
+ * checks every filter. Only one array-contains is allowed per query, so a
+ * collection filter leaves the space check to rank().
+ */
+function filteredQuery(userId, filters = {}) {
+  let query = collection().where('userId', '==', userId);
+
+  if (filters.collectionId) {
+    query = query.where('collectionIds', 'array-contains', filters.collectionId);
+  } else if (filters.spaceId) {
+    query = query.where('spaceIds', 'array-contains', filters.spaceId);
+  }
+  if (filters.types && filters.types.length > 0) {
+    query = query.where('sourceType', 'in', filters.types);
+  }
+  if (filters.startDate) {
+    query = query.where('createdAt', '>=', filters.startDate);
+  }
+  if (filters.endDate) {
+    query = query.where('createdAt', '<=', filters.endDate);
+  }
+
+  return query;
+}
+
+async function query(userId, vector, options = {}) {
+  const snapshot = await filteredQuery(userId, options.filters)
+    .orderBy('createdAt', 'desc')
+    .limit(scanLimit())
+    .get();
+
+  return rank(snapshot.docs, record => cosineSimilarity(vector, record.vector), options);
+}
+
+async function keywordQuery(userId, terms, options = {}) {
+  if (terms.length === 0) return [];
+
+  const snapshot = await collection()
+    .where('userId', '==', userId)
+    .where('terms', 'array-contains-any', [...new Set(terms)].slice(0, MAX_QUERY_TERMS))
+    .get();
+
+  return rank(snapshot.docs, record => keywordScore(terms, record.text), options);
+}
+
+module.exports = {
+  name: 'firestore',
+  upsert,
+  get,
+  remove,
+  query,
+  keywordQuery
+};
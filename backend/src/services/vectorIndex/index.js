@@ -0,0 +1,59 @@
+const memoryIndex = require('./memoryIndex');
+const firestoreIndex = require('./firestoreIndex');
+
+/**
+ * Vector index registry.
+ *
+ * An index stores one record per searchable document:
+ *   { id, userId, sourceType, sourceId, vector, model, text, terms,
+ *     contentHash, spaceIds, collectionIds, createdAt, updatedAt }
+ *
+ * and implements:
+ *   name                                        - identifier used in config
+ *   upsert(record)                              - insert or replace by id
+ *   get(id)                                     - resolves the record or null
+ *   remove(id)                                  - delete by id
+ *   query(userId, vector, { filters, limit })   - nearest records as [{ record, score }]
+ *   keywordQuery(userId, terms, { filters, limit }) - records sharing terms as [{ record, score }]
+ *
+ * filters = { types, spaceId, collectionId, startDate, endDate }
+ *
+ * VECTOR_INDEX selects the implementation: firestore (default, persisted)
+ * or memory (in-process, for local development and tests).
+ */
+const indexes = {
+  [memoryIndex.name]: memoryIndex,
+  [firestoreIndex.name]: firestoreIndex
+};
+
+let activeIndex = null;
+
+function registerVectorIndex(index) {
+  indexes[index.name] = index;
+}
+
+function getVectorIndex() {
+  if (activeIndex) return activeIndex;
+
+  const name = process.env.VECTOR_INDEX || firestoreIndex.name;
+  const index = indexes[name];
+  if (!index) {
+    throw new Error(`Unknown vector index: ${name}`);
+  }
+
+  activeIndex = index;
+  return activeIndex;
+}
+
+// Swap the index at runtime (tests, scripts)
+function setVectorIndex(name) {
+  activeIndex = null;
+  process.env.VECTOR_INDEX = name;
+  return getVectorIndex();
+}
+
+module.exports = {
+  registerVectorIndex,
+  getVectorIndex,
+  setVectorIndex
+};
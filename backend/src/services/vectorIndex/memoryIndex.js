@@ -0,0 +1,56 @@
+const { cosineSimilarity, keywordScore, matchesFilters } = require('./scoring');
+
+/**
+ * In-process vector index. Records live only as long as the process,
+ * so this is meant for local development and tests.
+ */
+const records = new Map();
+
+function topMatches(userId, scoreRecord, { filters, limit = 20 } = {}) {
+  const matches = [];
+
+  records.forEach(record => {
+    if (record.userId !== userId || !matchesFilters(record, filters)) return;
+    const score = scoreRecord(record);
+    if (score > 0) matches.push({ record, score });
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit);
+}
+
+async function upsert(record) {
+  records.set(record.id, { ...record });
+  return record;
+}
+
+async function get(id) {
+  return records.get(id) || null;
+}
+
+async function remove(id) {
+  records.delete(id);
+}
+
+async function query(userId, vector, options = {}) {
+  return topMatches(userId, record => cosineSimilarity(vector, record.vector), options);
+}
+
+async function keywordQuery(userId, terms, options = {}) {
+  return topMatches(userId, record => keywordScore(terms, record.text), options);
+}
+
+// Drops every record (tests)
+function clear() {
+  records.clear();
+}
+
+module.exports = {
+  name: 'memory',
+  upsert,
+  get,
+  remove,
+  query,
+  keywordQuery,
+  clear
+};
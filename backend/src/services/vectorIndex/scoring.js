@@ -0,0 +1,93 @@
+/**
+ * Scoring helpers shared by the vector index implementations
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'i', 'in',
+  'is', 'it', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Naive singularization so "candles" matches "candle"
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word;
+}
+
+/**
+ * Splits text into lowercase stemmed terms, dropping stop words
+ */
+function tokenize(text = '') {
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Fraction of query terms found in the record text, with a bonus for repeats
+ */
+function keywordScore(queryTerms, text) {
+  if (queryTerms.length === 0) return 0;
+
+  const counts = new Map();
+  tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  let score = 0;
+  queryTerms.forEach(term => {
+    const count = counts.get(term) || 0;
+    if (count > 0) score += 1 + Math.log(count) * 0.1;
+  });
+
+  return score / queryTerms.length;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+}
+
+/**
+ * Checks a record against { types, spaceId, collectionId, startDate, endDate }
+ */
+function matchesFilters(record, filters = {}) {
+  if (filters.types && filters.types.length > 0 && !filters.types.includes(record.sourceType)) {
+    return false;
+  }
+  if (filters.spaceId && !(record.spaceIds || []).includes(filters.spaceId)) {
+    return false;
+  }
+  if (filters.collectionId && !(record.collectionIds || []).includes(filters.collectionId)) {
+    return false;
+  }
+
+  const createdAt = toDate(record.createdAt);
+  if (filters.startDate && (!createdAt || createdAt < filters.startDate)) {
+    return false;
+  }
+  if (filters.endDate && (!createdAt || createdAt > filters.endDate)) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  tokenize,
+  cosineSimilarity,
+  keywordScore,
+  matchesFilters
+};
@@ -0,0 +1,258 @@
+const { Conversation, Message, Entry, UserTask, Thought, Space } = require('../models');
+
+/**
+ * Stores what is said in a realtime voice session as a Conversation with
+ * ordered Messages: the user's transcribed turns, the assistant's replies,
+ * and the tool calls it made with their results.
+ *
+ * The client posts events as the session runs. Each carries the Realtime
+ * API's item id (or call id), so sending a batch again doesn't duplicate it.
+ * Records the tools created (entries, tasks, thoughts) get the conversation's
+ * id so they can be traced back to it.
+ */
+
+class TranscriptError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TranscriptError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Message type per event type
+const MESSAGE_TYPES = {
+  user: 'voice',
+  assistant: 'voice',
+  tool_call: 'tool_call',
+  tool_result: 'tool_result'
+};
+
+// Firestore caps 'in' filters at 10 values
+const IN_QUERY_LIMIT = 10;
+const LAST_MESSAGE_LENGTH = 500;
+
+// Where each tool's result says what it created
+const CREATED_BY_TOOL = {
+  extract_entries: output => output.entryId && { type: 'entry', model: Entry, id: output.entryId },
+  create_task: output => output.task && output.task.id && { type: 'task', model: UserTask, id: output.task.id },
+  add_thought: output => output.thoughtId && { type: 'thought', model: Thought, id: output.thoughtId }
+};
+
+function parseJSON(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function eventKey(event) {
+  return event.type === 'tool_call' || event.type === 'tool_result'
+    ? `${event.type}:${event.callId}`
+    : `${event.type}:${event.itemId}`;
+}
+
+/**
+ * The conversation to add to: the one named, the one already holding this
+ * session, or a new one
+ */
+async function resolveConversation(userId, { conversationId, sessionId, title }) {
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || conversation.userId !== userId) {
+      throw new TranscriptError('Conversation not found', 404);
+    }
+    return conversation;
+  }
+
+  if (sessionId) {
+    const snapshot = await Conversation.queryByUserId(userId)
+      .where('metadata.sessionId', '==', sessionId)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) {
+      const doc = snapshot.docs[0];
+      return new Conversation({ id: doc.id, ...doc.data() });
+    }
+  }
+
+  const defaultSpace = await Space.findDefaultSpace(userId) ||
+                       await Space.createDefaultSpace(userId);
+
+  const conversation = await Conversation.create({
+    userId,
+    spaceIds: defaultSpace ? [defaultSpace.id] : [],
+    title: title || 'Voice Conversation',
+    metadata: {
+      type: 'voice',
+      source: 'voice',
+      sessionId: sessionId || null
+    }
+  });
+  console.log(`[VOICE-TRANSCRIPT] Created conversation ${conversation.id}`);
+  return conversation;
+}
+
+/**
+ * Metadata of the messages already stored for these event keys
+ */
+async function findByEventKeys(conversationId, keys) {
+  const found = [];
+  for (let i = 0; i < keys.length; i += IN_QUERY_LIMIT) {
+    const snapshot = await Message.collection()
+      .where('conversationId', '==', conversationId)
+      .where('metadata.eventKey', 'in', keys.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+    snapshot.docs.forEach(doc => found.push(doc.data().metadata));
+  }
+  return found;
+}
+
+function toMessage(event, { conversation, userId, names, createdAt }) {
+  const key = eventKey(event);
+  const base = {
+    conversationId: conversation.id,
+    type: MESSAGE_TYPES[event.type],
+    createdAt
+  };
+
+  switch (event.type) {
+    case 'user':
+      return {
+        ...base,
+        userId,
+        content: event.content,
+        metadata: { role: 'user', source: 'voice', eventKey: key, itemId: event.itemId }
+      };
+    case 'assistant':
+      return {
+        ...base,
+        userId: 'assistant',
+        content: event.content,
+        metadata: { role: 'assistant', source: 'voice', eventKey: key, itemId: event.itemId }
+      };
+    case 'tool_call':
+      return {
+        ...base,
+        userId: 'assistant',
+        content: event.name,
+        metadata: {
+          role: 'assistant',
+          source: 'voice',
+          eventKey: key,
+          callId: event.callId,
+          name: event.name,
+          arguments: parseJSON(event.arguments) || {}
+        }
+      };
+    default:
+      return {
+        ...base,
+        userId: 'assistant',
+        content: (parseJSON(event.output) || {}).message || names.get(event.callId) || '',
+        metadata: {
+          role: 'tool',
+          source: 'voice',
+          eventKey: key,
+          callId: event.callId,
+          name: names.get(event.callId) || null,
+          output: parseJSON(event.output) || null
+        }
+      };
+  }
+}
+
+/**
+ * Point what a tool created at the conversation, unless it already
+ * belongs to one
+ */
+async function linkCreatedRecord(name, output, conversation, userId) {
+  const find = CREATED_BY_TOOL[name];
+  const target = find && output && typeof output === 'object' && find(output);
+  if (!target) return null;
+
+  const record = await target.model.findById(target.id);
+  if (!record || record.userId !== userId || record.conversationId) return null;
+
+  record.conversationId = conversation.id;
+  await record.save();
+  return { type: target.type, id: record.id };
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} transcript - { conversationId?, sessionId?, title?, events }
+ * @returns {Promise<{conversation: Conversation, messages: Message[], skipped: number, linked: Object[]}>}
+ */
+async function ingestTranscript(userId, { conversationId, sessionId, title, events }) {
+  events.forEach((event, index) => {
+    const missing = event.type === 'tool_call' || event.type === 'tool_result'
+      ? ['callId', ...(event.type === 'tool_call' ? ['name'] : [])].filter(field => !event[field])
+      : ['itemId', 'content'].filter(field => !event[field]);
+    if (missing.length > 0) {
+      throw new TranscriptError(`events[${index}] (${event.type}) needs ${missing.join(' and ')}`);
+    }
+  });
+
+  const conversation = await resolveConversation(userId, { conversationId, sessionId, title });
+
+  const keys = [...new Set(events.map(eventKey))];
+  const stored = new Set((await findByEventKeys(conversation.id, keys)).map(metadata => metadata.eventKey));
+
+  // Tool results name their tool through the call they answer, which may
+  // have come in an earlier batch
+  const names = new Map();
+  events.filter(event => event.name).forEach(event => names.set(event.callId, event.name));
+  const earlierCalls = [...new Set(events
+    .filter(event => event.type === 'tool_result' && !names.has(event.callId))
+    .map(event => `tool_call:${event.callId}`))];
+  if (earlierCalls.length > 0) {
+    (await findByEventKeys(conversation.id, earlierCalls))
+      .forEach(metadata => names.set(metadata.callId, metadata.name));
+  }
+
+  // createdAt orders the messages, so keep it increasing through the batch
+  const messages = [];
+  const linked = [];
+  let previous = 0;
+  let skipped = 0;
+  for (const event of events) {
+    const key = eventKey(event);
+    if (stored.has(key)) {
+      skipped++;
+      continue;
+    }
+    stored.add(key);
+
+    const at = Math.max(event.timestamp ? event.timestamp.getTime() : Date.now(), previous + 1);
+    previous = at;
+
+    messages.push(await Message.create(toMessage(event, {
+      conversation,
+      userId,
+      names,
+      createdAt: new Date(at)
+    })));
+
+    if (event.type === 'tool_result') {
+      const record = await linkCreatedRecord(names.get(event.callId), parseJSON(event.output), conversation, userId);
+      if (record) linked.push(record);
+    }
+  }
+
+  const lastSpoken = [...messages].reverse().find(message => message.type === 'voice');
+  if (lastSpoken) {
+    conversation.lastMessage = lastSpoken.content.substring(0, LAST_MESSAGE_LENGTH);
+    await conversation.save();
+  }
+
+  console.log(`[VOICE-TRANSCRIPT] Conversation ${conversation.id}: stored ${messages.length} messages, skipped ${skipped}, linked ${linked.length}`);
+
+  return { conversation, messages, skipped, linked };
+}
+
+module.exports = {
+  TranscriptError,
+  ingestTranscript
+};
@@ -0,0 +1,419 @@
+const { Entry, Collection, CollectionEntry, Job } = require('../models');
+const { routeEntryToCollection } = require('./collectionRouting');
+const { SOURCE_TYPES, indexDocument, removeDocument } = require('./embeddings');
+const { recordDeadLetter } = require('./deadLetters');
+const { enqueueCollectionProcessing } = require('./queue');
+const { getFormatFields } = require('./entryExtraction');
+const { moveEntryToCollection } = require('./entryMoves');
+const { reprocessCollectionEntries } = require('./collectionReprocessing');
+const { parsePagination } = require('../utils/pagination');
+const { getSessionStore } = require('./sessionStore');
+
+/**
+ * Background job handlers, keyed by worker path.
+ *
+ * Both queue backends run these: QStash through the /api/workers routes,
+ * the local backend through runJob. A handler resolves the job result or
+ * throws; a WorkerError with a 4xx status marks a job that retrying can't fix.
+ */
+
+class WorkerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkerError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Process collection inference for an entry
+ */
+async function processInference({ entryId, userId }) {
+  console.log(`[WORKER-INFERENCE] Processing inference for entry ${entryId}`);
+
+  const entry = await Entry.findById(entryId);
+  if (!entry || entry.userId !== userId) {
+    // Entry was deleted before the job ran - nothing to retry
+    console.log(`[WORKER-INFERENCE] Entry ${entryId} not found, skipping`);
+    return {
+      success: true,
+      message: 'Entry not found',
+      entryId
+    };
+  }
+
+  const result = await routeEntryToCollection(entry, { source: 'background_inference' });
+
+  return {
+    success: true,
+    ...result
+  };
+}
+
+// CollectionEntries re-extracted per reprocess-entries job. Each chunk
+// enqueues the next, so a retry only repeats one chunk
+const REPROCESS_CHUNK_SIZE = 20;
+
+/**
+ * Regenerate a collection's AI rules and store them on the collection
+ */
+async function regenerateRules(collection, description) {
+  const { generateCollectionRules } = require('./collectionRules');
+  const rules = await generateCollectionRules(
+    collection.name,
+    description || collection.instructions
+  );
+
+  collection.rules = rules;
+  await collection.save();
+
+  return {
+    success: true,
+    operation: 'regenerate-rules',
+    collectionId: collection.id,
+    rules
+  };
+}
+
+/**
+ * Re-extract one chunk of a collection's entries, then enqueue the chunk
+ * after it. cursor, processed and failed carry the run's position and
+ * running totals from chunk to chunk.
+ */
+async function reprocessEntries(collection, { cursor, processed = 0, failed = 0 }) {
+  if (getFormatFields(collection.entryFormat).length === 0) {
+    throw new WorkerError('Collection has no entry format defined');
+  }
+
+  const page = parsePagination(
+    { limit: REPROCESS_CHUNK_SIZE, cursor },
+    { sortFields: ['createdAt'] }
+  );
+  const { items, nextCursor } = await CollectionEntry.findPageByCollectionAndUser(
+    collection.id,
+    collection.userId,
+    page
+  );
+
+  const { results, failures } = await reprocessCollectionEntries(collection, items);
+  const totals = {
+    processed: processed + results.length,
+    failed: failed + failures.length
+  };
+  console.log(`[WORKER-COLLECTION] Reprocessed ${results.length} entries (${totals.processed} so far), ${failures.length} failed`);
+
+  // Progress is saved before the next chunk is enqueued: if enqueueing fails,
+  // the retry redoes this chunk rather than starting a second chain
+  collection.metadata = {
+    ...collection.metadata,
+    reprocess: {
+      status: nextCursor ? 'running' : 'completed',
+      ...totals,
+      updatedAt: new Date()
+    }
+  };
+  await collection.save();
+
+  const nextJobId = nextCursor
+    ? await enqueueCollectionProcessing(collection.id, collection.userId, {
+      operation: 'reprocess-entries',
+      cursor: nextCursor,
+      ...totals
+    })
+    : null;
+
+  return {
+    success: true,
+    operation: 'reprocess-entries',
+    collectionId: collection.id,
+    completed: !nextCursor,
+    ...totals,
+    chunk: { processed: results.length, failed: failures.length },
+    failures,
+    nextJobId
+  };
+}
+
+/**
+ * Process collection rule updates and entry reprocessing
+ */
+async function processCollection({ collectionId, userId, operation, ...options }) {
+  console.log(`[WORKER-COLLECTION] Processing ${operation} for collection ${collectionId}`);
+
+  const collection = await Collection.findById(collectionId);
+  if (!collection || collection.userId !== userId) {
+    throw new WorkerError('Collection not found', 404);
+  }
+
+  switch (operation) {
+    case 'regenerate-rules':
+      return regenerateRules(collection, options.description);
+
+    case 'reprocess-entries':
+      return reprocessEntries(collection, options);
+
+    default:
+      throw new WorkerError(`Unknown collection operation: ${operation}`);
+  }
+}
+
+// Upper bound on entries one AI job reads
+const MAX_AI_ENTRIES = 200;
+
+/**
+ * Loads the entries an AI job works on: the listed ids, else the user's
+ * entries filtered by collection, date range and (with uncategorized) being
+ * in no collection yet. Other users' entries are dropped.
+ */
+async function loadEntriesForJob(userId, { entryIds, collectionId, startDate, endDate, uncategorized = false } = {}) {
+  if (entryIds && entryIds.length > 0) {
+    const entries = await Promise.all(entryIds.slice(0, MAX_AI_ENTRIES).map(id => Entry.findById(id)));
+    return entries.filter(entry => entry && entry.userId === userId);
+  }
+
+  // Newest first, filtered and capped by Firestore rather than in memory
+  const { items } = await Entry.findPageByUserId(userId, {
+    collectionId,
+    uncategorized,
+    // Dates arrive as ISO strings in the job payload
+    startDate: startDate ? new Date(startDate) : null,
+    endDate: endDate ? new Date(endDate) : null
+  }, {
+    limit: MAX_AI_ENTRIES,
+    cursor: null,
+    sort: { field: 'createdAt', direction: 'desc' }
+  });
+  return items;
+}
+
+/**
+ * Process AI generation tasks
+ */
+async function processAI({ type, data = {} }) {
+  console.log(`[WORKER-AI] Processing AI generation of type: ${type}`);
+
+  if (!data.userId) {
+    throw new WorkerError('userId is required');
+  }
+
+  let result;
+
+  switch (type) {
+    case 'summary': {
+      // Generate summary for multiple entries
+      const { generateEntrySummary } = require('./entryInsights');
+      result = await generateEntrySummary(await loadEntriesForJob(data.userId, data));
+      break;
+    }
+
+    case 'insights': {
+      // Generate insights from user data
+      const { generateInsights } = require('./entryInsights');
+      result = await generateInsights(data.userId, data.timeframe);
+      break;
+    }
+
+    case 'bulk-categorize': {
+      // Categorize multiple entries at once - uncategorized ones unless ids were given
+      const { bulkCategorize } = require('./entryClassifier');
+      const entries = await loadEntriesForJob(data.userId, { entryIds: data.entryIds, uncategorized: true });
+      result = await bulkCategorize(data.userId, entries);
+      break;
+    }
+
+    default:
+      throw new WorkerError(`Unknown AI type: ${type}`);
+  }
+
+  return {
+    success: true,
+    type,
+    result
+  };
+}
+
+/**
+ * Compute or remove the search embedding for a document
+ */
+async function processEmbedding({ sourceType, sourceId, operation = 'upsert' }) {
+  if (!SOURCE_TYPES.includes(sourceType) || !sourceId) {
+    // Malformed job - retrying won't help
+    throw new WorkerError('Valid sourceType and sourceId are required');
+  }
+
+  console.log(`[WORKER-EMBEDDING] ${operation} ${sourceType} ${sourceId}`);
+
+  const result = operation === 'delete'
+    ? await removeDocument(sourceType, sourceId)
+    : await indexDocument(sourceType, sourceId);
+
+  return {
+    success: true,
+    sourceType,
+    sourceId,
+    ...result
+  };
+}
+
+/**
+ * Moves an entry between two of the user's collections: links it to
+ * toCollectionId (extracting that collection's fields) and unlinks it from
+ * fromCollectionId
+ */
+async function moveEntry(userId, { entryId, fromCollectionId, toCollectionId }) {
+  const [entry, from, to] = await Promise.all([
+    Entry.findById(entryId),
+    Collection.findById(fromCollectionId),
+    Collection.findById(toCollectionId)
+  ]);
+  if (!entry || entry.userId !== userId) throw new Error('Entry not found');
+  if (!from || from.userId !== userId || !to || to.userId !== userId) throw new Error('Collection not found');
+
+  if (!await CollectionEntry.findExisting(entryId, fromCollectionId)) {
+    throw new Error('Entry is not in the source collection');
+  }
+
+  const { moved } = await moveEntryToCollection(entry, to, { userId, fromCollectionId, source: 'batch_move' });
+  return { entryId, fromCollectionId, toCollectionId, moved };
+}
+
+/**
+ * Process batch operations
+ */
+async function processBatch({ userId, operation, items = [] }) {
+  console.log(`[WORKER-BATCH] Processing batch ${operation} for ${items.length} items`);
+
+  const results = [];
+  const errors = [];
+
+  for (const item of items) {
+    try {
+      let result;
+
+      switch (operation) {
+        case 'delete-entries': {
+          const entry = await Entry.findById(item.id);
+          if (!entry || entry.userId !== userId) throw new Error('Entry not found');
+          await entry.delete();
+          result = { id: item.id, deleted: true };
+          break;
+        }
+
+        case 'move-to-collection':
+          result = await moveEntry(userId, item);
+          break;
+
+        case 'update-tags': {
+          // Batch update tags
+          const entryToTag = await Entry.findById(item.id);
+          if (!entryToTag || entryToTag.userId !== userId) throw new Error('Entry not found');
+          entryToTag.tags = item.tags;
+          await entryToTag.save();
+          result = { id: item.id, tags: item.tags };
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown batch operation: ${operation}`);
+      }
+
+      results.push(result);
+    } catch (error) {
+      errors.push({ item, error: error.message });
+    }
+  }
+
+  console.log(`[WORKER-BATCH] Completed: ${results.length} success, ${errors.length} errors`);
+
+  return {
+    success: true,
+    operation,
+    processed: results.length,
+    failed: errors.length,
+    results,
+    errors
+  };
+}
+
+/**
+ * Delete expired session store records (realtime tokens, phone verifications)
+ */
+async function cleanupSessions() {
+  const store = getSessionStore();
+  const removed = await store.removeExpired(new Date());
+
+  console.log(`[WORKER-SESSIONS] Removed ${removed} expired sessions from ${store.name}`);
+
+  return {
+    success: true,
+    store: store.name,
+    removed
+  };
+}
+
+const handlers = {
+  '/process-inference': processInference,
+  '/process-collection': processCollection,
+  '/process-ai': processAI,
+  '/process-embedding': processEmbedding,
+  '/process-batch': processBatch,
+  '/process-session-cleanup': cleanupSessions
+};
+
+function getWorkerHandler(path) {
+  const handler = handlers[path];
+  if (!handler) {
+    throw new WorkerError(`Unknown worker: ${path}`, 404);
+  }
+  return handler;
+}
+
+function isRetryable(error) {
+  return !(error.statusCode >= 400 && error.statusCode < 500);
+}
+
+/**
+ * Runs a delivered job and records its progress on the Job named by
+ * payload.jobId. Payloads without a jobId just run the handler.
+ *
+ * @param {string} path - worker path, e.g. '/process-inference'
+ * @param {Object} payload - the job body
+ * @param {Object} options - { attempt } - 1 for the first delivery
+ */
+async function runJob(path, payload = {}, { attempt = 1 } = {}) {
+  const handler = getWorkerHandler(path);
+
+  const job = payload.jobId ? await Job.findById(payload.jobId) : null;
+  if (!job) {
+    return handler(payload);
+  }
+
+  if (job.status === 'succeeded') {
+    // Duplicate delivery - the work is already done
+    console.log(`[WORKER] Job ${job.id} already succeeded, skipping`);
+    return job.result;
+  }
+
+  await job.markRunning();
+
+  try {
+    const result = await handler(payload);
+    await job.markSucceeded(result);
+    return result;
+  } catch (error) {
+    const final = !isRetryable(error) || attempt > job.retries;
+    await job.markFailed(error, { final });
+    if (final) {
+      await recordDeadLetter(job, path, payload);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  WorkerError,
+  handlers,
+  getWorkerHandler,
+  isRetryable,
+  runJob
+};
@@ -0,0 +1,95 @@
+/**
+ * Minimal JSON Schema validator covering the subset we hand to LLMs:
+ * type (string or array of types), properties, required, items, enum,
+ * minimum/maximum, minLength/maxLength, minItems/maxItems.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - JSON Schema subset
+ * @param {string} path - Path prefix used in error messages
+ * @returns {Array<{path: string, message: string}>} empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  if (!schema) return errors;
+  const where = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: where, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: where, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: where, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: where, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: where, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: where, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,136 @@
+const { FieldPath, Timestamp } = require('firebase-admin/firestore');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = 400;
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and id
+function encodeCursor(value, id) {
+  const sortValue = value instanceof Date ? Timestamp.fromDate(value) : value;
+  const payload = sortValue instanceof Timestamp
+    ? { ts: [sortValue.seconds, sortValue.nanoseconds], id }
+    : { v: sortValue, id };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.id !== 'string') throw new Error('missing id');
+
+    const value = decoded.ts
+      ? new Timestamp(decoded.ts[0], decoded.ts[1])
+      : decoded.v ?? null;
+
+    return { value, id: decoded.id };
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+/**
+ * Reads limit, cursor and sort from a request query.
+ *
+ * sort is a field name, prefixed with "-" for descending (e.g. "-createdAt").
+ * A request with none of them comes from a client that predates pagination;
+ * its page holds MAX_LIMIT items (see sendPage).
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Fields clients may sort by
+ * @param {string} options.defaultSort - e.g. '-createdAt'
+ * @returns {{limit: number, cursor: Object|null, sort: {field: string, direction: string}, requested: boolean}}
+ *   requested is false when the client sent none of the parameters
+ * @throws {PaginationError}
+ */
+function parsePagination(query, { sortFields, defaultSort = '-createdAt' }) {
+  const requested = query.limit !== undefined || query.cursor !== undefined || query.sort !== undefined;
+
+  let limit = requested ? DEFAULT_LIMIT : MAX_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new PaginationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const sortParam = query.sort || defaultSort;
+  const descending = sortParam.startsWith('-');
+  const field = descending ? sortParam.slice(1) : sortParam;
+  if (!sortFields.includes(field)) {
+    throw new PaginationError(`sort must be one of ${sortFields.join(', ')} (prefix with - for descending)`);
+  }
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    sort: { field, direction: descending ? 'desc' : 'asc' },
+    requested
+  };
+}
+
+/**
+ * Runs one page of a Firestore query. Results are ordered by the sort field
+ * and then document id, so items sharing a sort value still page stably.
+ *
+ * @param {Query} query - Firestore query with filters applied, no orderBy
+ * @param {Object} page - From parsePagination
+ * @returns {Promise<{docs: Array, nextCursor: string|null}>}
+ */
+async function paginateQuery(query, { limit, cursor, sort }) {
+  let pageQuery = query
+    .orderBy(sort.field, sort.direction)
+    .orderBy(FieldPath.documentId(), sort.direction);
+
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(cursor.value, cursor.id);
+  }
+
+  // Fetch one extra to know whether another page exists
+  const snapshot = await pageQuery.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  const last = docs[docs.length - 1];
+  const nextCursor = snapshot.docs.length > limit
+    ? encodeCursor(last.get(sort.field) ?? null, last.id)
+    : null;
+
+  return { docs, nextCursor };
+}
+
+/**
+ * Sends one page of a list endpoint. Clients that sent limit, cursor or sort
+ * get { items, nextCursor }; older clients get the bare array they expect,
+ * with the cursor for the rest in a Next-Cursor header.
+ *
+ * @param {Response} res
+ * @param {Object} page - From parsePagination
+ * @param {{items: Array, nextCursor: string|null}} result
+ */
+function sendPage(res, page, { items, nextCursor }) {
+  if (page.requested) {
+    return res.json({ items, nextCursor });
+  }
+
+  if (nextCursor) {
+    res.set('Next-Cursor', nextCursor);
+  }
+  return res.json(items);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  parsePagination,
+  paginateQuery,
+  sendPage
+};
@@ -0,0 +1,75 @@
+/**
+ * Calendar days in IANA time zones ('Europe/Berlin'), for ranges like
+ * "today" that depend on where the user is. Built on Intl, so no tz data
+ * needs shipping.
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const fields = {};
+  parts.filter(part => part.type !== 'literal').forEach(part => {
+    fields[part.type] = Number(part.value);
+  });
+  return fields;
+}
+
+// How far the zone's wall clock is ahead of UTC at an instant, in ms
+function offsetAt(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a calendar day starts in a zone
+ * @param {Date} date - any instant on the reference day
+ * @param {string} timeZone - IANA name
+ * @param {number} days - days to move from the reference day, e.g. 1 for tomorrow
+ */
+function startOfDay(date, timeZone, days = 0) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const midnight = Date.UTC(year, month - 1, day + days);
+
+  // Correct twice so days where the offset changes (DST) land right
+  let start = midnight - offsetAt(new Date(midnight), timeZone);
+  start = midnight - offsetAt(new Date(start), timeZone);
+  return new Date(start);
+}
+
+/**
+ * Day of the week in a zone, 0 for Monday through 6 for Sunday
+ */
+function weekdayIndex(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  startOfDay,
+  weekdayIndex
+};
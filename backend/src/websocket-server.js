@@ -0,0 +1,22 @@
+require('dotenv').config();
+const http = require('http');
+const app = require('../api/index');
+const { attachRealtimeRelay, RELAY_PATH } = require('./services/realtimeRelay');
+
+/**
+ * The API plus the realtime WebSocket relay, for hosts that keep long-lived
+ * connections open (serverless deployments only get api/index.js)
+ */
+const PORT = process.env.PORT || 3000;
+
+const server = http.createServer(app);
+const relay = attachRealtimeRelay(server);
+
+server.listen(PORT, () => {
+  console.log(`Squirrel 2.0 Backend running on port ${PORT}, realtime relay at ${RELAY_PATH}`);
+});
+
+process.on('SIGTERM', () => {
+  relay.close();
+  server.close(() => process.exit(0));
+});
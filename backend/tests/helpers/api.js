@@ -0,0 +1,139 @@
+/**
+ * Helpers for the emulator-backed integration suite: boots api/index.js (with
+ * the realtime relay) on a random port and signs users up against the Auth emulator.
+ */
+
+const emulatorsRunning = Boolean(
+  process.env.FIRESTORE_EMULATOR_HOST && process.env.FIREBASE_AUTH_EMULATOR_HOST
+);
+
+// Without emulators the suite is skipped rather than touching real projects
+const describeWithEmulators = emulatorsRunning ? describe : describe.skip;
+
+let userCount = 0;
+const PASSWORD = 'password123';
+
+async function startApi() {
+  const app = require('../../api/index');
+  const { attachRealtimeRelay } = require('../../src/services/realtimeRelay');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const relay = attachRealtimeRelay(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Sends a request and resolves { status, body }
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} options - { user, body, form, headers }
+   *   form is a FormData sent as multipart instead of a JSON body
+   */
+  async function request(method, path, { user, body, form, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+
+    if (user) {
+      init.headers.Authorization = `Bearer ${user.token}`;
+    }
+    if (form) {
+      init.body = form;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Leave non-JSON bodies as text
+    }
+
+    return { status: response.status, body: parsed, headers: response.headers };
+  }
+
+  return {
+    request,
+    wsUrl: baseUrl.replace('http', 'ws'),
+    close: () => {
+      relay.close();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Creates a user in the Auth emulator and returns its uid and ID token
+ * @returns {Promise<{uid: string, email: string, token: string}>}
+ */
+async function createUser(label = 'user') {
+  userCount += 1;
+  const email = `${label}-${Date.now()}-${userCount}@example.com`;
+
+  const data = await authEmulatorRequest('accounts:signUp', { email, password: PASSWORD, returnSecureToken: true });
+
+  return { uid: data.localId, email, token: data.idToken };
+}
+
+/**
+ * Creates a user with the admin role claim (as set by /users/set-custom-claims)
+ */
+async function createAdmin(label = 'admin') {
+  const user = await createUser(label);
+  const { auth } = require('../../src/config/firebase');
+  await auth.setCustomUserClaims(user.uid, { role: 'admin' });
+
+  // Claims only appear in tokens issued after they were set
+  const data = await authEmulatorRequest('accounts:signInWithPassword', {
+    email: user.email,
+    password: PASSWORD,
+    returnSecureToken: true
+  });
+
+  return { ...user, token: data.idToken };
+}
+
+async function authEmulatorRequest(method, body) {
+  const response = await fetch(
+    `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/${method}?key=emulator`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Auth emulator ${method} failed: ${JSON.stringify(data)}`);
+  }
+  return data;
+}
+
+/**
+ * Polls until check() resolves truthy - for work the API finishes in the background
+ */
+async function eventually(check, { timeout = 5000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met before timeout');
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = {
+  describeWithEmulators,
+  startApi,
+  createUser,
+  createAdmin,
+  eventually
+};
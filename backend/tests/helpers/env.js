@@ -0,0 +1,36 @@
+/**
+ * Environment for the test suites, applied before any app module loads.
+ *
+ * Firestore, Auth and Storage come from the Firebase emulators (started by
+ * `npm run test:emulators`); LLM calls go to the deterministic local provider.
+ */
+process.env.NODE_ENV = 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-squirrel2';
+process.env.FIREBASE_STORAGE_BUCKET = `${process.env.GCLOUD_PROJECT}.appspot.com`;
+process.env.LLM_PROVIDER = 'local';
+process.env.VECTOR_INDEX = 'memory';
+
+// Worker routes verify QStash signatures; tests sign with these keys
+process.env.QSTASH_CURRENT_SIGNING_KEY = 'test-current-signing-key';
+process.env.QSTASH_NEXT_SIGNING_KEY = 'test-next-signing-key';
+process.env.QSTASH_SKIP_SIGNATURE_VERIFICATION = '';
+process.env.WORKER_BASE_URL = 'http://localhost:3001';
+
+// Background jobs run in-process, with short retry backoff
+process.env.QUEUE_BACKEND = 'local';
+process.env.QUEUE_LOCAL_BACKOFF_MS = '10';
+process.env.EMBEDDING_COALESCE_SECONDS = '0';
+
+// Verification texts stay in the local outbox
+process.env.SMS_PROVIDER = 'local';
+
+// Blank values win over backend/.env, which dotenv never overrides
+process.env.FIREBASE_SERVICE_ACCOUNT = '';
+process.env.FIREBASE_PROJECT_ID = '';
+process.env.QSTASH_TOKEN = '';
+process.env.OPENAI_API_KEY = '';
+process.env.TWILIO_ACCOUNT_SID = '';
+
+if (process.env.FIREBASE_STORAGE_EMULATOR_HOST && !process.env.STORAGE_EMULATOR_HOST) {
+  process.env.STORAGE_EMULATOR_HOST = `http://${process.env.FIREBASE_STORAGE_EMULATOR_HOST}`;
+}
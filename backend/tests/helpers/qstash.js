@@ -0,0 +1,38 @@
+/**
+ * Signs worker requests the way QStash does: an HS256 JWT in the
+ * Upstash-Signature header whose claims bind the target URL and body hash.
+ */
+const crypto = require('crypto');
+const { getWorkerUrl } = require('../../src/services/queue');
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * @param {string} path - worker path, e.g. '/process-inference'
+ * @param {string} rawBody - the exact body that will be sent
+ * @param {Object} options - { key, url, expiresIn }
+ */
+function signWorkerRequest(path, rawBody, {
+  key = process.env.QSTASH_CURRENT_SIGNING_KEY,
+  url = getWorkerUrl(path),
+  expiresIn = 300
+} = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: 'Upstash',
+    sub: url,
+    iat: now,
+    nbf: now,
+    exp: now + expiresIn,
+    jti: `jwt_${crypto.randomUUID()}`,
+    body: crypto.createHash('sha256').update(rawBody).digest('base64url')
+  }));
+  const signature = crypto.createHmac('sha256', key).update(`${header}.${payload}`).digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+}
+
+module.exports = {
+  signWorkerRequest
+};
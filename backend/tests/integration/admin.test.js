@@ -0,0 +1,89 @@
+const { describeWithEmulators, startApi, createUser, createAdmin, eventually } = require('../helpers/api');
+const { handlers } = require('../../src/services/workers');
+const { Job } = require('../../src/models');
+const queue = require('../../src/services/queue');
+
+describeWithEmulators('admin dead letters', () => {
+  let api;
+  let admin;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [admin, user] = await Promise.all([createAdmin('admin'), createUser('admin-target')]);
+  });
+
+  afterAll(() => api.close());
+
+  afterEach(() => {
+    delete handlers['/process-test'];
+  });
+
+  const deadLetterFor = jobId => eventually(async () => {
+    const { body } = await api.request('GET', `/api/admin/dead-letters?userId=${user.uid}`, { user: admin });
+    return body.find(deadLetter => deadLetter.jobId === jobId);
+  });
+
+  test('is limited to admins', async () => {
+    const { status } = await api.request('GET', '/api/admin/dead-letters', { user });
+
+    expect(status).toBe(403);
+  });
+
+  test('captures a failed job with its payload and error chain', async () => {
+    const jobId = await queue.enqueueCollectionProcessing('missing-collection', user.uid, { operation: 'regenerate-rules' });
+
+    const deadLetter = await deadLetterFor(jobId);
+    expect(deadLetter).toMatchObject({
+      type: 'collection',
+      path: '/process-collection',
+      status: 'pending',
+      payload: { collectionId: 'missing-collection', userId: user.uid, operation: 'regenerate-rules' }
+    });
+    expect(deadLetter.payload.jobId).toBeUndefined();
+    expect(deadLetter.errors).toEqual([expect.objectContaining({ attempt: 1, message: 'Collection not found', statusCode: 404 })]);
+
+    const { body } = await api.request('GET', `/api/admin/dead-letters/${deadLetter.id}`, { user: admin });
+    expect(body.id).toBe(deadLetter.id);
+  });
+
+  test('records every attempt and replays once the cause is fixed', async () => {
+    let broken = true;
+    handlers['/process-test'] = async () => {
+      if (broken) throw new Error('Upstream unavailable');
+      return { recovered: true };
+    };
+
+    const jobId = await queue.enqueueJob('/process-test', { value: 1 }, { userId: user.uid, retries: 2 });
+    const deadLetter = await deadLetterFor(jobId);
+    expect(deadLetter.errors.map(error => error.attempt)).toEqual([1, 2, 3]);
+
+    broken = false;
+    const replay = await api.request('POST', `/api/admin/dead-letters/${deadLetter.id}/replay`, { user: admin });
+    expect(replay.status).toBe(202);
+
+    const job = await eventually(async () => {
+      const current = await Job.findById(replay.body.jobId);
+      return current.status === 'succeeded' && current;
+    });
+    expect(job.result).toEqual({ recovered: true });
+
+    const { body: replayed } = await api.request('GET', `/api/admin/dead-letters/${deadLetter.id}`, { user: admin });
+    expect(replayed.status).toBe('replayed');
+    expect(replayed.replays).toEqual([expect.objectContaining({ jobId: replay.body.jobId, replayedBy: admin.uid })]);
+  });
+
+  test('replays many and reports the ones it could not find', async () => {
+    const jobId = await queue.enqueueCollectionProcessing('missing-again', user.uid, { operation: 'reprocess-entries' });
+    const deadLetter = await deadLetterFor(jobId);
+
+    const { status, body } = await api.request('POST', '/api/admin/dead-letters/replay', {
+      user: admin,
+      body: { ids: [deadLetter.id, 'no-such-letter'] }
+    });
+
+    expect(status).toBe(202);
+    expect(body.replayed).toEqual([{ id: deadLetter.id, jobId: expect.any(String) }]);
+    expect(body.errors).toEqual([{ id: 'no-such-letter', error: 'Dead letter not found' }]);
+  });
+});
@@ -0,0 +1,100 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+
+describeWithEmulators('AI background jobs', () => {
+  let api;
+  let user;
+  let entries;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await createUser('ai');
+
+    entries = [];
+    for (const content of ['Finished the book Dune, 9/10', 'Reading a book about tides', 'Paid the gas bill']) {
+      const { body } = await api.request('POST', '/api/entries', { user, body: { content, tags: ['week'] } });
+      entries.push(body);
+    }
+  });
+
+  afterAll(() => api.close());
+
+  const jobResult = jobId => eventually(async () => {
+    const { body } = await api.request('GET', `/api/jobs/${jobId}`, { user });
+    if (body.status === 'failed') throw new Error(body.error.message);
+    return body.status === 'succeeded' && body;
+  });
+
+  test('summarises the listed entries', async () => {
+    const { status, body } = await api.request('POST', '/api/ai/summary', {
+      user,
+      body: { entryIds: [entries[0].id, entries[1].id, 'not-mine'] }
+    });
+    expect(status).toBe(202);
+
+    const job = await jobResult(body.jobId);
+    expect(job.type).toBe('ai');
+    expect(job.result.result).toMatchObject({ entryCount: 2, entryIds: [entries[0].id, entries[1].id] });
+    expect(job.result.result.summary).toBeTruthy();
+    expect(job.result.result.themes).toContain('Book Reviews');
+  });
+
+  test('produces insights over a timeframe', async () => {
+    const { body } = await api.request('POST', '/api/ai/insights', { user, body: { timeframe: 'week' } });
+
+    const { result } = (await jobResult(body.jobId)).result;
+    expect(result.timeframe.name).toBe('week');
+    expect(result.stats).toMatchObject({ entryCount: 3, activeDays: 1 });
+    expect(result.stats.topTags).toEqual([{ tag: 'week', count: 3 }]);
+    expect(result.themes[0]).toMatchObject({ name: 'Book Reviews' });
+    expect(result.themes[0].entryIds).toEqual(expect.arrayContaining([entries[0].id, entries[1].id]));
+  });
+
+  test('bulk-categorizes uncategorized entries into existing collections', async () => {
+    const { body: collection } = await api.request('POST', '/api/collections', {
+      user,
+      body: { name: 'Book Reviews', instructions: 'Books I read' }
+    });
+
+    const { body } = await api.request('POST', '/api/ai/bulk-categorize', { user, body: {} });
+
+    const { result } = (await jobResult(body.jobId)).result;
+    expect(result.classifications.map(c => c.entryId).sort()).toEqual([entries[0].id, entries[1].id].sort());
+    expect(result.classifications.every(c => c.collectionId === collection.id)).toBe(true);
+    expect(result.unassigned).toEqual([entries[2].id]);
+  });
+
+  test('loads only the entries a job asks for', async () => {
+    const { body: collections } = await api.request('GET', '/api/collections', { user });
+    const books = collections.find(collection => collection.name === 'Book Reviews');
+    await api.request('POST', `/api/collections/${books.id}/entries`, { user, body: { entryId: entries[0].id } });
+
+    // The filed entry is no longer uncategorized
+    const categorize = await api.request('POST', '/api/ai/bulk-categorize', { user, body: {} });
+    const { result: categorized } = (await jobResult(categorize.body.jobId)).result;
+    expect(categorized.classifications.map(c => c.entryId)).toEqual([entries[1].id]);
+    expect(categorized.unassigned).toEqual([entries[2].id]);
+
+    const day = 24 * 60 * 60 * 1000;
+    const summarize = async (startOffset, endOffset) => {
+      const { body } = await api.request('POST', '/api/ai/summary', {
+        user,
+        body: {
+          collectionId: books.id,
+          startDate: new Date(Date.now() + startOffset * day).toISOString(),
+          endDate: new Date(Date.now() + endOffset * day).toISOString()
+        }
+      });
+      return (await jobResult(body.jobId)).result.result;
+    };
+
+    expect((await summarize(-1, 1)).entryIds).toEqual([entries[0].id]);
+    expect((await summarize(-400, -300)).entryCount).toBe(0);
+  });
+
+  test('rejects unknown timeframes', async () => {
+    const { status, body } = await api.request('POST', '/api/ai/insights', { user, body: { timeframe: 'decade' } });
+
+    expect(status).toBe(400);
+    expect(body.fields[0].path).toBe('body.timeframe');
+  });
+});
@@ -0,0 +1,267 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+
+describeWithEmulators('collections API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('collections'), createUser('collections-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const createCollection = body => api.request('POST', '/api/collections', { user, body });
+  const createEntry = content => api.request('POST', '/api/entries', { user, body: { content } })
+    .then(response => response.body);
+
+  test('creates, lists, updates and deletes a collection', async () => {
+    const created = await createCollection({ name: 'Hikes', instructions: 'Trails I walked', stats: { entryCount: 99 } });
+    expect(created.status).toBe(201);
+    expect(created.body.userId).toBe(user.uid);
+    expect(created.body.stats.entryCount).toBe(0);
+
+    const list = await api.request('GET', '/api/collections', { user });
+    expect(list.body.map(collection => collection.id)).toContain(created.body.id);
+
+    const page = await api.request('GET', '/api/collections?limit=1&sort=name', { user });
+    expect(page.body.items).toHaveLength(1);
+
+    const updated = await api.request('PUT', `/api/collections/${created.body.id}`, {
+      user,
+      body: { instructions: 'Trails and summits', userId: otherUser.uid }
+    });
+    expect(updated.body).toMatchObject({ instructions: 'Trails and summits', userId: user.uid });
+
+    const asOther = await api.request('GET', `/api/collections/${created.body.id}`, { user: otherUser });
+    expect(asOther.status).toBe(404);
+
+    const removed = await api.request('DELETE', `/api/collections/${created.body.id}`, { user });
+    expect(removed.status).toBe(204);
+  });
+
+  test('requires a name', async () => {
+    const { status, body } = await createCollection({ instructions: 'No name' });
+
+    expect(status).toBe(400);
+    expect(body.fields).toEqual([{ path: 'body.name', message: 'is required' }]);
+  });
+
+  test('infers and generates collection details with the local provider', async () => {
+    const inferred = await api.request('POST', '/api/collections/infer-from-content', {
+      user,
+      body: { content: 'Baked sourdough with rye flour' }
+    });
+    expect(inferred.status).toBe(200);
+    expect(inferred.body.inference.assignments[0].collectionName).toBe('Recipes');
+
+    const details = await api.request('POST', '/api/collections/generate-details', {
+      user,
+      body: { name: 'Recipes', description: 'Things I cook' }
+    });
+    expect(details.status).toBe(200);
+    expect(details.body.details.name).toBe('Recipes');
+  });
+
+  test('creates voice collections once per name', async () => {
+    const first = await api.request('POST', '/api/collections/create-voice-collection', {
+      user,
+      body: { name: 'Dreams' }
+    });
+    expect(first.status).toBe(201);
+
+    const second = await api.request('POST', '/api/collections/create-voice-collection', {
+      user,
+      body: { name: 'Dreams' }
+    });
+    expect(second.body.success).toBe(false);
+    expect(second.body.collection.id).toBe(first.body.collection.id);
+  });
+
+  describe('collection entries', () => {
+    let collection;
+
+    beforeAll(async () => {
+      const { body } = await createCollection({
+        name: 'Candles',
+        instructions: 'Candle ratings',
+        entryFormat: {
+          fields: [
+            { key: 'notes', type: 'text', label: 'Notes' },
+            { key: 'rating', type: 'number', label: 'Rating' }
+          ],
+          version: 1
+        }
+      });
+      collection = body;
+    });
+
+    test('adds an entry, edits overrides and removes it', async () => {
+      const entry = await createEntry('Vanilla candle, 8/10');
+
+      const added = await api.request('POST', `/api/collections/${collection.id}/entries`, {
+        user,
+        body: { entryId: entry.id, formattedData: { notes: 'Vanilla', rating: 8 } }
+      });
+      expect(added.status).toBe(201);
+      expect(added.body).toMatchObject({ entryId: entry.id, collectionId: collection.id });
+
+      const duplicate = await api.request('POST', `/api/collections/${collection.id}/entries`, {
+        user,
+        body: { entryId: entry.id }
+      });
+      expect(duplicate.status).toBe(400);
+
+      const { body: linkedEntry } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+      expect(linkedEntry.collectionIds).toContain(collection.id);
+
+      // The collection's CollectionEntries, not the entries themselves
+      const links = await api.request('GET', `/api/collections/${collection.id}/entries`, { user });
+      expect(links.body.map(link => link.id)).toContain(added.body.id);
+      expect(links.body.find(link => link.id === added.body.id).entryId).toBe(entry.id);
+
+      const overridden = await api.request('PUT', `/api/collection-entries/${added.body.id}`, {
+        user,
+        body: { userOverrides: { rating: 9 } }
+      });
+      expect(overridden.body.userOverrides).toEqual({ rating: 9 });
+
+      const removed = await api.request('DELETE', `/api/collection-entries/${added.body.id}`, { user });
+      expect(removed.status).toBe(204);
+
+      const { body: unlinkedEntry } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+      expect(unlinkedEntry.collectionIds).not.toContain(collection.id);
+    });
+
+    test('pages through the collection entries with a cursor', async () => {
+      const { body: paged } = await createCollection({ name: 'Paged candles' });
+      const links = [];
+      for (const content of ['Fir candle', 'Oak candle', 'Elm candle']) {
+        const entry = await createEntry(content);
+        const { body } = await api.request('POST', `/api/collections/${paged.id}/entries`, { user, body: { entryId: entry.id } });
+        links.push(body.id);
+      }
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2';
+        const page = await api.request('GET', `/api/collections/${paged.id}/entries${query}`, { user });
+        expect(page.status).toBe(200);
+        expect(page.body.items.length).toBeLessThanOrEqual(2);
+        seen.push(...page.body.items.map(link => link.id));
+        cursor = page.body.nextCursor;
+      } while (cursor);
+
+      expect(seen.sort()).toEqual(links.sort());
+
+      const other = await api.request('GET', `/api/collections/${paged.id}/entries?limit=2`, { user: otherUser });
+      expect(other.status).toBe(404);
+    });
+
+    test('matches and accepts candidate entries', async () => {
+      const candle = await createEntry('Lit the new candle tonight, smells of pine');
+      await createEntry('Paid the electricity bill');
+
+      const matches = await api.request('POST', `/api/collections/${collection.id}/match-entries`, {
+        user,
+        body: { minConfidence: 0.1 }
+      });
+      expect(matches.status).toBe(200);
+      const candidateIds = matches.body.candidates.map(candidate => candidate.entry.id);
+      expect(candidateIds).toContain(candle.id);
+      expect(new Set(candidateIds).size).toBe(candidateIds.length);
+      // Fewer entries than one page, so there is nothing older to score
+      expect(matches.body.scored).toBeGreaterThanOrEqual(2);
+      expect(matches.body.nextCursor).toBeNull();
+
+      const badCursor = await api.request('POST', `/api/collections/${collection.id}/match-entries`, {
+        user,
+        body: { cursor: 'not-a-cursor' }
+      });
+      expect(badCursor.status).toBe(400);
+
+      const accepted = await api.request('POST', `/api/collections/${collection.id}/accept-matches`, {
+        user,
+        body: { entryIds: [candle.id, candle.id] }
+      });
+      expect(accepted.status).toBe(201);
+      expect(accepted.body.created).toHaveLength(1);
+      expect(accepted.body.created[0].collectionEntry.formattedData.notes).toBe(candle.content);
+    });
+
+    test('reprocesses entries against the collection format', async () => {
+      const entry = await createEntry('Cedar candle, 6/10');
+      const { body: added } = await api.request('POST', `/api/collections/${collection.id}/entries`, {
+        user,
+        body: { entryId: entry.id, formattedData: { notes: 'Cedar' } }
+      });
+      await api.request('PUT', `/api/collection-entries/${added.id}`, {
+        user,
+        body: { userOverrides: { rating: 9 } }
+      });
+
+      const { status, body } = await api.request('POST', `/api/collections/${collection.id}/reprocess`, { user });
+
+      expect(status).toBe(200);
+      expect(body.failed).toBe(0);
+      expect(body.failures).toEqual([]);
+      expect(body.processed).toBeGreaterThan(0);
+
+      const result = body.results.find(r => r.collectionEntryId === added.id);
+      expect(result.diff).toEqual({
+        added: { rating: 6 },
+        removed: {},
+        changed: { notes: { from: 'Cedar', to: 'Cedar candle, 6/10' } }
+      });
+      expect(result.userOverrides).toEqual({ rating: 9 });
+
+      const { body: entries } = await api.request('GET', `/api/collections/${collection.id}/entries`, { user });
+      const reprocessed = entries.find(e => e.id === added.id);
+      expect(reprocessed.formattedData).toEqual({ notes: 'Cedar candle, 6/10', rating: 6 });
+      expect(reprocessed.userOverrides).toEqual({ rating: 9 });
+    });
+
+    test('refuses to reprocess a collection without an entry format', async () => {
+      const { body: plain } = await createCollection({ name: 'Loose notes' });
+
+      const { status, body } = await api.request('POST', `/api/collections/${plain.id}/reprocess`, { user });
+      expect(status).toBe(400);
+      expect(body.error).toBe('Collection has no entry format defined');
+    });
+
+    test('queues rule generation and entry reprocessing', async () => {
+      const { status, body } = await api.request('POST', `/api/collections/${collection.id}/generate-rules`, {
+        user,
+        body: { reprocessEntries: true }
+      });
+      expect(status).toBe(202);
+
+      const finished = jobId => eventually(async () => {
+        const { body: job } = await api.request('GET', `/api/jobs/${jobId}`, { user });
+        return job.status === 'succeeded' && job;
+      });
+
+      const rulesJob = await finished(body.jobId);
+      expect(rulesJob.result.rules.keywords).toContain('candles');
+
+      const reprocessJob = await finished(body.reprocessJobId);
+      expect(reprocessJob.result).toMatchObject({ completed: true, failed: 0 });
+
+      const { body: reloaded } = await api.request('GET', `/api/collections/${collection.id}`, { user });
+      expect(reloaded.rules.keywords).toContain('candles');
+      expect(reloaded.metadata.reprocess).toMatchObject({ status: 'completed', processed: reprocessJob.result.processed });
+    });
+
+    test('rejects an empty accept list', async () => {
+      const { status, body } = await api.request('POST', `/api/collections/${collection.id}/accept-matches`, {
+        user,
+        body: { entryIds: [] }
+      });
+
+      expect(status).toBe(400);
+      expect(body.fields[0].path).toBe('body.entryIds');
+    });
+  });
+});
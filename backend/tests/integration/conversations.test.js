@@ -0,0 +1,90 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+
+describeWithEmulators('conversations and messages API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('conversations'), createUser('conversations-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const createConversation = body => api.request('POST', '/api/conversations', { user, body });
+
+  test('creates conversations and posts messages to them', async () => {
+    const { status, body: conversation } = await createConversation({ title: 'Weekend plans' });
+    expect(status).toBe(201);
+    expect(conversation.spaceIds).toHaveLength(1);
+
+    const sent = await api.request('POST', '/api/messages', {
+      user,
+      body: { conversationId: conversation.id, content: 'Hike on Saturday?', type: 'Text' }
+    });
+    expect(sent.status).toBe(201);
+    expect(sent.body).toMatchObject({ userId: user.uid, type: 'text' });
+
+    const { body: reloaded } = await api.request('GET', `/api/conversations/${conversation.id}`, { user });
+    expect(reloaded.lastMessage).toBe('Hike on Saturday?');
+
+    const messages = await api.request('GET', `/api/conversations/${conversation.id}/messages?limit=10`, { user });
+    expect(messages.body.map(message => message.id)).toEqual([sent.body.id]);
+
+    const edited = await api.request('PUT', `/api/messages/${sent.body.id}`, { user, body: { content: 'Hike on Sunday?' } });
+    expect(edited.body.content).toBe('Hike on Sunday?');
+  });
+
+  test('keeps other users out of conversations and their messages', async () => {
+    const { body: conversation } = await createConversation({ title: 'Private' });
+
+    const read = await api.request('GET', `/api/conversations/${conversation.id}`, { user: otherUser });
+    expect(read.status).toBe(404);
+
+    const post = await api.request('POST', '/api/messages', {
+      user: otherUser,
+      body: { conversationId: conversation.id, content: 'Let me in' }
+    });
+    expect(post.status).toBe(403);
+  });
+
+  test('requires a conversation and content for messages', async () => {
+    const { status, body } = await api.request('POST', '/api/messages', { user, body: {} });
+
+    expect(status).toBe(400);
+    expect(body.fields.map(field => field.path)).toEqual(['body.conversationId', 'body.content']);
+  });
+
+  test('lists conversations by space and pages by updatedAt', async () => {
+    const { body: space } = await api.request('POST', '/api/spaces', { user, body: { name: 'Travel' } });
+    const { body: conversation } = await createConversation({ title: 'Lisbon', spaceIds: [space.id] });
+
+    const inSpace = await api.request('GET', `/api/conversations?spaceId=${space.id}`, { user });
+    expect(inSpace.body.map(c => c.id)).toEqual([conversation.id]);
+
+    const page = await api.request('GET', '/api/conversations?limit=1', { user });
+    expect(page.body.items).toHaveLength(1);
+    expect(page.body.nextCursor).toBeTruthy();
+  });
+
+  test('adds and removes spaces, updates and deletes', async () => {
+    const { body: space } = await api.request('POST', '/api/spaces', { user, body: { name: 'Side projects' } });
+    const { body: conversation } = await createConversation({ title: 'Ideas' });
+
+    const added = await api.request('POST', `/api/conversations/${conversation.id}/spaces`, { user, body: { spaceId: space.id } });
+    expect(added.body.spaceIds).toContain(space.id);
+
+    const removedSpace = await api.request('DELETE', `/api/conversations/${conversation.id}/spaces/${space.id}`, { user });
+    expect(removedSpace.body.spaceIds).not.toContain(space.id);
+
+    const renamed = await api.request('PUT', `/api/conversations/${conversation.id}`, {
+      user,
+      body: { title: 'Project ideas', userId: otherUser.uid }
+    });
+    expect(renamed.body).toMatchObject({ title: 'Project ideas', userId: user.uid });
+
+    const removed = await api.request('DELETE', `/api/conversations/${conversation.id}`, { user });
+    expect(removed.status).toBe(204);
+  });
+});
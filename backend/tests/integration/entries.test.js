@@ -0,0 +1,135 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+
+describeWithEmulators('entries API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('entries'), createUser('entries-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const createEntry = body => api.request('POST', '/api/entries', { user, body });
+
+  test('creates an entry in the default space and ignores protected fields', async () => {
+    const { status, body } = await createEntry({
+      title: 'First',
+      content: 'Hello world',
+      type: 'Note',
+      userId: 'someone-else',
+      createdAt: '2001-01-01T00:00:00Z'
+    });
+
+    expect(status).toBe(201);
+    expect(body.id).toBeTruthy();
+    expect(body.userId).toBe(user.uid);
+    expect(body.type).toBe('note');
+    expect(body.spaceIds).toHaveLength(1);
+    expect(new Date(body.createdAt).getFullYear()).not.toBe(2001);
+  });
+
+  test('rejects invalid bodies with field errors', async () => {
+    const { status, body } = await createEntry({ type: 'poem', tags: 'not-an-array' });
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_FAILED');
+    expect(body.fields.map(field => field.path)).toEqual(expect.arrayContaining(['body.type', 'body.tags']));
+  });
+
+  test('lists entries as an array and pages through them with a cursor', async () => {
+    await createEntry({ content: 'Page one' });
+    await createEntry({ content: 'Page two' });
+
+    const all = await api.request('GET', '/api/entries', { user });
+    expect(all.status).toBe(200);
+    expect(Array.isArray(all.body)).toBe(true);
+    // Everything fits in one legacy page
+    expect(all.headers.get('next-cursor')).toBeNull();
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = cursor ? `?limit=1&cursor=${cursor}` : '?limit=1';
+      const page = await api.request('GET', `/api/entries${query}`, { user });
+      expect(page.status).toBe(200);
+      expect(page.body.items).toHaveLength(1);
+      seen.push(page.body.items[0].id);
+      cursor = page.body.nextCursor;
+    } while (cursor);
+
+    expect(seen.sort()).toEqual(all.body.map(entry => entry.id).sort());
+  });
+
+  test('updates only whitelisted fields and hides entries from other users', async () => {
+    const { body: entry } = await createEntry({ title: 'Draft', content: 'Some text' });
+
+    const updated = await api.request('PUT', `/api/entries/${entry.id}`, {
+      user,
+      body: { title: 'Final', mood: 'Calm', userId: otherUser.uid, id: 'hijacked' }
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ id: entry.id, title: 'Final', mood: 'calm', userId: user.uid });
+
+    const asOther = await api.request('GET', `/api/entries/${entry.id}`, { user: otherUser });
+    expect(asOther.status).toBe(404);
+
+    const otherUpdate = await api.request('PUT', `/api/entries/${entry.id}`, { user: otherUser, body: { title: 'Nope' } });
+    expect(otherUpdate.status).toBe(404);
+  });
+
+  test('searches and filters by tags', async () => {
+    const { body: entry } = await createEntry({ content: 'Walked along the harbour', tags: ['walks'] });
+
+    const search = await api.request('GET', '/api/entries/search?q=harbour', { user });
+    expect(search.body.map(e => e.id)).toContain(entry.id);
+
+    const tagged = await api.request('GET', '/api/entries/tags?tags=walks,runs', { user });
+    expect(tagged.body.map(e => e.id)).toContain(entry.id);
+  });
+
+  test('deletes an entry', async () => {
+    const { body: entry } = await createEntry({ content: 'Temporary' });
+
+    const removed = await api.request('DELETE', `/api/entries/${entry.id}`, { user });
+    expect(removed.status).toBe(204);
+
+    const missing = await api.request('GET', `/api/entries/${entry.id}`, { user });
+    expect(missing.status).toBe(404);
+  });
+
+  test('routes entries created with inference into a collection', async () => {
+    const { status, body } = await api.request('POST', '/api/entries/with-inference', {
+      user,
+      body: { content: 'Finished the book Dune, 9/10' }
+    });
+
+    expect(status).toBe(201);
+    expect(body.routing.status).toBe('added');
+    expect(body.routing.collection.name).toBe('Book Reviews');
+
+    const collectionEntries = await api.request('GET', `/api/collections/${body.routing.collection.id}/entries`, { user });
+    expect(collectionEntries.body.map(link => link.entryId)).toContain(body.entry.id);
+  });
+
+  test('extracts voice entries and infers their collection', async () => {
+    const { status, body } = await api.request('POST', '/api/entries/extract-voice-entry', {
+      user,
+      body: { content: 'Had a great coffee at the corner shop' }
+    });
+
+    expect(status).toBe(201);
+
+    const entry = await eventually(async () => {
+      const { body: current } = await api.request('GET', `/api/entries/${body.entryId}`, { user });
+      return current.collectionIds.length > 0 && current;
+    });
+    expect(entry.metadata.source).toBe('voice');
+
+    const collections = await api.request('GET', '/api/collections', { user });
+    const drinks = collections.body.find(collection => collection.name === 'Drinks');
+    expect(entry.collectionIds).toContain(drinks.id);
+  });
+});
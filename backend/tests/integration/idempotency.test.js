@@ -0,0 +1,116 @@
+const express = require('express');
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+const { idempotent } = require('../../src/middleware/idempotency');
+
+describeWithEmulators('Idempotency-Key', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('idempotency'), createUser('idempotency-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const post = (path, body, key, as = user) => api.request('POST', path, {
+    user: as,
+    body,
+    headers: key ? { 'Idempotency-Key': key } : {}
+  });
+
+  const countEntries = async content => {
+    const { body } = await api.request('GET', '/api/entries', { user });
+    return body.filter(entry => entry.content === content).length;
+  };
+
+  test('replays the stored response instead of creating twice', async () => {
+    const body = { content: 'Idempotent entry' };
+
+    const first = await post('/api/entries', body, 'entry-key-1');
+    expect(first.status).toBe(201);
+    expect(first.headers.get('idempotent-replayed')).toBeNull();
+
+    const repeat = await post('/api/entries', body, 'entry-key-1');
+    expect(repeat.status).toBe(201);
+    expect(repeat.headers.get('idempotent-replayed')).toBe('true');
+    expect(repeat.body.id).toBe(first.body.id);
+
+    expect(await countEntries('Idempotent entry')).toBe(1);
+  });
+
+  test('replays voice tasks and voice entries', async () => {
+    const task = { title: 'Call the plumber' };
+    const firstTask = await post('/api/tasks/create-voice-task', task, 'call-abc');
+    const repeatTask = await post('/api/tasks/create-voice-task', task, 'call-abc');
+    expect(repeatTask.body).toEqual(firstTask.body);
+
+    const { body: tasks } = await api.request('GET', '/api/tasks', { user });
+    expect(tasks.filter(t => t.title === 'Call the plumber')).toHaveLength(1);
+
+    const entry = { content: 'Voice idempotent entry about a candle' };
+    const firstEntry = await post('/api/entries/extract-voice-entry', entry, 'call-def');
+    const repeatEntry = await post('/api/entries/extract-voice-entry', entry, 'call-def');
+    expect(repeatEntry.body.entryId).toBe(firstEntry.body.entryId);
+    expect(await countEntries(entry.content)).toBe(1);
+  });
+
+  test('scopes keys to the user and endpoint', async () => {
+    const mine = await post('/api/tasks', { title: 'Scoped task' }, 'shared-key');
+    const theirs = await post('/api/tasks', { title: 'Scoped task' }, 'shared-key', otherUser);
+    expect(theirs.status).toBe(201);
+    expect(theirs.body.id).not.toBe(mine.body.id);
+
+    const entry = await post('/api/entries', { content: 'Scoped task' }, 'shared-key');
+    expect(entry.status).toBe(201);
+    expect(entry.headers.get('idempotent-replayed')).toBeNull();
+  });
+
+  test('rejects a key reused for a different body', async () => {
+    await post('/api/entries', { content: 'Original body' }, 'entry-key-2');
+    const { status, body } = await post('/api/entries', { content: 'Different body' }, 'entry-key-2');
+
+    expect(status).toBe(422);
+    expect(body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(await countEntries('Different body')).toBe(0);
+  });
+
+  test('rejects malformed keys and ignores requests without one', async () => {
+    const invalid = await post('/api/entries', { content: 'Bad key' }, 'has spaces in it');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('IDEMPOTENCY_KEY_INVALID');
+
+    await post('/api/entries', { content: 'No key' });
+    await post('/api/entries', { content: 'No key' });
+    expect(await countEntries('No key')).toBe(2);
+  });
+
+  test('releases the key when the response is not JSON', async () => {
+    let runs = 0;
+    const app = express();
+    app.post('/plain', (req, res, next) => {
+      req.user = { uid: user.uid };
+      next();
+    }, idempotent, (req, res) => {
+      runs += 1;
+      res.type('text').send('done');
+    });
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const send = () => fetch(`http://127.0.0.1:${server.address().port}/plain`, {
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'plain-key' }
+    });
+
+    try {
+      expect((await send()).status).toBe(200);
+      await eventually(async () => (await send()).status === 200);
+      expect(runs).toBe(2);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+
+describeWithEmulators('jobs API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('jobs'), createUser('jobs-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  test('tracks the inference job queued for a voice entry', async () => {
+    const { status, body } = await api.request('POST', '/api/entries/extract-voice-entry', {
+      user,
+      body: { content: 'Lit a vanilla candle, 8/10 for the smell' }
+    });
+    expect(status).toBe(201);
+    expect(body.jobId).toBeTruthy();
+
+    const job = await eventually(async () => {
+      const { body: current } = await api.request('GET', `/api/jobs/${body.jobId}`, { user });
+      return current.status === 'succeeded' && current;
+    });
+
+    expect(job).toMatchObject({ type: 'inference', userId: user.uid, attempts: 1, backend: 'local' });
+    expect(job.payloadSummary).toMatchObject({ entryId: body.entryId, content: expect.stringContaining('vanilla') });
+    expect(job.result.entryId).toBe(body.entryId);
+    expect(job.result.collection.name).toBeTruthy();
+  });
+
+  test('lists the user\'s jobs and hides them from others', async () => {
+    const { body } = await api.request('POST', '/api/entries/extract-voice-entry', {
+      user,
+      body: { content: 'Watched a film about the sea' }
+    });
+
+    const list = await api.request('GET', '/api/jobs?type=inference', { user });
+    expect(list.status).toBe(200);
+    expect(list.body.map(job => job.id)).toContain(body.jobId);
+
+    const page = await api.request('GET', '/api/jobs?limit=1', { user });
+    expect(page.body.items).toHaveLength(1);
+
+    const asOther = await api.request('GET', `/api/jobs/${body.jobId}`, { user: otherUser });
+    expect(asOther.status).toBe(404);
+
+    const otherList = await api.request('GET', '/api/jobs', { user: otherUser });
+    expect(otherList.body).toEqual([]);
+  });
+
+  test('rejects unknown status filters', async () => {
+    const { status, body } = await api.request('GET', '/api/jobs?status=lost', { user });
+
+    expect(status).toBe(400);
+    expect(body.fields[0].path).toBe('query.status');
+  });
+});
@@ -0,0 +1,72 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+
+// Smallest valid PNG: a single transparent pixel
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describeWithEmulators('photos API', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await createUser('photos');
+  });
+
+  afterAll(() => api.close());
+
+  function photoForm(fields = {}) {
+    const form = new FormData();
+    form.append('photo', new Blob([PIXEL_PNG], { type: 'image/png' }), 'pixel.png');
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    return form;
+  }
+
+  test('stores the photo and files it as an entry in a conversation', async () => {
+    const { status, body } = await api.request('POST', '/api/photos/process', { user, form: photoForm() });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, collectionName: 'Photos', description: 'A photo' });
+
+    const { body: entry } = await api.request('GET', `/api/entries/${body.entryId}`, { user });
+    expect(entry).toMatchObject({ type: 'photo', photoId: body.photoId, conversationId: body.conversationId });
+    expect(entry.collectionIds).toContain(body.collectionId);
+
+    const messages = await api.request('GET', `/api/conversations/${body.conversationId}/messages`, { user });
+    expect(messages.body).toHaveLength(2);
+  });
+
+  test('adds photos to an existing conversation', async () => {
+    const { body: conversation } = await api.request('POST', '/api/conversations', { user, body: { title: 'Trip' } });
+
+    const { status, body } = await api.request('POST', '/api/photos/process', {
+      user,
+      form: photoForm({ conversationId: conversation.id })
+    });
+
+    expect(status).toBe(200);
+    expect(body.conversationId).toBe(conversation.id);
+  });
+
+  test('leaves a photo with pending suggestions out of the Photos fallback', async () => {
+    const reviewer = await createUser('photos-review');
+    await api.request('POST', '/api/collections', { user: reviewer, body: { name: 'Photo ideas' } });
+    await api.request('PUT', '/users/inference-settings', { user: reviewer, body: { autoApplyThreshold: 0.9 } });
+
+    const { status, body } = await api.request('POST', '/api/photos/process', { user: reviewer, form: photoForm() });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ collectionId: null, collectionName: null, pendingSuggestions: 1 });
+
+    const { body: entry } = await api.request('GET', `/api/entries/${body.entryId}`, { user: reviewer });
+    expect(entry.collectionIds).toEqual([]);
+  });
+
+  test('requires a photo', async () => {
+    const { status } = await api.request('POST', '/api/photos/process', { user, form: new FormData() });
+
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,73 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+const { handlers, WorkerError } = require('../../src/services/workers');
+const { Job } = require('../../src/models');
+const queue = require('../../src/services/queue');
+
+describeWithEmulators('local queue backend', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await createUser('queue');
+  });
+
+  afterAll(() => api.close());
+
+  afterEach(() => {
+    delete handlers['/process-test'];
+  });
+
+  const finishedJob = jobId => eventually(async () => {
+    const job = await Job.findById(jobId);
+    return ['succeeded', 'failed'].includes(job.status) && job;
+  });
+
+  test('is selected when QStash is not configured', () => {
+    expect(queue.getQueueBackend().name).toBe('local');
+  });
+
+  test('runs delayed jobs and retries failures with backoff', async () => {
+    const attempts = [];
+    handlers['/process-test'] = async body => {
+      attempts.push(body);
+      if (attempts.length < 3) throw new Error('Temporary failure');
+      return { done: true };
+    };
+
+    const jobId = await queue.scheduleJob('test', { value: 1, userId: user.uid }, 0.05);
+
+    const job = await finishedJob(jobId);
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 3, result: { done: true }, error: null });
+    expect(attempts[0]).toMatchObject({ value: 1, scheduled: true, jobId });
+  });
+
+  test('does not retry malformed jobs', async () => {
+    let attempts = 0;
+    handlers['/process-test'] = async () => {
+      attempts += 1;
+      throw new WorkerError('Bad payload');
+    };
+
+    const jobId = await queue.scheduleJob('test', {}, 0);
+
+    const job = await finishedJob(jobId);
+    expect(attempts).toBe(1);
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: { message: 'Bad payload', statusCode: 400 } });
+  });
+
+  test('enqueueInference runs the same handler as the worker route', async () => {
+    const { body: entry } = await api.request('POST', '/api/entries', {
+      user,
+      body: { content: 'Tried a new wine from Portugal' }
+    });
+
+    await queue.enqueueInference(entry.id, user.uid, entry.content);
+
+    const routed = await eventually(async () => {
+      const { body } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+      return body.collectionIds.length > 0 && body;
+    });
+    expect(routed.collectionIds).toHaveLength(1);
+  });
+});
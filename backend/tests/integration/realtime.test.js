@@ -0,0 +1,276 @@
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+const { getTools } = require('../../src/services/realtimeFunctions');
+const { startOfDay } = require('../../src/utils/timeZone');
+
+describeWithEmulators('realtime functions', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('realtime'), createUser('realtime-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const callFunction = (name, args, headers, as = user) => api.request('POST', '/api/realtime/function', {
+    user: as,
+    body: { name, arguments: args },
+    headers
+  });
+
+  test('describes every registered function as a session tool', () => {
+    const tools = getTools();
+
+    expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['create_task', 'create_collection', 'extract_entries']));
+    tools.forEach(tool => {
+      expect(tool).toMatchObject({ type: 'function', parameters: { type: 'object' } });
+      expect(tool.description).toBeTruthy();
+    });
+  });
+
+  test('creates a task in-process', async () => {
+    const { status, body } = await callFunction('create_task', { title: 'Water the plants', dueDate: '2030-01-01T09:00:00Z' });
+
+    expect(status).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.task).toMatchObject({ title: 'Water the plants', userId: user.uid, source: 'voice' });
+  });
+
+  test('accepts arguments as the JSON string the Realtime API sends', async () => {
+    const { status, body } = await callFunction('extract_entries', JSON.stringify({ content: 'Ash candle is 8/10' }));
+
+    expect(status).toBe(200);
+    const { body: entry } = await api.request('GET', `/api/entries/${body.entryId}`, { user });
+    expect(entry.content).toBe('Ash candle is 8/10');
+  });
+
+  test('creates a collection once', async () => {
+    const first = await callFunction('create_collection', { name: 'Podcasts', description: 'Episodes worth sharing' });
+    expect(first.body.success).toBe(true);
+    expect(first.body.collection.instructions).toBe('Episodes worth sharing');
+
+    const second = await callFunction('create_collection', { name: 'podcasts' });
+    expect(second.body.success).toBe(false);
+    expect(second.body.collection.id).toBe(first.body.collection.id);
+  });
+
+  test('rejects unknown functions and invalid arguments', async () => {
+    const unknown = await callFunction('launch_rocket', {});
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown function: launch_rocket');
+
+    const invalid = await callFunction('create_task', { priority: 'whenever' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.fields.map(field => field.path)).toEqual(['arguments.title', 'arguments.priority']);
+
+    const malformed = await callFunction('create_task', '{"title":');
+    expect(malformed.status).toBe(400);
+  });
+
+  test('runs a retried call once', async () => {
+    const headers = { 'Idempotency-Key': 'call_retry_1' };
+    const first = await callFunction('create_task', { title: 'Retried task' }, headers);
+    const retry = await callFunction('create_task', { title: 'Retried task' }, headers);
+
+    expect(retry.body.task.id).toBe(first.body.task.id);
+  });
+
+  describe('voice tools', () => {
+    const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    test('completes and updates tasks by what the user called them', async () => {
+      const { body: created } = await callFunction('create_task', { title: 'Book the dentist', dueDate: inDays(1) });
+
+      const completed = await callFunction('complete_task', { taskTitle: 'dentist' });
+      expect(completed.body).toMatchObject({ success: true, task: { id: created.task.id, status: 'completed' } });
+
+      const updated = await callFunction('update_task', { taskId: created.task.id, priority: 'high', dueDate: null });
+      expect(updated.body.task).toMatchObject({ priority: 'high', dueDate: null });
+
+      const asOther = await callFunction('complete_task', { taskId: created.task.id }, undefined, otherUser);
+      expect(asOther.body).toEqual({ success: false, message: 'Task not found' });
+    });
+
+    test('asks which task when several match', async () => {
+      await callFunction('create_task', { title: 'Call the bank' });
+      await callFunction('create_task', { title: 'Call the plumber' });
+
+      const { body } = await callFunction('complete_task', { taskTitle: 'call' });
+      expect(body.success).toBe(false);
+      expect(body.candidates.map(candidate => candidate.title)).toEqual(expect.arrayContaining(['Call the bank', 'Call the plumber']));
+    });
+
+    test('lists tasks by due date', async () => {
+      const { body: overdue } = await callFunction('create_task', { title: 'Renew passport', dueDate: inDays(-2) });
+      const { body: later } = await callFunction('create_task', { title: 'File taxes', dueDate: inDays(40) });
+
+      const { body } = await callFunction('query_tasks_by_due_date', { range: 'overdue' });
+      const ids = body.tasks.map(task => task.id);
+      expect(ids).toContain(overdue.task.id);
+      expect(ids).not.toContain(later.task.id);
+    });
+
+    test('reads "today" in the user\'s time zone', async () => {
+      // An hour into today on the earliest clocks, which is still yesterday on the latest
+      const dueDate = new Date(startOfDay(new Date(), 'Pacific/Kiritimati').getTime() + 60 * 60 * 1000);
+      const { body: created } = await callFunction('create_task', { title: 'Catch the early ferry', dueDate: dueDate.toISOString() });
+
+      const today = timezone => api.request('POST', '/api/realtime/function', {
+        user,
+        body: { name: 'query_tasks_by_due_date', arguments: { range: 'today' }, timezone }
+      });
+
+      const { body: east } = await today('Pacific/Kiritimati');
+      expect(east.range.timeZone).toBe('Pacific/Kiritimati');
+      expect(east.tasks.map(task => task.id)).toContain(created.task.id);
+
+      const { body: west } = await today('Pacific/Pago_Pago');
+      expect(west.tasks.map(task => task.id)).not.toContain(created.task.id);
+
+      const invalid = await today('Mars/Olympus_Mons');
+      expect(invalid.status).toBe(400);
+    });
+
+    test('lists collections, files entries and reads them back', async () => {
+      const { body: books } = await api.request('POST', '/api/collections', {
+        user,
+        body: {
+          name: 'Book Reviews',
+          entryFormat: { fields: [{ key: 'notes', type: 'text' }, { key: 'rating', type: 'number' }] }
+        }
+      });
+      const { body: saved } = await callFunction('extract_entries', { content: 'Dune was superb, 9/10' });
+
+      const { body: listed } = await callFunction('list_collections', {});
+      expect(listed.collections.map(collection => collection.name)).toContain('Book Reviews');
+
+      const moved = await callFunction('move_entry_to_collection', { entryId: saved.entryId, collectionName: 'book reviews' });
+      expect(moved.body).toMatchObject({ success: true, collection: { id: books.id } });
+
+      const { body: read } = await callFunction('get_collection_entries', { collectionId: books.id });
+      const filed = read.entries.find(entry => entry.entryId === saved.entryId);
+      expect(filed.fields.rating).toBe(9);
+
+      const { body: entry } = await api.request('GET', `/api/entries/${saved.entryId}`, { user });
+      expect(entry.collectionIds).toContain(books.id);
+
+      const asOther = await callFunction('move_entry_to_collection', { entryId: saved.entryId, collectionName: 'Book Reviews' }, undefined, otherUser);
+      expect(asOther.body).toEqual({ success: false, message: 'Entry not found' });
+    });
+
+    test('searches saved entries', async () => {
+      const { body: saved } = await callFunction('extract_entries', { content: 'Lemon drizzle cake for the office party' });
+
+      const body = await eventually(async () => {
+        const { body: found } = await callFunction('search_entries', { query: 'lemon drizzle' });
+        return found.count > 0 && found;
+      });
+      expect(body.results[0].entryId).toBe(saved.entryId);
+    });
+
+    test('saves thoughts', async () => {
+      const { body } = await callFunction('add_thought', { content: 'Why do Sundays feel so long?', type: 'question' });
+      expect(body.success).toBe(true);
+
+      const { body: thought } = await api.request('GET', `/api/thoughts/${body.thoughtId}`, { user });
+      expect(thought).toMatchObject({ type: 'question', userId: user.uid });
+    });
+  });
+  describe('transcripts', () => {
+    const sendTranscript = (body, as = user) => api.request('POST', '/api/realtime/transcript', { user: as, body });
+
+    test('stores turns and tool calls in order and links what they created', async () => {
+      const { body: saved } = await callFunction('extract_entries', { content: 'Boy Smells Ash is 8/10' });
+      const { body: created } = await callFunction('create_task', { title: 'Buy more candles' });
+
+      const events = [
+        { type: 'user', itemId: 'item_1', content: 'Ash candle is 8/10, and remind me to buy more' },
+        { type: 'tool_call', callId: 'call_1', name: 'extract_entries', arguments: '{"content":"Boy Smells Ash is 8/10"}' },
+        { type: 'tool_result', callId: 'call_1', output: JSON.stringify(saved) },
+        { type: 'tool_call', callId: 'call_2', name: 'create_task', arguments: { title: 'Buy more candles' } },
+        { type: 'tool_result', callId: 'call_2', output: created },
+        { type: 'assistant', itemId: 'item_2', content: 'Saved the rating and added the task.' }
+      ];
+      const { status, body } = await sendTranscript({ sessionId: 'sess_transcript', events });
+
+      expect(status).toBe(201);
+      expect(body.linked).toEqual([{ type: 'entry', id: saved.entryId }, { type: 'task', id: created.task.id }]);
+
+      const { body: messages } = await api.request('GET', `/api/conversations/${body.conversationId}/messages`, { user });
+      expect(messages.map(message => message.type)).toEqual(['voice', 'tool_call', 'tool_result', 'tool_call', 'tool_result', 'voice']);
+      expect(messages[0]).toMatchObject({ userId: user.uid, metadata: { role: 'user' } });
+      expect(messages[2].metadata).toMatchObject({ name: 'extract_entries', output: { entryId: saved.entryId } });
+
+      const { body: entry } = await api.request('GET', `/api/entries/${saved.entryId}`, { user });
+      expect(entry.conversationId).toBe(body.conversationId);
+      const { body: task } = await api.request('GET', `/api/tasks/${created.task.id}`, { user });
+      expect(task.conversationId).toBe(body.conversationId);
+    });
+
+    test('adds later batches of a session without duplicating resent events', async () => {
+      const first = await sendTranscript({
+        sessionId: 'sess_batches',
+        events: [{ type: 'user', itemId: 'item_a', content: 'What is due this week?' }]
+      });
+      const second = await sendTranscript({
+        sessionId: 'sess_batches',
+        events: [
+          { type: 'user', itemId: 'item_a', content: 'What is due this week?' },
+          { type: 'assistant', itemId: 'item_b', content: 'Nothing yet.' }
+        ]
+      });
+
+      expect(second.body).toMatchObject({ conversationId: first.body.conversationId, skipped: 1 });
+      expect(second.body.messages).toHaveLength(1);
+
+      const { body: conversation } = await api.request('GET', `/api/conversations/${first.body.conversationId}`, { user });
+      expect(conversation.lastMessage).toBe('Nothing yet.');
+    });
+
+    test('rejects incomplete events and other users\' conversations', async () => {
+      const incomplete = await sendTranscript({ events: [{ type: 'tool_call', callId: 'call_x' }] });
+      expect(incomplete.status).toBe(400);
+
+      const { body } = await sendTranscript({ events: [{ type: 'user', itemId: 'item_mine', content: 'Hello' }] });
+      const asOther = await sendTranscript({
+        conversationId: body.conversationId,
+        events: [{ type: 'user', itemId: 'item_theirs', content: 'Hi' }]
+      }, otherUser);
+      expect(asOther.status).toBe(404);
+    });
+  });
+
+  describe('assistant profile', () => {
+    const profileOf = as => api.request('GET', '/users/assistant-profile', { user: as });
+    const updateProfile = (body, as = otherUser) => api.request('PUT', '/users/assistant-profile', { user: as, body });
+
+    test('starts from the defaults and merges updates', async () => {
+      const { status, body: defaults } = await profileOf(otherUser);
+      expect(status).toBe(200);
+      expect(defaults).toEqual({ voice: 'shimmer', persona: null, vadSensitivity: 'medium', language: null, enabledTools: null });
+
+      await updateProfile({ voice: 'coral', language: 'ES' });
+      const { body: updated } = await updateProfile({ persona: 'Cheerful and brief', enabledTools: ['create_task', 'create_task'] });
+      expect(updated.profile).toEqual({
+        voice: 'coral',
+        persona: 'Cheerful and brief',
+        vadSensitivity: 'medium',
+        language: 'es',
+        enabledTools: ['create_task']
+      });
+
+      const { body: reset } = await updateProfile({ persona: null, enabledTools: null });
+      expect(reset.profile).toMatchObject({ voice: 'coral', persona: null, enabledTools: null });
+    });
+
+    test('rejects unknown voices, sensitivities and tools', async () => {
+      for (const body of [{ voice: 'robot' }, { vadSensitivity: 'extreme' }, { enabledTools: ['launch_rockets'] }, { language: 'spanish' }]) {
+        const { status, body: error } = await updateProfile(body);
+        expect(status).toBe(400);
+        expect(error.code).toBe('VALIDATION_FAILED');
+      }
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const http = require('http');
+const net = require('net');
+const { WebSocket, WebSocketServer } = require('ws');
+const { describeWithEmulators, startApi, createUser, eventually } = require('../helpers/api');
+const { RELAY_PATH, CLOSE_SESSION_EXPIRED, attachRealtimeRelay } = require('../../src/services/realtimeRelay');
+
+/**
+ * Stands in for the provider's realtime socket: records what the relay sends
+ * and lets tests push provider events to it
+ */
+async function startFakeUpstream() {
+  const server = new WebSocketServer({ port: 0 });
+  await new Promise(resolve => server.on('listening', resolve));
+
+  const upstream = { events: [], requests: [], socket: null };
+  server.on('connection', (socket, req) => {
+    upstream.socket = socket;
+    upstream.requests.push(req);
+    socket.on('message', data => upstream.events.push(JSON.parse(data.toString())));
+  });
+
+  upstream.url = `ws://127.0.0.1:${server.address().port}/v1/realtime`;
+  upstream.send = event => upstream.socket.send(JSON.stringify(event));
+  upstream.close = () => new Promise(resolve => server.close(resolve));
+  return upstream;
+}
+
+// Connects and collects events; resolves once the relay reports the upstream is up
+function connect(url, options) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, options);
+    socket.events = [];
+    socket.on('message', data => {
+      const event = JSON.parse(data.toString());
+      socket.events.push(event);
+      if (event.type === 'relay.connected') resolve(socket);
+    });
+    socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('rejected'), { statusCode: res.statusCode })));
+    socket.on('error', reject);
+  });
+}
+
+function bearer(sessionToken) {
+  return { headers: { Authorization: `Bearer ${sessionToken}` } };
+}
+
+function closed(socket) {
+  return new Promise(resolve => socket.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+}
+
+describeWithEmulators('realtime relay', () => {
+  let api;
+  let user;
+  let upstream;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await createUser('relay');
+  });
+
+  beforeEach(async () => {
+    upstream = await startFakeUpstream();
+    process.env.REALTIME_UPSTREAM_URL = upstream.url;
+  });
+
+  afterEach(async () => {
+    delete process.env.REALTIME_UPSTREAM_URL;
+    delete process.env.REALTIME_SESSION_TTL_SECONDS;
+    await upstream.close();
+  });
+
+  afterAll(() => api.close());
+
+  const newSession = async () => {
+    const { status, body } = await api.request('POST', '/api/realtime/session', { user });
+    expect(status).toBe(200);
+    return body;
+  };
+
+  test('configures the session upstream and relays events both ways', async () => {
+    const session = await newSession();
+    expect(session.path).toBe(RELAY_PATH);
+    expect(JSON.stringify(session)).not.toMatch(/apiKey/);
+
+    const client = await connect(`${api.wsUrl}${RELAY_PATH}`, {
+      headers: { Authorization: `Bearer ${session.sessionToken}` }
+    });
+
+    const sessionUpdate = await eventually(() => upstream.events.find(event => event.type === 'session.update'));
+    expect(sessionUpdate.session.tools.map(tool => tool.name)).toContain('create_task');
+    expect(upstream.requests[0].url).toContain('model=');
+
+    client.send(JSON.stringify({ type: 'session.update', session: { tools: [], instructions: 'Be brief' } }));
+    client.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: 'AAAA' }));
+    await eventually(() => upstream.events.some(event => event.type === 'input_audio_buffer.append'));
+    const clientUpdate = upstream.events.filter(event => event.type === 'session.update')[1];
+    expect(clientUpdate.session).toEqual({ instructions: 'Be brief' });
+
+    upstream.send({ type: 'response.audio_transcript.delta', delta: 'Hello' });
+    await eventually(() => client.events.some(event => event.type === 'response.audio_transcript.delta'));
+
+    client.close();
+  });
+
+  test('sets the session up from the assistant profile and collections', async () => {
+    const profiled = await createUser('relay-profile');
+    await api.request('POST', '/api/collections', {
+      user: profiled,
+      body: { name: 'Candles', instructions: 'Scent, brand and a rating out of 10' }
+    });
+    await api.request('PUT', '/users/assistant-profile', {
+      user: profiled,
+      body: { voice: 'ash', vadSensitivity: 'high', language: 'fr', persona: 'Talk like a cheerful barista', enabledTools: ['extract_entries', 'create_task'] }
+    });
+
+    const { body: session } = await api.request('POST', '/api/realtime/session', { user: profiled });
+    const client = await connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken));
+
+    const { session: config } = await eventually(() => upstream.events.find(event => event.type === 'session.update'));
+    expect(config.voice).toBe('ash');
+    expect(config.tools.map(tool => tool.name).sort()).toEqual(['create_task', 'extract_entries']);
+    expect(config.turn_detection).toMatchObject({ threshold: 0.3, silence_duration_ms: 350 });
+    expect(config.input_audio_transcription).toMatchObject({ language: 'fr' });
+    expect(config.instructions).toContain('Talk like a cheerful barista');
+    expect(config.instructions).toContain('- Candles: Scent, brand and a rating out of 10');
+    expect(config.instructions).toContain('Speak French');
+    expect(config.instructions).not.toContain('search_entries');
+
+    client.close();
+  });
+
+  test('runs tool calls on the server for the session user', async () => {
+    const session = await newSession();
+    const client = await connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken));
+
+    upstream.send({
+      type: 'response.function_call_arguments.done',
+      call_id: 'call_relay_1',
+      name: 'create_task',
+      arguments: JSON.stringify({ title: 'Relay the groceries' })
+    });
+
+    const output = await eventually(() => upstream.events.find(event => event.type === 'conversation.item.create'));
+    expect(output.item).toMatchObject({ type: 'function_call_output', call_id: 'call_relay_1' });
+    const result = JSON.parse(output.item.output);
+    expect(result.task).toMatchObject({ title: 'Relay the groceries', userId: user.uid });
+    await eventually(() => upstream.events.some(event => event.type === 'response.create'));
+
+    const relayed = await eventually(() => client.events.find(event => event.type === 'relay.function_call.output'));
+    expect(relayed).toMatchObject({ call_id: 'call_relay_1', name: 'create_task', output: { success: true } });
+
+    const { body: task } = await api.request('GET', `/api/tasks/${result.task.id}`, { user });
+    expect(task.title).toBe('Relay the groceries');
+
+    client.close();
+  });
+
+  test('rejects unknown and already connected session tokens', async () => {
+    await expect(connect(`${api.wsUrl}${RELAY_PATH}`, bearer('not-a-session'))).rejects.toMatchObject({ statusCode: 401 });
+
+    const session = await newSession();
+    const client = await connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken));
+    await expect(connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken))).rejects.toMatchObject({ statusCode: 409 });
+
+    client.close();
+  });
+
+  test('rejects a token already connected through another instance', async () => {
+    // A second server with its own relay, sharing only the session store
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const relay = attachRealtimeRelay(server);
+    const otherUrl = `ws://127.0.0.1:${server.address().port}${RELAY_PATH}`;
+
+    try {
+      const session = await newSession();
+      const client = await connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken));
+      await expect(connect(otherUrl, bearer(session.sessionToken))).rejects.toMatchObject({ statusCode: 409 });
+
+      // Closing the first connection frees the token everywhere
+      client.close();
+      const moved = await eventually(() => connect(otherUrl, bearer(session.sessionToken)).catch(() => null));
+      expect(moved.events.some(event => event.type === 'relay.connected')).toBe(true);
+      moved.close();
+    } finally {
+      relay.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('ignores tokens in the query string', async () => {
+    const session = await newSession();
+    await expect(connect(`${api.wsUrl}${RELAY_PATH}?token=${session.sessionToken}`)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('frees the token when a handshake is abandoned', async () => {
+    const session = await newSession();
+    const url = new URL(`${api.wsUrl}${RELAY_PATH}`);
+
+    // A raw upgrade request that hangs up before the handshake finishes
+    await new Promise(resolve => {
+      const socket = net.connect(Number(url.port), url.hostname, () => {
+        socket.write(
+          `GET ${RELAY_PATH} HTTP/1.1\r\nHost: ${url.host}\r\nAuthorization: Bearer ${session.sessionToken}\r\n` +
+          'Upgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Version: 13\r\n\r\n'
+        );
+        setTimeout(() => socket.destroy(), 200);
+      });
+      socket.on('close', resolve);
+    });
+
+    const client = await eventually(() => connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken)).catch(() => null));
+    expect(client.events.some(event => event.type === 'relay.connected')).toBe(true);
+    client.close();
+  });
+
+  test('closes the connection when the session expires', async () => {
+    process.env.REALTIME_SESSION_TTL_SECONDS = '1';
+    const session = await newSession();
+    const client = await connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken));
+
+    const { code } = await closed(client);
+    expect(code).toBe(CLOSE_SESSION_EXPIRED);
+    expect(client.events.some(event => event.error && event.error.type === 'session_expired')).toBe(true);
+
+    await expect(connect(`${api.wsUrl}${RELAY_PATH}`, bearer(session.sessionToken))).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
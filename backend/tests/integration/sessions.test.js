@@ -0,0 +1,193 @@
+const { describeWithEmulators, startApi } = require('../helpers/api');
+const { signWorkerRequest } = require('../helpers/qstash');
+const { getSessionStore } = require('../../src/services/sessionStore');
+const { lastMessageTo } = require('../../src/services/sms/localProvider');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describeWithEmulators('session store', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  afterAll(() => api.close());
+
+  const store = () => getSessionStore();
+
+  test('stores records until they expire', async () => {
+    const created = await store().create('test', 'short-lived', { userId: 'someone' }, { ttlSeconds: 1 });
+    expect(created).toMatchObject({ id: 'short-lived', userId: 'someone' });
+    expect(created.expiresAt).toBeInstanceOf(Date);
+
+    expect(await store().get('test', 'short-lived')).toMatchObject({ userId: 'someone' });
+    expect(await store().get('other-namespace', 'short-lived')).toBeNull();
+
+    await wait(1100);
+    expect(await store().get('test', 'short-lived')).toBeNull();
+    expect(await store().update('test', 'short-lived', { userId: 'else' })).toBeNull();
+  });
+
+  test('counts concurrent increments exactly', async () => {
+    await store().create('test', 'counter', { attempts: 0 }, { ttlSeconds: 60 });
+
+    await Promise.all(Array.from({ length: 8 }, () => store().increment('test', 'counter', 'attempts')));
+
+    expect((await store().get('test', 'counter')).attempts).toBe(8);
+  });
+
+  test('modifies records atomically, creating missing ones', async () => {
+    const bump = () => store().modify('test', 'window', counter => {
+      if (counter && counter.count >= 5) throw new Error('full');
+      return { count: (counter ? counter.count : 0) + 1 };
+    }, { ttlSeconds: 60 });
+
+    const results = await Promise.allSettled(Array.from({ length: 8 }, bump));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(5);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.message))
+      .toEqual(['full', 'full', 'full']);
+    expect((await store().get('test', 'window')).count).toBe(5);
+
+    // Without a TTL nothing is created, and null leaves a record alone
+    expect(await store().modify('test', 'never-created', () => ({ count: 1 }))).toBeNull();
+    expect(await store().modify('test', 'window', () => null)).toMatchObject({ count: 5 });
+  });
+
+  test('the cleanup job removes expired records', async () => {
+    await store().create('test', 'expired', {}, { ttlSeconds: 1 });
+    await store().create('test', 'kept', {}, { ttlSeconds: 60 });
+    await wait(1100);
+
+    const body = {};
+    const { status, body: result } = await api.request('POST', '/api/workers/process-session-cleanup', {
+      body,
+      headers: { 'Upstash-Signature': signWorkerRequest('/process-session-cleanup', JSON.stringify(body)) }
+    });
+
+    expect(status).toBe(200);
+    expect(result.removed).toBeGreaterThanOrEqual(1);
+    expect(await store().get('test', 'kept')).not.toBeNull();
+  });
+
+  describe('phone verification', () => {
+    const sendCode = (phoneNumber, ip = '198.51.100.1') => api.request('POST', '/auth/phone/send-code', {
+      body: { phoneNumber },
+      headers: { 'X-Forwarded-For': ip }
+    });
+    const verifyCode = (sessionId, code) => api.request('POST', '/auth/phone/verify-code', { body: { sessionId, code } });
+    const resendCode = sessionId => api.request('POST', '/auth/phone/resend-code', { body: { sessionId } });
+    const textedCode = phoneNumber => lastMessageTo(phoneNumber).body.match(/\d{6}/)[0];
+
+    afterEach(() => {
+      delete process.env.PHONE_RESEND_COOLDOWN_SECONDS;
+      delete process.env.PHONE_SENDS_PER_NUMBER;
+      delete process.env.PHONE_SENDS_PER_IP;
+    });
+
+    test('texts the code and stores only its hash', async () => {
+      const { status, body: sent } = await sendCode('+15551230003');
+      expect(status).toBe(200);
+
+      const code = textedCode('+15551230003');
+      const session = await store().get('phone_verification', sent.sessionId);
+      expect(session.code).toBeUndefined();
+      expect(session.codeHash).toBeTruthy();
+      expect(JSON.stringify(session)).not.toContain(code);
+      expect(session.codeExpiresAt).toBeGreaterThan(Date.now());
+
+      const verified = await verifyCode(sent.sessionId, code);
+      expect(verified.status).toBe(200);
+      expect(verified.body.phoneNumber).toBe('+15551230003');
+    });
+
+    test('keeps sessions in the store and limits guesses, even in parallel', async () => {
+      const { body: sent } = await sendCode('+15551230001');
+      const session = await store().get('phone_verification', sent.sessionId);
+      expect(session).toMatchObject({ phoneNumber: '+15551230001', attempts: 0 });
+
+      const code = textedCode('+15551230001');
+      const wrong = code === '000000' ? '111111' : '000000';
+      const responses = await Promise.all(Array.from({ length: 8 }, () => verifyCode(sent.sessionId, wrong)));
+
+      const invalid = responses.filter(response => response.body.error === 'Invalid verification code');
+      expect(invalid).toHaveLength(5);
+      expect(responses.some(response => response.status === 429)).toBe(true);
+
+      // The session is gone, so even the right code fails now
+      const late = await verifyCode(sent.sessionId, code);
+      expect(late.status).toBe(400);
+    });
+
+    test('resending waits out the cooldown, then resets the attempts with a new code', async () => {
+      const { body: sent } = await sendCode('+15551230002');
+      const firstCode = textedCode('+15551230002');
+      await verifyCode(sent.sessionId, 'nope');
+
+      const early = await resendCode(sent.sessionId);
+      expect(early.status).toBe(429);
+      expect(Number(early.headers.get('retry-after'))).toBeGreaterThan(0);
+
+      process.env.PHONE_RESEND_COOLDOWN_SECONDS = '0';
+      const resent = await resendCode(sent.sessionId);
+      expect(resent.status).toBe(200);
+      expect(await store().get('phone_verification', sent.sessionId)).toMatchObject({ attempts: 0 });
+
+      const newCode = textedCode('+15551230002');
+      if (newCode !== firstCode) {
+        expect((await verifyCode(sent.sessionId, firstCode)).status).toBe(400);
+      }
+      expect((await verifyCode(sent.sessionId, newCode)).status).toBe(200);
+
+      const unknown = await resendCode('session-unknown');
+      expect(unknown.status).toBe(400);
+    });
+
+    test('validates the request bodies', async () => {
+      const missing = await api.request('POST', '/auth/phone/send-code', { body: {} });
+      expect(missing.status).toBe(400);
+      expect(missing.body.code).toBe('VALIDATION_FAILED');
+
+      const numericCode = await verifyCode('session-anything', 123456);
+      expect(numericCode.status).toBe(400);
+      expect(numericCode.body.fields[0].path).toBe('body.code');
+    });
+
+    test('throttles sends per number and per IP', async () => {
+      process.env.PHONE_SENDS_PER_NUMBER = '2';
+      process.env.PHONE_SENDS_PER_IP = '3';
+
+      expect((await sendCode('+15551230010', '198.51.100.10')).status).toBe(200);
+      expect((await sendCode('+15551230010', '198.51.100.11')).status).toBe(200);
+      const perNumber = await sendCode('+15551230010', '198.51.100.12');
+      expect(perNumber.status).toBe(429);
+      expect(perNumber.body.retryAfter).toBeGreaterThan(0);
+
+      const ip = '198.51.100.20';
+      for (const number of ['+15551230021', '+15551230022', '+15551230023']) {
+        expect((await sendCode(number, ip)).status).toBe(200);
+      }
+      expect((await sendCode('+15551230024', ip)).status).toBe(429);
+    });
+
+    test('parallel requests cannot get past the send limits or the cooldown', async () => {
+      process.env.PHONE_SENDS_PER_NUMBER = '2';
+
+      const sends = await Promise.all(Array.from({ length: 6 }, (_, index) =>
+        sendCode('+15551230030', `198.51.100.${30 + index}`)
+      ));
+      expect(sends.filter(response => response.status === 200)).toHaveLength(2);
+      expect(sends.filter(response => response.status === 429)).toHaveLength(4);
+
+      delete process.env.PHONE_SENDS_PER_NUMBER;
+      process.env.PHONE_RESEND_COOLDOWN_SECONDS = '0';
+      const { body: sent } = await sendCode('+15551230031');
+      process.env.PHONE_RESEND_COOLDOWN_SECONDS = '30';
+      await store().update('phone_verification', sent.sessionId, { lastSentAt: Date.now() - 60 * 1000 });
+
+      const resends = await Promise.all(Array.from({ length: 4 }, () => resendCode(sent.sessionId)));
+      expect(resends.filter(response => response.status === 200)).toHaveLength(1);
+    });
+  });
+});
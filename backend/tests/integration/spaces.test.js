@@ -0,0 +1,82 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+
+describeWithEmulators('spaces API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('spaces'), createUser('spaces-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  test('creates the default space on demand', async () => {
+    const first = await api.request('GET', '/api/spaces/default', { user });
+    const second = await api.request('GET', '/api/spaces/default', { user });
+
+    expect(first.body.isDefault).toBe(true);
+    expect(second.body.id).toBe(first.body.id);
+  });
+
+  test('moves the default flag to a new default space', async () => {
+    const { body: previous } = await api.request('GET', '/api/spaces/default', { user });
+
+    const created = await api.request('POST', '/api/spaces', { user, body: { name: 'Work', isDefault: true } });
+    expect(created.status).toBe(201);
+
+    const { body: current } = await api.request('GET', '/api/spaces/default', { user });
+    expect(current.id).toBe(created.body.id);
+
+    const { body: reloaded } = await api.request('GET', `/api/spaces/${previous.id}`, { user });
+    expect(reloaded.isDefault).toBe(false);
+  });
+
+  test('scopes content listings and stats to the space', async () => {
+    const { body: space } = await api.request('POST', '/api/spaces', { user, body: { name: 'Garden' } });
+
+    await api.request('POST', '/api/tasks', { user, body: { title: 'Prune roses', priority: 'high', spaceIds: [space.id] } });
+    await api.request('POST', '/api/entries', { user, body: { content: 'Roses bloomed', spaceIds: [space.id] } });
+    await api.request('POST', '/api/thoughts', { user, body: { content: 'More shade plants?', spaceIds: [space.id] } });
+
+    const tasks = await api.request('GET', `/api/spaces/${space.id}/tasks?priority=High`, { user });
+    expect(tasks.body.map(task => task.title)).toEqual(['Prune roses']);
+
+    const entries = await api.request('GET', `/api/spaces/${space.id}/entries`, { user });
+    expect(entries.body.map(entry => entry.content)).toEqual(['Roses bloomed']);
+
+    const thoughts = await api.request('GET', `/api/spaces/${space.id}/thoughts`, { user });
+    expect(thoughts.body).toHaveLength(1);
+
+    const stats = await api.request('GET', `/api/spaces/${space.id}/stats`, { user });
+    expect(stats.body).toEqual({ conversationCount: 0, taskCount: 1, entryCount: 1, thoughtCount: 1 });
+  });
+
+  test('archives, unarchives and deletes empty spaces', async () => {
+    const { body: space } = await api.request('POST', '/api/spaces', { user, body: { name: 'Scratch' } });
+
+    await api.request('POST', `/api/spaces/${space.id}/archive`, { user });
+    const active = await api.request('GET', '/api/spaces', { user });
+    expect(active.body.map(s => s.id)).not.toContain(space.id);
+
+    const all = await api.request('GET', '/api/spaces?includeArchived=true', { user });
+    expect(all.body.map(s => s.id)).toContain(space.id);
+
+    const unarchived = await api.request('POST', `/api/spaces/${space.id}/unarchive`, { user });
+    expect(unarchived.body.isArchived).toBe(false);
+
+    const asOther = await api.request('DELETE', `/api/spaces/${space.id}`, { user: otherUser });
+    expect(asOther.status).toBe(404);
+
+    const removed = await api.request('DELETE', `/api/spaces/${space.id}`, { user });
+    expect(removed.status).toBe(204);
+  });
+
+  test('refuses to archive the default space', async () => {
+    const { body: space } = await api.request('GET', '/api/spaces/default', { user });
+    const { status } = await api.request('POST', `/api/spaces/${space.id}/archive`, { user });
+
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,134 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+const { setResponder, resetResponders } = require('../../src/services/llm/localProvider');
+const { responders } = require('../../src/services/llm/localResponders');
+
+describeWithEmulators('suggestions API', () => {
+  let api;
+  let user;
+  let otherUser;
+  let evening;
+  let journal;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('suggestions'), createUser('suggestions-other')]);
+
+    await api.request('PUT', '/users/inference-settings', { user, body: { autoApplyThreshold: 0.8 } });
+    const createCollection = name => api.request('POST', '/api/collections', { user, body: { name } })
+      .then(response => response.body);
+    [evening, journal] = await Promise.all([createCollection('Evening notes'), createCollection('Journal')]);
+  });
+
+  afterAll(() => api.close());
+
+  afterEach(() => resetResponders());
+
+  // The local provider scores "Evening notes" at 0.77 for content sharing one of its words
+  const createEntry = content => api.request('POST', '/api/entries/with-inference', { user, body: { content } })
+    .then(response => response.body);
+
+  const suggestionFor = (routing, collectionName) =>
+    routing.suggestions.find(suggestion => suggestion.collectionName === collectionName);
+
+  test('applies assignments at the threshold and holds the rest for review', async () => {
+    const { entry, routing } = await createEntry('Pine candle in the evening, 7/10');
+
+    expect(routing.status).toBe('added');
+    expect(routing.assignments.map(assignment => assignment.collection.name)).toEqual(['Candle Ratings']);
+    expect(routing.suggestions.map(suggestion => suggestion.collectionName)).toEqual(['Evening notes']);
+
+    const { body } = await api.request('GET', `/api/suggestions?entryId=${entry.id}`, { user });
+    expect(body.suggestions).toHaveLength(1);
+    expect(body.suggestions[0]).toMatchObject({ status: 'pending', collectionId: evening.id });
+  });
+
+  test('accepts a suggestion as suggested', async () => {
+    const { entry, routing } = await createEntry('Quiet evening by the fire');
+    expect(routing.status).toBe('pending_review');
+    const suggestion = suggestionFor(routing, 'Evening notes');
+
+    const accepted = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, { user, body: {} });
+    expect(accepted.status).toBe(201);
+    expect(accepted.body).toMatchObject({
+      status: 'added',
+      collection: { id: evening.id },
+      suggestion: { status: 'accepted', resolution: { collectionId: evening.id, edited: false } }
+    });
+
+    const { body: reloaded } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+    expect(reloaded.collectionIds).toEqual([evening.id]);
+  });
+
+  test('accepts into another collection with edited fields, once', async () => {
+    const { entry, routing } = await createEntry('Long evening walk by the river');
+    const suggestion = suggestionFor(routing, 'Evening notes');
+
+    const accepted = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, {
+      user,
+      body: { collectionId: journal.id, formattedData: { mood: 'calm' } }
+    });
+    expect(accepted.status).toBe(201);
+    expect(accepted.body.collection.id).toBe(journal.id);
+    expect(accepted.body.collectionEntry.formattedData.mood).toBe('calm');
+    expect(accepted.body.suggestion.resolution).toMatchObject({ collectionId: journal.id, edited: true });
+
+    const { body: reloaded } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+    expect(reloaded.collectionIds).toEqual([journal.id]);
+
+    const again = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, { user, body: {} });
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('Suggestion already accepted');
+
+    const rejected = await api.request('POST', `/api/suggestions/${suggestion.id}/reject`, { user, body: {} });
+    expect(rejected.status).toBe(409);
+  });
+
+  test('rejects a suggestion and feeds the rejection into the next inference', async () => {
+    const content = 'Slow evening on the balcony';
+    const { routing } = await createEntry(content);
+    const suggestion = suggestionFor(routing, 'Evening notes');
+
+    const rejected = await api.request('POST', `/api/suggestions/${suggestion.id}/reject`, {
+      user,
+      body: { reason: 'Not a diary entry' }
+    });
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.suggestion).toMatchObject({ status: 'rejected', resolution: { reason: 'Not a diary entry' } });
+
+    const again = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, { user, body: {} });
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('Suggestion already rejected');
+
+    const { body: list } = await api.request('GET', '/api/suggestions?status=rejected', { user });
+    expect(list.suggestions.map(listed => listed.id)).toContain(suggestion.id);
+
+    let prompt;
+    setResponder('collection.infer', request => {
+      prompt = request.messages[request.messages.length - 1].content;
+      return responders['collection.infer'](request);
+    });
+
+    const { routing: next } = await createEntry(content);
+    expect(prompt).toContain(`- "${content}" was NOT a fit for "Evening notes" (reason: Not a diary entry)`);
+    expect(next.status).toBe('no_match');
+    expect(next.suggestions).toEqual([]);
+  });
+
+  test('keeps suggestions and collections to their owner', async () => {
+    const { routing } = await createEntry('Warm evening with friends');
+    const suggestion = suggestionFor(routing, 'Evening notes');
+
+    const asOther = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, { user: otherUser, body: {} });
+    expect(asOther.status).toBe(404);
+
+    const { body: foreign } = await api.request('POST', '/api/collections', { user: otherUser, body: { name: 'Foreign' } });
+    const intoForeign = await api.request('POST', `/api/suggestions/${suggestion.id}/accept`, {
+      user,
+      body: { collectionId: foreign.id }
+    });
+    expect(intoForeign.status).toBe(404);
+
+    const { body: unchanged } = await api.request('GET', `/api/suggestions/${suggestion.id}`, { user });
+    expect(unchanged.status).toBe('pending');
+  });
+});
@@ -0,0 +1,85 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+
+describeWithEmulators('tasks API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('tasks'), createUser('tasks-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const createTask = body => api.request('POST', '/api/tasks', { user, body });
+
+  test('creates a task with coerced enums and due date', async () => {
+    const { status, body } = await createTask({
+      title: 'Renew passport',
+      priority: 'HIGH',
+      status: 'In_Progress',
+      dueDate: '2030-05-01T09:00:00Z',
+      completedAt: '2020-01-01T00:00:00Z'
+    });
+
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ title: 'Renew passport', priority: 'high', status: 'in_progress', userId: user.uid });
+    expect(body.dueDate).toBe('2030-05-01T09:00:00.000Z');
+    expect(body.completedAt).toBeNull();
+  });
+
+  test('rejects unknown priorities, bad dates and missing titles', async () => {
+    const { status, body } = await createTask({ priority: 'whenever', dueDate: 'tomorrow-ish' });
+
+    expect(status).toBe(400);
+    expect(body.fields.map(field => field.path).sort()).toEqual(['body.dueDate', 'body.priority', 'body.title']);
+  });
+
+  test('updates, completes and filters tasks', async () => {
+    const { body: task } = await createTask({ title: 'Water plants' });
+
+    const updated = await api.request('PUT', `/api/tasks/${task.id}`, {
+      user,
+      body: { priority: 'urgent', userId: otherUser.uid }
+    });
+    expect(updated.body).toMatchObject({ priority: 'urgent', userId: user.uid });
+
+    const pending = await api.request('GET', '/api/tasks/pending', { user });
+    expect(pending.body.map(t => t.id)).toContain(task.id);
+
+    const completed = await api.request('POST', `/api/tasks/${task.id}/complete`, { user });
+    expect(completed.body.status).toBe('completed');
+    expect(completed.body.completedAt).toBeTruthy();
+
+    const done = await api.request('GET', '/api/tasks?status=completed', { user });
+    expect(done.body.map(t => t.id)).toEqual([task.id]);
+
+    const page = await api.request('GET', '/api/tasks?status=completed&limit=5', { user });
+    expect(page.body).toEqual({ items: [expect.objectContaining({ id: task.id })], nextCursor: null });
+  });
+
+  test('keeps tasks private to their owner', async () => {
+    const { body: task } = await createTask({ title: 'Private task' });
+
+    const read = await api.request('GET', `/api/tasks/${task.id}`, { user: otherUser });
+    expect(read.status).toBe(404);
+
+    const removed = await api.request('DELETE', `/api/tasks/${task.id}`, { user: otherUser });
+    expect(removed.status).toBe(404);
+
+    const ownRemove = await api.request('DELETE', `/api/tasks/${task.id}`, { user });
+    expect(ownRemove.status).toBe(204);
+  });
+
+  test('creates tasks from voice input', async () => {
+    const { status, body } = await api.request('POST', '/api/tasks/create-voice-task', {
+      user,
+      body: { title: 'Call the dentist', priority: 'Low' }
+    });
+
+    expect(status).toBe(201);
+    expect(body.task).toMatchObject({ title: 'Call the dentist', priority: 'low', status: 'pending' });
+    expect(body.task.metadata.source).toBe('voice');
+  });
+});
@@ -0,0 +1,75 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+
+describeWithEmulators('thoughts API', () => {
+  let api;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    api = await startApi();
+    [user, otherUser] = await Promise.all([createUser('thoughts'), createUser('thoughts-other')]);
+  });
+
+  afterAll(() => api.close());
+
+  const createThought = body => api.request('POST', '/api/thoughts', { user, body });
+
+  test('creates and filters thoughts', async () => {
+    const { status, body } = await createThought({
+      content: 'What if notes could file themselves?',
+      type: 'Idea',
+      category: 'work',
+      isPrivate: false,
+      tags: ['product']
+    });
+
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ type: 'idea', category: 'work', isPrivate: false, userId: user.uid });
+
+    const ideas = await api.request('GET', '/api/thoughts?type=idea&isPrivate=false', { user });
+    expect(ideas.body.map(thought => thought.id)).toEqual([body.id]);
+
+    const search = await api.request('GET', '/api/thoughts/search?q=file%20themselves', { user });
+    expect(search.body.map(thought => thought.id)).toContain(body.id);
+
+    const tagged = await api.request('GET', '/api/thoughts/tags?tags=product', { user });
+    expect(tagged.body.map(thought => thought.id)).toContain(body.id);
+  });
+
+  test('rejects unknown categories', async () => {
+    const { status, body } = await createThought({ content: 'Hmm', category: 'misc' });
+
+    expect(status).toBe(400);
+    expect(body.fields[0].path).toBe('body.category');
+  });
+
+  test('links thoughts and records insights', async () => {
+    const { body: first } = await createThought({ content: 'Morning pages help me focus' });
+    const { body: second } = await createThought({ content: 'Focus drops after lunch' });
+
+    const linked = await api.request('POST', `/api/thoughts/${first.id}/link`, { user, body: { thoughtId: second.id } });
+    expect(linked.body.linkedThoughts).toEqual([second.id]);
+
+    const linkedFromSecond = await api.request('GET', `/api/thoughts/${second.id}/linked`, { user });
+    expect(linkedFromSecond.body.map(thought => thought.id)).toEqual([first.id]);
+
+    const insight = await api.request('POST', `/api/thoughts/${first.id}/insight`, { user, body: { insight: 'Write before email' } });
+    expect(insight.body.insights).toEqual(['Write before email']);
+  });
+
+  test('updates whitelisted fields only and deletes', async () => {
+    const { body: thought } = await createThought({ content: 'Draft thought' });
+
+    const updated = await api.request('PUT', `/api/thoughts/${thought.id}`, {
+      user,
+      body: { content: 'Revised thought', userId: otherUser.uid, linkedThoughts: ['x'] }
+    });
+    expect(updated.body).toMatchObject({ content: 'Revised thought', userId: user.uid, linkedThoughts: [] });
+
+    const asOther = await api.request('DELETE', `/api/thoughts/${thought.id}`, { user: otherUser });
+    expect(asOther.status).toBe(404);
+
+    const removed = await api.request('DELETE', `/api/thoughts/${thought.id}`, { user });
+    expect(removed.status).toBe(204);
+  });
+});
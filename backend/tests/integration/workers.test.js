@@ -0,0 +1,178 @@
+const { describeWithEmulators, startApi, createUser } = require('../helpers/api');
+const { signWorkerRequest } = require('../helpers/qstash');
+
+describeWithEmulators('worker routes', () => {
+  let api;
+  let user;
+
+  beforeAll(async () => {
+    api = await startApi();
+    user = await createUser('workers');
+  });
+
+  afterAll(() => api.close());
+
+  const sendWorker = (name, body, headers = {}) => api.request('POST', `/api/workers/${name}`, { body, headers });
+  const runWorker = (name, body, options) => sendWorker(name, body, {
+    'Upstash-Signature': signWorkerRequest(`/${name}`, JSON.stringify(body), options)
+  });
+  const createEntry = body => api.request('POST', '/api/entries', { user, body }).then(response => response.body);
+
+  test('reports health', async () => {
+    const { status, body } = await api.request('GET', '/api/workers/health');
+
+    expect(status).toBe(200);
+    expect(body.status).toBe('ok');
+  });
+
+  test('process-inference routes the entry into collections', async () => {
+    const entry = await createEntry({ content: 'Watched the film Arrival again' });
+
+    const { status, body } = await runWorker('process-inference', { entryId: entry.id, userId: user.uid });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, status: 'added', entryId: entry.id });
+    expect(body.collection.name).toBe('Movie Reviews');
+  });
+
+  test('process-inference acknowledges entries deleted before the job ran', async () => {
+    const { status, body } = await runWorker('process-inference', { entryId: 'missing-entry', userId: user.uid });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe('Entry not found');
+  });
+
+  test('process-embedding indexes and removes documents', async () => {
+    const entry = await createEntry({ content: 'Notes about espresso grind size' });
+
+    const indexed = await runWorker('process-embedding', { sourceType: 'entry', sourceId: entry.id });
+    expect(indexed.status).toBe(200);
+    expect(['indexed', 'unchanged']).toContain(indexed.body.status);
+
+    const removed = await runWorker('process-embedding', { sourceType: 'entry', sourceId: entry.id, operation: 'delete' });
+    expect(removed.body.status).toBe('removed');
+
+    const invalid = await runWorker('process-embedding', { sourceType: 'spreadsheet', sourceId: entry.id });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('process-batch updates tags and deletes entries for the owner only', async () => {
+    const first = await createEntry({ content: 'Batch one' });
+    const second = await createEntry({ content: 'Batch two' });
+
+    const tagged = await runWorker('process-batch', {
+      userId: user.uid,
+      operation: 'update-tags',
+      items: [{ id: first.id, tags: ['batched'] }]
+    });
+    expect(tagged.body.processed).toBe(1);
+
+    const unknown = await runWorker('process-batch', {
+      userId: user.uid,
+      operation: 'update-tags',
+      items: [{ id: 'missing-entry', tags: ['batched'] }]
+    });
+    expect(unknown.body).toMatchObject({ processed: 0, failed: 1, results: [] });
+
+    const { body: reloaded } = await api.request('GET', `/api/entries/${first.id}`, { user });
+    expect(reloaded.tags).toEqual(['batched']);
+
+    const wrongOwner = await runWorker('process-batch', {
+      userId: 'someone-else',
+      operation: 'delete-entries',
+      items: [{ id: second.id }]
+    });
+    expect(wrongOwner.status).toBe(200);
+    expect(wrongOwner.body).toMatchObject({ processed: 0, failed: 1, errors: [{ error: 'Entry not found' }] });
+    expect((await api.request('GET', `/api/entries/${second.id}`, { user })).status).toBe(200);
+
+    await runWorker('process-batch', { userId: user.uid, operation: 'delete-entries', items: [{ id: second.id }] });
+    expect((await api.request('GET', `/api/entries/${second.id}`, { user })).status).toBe(404);
+  });
+
+  test('process-batch moves entries between the owner\'s collections', async () => {
+    const createCollection = name => api.request('POST', '/api/collections', { user, body: { name } }).then(response => response.body);
+    const [from, to] = await Promise.all([createCollection('Batch inbox'), createCollection('Batch archive')]);
+    const entry = await createEntry({ content: 'Batch move me' });
+    await api.request('POST', `/api/collections/${from.id}/entries`, { user, body: { entryId: entry.id } });
+
+    const item = { entryId: entry.id, fromCollectionId: from.id, toCollectionId: to.id };
+    const wrongOwner = await runWorker('process-batch', { userId: 'someone-else', operation: 'move-to-collection', items: [item] });
+    expect(wrongOwner.body).toMatchObject({ processed: 0, failed: 1 });
+
+    const moved = await runWorker('process-batch', { userId: user.uid, operation: 'move-to-collection', items: [item] });
+    expect(moved.body).toMatchObject({ processed: 1, failed: 0 });
+
+    const { body: reloaded } = await api.request('GET', `/api/entries/${entry.id}`, { user });
+    expect(reloaded.collectionIds).toContain(to.id);
+    expect(reloaded.collectionIds).not.toContain(from.id);
+  });
+
+  test('process-collection and process-ai reject unknown targets', async () => {
+    const collection = await runWorker('process-collection', {
+      collectionId: 'missing-collection',
+      userId: user.uid,
+      operation: 'reprocess-entries'
+    });
+    expect(collection.status).toBe(404);
+
+    const { body: created } = await api.request('POST', '/api/collections', { user, body: { name: 'Operations' } });
+    const operation = await runWorker('process-collection', {
+      collectionId: created.id,
+      userId: user.uid,
+      operation: 'defragment'
+    });
+    expect(operation.status).toBe(400);
+
+    const ai = await runWorker('process-ai', { type: 'haiku', data: {} });
+    expect(ai.status).toBe(400);
+  });
+
+  describe('signature verification', () => {
+    const body = { entryId: 'missing-entry', userId: 'nobody' };
+
+    test('rejects unsigned requests', async () => {
+      const { status, body: response } = await sendWorker('process-inference', body);
+
+      expect(status).toBe(401);
+      expect(response.code).toBe('SIGNATURE_MISSING');
+    });
+
+    test('rejects signatures for another key, url or body', async () => {
+      const wrongKey = await runWorker('process-inference', body, { key: 'not-the-signing-key' });
+      expect(wrongKey.status).toBe(401);
+
+      const wrongUrl = await runWorker('process-inference', body, { url: 'https://example.com/api/workers/process-inference' });
+      expect(wrongUrl.status).toBe(401);
+
+      const tampered = await sendWorker('process-inference', { ...body, userId: 'someone-else' }, {
+        'Upstash-Signature': signWorkerRequest('/process-inference', JSON.stringify(body))
+      });
+      expect(tampered.status).toBe(401);
+      expect(tampered.body.code).toBe('SIGNATURE_INVALID');
+    });
+
+    test('rejects expired signatures', async () => {
+      const { status } = await runWorker('process-inference', body, { expiresIn: -60 });
+
+      expect(status).toBe(401);
+    });
+
+    test('accepts the next signing key during rotation', async () => {
+      const { status } = await runWorker('process-inference', body, { key: process.env.QSTASH_NEXT_SIGNING_KEY });
+
+      expect(status).toBe(200);
+    });
+
+    test('rejects a replayed signature', async () => {
+      const headers = { 'Upstash-Signature': signWorkerRequest('/process-inference', JSON.stringify(body)) };
+
+      const first = await sendWorker('process-inference', body, headers);
+      expect(first.status).toBe(200);
+
+      const replay = await sendWorker('process-inference', body, headers);
+      expect(replay.status).toBe(401);
+      expect(replay.body.code).toBe('SIGNATURE_REPLAYED');
+    });
+  });
+});
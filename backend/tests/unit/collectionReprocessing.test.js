@@ -0,0 +1,105 @@
+const { Entry, CollectionEntry } = require('../../src/models');
+const { setResponder, resetResponders } = require('../../src/services/llm/localProvider');
+const { reprocessCollectionEntries } = require('../../src/services/collectionReprocessing');
+
+describe('reprocessCollectionEntries', () => {
+  const collection = {
+    id: 'candles',
+    instructions: 'Candle ratings',
+    entryFormat: {
+      fields: [
+        { key: 'notes', type: 'text', label: 'Notes' },
+        { key: 'rating', type: 'number', label: 'Rating' }
+      ],
+      version: 3
+    }
+  };
+
+  const entries = {
+    'entry-pine': { id: 'entry-pine', content: 'Pine candle, 7/10' },
+    'entry-fig': { id: 'entry-fig', content: 'Fig candle, 9/10' }
+  };
+
+  const link = (id, entryId, data = {}) => new CollectionEntry({
+    id,
+    entryId,
+    collectionId: collection.id,
+    userId: 'user-1',
+    ...data
+  });
+
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(Entry, 'findById').mockImplementation(async id => (entries[id] ? new Entry(entries[id]) : null));
+    jest.spyOn(CollectionEntry.prototype, 'save').mockImplementation(async function save() {
+      saved.push(this.id);
+      return this;
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetResponders();
+  });
+
+  test('re-extracts each entry against the current format and reports diffs', async () => {
+    const pine = link('ce-pine', 'entry-pine', {
+      formattedData: { notes: 'Pine candle, 7/10', scent: 'woody' },
+      userOverrides: { rating: 10 }
+    });
+
+    const { results, failures } = await reprocessCollectionEntries(collection, [pine]);
+
+    expect(failures).toEqual([]);
+    expect(results).toEqual([{
+      collectionEntryId: 'ce-pine',
+      entryId: 'entry-pine',
+      diff: {
+        added: { rating: 7 },
+        removed: { scent: 'woody' },
+        changed: {}
+      },
+      userOverrides: { rating: 10 }
+    }]);
+
+    expect(pine.formattedData).toEqual({ notes: 'Pine candle, 7/10', rating: 7 });
+    expect(pine.metadata.formatVersion).toBe(3);
+    expect(saved).toEqual(['ce-pine']);
+  });
+
+  test('keeps user overrides ahead of the new extraction', async () => {
+    const fig = link('ce-fig', 'entry-fig', {
+      formattedData: { notes: 'Fig', rating: 9 },
+      userOverrides: { rating: 6 }
+    });
+
+    await reprocessCollectionEntries(collection, [fig]);
+
+    expect(fig.userOverrides).toEqual({ rating: 6 });
+    expect(fig.getDisplayData()).toEqual({ notes: 'Fig candle, 9/10', rating: 6 });
+  });
+
+  test('reports failures per entry and carries on', async () => {
+    setResponder('entry.extract', ({ context }) => {
+      if (context.content.startsWith('Pine')) return 'not json';
+      return { notes: context.content, rating: 9 };
+    });
+
+    const { results, failures } = await reprocessCollectionEntries(collection, [
+      link('ce-missing', 'entry-deleted'),
+      link('ce-pine', 'entry-pine'),
+      link('ce-fig', 'entry-fig')
+    ]);
+
+    expect(results.map(result => result.collectionEntryId)).toEqual(['ce-fig']);
+    expect(failures).toEqual([
+      { collectionEntryId: 'ce-missing', entryId: 'entry-deleted', error: 'Source entry not found' },
+      { collectionEntryId: 'ce-pine', entryId: 'entry-pine', error: expect.stringContaining('not valid JSON') }
+    ]);
+    expect(saved).toEqual(['ce-fig']);
+  });
+});
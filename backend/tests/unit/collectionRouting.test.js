@@ -0,0 +1,180 @@
+const { Collection, CollectionEntry, Entry, InferenceSuggestion } = require('../../src/models');
+const { setResponder, resetResponders } = require('../../src/services/llm/localProvider');
+const { routeEntryToCollection, acceptSuggestion } = require('../../src/services/collectionRouting');
+
+// The users doc lives in Firestore; every test user has the same threshold
+jest.mock('../../src/services/inferenceSettings', () => ({
+  getInferenceSettings: async () => ({ autoApplyThreshold: 0.8 })
+}));
+
+describe('collection routing', () => {
+  const userId = 'user-1';
+  const content = 'Pine candle in the evening, 7/10';
+
+  let entry;
+  let collections;
+  let rejected;
+  let created;
+  let suggested;
+
+  beforeEach(() => {
+    entry = new Entry({ id: 'entry-pine', userId, content });
+    collections = [
+      new Collection({ id: 'evening', userId, name: 'Evening notes' }),
+      new Collection({ id: 'journal', userId, name: 'Journal' })
+    ];
+    rejected = [];
+    created = [];
+    suggested = [];
+
+    jest.spyOn(Entry, 'findById').mockImplementation(async id => (id === entry.id ? entry : null));
+    jest.spyOn(Collection, 'findByUserId').mockImplementation(async () => [...collections]);
+    jest.spyOn(Collection, 'create').mockImplementation(async data => new Collection({ id: 'created', ...data }));
+    jest.spyOn(Collection.prototype, 'updateStats').mockImplementation(async () => {});
+    jest.spyOn(CollectionEntry, 'findByEntryAndCollection').mockImplementation(async () => null);
+    jest.spyOn(CollectionEntry, 'create').mockImplementation(async data => {
+      created.push(data);
+      return new CollectionEntry({ id: `ce-${data.collectionId}`, ...data });
+    });
+    jest.spyOn(InferenceSuggestion, 'findByUserId').mockImplementation(async () => rejected);
+    jest.spyOn(InferenceSuggestion, 'findPending').mockImplementation(async () => null);
+    jest.spyOn(InferenceSuggestion, 'create').mockImplementation(async data => {
+      suggested.push(data);
+      return new InferenceSuggestion({ id: `suggestion-${suggested.length}`, ...data });
+    });
+    jest.spyOn(InferenceSuggestion.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetResponders();
+  });
+
+  describe('routeEntryToCollection', () => {
+    test('applies assignments at the threshold and holds the rest for review', async () => {
+      const result = await routeEntryToCollection(entry);
+
+      // "Candle Ratings" comes in at 0.85; "Evening notes" only shares one word
+      expect(result.status).toBe('added');
+      expect(result.assignments.map(assignment => assignment.collection.name)).toEqual(['Candle Ratings']);
+      expect(created.map(link => link.collectionId)).toEqual(['created']);
+
+      expect(result.suggestions).toHaveLength(1);
+      expect(suggested[0]).toMatchObject({
+        entryId: 'entry-pine',
+        collectionName: 'Evening notes',
+        collectionId: 'evening',
+        shouldCreateCollection: false
+      });
+      expect(suggested[0].confidence).toBeLessThan(0.8);
+    });
+
+    test('is pending review when every assignment is below the threshold', async () => {
+      const result = await routeEntryToCollection(entry, { threshold: 0.9 });
+
+      expect(result.status).toBe('pending_review');
+      expect(result.assignments).toEqual([]);
+      expect(suggested.map(suggestion => suggestion.collectionName)).toEqual(['Candle Ratings', 'Evening notes']);
+      expect(created).toEqual([]);
+    });
+
+    test('feeds past rejections into the next prompt', async () => {
+      rejected = [new InferenceSuggestion({
+        collectionName: 'Evening notes',
+        contentPreview: 'Pine candle in the evening',
+        status: 'rejected',
+        resolution: { reason: 'Not a diary entry' }
+      })];
+
+      let prompt;
+      setResponder('collection.infer', ({ messages }) => {
+        prompt = messages[messages.length - 1].content;
+        return { assignments: [] };
+      });
+
+      await routeEntryToCollection(entry);
+
+      expect(InferenceSuggestion.findByUserId).toHaveBeenCalledWith(userId, { status: 'rejected', limit: 20 });
+      expect(prompt).toContain('- "Pine candle in the evening" was NOT a fit for "Evening notes" (reason: Not a diary entry)');
+    });
+
+    test('stops suggesting a rejected collection for similar content', async () => {
+      rejected = [new InferenceSuggestion({
+        collectionName: 'Evening notes',
+        contentPreview: 'Pine candle in the evening',
+        status: 'rejected'
+      })];
+
+      const result = await routeEntryToCollection(entry);
+
+      expect(result.suggestions).toEqual([]);
+      expect(suggested).toEqual([]);
+    });
+  });
+
+  describe('acceptSuggestion', () => {
+    const pending = () => new InferenceSuggestion({
+      id: 'suggestion-evening',
+      userId,
+      entryId: 'entry-pine',
+      collectionName: 'Evening notes',
+      collectionId: 'evening',
+      confidence: 0.6,
+      extractedData: { description: content },
+      entryFormat: [{ key: 'description', type: 'text', label: 'Description' }]
+    });
+
+    test('links the entry to the suggested collection', async () => {
+      const suggestion = pending();
+
+      const result = await acceptSuggestion(suggestion);
+
+      expect(result).toMatchObject({ status: 'added', wasNewCollection: false, collection: { id: 'evening' } });
+      expect(created[0]).toMatchObject({
+        collectionId: 'evening',
+        formattedData: { description: content },
+        metadata: { source: 'suggestion_review', suggestionId: 'suggestion-evening', edited: false }
+      });
+      expect(suggestion.status).toBe('accepted');
+      expect(suggestion.resolution).toEqual({ collectionId: 'evening', collectionEntryId: 'ce-evening', edited: false });
+      expect(entry.collectionIds).toEqual(['evening']);
+    });
+
+    test('uses another collection and the edited fields', async () => {
+      const suggestion = pending();
+
+      const result = await acceptSuggestion(suggestion, {
+        collection: collections[1],
+        formattedData: { mood: 'calm' }
+      });
+
+      expect(result.collection.id).toBe('journal');
+      expect(created[0]).toMatchObject({
+        collectionId: 'journal',
+        formattedData: { description: content, mood: 'calm' },
+        metadata: { edited: true }
+      });
+      expect(suggestion.resolution).toEqual({ collectionId: 'journal', collectionEntryId: 'ce-journal', edited: true });
+    });
+
+    test('creates a renamed collection without the suggested format', async () => {
+      const suggestion = pending();
+
+      const result = await acceptSuggestion(suggestion, { collectionName: 'Candle diary' });
+
+      expect(result.wasNewCollection).toBe(true);
+      expect(Collection.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Candle diary', entryFormat: null }));
+    });
+
+    test('fails when the entry is gone', async () => {
+      const suggestion = pending();
+      suggestion.entryId = 'entry-deleted';
+
+      await expect(acceptSuggestion(suggestion)).rejects.toThrow('Entry for this suggestion no longer exists');
+      expect(suggestion.status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const queue = require('../../src/services/queue');
+const { setSessionStore } = require('../../src/services/sessionStore');
+const memoryStore = require('../../src/services/sessionStore/memoryStore');
+const { queueEmbedding } = require('../../src/services/embeddings');
+
+// queueEmbedding doesn't wait for the enqueue; let it settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('queueEmbedding', () => {
+  let enqueued;
+
+  beforeAll(() => setSessionStore('memory'));
+
+  beforeEach(() => {
+    process.env.EMBEDDING_COALESCE_SECONDS = '10';
+    memoryStore.clear();
+    enqueued = [];
+    jest.spyOn(queue, 'enqueueEmbedding').mockImplementation(async (sourceType, sourceId, operation) => {
+      enqueued.push(`${operation} ${sourceType} ${sourceId}`);
+      return { jobId: `job-${enqueued.length}` };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env.EMBEDDING_COALESCE_SECONDS = '0';
+  });
+
+  test('queues one job for writes that arrive together', async () => {
+    for (let i = 0; i < 5; i++) queueEmbedding('entry', 'pine');
+    queueEmbedding('entry', 'pine', 'delete');
+    queueEmbedding('entry', 'fig');
+    await settle();
+
+    expect(enqueued).toEqual(['upsert entry pine', 'upsert entry fig']);
+  });
+
+  test('lets an upsert replace a pending delete', async () => {
+    queueEmbedding('entry', 'pine', 'delete');
+    queueEmbedding('entry', 'pine', 'delete');
+    await settle();
+    queueEmbedding('entry', 'pine');
+    queueEmbedding('entry', 'pine');
+    await settle();
+
+    expect(enqueued).toEqual(['delete entry pine', 'upsert entry pine']);
+  });
+
+  test('releases the claim when the job cannot be queued', async () => {
+    queue.enqueueEmbedding.mockRejectedValueOnce(new Error('queue unavailable'));
+
+    queueEmbedding('entry', 'pine');
+    await settle();
+    queueEmbedding('entry', 'pine');
+    await settle();
+
+    expect(enqueued).toEqual(['upsert entry pine']);
+  });
+
+  test('queues every write when coalescing is off', async () => {
+    process.env.EMBEDDING_COALESCE_SECONDS = '0';
+
+    queueEmbedding('entry', 'pine');
+    queueEmbedding('entry', 'pine');
+    await settle();
+
+    expect(enqueued).toEqual(['upsert entry pine', 'upsert entry pine']);
+  });
+});
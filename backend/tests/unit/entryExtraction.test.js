@@ -0,0 +1,94 @@
+const { setResponder, resetResponders } = require('../../src/services/llm/localProvider');
+const {
+  getFormatFields,
+  extractFormattedData,
+  diffFormattedData
+} = require('../../src/services/entryExtraction');
+
+const candleFormat = {
+  fields: [
+    { key: 'notes', type: 'text', label: 'Notes' },
+    { key: 'rating', type: 'number', label: 'Rating' }
+  ],
+  version: 2
+};
+
+describe('getFormatFields', () => {
+  test('reads both stored entryFormat shapes', () => {
+    expect(getFormatFields(candleFormat)).toBe(candleFormat.fields);
+    expect(getFormatFields(candleFormat.fields)).toBe(candleFormat.fields);
+    expect(getFormatFields(null)).toEqual([]);
+    expect(getFormatFields({ version: 1 })).toEqual([]);
+  });
+});
+
+describe('extractFormattedData', () => {
+  afterEach(() => resetResponders());
+
+  test('fills every field of the format', async () => {
+    expect(await extractFormattedData('Vanilla candle, 8/10', candleFormat)).toEqual({
+      notes: 'Vanilla candle, 8/10',
+      rating: 8
+    });
+  });
+
+  test('coerces values to their field types', async () => {
+    setResponder('entry.extract', () => ({
+      price: '12.50',
+      bought: '2026-03-02',
+      gift: 'yes',
+      store: 42,
+      rating: 'great'
+    }));
+
+    const format = [
+      { key: 'price', type: 'number' },
+      { key: 'bought', type: 'date' },
+      { key: 'gift', type: 'boolean' },
+      { key: 'store' },
+      { key: 'rating', type: 'number' }
+    ];
+
+    expect(await extractFormattedData('Bought a candle', format)).toEqual({
+      price: 12.5,
+      bought: '2026-03-02T00:00:00.000Z',
+      gift: true,
+      store: '42',
+      rating: null
+    });
+  });
+
+  test('passes the collection instructions to the model', async () => {
+    let prompt;
+    setResponder('entry.extract', ({ messages }) => {
+      prompt = messages[messages.length - 1].content;
+      return { notes: null, rating: null };
+    });
+
+    await extractFormattedData('Pine candle', candleFormat, { instructions: 'Ratings are out of 10' });
+    expect(prompt).toContain('Collection instructions: Ratings are out of 10');
+    expect(prompt).toContain('- rating (number): Rating');
+  });
+
+  test('refuses formats without fields', async () => {
+    await expect(extractFormattedData('Pine candle', { fields: [] })).rejects.toThrow('Entry format has no fields to extract');
+  });
+});
+
+describe('diffFormattedData', () => {
+  test('lists added, removed and changed fields', () => {
+    const before = { notes: 'Pine', rating: 7, scent: 'woody', tags: ['a'] };
+    const after = { notes: 'Pine', rating: 8, brand: 'Boy Smells', tags: ['a'] };
+
+    expect(diffFormattedData(before, after)).toEqual({
+      added: { brand: 'Boy Smells' },
+      removed: { scent: 'woody' },
+      changed: { rating: { from: 7, to: 8 } }
+    });
+  });
+
+  test('is empty when nothing changed', () => {
+    expect(diffFormattedData({ rating: 8 }, { rating: 8 })).toEqual({ added: {}, removed: {}, changed: {} });
+    expect(diffFormattedData(undefined, {})).toEqual({ added: {}, removed: {}, changed: {} });
+  });
+});
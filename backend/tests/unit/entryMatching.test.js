@@ -0,0 +1,70 @@
+const { setResponder, resetResponders } = require('../../src/services/llm/localProvider');
+const { MATCH_PAGE_SIZE, scoreEntriesForCollection } = require('../../src/services/entryMatching');
+
+describe('scoreEntriesForCollection', () => {
+  const collection = { id: 'candles', name: 'Candles', instructions: 'Candle ratings', rules: { keywords: ['candle'] } };
+
+  const entries = count => Array.from({ length: count }, (_, index) => ({
+    id: `entry-${index}`,
+    content: index % 2 === 0 ? `Candle number ${index}` : `Grocery list ${index}`
+  }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    resetResponders();
+  });
+
+  test('scores every entry it is given, past a single page', async () => {
+    const batches = [];
+    setResponder('entry.match', ({ context }) => {
+      batches.push(context.entries.length);
+      return { matches: context.entries.map(entry => ({ entryId: entry.id, confidence: 0.9 })) };
+    });
+
+    const { scored, candidates } = await scoreEntriesForCollection(collection, entries(MATCH_PAGE_SIZE + 5), {
+      batchSize: 50
+    });
+
+    expect(scored).toBe(MATCH_PAGE_SIZE + 5);
+    expect(candidates).toHaveLength(MATCH_PAGE_SIZE + 5);
+    expect(batches).toEqual([50, 50, 50, 5]);
+  });
+
+  test('keeps one candidate per entry above the threshold, best first', async () => {
+    setResponder('entry.match', () => ({
+      matches: [
+        { entryId: 'entry-0', confidence: 0.6 },
+        { entryId: 'entry-0', confidence: 0.8, reasoning: 'Mentions a candle' },
+        { entryId: 'entry-1', confidence: 0.2 },
+        { entryId: 'entry-2', confidence: 0.7 },
+        { entryId: 'made-up', confidence: 1 }
+      ]
+    }));
+
+    const { candidates } = await scoreEntriesForCollection(collection, entries(3), { minConfidence: 0.5 });
+
+    expect(candidates.map(candidate => [candidate.entry.id, candidate.confidence])).toEqual([
+      ['entry-0', 0.8],
+      ['entry-2', 0.7]
+    ]);
+    expect(candidates[0].reasoning).toBe('Mentions a candle');
+  });
+
+  test('counts failed batches and carries on', async () => {
+    setResponder('entry.match', ({ context }) => {
+      if (context.entries[0].id === 'entry-0') return 'not json';
+      return { matches: context.entries.map(entry => ({ entryId: entry.id, confidence: 0.9 })) };
+    });
+
+    const { failedBatches, scored, candidates } = await scoreEntriesForCollection(collection, entries(4), { batchSize: 2 });
+
+    expect(failedBatches).toBe(1);
+    expect(scored).toBe(4);
+    expect(candidates.map(candidate => candidate.entry.id)).toEqual(['entry-2', 'entry-3']);
+  });
+});
@@ -0,0 +1,86 @@
+const { Collection, CollectionEntry, Entry } = require('../../src/models');
+const { moveEntryToCollection } = require('../../src/services/entryMoves');
+
+describe('moveEntryToCollection', () => {
+  const entry = new Entry({ id: 'entry-pine', userId: 'user-1', content: 'Pine candle, 7/10' });
+
+  const collections = {
+    inbox: new Collection({ id: 'inbox', userId: 'user-1', name: 'Inbox' }),
+    notes: new Collection({ id: 'notes', userId: 'user-1', name: 'Notes' }),
+    candles: new Collection({
+      id: 'candles',
+      userId: 'user-1',
+      name: 'Candles',
+      entryFormat: { fields: [{ key: 'rating', type: 'number', label: 'Rating' }], version: 1 }
+    })
+  };
+
+  const link = (collectionId, userId = 'user-1') =>
+    new CollectionEntry({ id: `ce-${collectionId}`, entryId: entry.id, collectionId, userId });
+
+  let links;
+  let created;
+  let deleted;
+  let refreshed;
+
+  beforeEach(() => {
+    created = [];
+    deleted = [];
+    refreshed = [];
+    jest.spyOn(CollectionEntry, 'findByEntry').mockImplementation(async () => links);
+    jest.spyOn(CollectionEntry, 'create').mockImplementation(async data => {
+      created.push(data);
+      return new CollectionEntry(data);
+    });
+    jest.spyOn(CollectionEntry.prototype, 'delete').mockImplementation(async function remove() {
+      deleted.push(this.collectionId);
+    });
+    jest.spyOn(Collection, 'findById').mockImplementation(async id => collections[id] || null);
+    jest.spyOn(Collection.prototype, 'updateStats').mockImplementation(async function updateStats() {
+      refreshed.push(this.id);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('links the entry with extracted fields and leaves every other collection', async () => {
+    links = [link('inbox'), link('notes'), link('someone-elses', 'user-2')];
+
+    const result = await moveEntryToCollection(entry, collections.candles, { userId: 'user-1', source: 'voice_move' });
+
+    expect(result).toEqual({ alreadyThere: false, removedFrom: ['inbox', 'notes'], moved: true });
+    expect(created).toEqual([{
+      entryId: 'entry-pine',
+      collectionId: 'candles',
+      userId: 'user-1',
+      formattedData: { rating: 7 },
+      metadata: { source: 'voice_move', movedFrom: ['inbox', 'notes'] }
+    }]);
+    expect(deleted).toEqual(['inbox', 'notes']);
+    expect(refreshed.sort()).toEqual(['candles', 'inbox', 'notes']);
+  });
+
+  test('leaves only fromCollectionId when given', async () => {
+    links = [link('inbox'), link('notes')];
+
+    const result = await moveEntryToCollection(entry, collections.candles, {
+      userId: 'user-1',
+      fromCollectionId: 'inbox',
+      source: 'batch_move'
+    });
+
+    expect(result.removedFrom).toEqual(['inbox']);
+    expect(deleted).toEqual(['inbox']);
+  });
+
+  test('does nothing when the entry is already there', async () => {
+    links = [link('candles')];
+
+    const result = await moveEntryToCollection(entry, collections.candles, { userId: 'user-1', fromCollectionId: 'candles' });
+
+    expect(result).toEqual({ alreadyThere: true, removedFrom: [], moved: false });
+    expect(created).toEqual([]);
+    expect(deleted).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+const { validateSchema } = require('../../src/utils/jsonSchema');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'fields'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 20 },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      count: { type: 'integer' },
+      icon: { type: ['string', 'null'] },
+      fields: {
+        type: 'array',
+        maxItems: 2,
+        items: {
+          type: 'object',
+          required: ['type'],
+          properties: { type: { type: 'string', enum: ['text', 'number'] } }
+        }
+      }
+    }
+  };
+
+  test('accepts a matching value', () => {
+    expect(validateSchema({
+      name: 'Books',
+      confidence: 1,
+      count: 3,
+      icon: null,
+      fields: [{ type: 'text' }]
+    }, schema)).toEqual([]);
+  });
+
+  test('reports each problem with its path', () => {
+    const errors = validateSchema({
+      name: '',
+      confidence: 1.5,
+      count: 2.5,
+      fields: [{ type: 'date' }, {}, { type: 'text' }]
+    }, schema);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'name', message: 'must be at least 1 characters' },
+      { path: 'confidence', message: 'must be <= 1' },
+      { path: 'count', message: 'must be integer' },
+      { path: 'fields', message: 'must have at most 2 items' },
+      { path: 'fields[0].type', message: 'must be one of text, number' },
+      { path: 'fields[1].type', message: 'is required' }
+    ]));
+    expect(errors).toHaveLength(6);
+  });
+
+  test('stops at a wrong type instead of checking inside it', () => {
+    expect(validateSchema('Books', schema)).toEqual([{ path: '(root)', message: 'must be object' }]);
+    expect(validateSchema({ name: 'Books', fields: 'none' }, schema, 'result')).toEqual([
+      { path: 'result.fields', message: 'must be array' }
+    ]);
+  });
+
+  test('treats integers as numbers but not the reverse', () => {
+    expect(validateSchema(3, { type: 'number' })).toEqual([]);
+    expect(validateSchema(3.5, { type: 'integer' })).toEqual([{ path: '(root)', message: 'must be integer' }]);
+    expect(validateSchema(null, { type: 'object' })).toEqual([{ path: '(root)', message: 'must be object' }]);
+  });
+});
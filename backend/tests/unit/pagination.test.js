@@ -0,0 +1,140 @@
+const { Timestamp } = require('firebase-admin/firestore');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  parsePagination,
+  paginateQuery,
+  sendPage
+} = require('../../src/utils/pagination');
+
+const sortFields = ['createdAt', 'name'];
+
+// Just enough of a Firestore query to page over an array of { id, ...fields }
+function fakeQuery(rows, state = { orders: [], after: null, limit: Infinity }) {
+  return {
+    orderBy(field, direction) {
+      return fakeQuery(rows, { ...state, orders: [...state.orders, { field, direction }] });
+    },
+    startAfter(value, id) {
+      return fakeQuery(rows, { ...state, after: { value, id } });
+    },
+    limit(limit) {
+      return fakeQuery(rows, { ...state, limit });
+    },
+    async get() {
+      const { field, direction } = state.orders[0];
+      const sign = direction === 'desc' ? -1 : 1;
+      const compare = (a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * sign;
+
+      let sorted = [...rows].sort(compare);
+      if (state.after) {
+        const cursorRow = { [field]: state.after.value, id: state.after.id };
+        sorted = sorted.filter(row => compare(row, cursorRow) > 0);
+      }
+
+      const docs = sorted.slice(0, state.limit).map(row => ({ id: row.id, get: key => row[key] }));
+      return { docs };
+    }
+  };
+}
+
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('parsePagination', () => {
+  test('defaults to the first page sorted newest first', () => {
+    const page = parsePagination({ limit: 10 }, { sortFields });
+    expect(page).toEqual({
+      limit: 10,
+      cursor: null,
+      sort: { field: 'createdAt', direction: 'desc' },
+      requested: true
+    });
+
+    expect(parsePagination({ sort: 'name' }, { sortFields }).limit).toBe(DEFAULT_LIMIT);
+  });
+
+  test('gives clients that send no parameters one full page', () => {
+    const page = parsePagination({}, { sortFields, defaultSort: '-name' });
+    expect(page.requested).toBe(false);
+    expect(page.limit).toBe(MAX_LIMIT);
+    expect(page.sort).toEqual({ field: 'name', direction: 'desc' });
+  });
+
+  test('rejects bad limits, sort fields and cursors', () => {
+    expect(() => parsePagination({ limit: 0 }, { sortFields })).toThrow(PaginationError);
+    expect(() => parsePagination({ limit: MAX_LIMIT + 1 }, { sortFields })).toThrow(/between 1 and 100/);
+    expect(() => parsePagination({ sort: '-userId' }, { sortFields })).toThrow(/sort must be one of createdAt, name/);
+    expect(() => parsePagination({ cursor: 'not-a-cursor' }, { sortFields })).toThrow('Invalid cursor');
+    expect(() => parsePagination({ limit: 'ten' }, { sortFields })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('paginateQuery', () => {
+  const rows = ['a', 'b', 'c', 'd', 'e'].map((id, index) => ({
+    id,
+    createdAt: Timestamp.fromDate(new Date(Date.UTC(2026, 0, 1 + index))),
+    // Ties on name page by id
+    name: index < 3 ? 'same' : `name-${index}`
+  }));
+
+  async function pageThrough(sort) {
+    const seen = [];
+    let cursorParam;
+    do {
+      const page = parsePagination({ limit: 2, sort, cursor: cursorParam }, { sortFields });
+      const { docs, nextCursor } = await paginateQuery(fakeQuery(rows), page);
+      expect(docs.length).toBeLessThanOrEqual(2);
+      seen.push(...docs.map(doc => doc.id));
+      cursorParam = nextCursor || undefined;
+    } while (cursorParam);
+    return seen;
+  }
+
+  test('pages through every item once, across date cursors', async () => {
+    expect(await pageThrough('-createdAt')).toEqual(['e', 'd', 'c', 'b', 'a']);
+  });
+
+  test('pages stably through items sharing a sort value', async () => {
+    expect(await pageThrough('name')).toEqual(['d', 'e', 'a', 'b', 'c']);
+  });
+
+  test('has no cursor on the last page', async () => {
+    const page = parsePagination({ limit: 5 }, { sortFields });
+    const { docs, nextCursor } = await paginateQuery(fakeQuery(rows), page);
+    expect(docs).toHaveLength(5);
+    expect(nextCursor).toBeNull();
+  });
+});
+
+describe('sendPage', () => {
+  test('sends { items, nextCursor } to clients that asked for pages', () => {
+    const res = fakeResponse();
+    sendPage(res, { requested: true }, { items: [1, 2], nextCursor: 'next' });
+    expect(res.body).toEqual({ items: [1, 2], nextCursor: 'next' });
+    expect(res.headers).toEqual({});
+  });
+
+  test('sends older clients a bare array with the cursor in a header', () => {
+    const res = fakeResponse();
+    sendPage(res, { requested: false }, { items: [1, 2], nextCursor: 'next' });
+    expect(res.body).toEqual([1, 2]);
+    expect(res.headers).toEqual({ 'Next-Cursor': 'next' });
+
+    const last = fakeResponse();
+    sendPage(last, { requested: false }, { items: [3], nextCursor: null });
+    expect(last.headers).toEqual({});
+  });
+});
@@ -0,0 +1,178 @@
+const { setSessionStore, getSessionStore } = require('../../src/services/sessionStore');
+const { registerSmsProvider } = require('../../src/services/sms');
+const localSms = require('../../src/services/sms/localProvider');
+const {
+  PhoneVerificationError,
+  startVerification,
+  resendCode,
+  checkCode,
+  endVerification
+} = require('../../src/services/phoneVerification');
+
+// Each test texts its own number so send throttling doesn't carry over
+let numberCount = 0;
+const nextNumber = () => `+1555010${String(++numberCount).padStart(4, '0')}`;
+
+const codeSentTo = phoneNumber => localSms.lastMessageTo(phoneNumber).body.match(/\d{6}/)[0];
+const wrongCode = code => (code === '000000' ? '111111' : '000000');
+
+describe('phone verification', () => {
+  beforeAll(() => {
+    setSessionStore('memory');
+    registerSmsProvider({
+      name: 'failing',
+      send: async () => { throw new Error('carrier unavailable'); }
+    });
+  });
+
+  beforeEach(() => {
+    process.env.SMS_PROVIDER = 'local';
+    process.env.PHONE_RESEND_COOLDOWN_SECONDS = '0';
+    localSms.clearOutbox();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete process.env.PHONE_RESEND_COOLDOWN_SECONDS;
+    delete process.env.PHONE_SENDS_PER_NUMBER;
+    delete process.env.PHONE_SENDS_PER_IP;
+  });
+
+  test('texts a code and stores only its hash', async () => {
+    const phoneNumber = nextNumber();
+    const { sessionId, isTest } = await startVerification(phoneNumber, { ip: '198.51.100.1' });
+
+    expect(isTest).toBe(false);
+    const code = codeSentTo(phoneNumber);
+
+    const stored = await getSessionStore().get('phone_verification', sessionId);
+    expect(stored.phoneNumber).toBe(phoneNumber);
+    expect(JSON.stringify(stored)).not.toContain(code);
+
+    const session = await checkCode(sessionId, code);
+    expect(session.phoneNumber).toBe(phoneNumber);
+
+    await endVerification(sessionId);
+    await expect(checkCode(sessionId, code)).rejects.toThrow('Invalid or expired session');
+  });
+
+  test('stores numbers in E.164', async () => {
+    await startVerification('(555) 010-9999');
+    expect(localSms.lastMessageTo('+15550109999')).not.toBeNull();
+  });
+
+  test('counts wrong codes and locks the session after five', async () => {
+    const phoneNumber = nextNumber();
+    const { sessionId } = await startVerification(phoneNumber);
+    const code = codeSentTo(phoneNumber);
+
+    const first = await checkCode(sessionId, wrongCode(code)).catch(error => error);
+    expect(first).toBeInstanceOf(PhoneVerificationError);
+    expect(first).toMatchObject({ statusCode: 400, details: { attemptsRemaining: 4 } });
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await expect(checkCode(sessionId, wrongCode(code))).rejects.toThrow('Invalid verification code');
+    }
+
+    // The right code no longer helps
+    await expect(checkCode(sessionId, code)).rejects.toMatchObject({ statusCode: 429 });
+    await expect(checkCode(sessionId, code)).rejects.toThrow('Invalid or expired session');
+  });
+
+  test('expires codes after five minutes', async () => {
+    jest.useFakeTimers({ now: new Date('2026-05-01T12:00:00Z') });
+    const phoneNumber = nextNumber();
+    const { sessionId } = await startVerification(phoneNumber);
+
+    jest.setSystemTime(new Date('2026-05-01T12:05:01Z'));
+    await expect(checkCode(sessionId, codeSentTo(phoneNumber))).rejects.toThrow('Verification code expired');
+  });
+
+  test('resends a new code after the cooldown', async () => {
+    process.env.PHONE_RESEND_COOLDOWN_SECONDS = '30';
+    jest.useFakeTimers({ now: new Date('2026-05-01T12:00:00Z') });
+    const phoneNumber = nextNumber();
+    const { sessionId } = await startVerification(phoneNumber);
+    const before = await getSessionStore().get('phone_verification', sessionId);
+
+    await expect(resendCode(sessionId)).rejects.toMatchObject({ statusCode: 429, details: { retryAfter: 30 } });
+
+    jest.setSystemTime(new Date('2026-05-01T12:00:31Z'));
+    await resendCode(sessionId);
+
+    const after = await getSessionStore().get('phone_verification', sessionId);
+    expect(after.codeHash).not.toBe(before.codeHash);
+    expect((await checkCode(sessionId, codeSentTo(phoneNumber))).phoneNumber).toBe(phoneNumber);
+  });
+
+  test('throttles sends per number and per IP', async () => {
+    process.env.PHONE_SENDS_PER_NUMBER = '2';
+    process.env.PHONE_SENDS_PER_IP = '3';
+    const phoneNumber = nextNumber();
+
+    await startVerification(phoneNumber, { ip: '203.0.113.5' });
+    await startVerification(phoneNumber, { ip: '203.0.113.5' });
+    const throttled = await startVerification(phoneNumber, { ip: '203.0.113.6' }).catch(error => error);
+    expect(throttled).toMatchObject({ statusCode: 429 });
+    expect(throttled.details.retryAfter).toBeGreaterThan(0);
+
+    // Another number from the same IP gets one more send
+    await startVerification(nextNumber(), { ip: '203.0.113.5' });
+    await expect(startVerification(nextNumber(), { ip: '203.0.113.5' })).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('lets only the allowed sends through when requests arrive together', async () => {
+    process.env.PHONE_SENDS_PER_NUMBER = '2';
+    const phoneNumber = nextNumber();
+
+    const results = await Promise.allSettled(Array.from({ length: 6 }, (_, index) =>
+      startVerification(phoneNumber, { ip: `203.0.113.${40 + index}` })
+    ));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.statusCode))
+      .toEqual([429, 429, 429, 429]);
+  });
+
+  test('claims the resend cooldown once for parallel resends', async () => {
+    const phoneNumber = nextNumber();
+    const { sessionId } = await startVerification(phoneNumber);
+    process.env.PHONE_RESEND_COOLDOWN_SECONDS = '30';
+    await getSessionStore().update('phone_verification', sessionId, { lastSentAt: Date.now() - 60 * 1000 });
+
+    const results = await Promise.allSettled(Array.from({ length: 4 }, () => resendCode(sessionId)));
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+  });
+
+  test('does not count failed texts against the number', async () => {
+    process.env.PHONE_SENDS_PER_NUMBER = '1';
+    const phoneNumber = nextNumber();
+
+    process.env.SMS_PROVIDER = 'failing';
+    await expect(startVerification(phoneNumber)).rejects.toMatchObject({ statusCode: 502 });
+
+    process.env.SMS_PROVIDER = 'local';
+    const { sessionId } = await startVerification(phoneNumber);
+    expect((await checkCode(sessionId, codeSentTo(phoneNumber))).phoneNumber).toBe(phoneNumber);
+  });
+
+  test('hands back the cooldown and the send when a resend fails', async () => {
+    process.env.PHONE_SENDS_PER_NUMBER = '2';
+    const phoneNumber = nextNumber();
+    const { sessionId } = await startVerification(phoneNumber);
+    process.env.PHONE_RESEND_COOLDOWN_SECONDS = '30';
+    await getSessionStore().update('phone_verification', sessionId, { lastSentAt: Date.now() - 60 * 1000 });
+
+    process.env.SMS_PROVIDER = 'failing';
+    await expect(resendCode(sessionId)).rejects.toMatchObject({ statusCode: 502 });
+
+    // No cooldown to wait out, and only the two delivered codes count
+    process.env.SMS_PROVIDER = 'local';
+    await resendCode(sessionId);
+    await expect(startVerification(phoneNumber)).rejects.toMatchObject({ statusCode: 429 });
+  });
+});
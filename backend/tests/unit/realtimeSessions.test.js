@@ -0,0 +1,39 @@
+const { setSessionStore } = require('../../src/services/sessionStore');
+const {
+  createSession,
+  getSession,
+  claimConnection,
+  releaseConnection
+} = require('../../src/services/realtimeSessions');
+
+describe('realtime session connections', () => {
+  beforeAll(() => setSessionStore('memory'));
+
+  test('lets one connection claim a session at a time', async () => {
+    const { sessionToken } = await createSession('user-1');
+
+    const results = await Promise.all([1, 2, 3].map(() => claimConnection(sessionToken)));
+    const claimed = results.filter(Boolean);
+    expect(claimed).toHaveLength(1);
+
+    const session = await getSession(sessionToken);
+    expect(session.connectionId).toBe(claimed[0]);
+    expect(session.connectedAt).toEqual(expect.any(Number));
+  });
+
+  test('frees the session only for the connection holding it', async () => {
+    const { sessionToken } = await createSession('user-1');
+    const connectionId = await claimConnection(sessionToken);
+
+    await releaseConnection(sessionToken, 'someone-else');
+    expect(await claimConnection(sessionToken)).toBeNull();
+
+    await releaseConnection(sessionToken, connectionId);
+    expect(await claimConnection(sessionToken)).toEqual(expect.any(String));
+  });
+
+  test('does not claim unknown sessions', async () => {
+    expect(await claimConnection('not-a-session')).toBeNull();
+    expect(await getSession('not-a-session')).toBeNull();
+  });
+});
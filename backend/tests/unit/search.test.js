@@ -0,0 +1,97 @@
+const { Entry, Thought } = require('../../src/models');
+const { registerProvider } = require('../../src/services/llm');
+const { setVectorIndex } = require('../../src/services/vectorIndex');
+const memoryIndex = require('../../src/services/vectorIndex/memoryIndex');
+const { indexDocument } = require('../../src/services/embeddings');
+const { hybridSearch } = require('../../src/services/search');
+
+describe('hybridSearch', () => {
+  const createdAt = new Date('2026-03-10T12:00:00Z');
+
+  let entries;
+  let thoughts;
+
+  beforeAll(() => {
+    setVectorIndex('memory');
+    registerProvider({ name: 'offline', isConfigured: () => false });
+  });
+
+  beforeEach(async () => {
+    memoryIndex.clear();
+    entries = {
+      pine: new Entry({ id: 'pine', userId: 'user-1', content: 'Pine candle that smells of the forest', createdAt }),
+      vanilla: new Entry({ id: 'vanilla', userId: 'user-1', content: 'Vanilla candle by the window', createdAt }),
+      bill: new Entry({ id: 'bill', userId: 'user-1', content: 'Paid the electricity bill', createdAt }),
+      theirs: new Entry({ id: 'theirs', userId: 'user-2', content: 'Pine candle', createdAt })
+    };
+    thoughts = {
+      forest: new Thought({ id: 'forest', userId: 'user-1', content: 'Walks in the pine forest clear my head', createdAt })
+    };
+
+    jest.spyOn(Entry, 'findById').mockImplementation(async id => entries[id] || null);
+    jest.spyOn(Thought, 'findById').mockImplementation(async id => thoughts[id] || null);
+
+    for (const id of Object.keys(entries)) await indexDocument('entry', id);
+    await indexDocument('thought', 'forest');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.LLM_EMBEDDING_PROVIDER;
+  });
+
+  test('fuses keyword and vector ranks with reciprocal rank fusion', async () => {
+    const { mode, results } = await hybridSearch('user-1', 'pine candle');
+
+    expect(mode).toBe('hybrid');
+    // First in both lists: 1/61 + 1/61
+    expect(results[0]).toMatchObject({ type: 'entry', id: 'pine', score: 0.0328, keywordScore: 1 });
+    expect(results[0].vectorScore).toBeGreaterThan(0.2);
+    expect(results[0].item.content).toBe(entries.pine.content);
+
+    const ids = results.map(result => result.id);
+    expect(ids).toEqual(expect.arrayContaining(['vanilla', 'forest']));
+    expect(ids).not.toContain('bill');
+    expect(ids).not.toContain('theirs');
+  });
+
+  test('falls back to keyword ranking without an embedding provider', async () => {
+    process.env.LLM_EMBEDDING_PROVIDER = 'offline';
+
+    const { mode, results } = await hybridSearch('user-1', 'pine candle');
+
+    expect(mode).toBe('keyword');
+    expect(results.map(result => [result.id, result.score, result.vectorScore])).toEqual([
+      ['pine', 0.0164, 0],
+      ['vanilla', 0.0161, 0],
+      ['forest', 0.0159, 0]
+    ]);
+  });
+
+  test('applies filters and the limit', async () => {
+    const thoughtsOnly = await hybridSearch('user-1', 'pine candle', { types: ['thought'] });
+    expect(thoughtsOnly.results.map(result => result.id)).toEqual(['forest']);
+
+    const limited = await hybridSearch('user-1', 'pine candle', { limit: 1 });
+    expect(limited.results.map(result => result.id)).toEqual(['pine']);
+
+    const future = await hybridSearch('user-1', 'pine candle', { startDate: new Date('2026-04-01T00:00:00Z') });
+    expect(future.results).toEqual([]);
+  });
+
+  test('drops documents deleted since they were indexed', async () => {
+    delete entries.pine;
+
+    const { results } = await hybridSearch('user-1', 'pine candle');
+    expect(results.map(result => result.id)).not.toContain('pine');
+  });
+
+  test('snips the text around the first matching term', async () => {
+    entries.vanilla.content = `${'Long day at work. '.repeat(10)}Then I lit the vanilla candle and read.`;
+    await indexDocument('entry', 'vanilla');
+
+    const { results } = await hybridSearch('user-1', 'vanilla');
+    expect(results[0].snippet.startsWith('…')).toBe(true);
+    expect(results[0].snippet).toContain('vanilla candle');
+  });
+});
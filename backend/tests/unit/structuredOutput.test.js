@@ -0,0 +1,130 @@
+const { registerProvider } = require('../../src/services/llm');
+const { parseJSONLoose, chatJSON, StructuredOutputError } = require('../../src/services/structuredOutput');
+
+describe('parseJSONLoose', () => {
+  test('parses plain JSON', () => {
+    expect(parseJSONLoose('{"a":1}')).toEqual({ a: 1 });
+    expect(parseJSONLoose('[1, 2]')).toEqual([1, 2]);
+  });
+
+  test('strips markdown fences and surrounding prose', () => {
+    expect(parseJSONLoose('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(parseJSONLoose('Here you go: {"a": {"b": [1]}} Hope that helps!')).toEqual({ a: { b: [1] } });
+  });
+
+  test('drops trailing commas', () => {
+    expect(parseJSONLoose('{"items": [1, 2,], "done": true,}')).toEqual({ items: [1, 2], done: true });
+  });
+
+  test('ignores brackets inside strings', () => {
+    expect(parseJSONLoose('Result: {"text": "a } and a \\" ]"} trailing')).toEqual({ text: 'a } and a " ]' });
+  });
+
+  test('rejects truncated output instead of closing it', () => {
+    expect(() => parseJSONLoose('{"items": [{"name": "Milk"}, {"name": "Eg')).toThrow('JSON in model output is truncated');
+    expect(() => parseJSONLoose('```json\n{"done": true')).toThrow(SyntaxError);
+  });
+
+  test('rejects output without JSON', () => {
+    expect(() => parseJSONLoose('Sorry, I cannot help with that.')).toThrow('No JSON object found in model output');
+    expect(() => parseJSONLoose(undefined)).toThrow('Model returned no text');
+    expect(() => parseJSONLoose('{"a": nope}')).toThrow(SyntaxError);
+  });
+});
+
+describe('chatJSON', () => {
+  // Replies with each scripted response in turn and records the requests
+  const scripted = {
+    name: 'scripted',
+    supportsJsonSchema: false,
+    replies: [],
+    requests: [],
+    isConfigured: () => true,
+    async chat(request) {
+      this.requests.push(request);
+      const reply = this.replies.shift();
+      if (reply instanceof Error) throw reply;
+      return { role: 'assistant', ...reply };
+    }
+  };
+
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string' } }
+  };
+
+  const ask = options => chatJSON({
+    messages: [{ role: 'user', content: 'Name it' }],
+    schema,
+    callSite: 'unit_test',
+    max_tokens: 100,
+    ...options
+  });
+
+  beforeAll(() => {
+    registerProvider(scripted);
+    process.env.LLM_UNIT_TEST_PROVIDER = 'scripted';
+  });
+
+  afterAll(() => {
+    delete process.env.LLM_UNIT_TEST_PROVIDER;
+  });
+
+  beforeEach(() => {
+    scripted.replies = [];
+    scripted.requests = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('returns the parsed value', async () => {
+    scripted.replies = [{ content: '```json\n{"name": "Books"}\n```' }];
+    expect(await ask()).toEqual({ name: 'Books' });
+    expect(scripted.requests).toHaveLength(1);
+  });
+
+  test('retries with the schema errors fed back', async () => {
+    scripted.replies = [{ content: '{"title": "Books"}' }, { content: '{"name": "Books"}' }];
+
+    expect(await ask()).toEqual({ name: 'Books' });
+    const retry = scripted.requests[1];
+    expect(retry.messages[retry.messages.length - 1].content).toMatch(/name is required/);
+    expect(retry.maxTokens).toBe(100);
+  });
+
+  test('treats a reply cut off at max_tokens as a failure, even when it parses', async () => {
+    scripted.replies = [
+      { content: '{"name": "Bo"}', truncated: true },
+      { content: '{"name": "Books"}' }
+    ];
+
+    expect(await ask()).toEqual({ name: 'Books' });
+    const retry = scripted.requests[1];
+    expect(retry.messages[retry.messages.length - 1].content).toMatch(/cut off/);
+    expect(retry.maxTokens).toBe(200);
+  });
+
+  test('gives up after the retries with the last error', async () => {
+    scripted.replies = [{ content: 'no' }, { content: '{"name": 1}' }];
+
+    const error = await ask({ maxRetries: 1 }).catch(caught => caught);
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error).toMatchObject({
+      code: 'SCHEMA_VALIDATION_ERROR',
+      callSite: 'unit_test',
+      attempts: 2,
+      validationErrors: [{ path: 'name', message: 'must be string' }]
+    });
+  });
+
+  test('does not retry provider failures', async () => {
+    scripted.replies = [new Error('rate limited')];
+
+    const error = await ask().catch(caught => caught);
+    expect(error).toMatchObject({ code: 'PROVIDER_ERROR', attempts: 1 });
+    expect(scripted.requests).toHaveLength(1);
+  });
+});
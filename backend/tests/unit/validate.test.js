@@ -0,0 +1,119 @@
+const { validate, sanitize } = require('../../src/middleware/validate');
+const { id, tags, pagination, nullableDate, noInput } = require('../../src/schemas/common');
+
+// Runs the middleware on a fake request; resolves the request, or the 400 body
+function run(schemas, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    validate(schemas)(req, res, () => resolve({ status: null, req }));
+  });
+}
+
+describe('validate', () => {
+  const createSchema = {
+    body: {
+      type: 'object',
+      required: ['content'],
+      properties: {
+        content: { type: 'string', minLength: 1 },
+        priority: { type: 'string', enum: ['low', 'high'] },
+        tags,
+        dueDate: nullableDate,
+        metadata: { type: 'object', additionalProperties: true, properties: {} }
+      }
+    }
+  };
+
+  test('drops unknown fields and keeps free-form objects', async () => {
+    const { status, req } = await run(createSchema, {
+      body: { content: 'Milk', userId: 'someone-else', id: 'forged', metadata: { source: 'voice' } }
+    });
+
+    expect(status).toBeNull();
+    expect(req.body).toEqual({ content: 'Milk', metadata: { source: 'voice' } });
+  });
+
+  test('normalises enums and coerces dates', async () => {
+    const { req } = await run(createSchema, {
+      body: { content: 'Call Sam', priority: 'HIGH', dueDate: '2026-03-01T09:00:00Z' }
+    });
+
+    expect(req.body.priority).toBe('high');
+    expect(req.body.dueDate).toBeInstanceOf(Date);
+    expect(req.body.dueDate.toISOString()).toBe('2026-03-01T09:00:00.000Z');
+  });
+
+  test('lets nullable fields be cleared', async () => {
+    const { req } = await run(createSchema, { body: { content: 'Later', dueDate: null } });
+    expect(req.body.dueDate).toBeNull();
+  });
+
+  test('responds 400 with every failing field', async () => {
+    const { status, body } = await run(createSchema, {
+      body: { priority: 'urgent', dueDate: 'not a date', tags: ['ok', 7] }
+    });
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ error: 'Validation failed', code: 'VALIDATION_FAILED' });
+    expect(body.fields).toEqual(expect.arrayContaining([
+      { path: 'body.content', message: 'is required' },
+      { path: 'body.priority', message: 'must be one of low, high' },
+      { path: 'body.dueDate', message: 'must be a valid date' },
+      { path: 'body.tags[1]', message: 'must be string' }
+    ]));
+  });
+
+  test('coerces query strings to numbers, booleans and arrays', async () => {
+    const schema = {
+      query: {
+        type: 'object',
+        properties: {
+          ...pagination,
+          archived: { type: 'boolean' },
+          ids: { type: 'array', items: id }
+        }
+      }
+    };
+
+    const { req } = await run(schema, { query: { limit: '25', archived: 'false', ids: 'a, b,,c' } });
+    expect(req.query).toEqual({ limit: 25, archived: false, ids: ['a', 'b', 'c'] });
+
+    const { status, body } = await run(schema, { query: { limit: '500' } });
+    expect(status).toBe(400);
+    expect(body.fields).toEqual([{ path: 'query.limit', message: 'must be <= 100' }]);
+  });
+
+  test('checks time zone names', async () => {
+    const schema = { body: { type: 'object', properties: { timezone: { type: 'string', format: 'time-zone' } } } };
+
+    expect((await run(schema, { body: { timezone: 'Europe/Berlin' } })).status).toBeNull();
+
+    const { status, body } = await run(schema, { body: { timezone: 'Mars/Olympus_Mons' } });
+    expect(status).toBe(400);
+    expect(body.fields).toEqual([{ path: 'body.timezone', message: 'must be an IANA time zone' }]);
+  });
+
+  test('noInput drops whatever is sent', async () => {
+    const { req } = await run(noInput, { query: { anything: '1' }, body: { userId: 'x' } });
+    expect(req.query).toEqual({});
+    expect(req.body).toEqual({});
+  });
+
+  test('sanitize reports paths without touching valid values', () => {
+    const { value, errors } = sanitize({ name: 'List', extra: true }, {
+      type: 'object',
+      properties: { name: { type: 'string', maxLength: 3 } }
+    }, 'body', {});
+
+    expect(value).toEqual({ name: 'List' });
+    expect(errors).toEqual([{ path: 'body.name', message: 'must be at most 3 characters' }]);
+  });
+});
@@ -0,0 +1,107 @@
+const memoryIndex = require('../../src/services/vectorIndex/memoryIndex');
+const { tokenize, cosineSimilarity, keywordScore, matchesFilters } = require('../../src/services/vectorIndex/scoring');
+
+describe('scoring', () => {
+  test('tokenize lowercases, drops stop words and singularizes', () => {
+    expect(tokenize('The Candles on my desk, 2 of them')).toEqual(['candle', 'desk', '2', 'them']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  test('cosineSimilarity compares direction, not length', () => {
+    expect(cosineSimilarity([1, 0], [3, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 2])).toBe(0);
+    expect(cosineSimilarity([1, 1], [-1, -1])).toBeCloseTo(-1);
+  });
+
+  test('cosineSimilarity is 0 for missing, mismatched or empty vectors', () => {
+    expect(cosineSimilarity(null, [1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  test('keywordScore is the share of query terms found, with a bonus for repeats', () => {
+    expect(keywordScore(['pine', 'candle'], 'Pine candle')).toBe(1);
+    expect(keywordScore(['pine', 'candle'], 'A vanilla candle')).toBe(0.5);
+    expect(keywordScore(['candle'], 'Candles, candles everywhere')).toBeCloseTo(1 + Math.log(2) * 0.1);
+    expect(keywordScore([], 'Pine candle')).toBe(0);
+  });
+
+  test('matchesFilters checks type, space, collection and date range', () => {
+    const record = {
+      sourceType: 'entry',
+      spaceIds: ['home'],
+      collectionIds: ['candles'],
+      createdAt: new Date('2026-03-10T12:00:00Z')
+    };
+
+    expect(matchesFilters(record)).toBe(true);
+    expect(matchesFilters(record, { types: ['entry', 'thought'], spaceId: 'home', collectionId: 'candles' })).toBe(true);
+    expect(matchesFilters(record, { types: ['thought'] })).toBe(false);
+    expect(matchesFilters(record, { spaceId: 'work' })).toBe(false);
+    expect(matchesFilters(record, { collectionId: 'books' })).toBe(false);
+    expect(matchesFilters(record, {
+      startDate: new Date('2026-03-01T00:00:00Z'),
+      endDate: new Date('2026-03-31T00:00:00Z')
+    })).toBe(true);
+    expect(matchesFilters(record, { startDate: new Date('2026-03-11T00:00:00Z') })).toBe(false);
+    expect(matchesFilters({ ...record, createdAt: null }, { endDate: new Date() })).toBe(false);
+  });
+
+  test('matchesFilters reads Firestore timestamps', () => {
+    const createdAt = { toDate: () => new Date('2026-03-10T12:00:00Z') };
+    expect(matchesFilters({ createdAt }, { startDate: new Date('2026-03-11T00:00:00Z') })).toBe(false);
+  });
+});
+
+describe('memory vector index', () => {
+  const record = (id, data) => ({
+    id,
+    userId: 'user-1',
+    sourceType: 'entry',
+    sourceId: id,
+    spaceIds: [],
+    collectionIds: [],
+    ...data
+  });
+
+  beforeEach(async () => {
+    memoryIndex.clear();
+    await Promise.all([
+      memoryIndex.upsert(record('pine', { vector: [1, 0, 0], text: 'Pine candle' })),
+      memoryIndex.upsert(record('vanilla', { vector: [0.6, 0.8, 0], text: 'Vanilla candle', collectionIds: ['candles'] })),
+      memoryIndex.upsert(record('bill', { vector: [0, 0, 1], text: 'Electricity bill' })),
+      memoryIndex.upsert(record('theirs', { userId: 'user-2', vector: [1, 0, 0], text: 'Pine candle' }))
+    ]);
+  });
+
+  test('stores, replaces and removes records by id', async () => {
+    await memoryIndex.upsert(record('pine', { vector: [0, 1, 0], text: 'Pine needles' }));
+    expect((await memoryIndex.get('pine')).text).toBe('Pine needles');
+
+    await memoryIndex.remove('pine');
+    expect(await memoryIndex.get('pine')).toBeNull();
+  });
+
+  test('query ranks the user\'s records by cosine similarity', async () => {
+    const matches = await memoryIndex.query('user-1', [1, 0, 0]);
+
+    // The bill is orthogonal and the other user's record is never returned
+    expect(matches.map(match => match.record.id)).toEqual(['pine', 'vanilla']);
+    expect(matches[0].score).toBeCloseTo(1);
+    expect(matches[1].score).toBeCloseTo(0.6);
+  });
+
+  test('query applies filters and the limit', async () => {
+    const filtered = await memoryIndex.query('user-1', [1, 0, 0], { filters: { collectionId: 'candles' } });
+    expect(filtered.map(match => match.record.id)).toEqual(['vanilla']);
+
+    const limited = await memoryIndex.query('user-1', [1, 0, 0], { limit: 1 });
+    expect(limited.map(match => match.record.id)).toEqual(['pine']);
+  });
+
+  test('keywordQuery ranks records by shared terms', async () => {
+    const matches = await memoryIndex.keywordQuery('user-1', tokenize('pine candles'));
+
+    expect(matches.map(match => [match.record.id, match.score])).toEqual([['pine', 1], ['vanilla', 0.5]]);
+  });
+});